@@ -27,7 +27,8 @@ const mockMessageBridge = {
   start: jest.fn(),
   stop: jest.fn(),
   getMetrics: jest.fn(),
-  handleLineEvent: jest.fn()
+  handleLineEvent: jest.fn(),
+  enqueueLineEvents: jest.fn()
 };
 
 const MessageBridge = require('../services/MessageBridge');
@@ -209,7 +210,23 @@ describe('App', () => {
 
       expect(response.status).toBe(200);
       expect(response.body).toEqual({ success: true });
-      expect(mockMessageBridge.handleLineEvent).toHaveBeenCalledWith(body.events[0]);
+      expect(mockMessageBridge.enqueueLineEvents).toHaveBeenCalledWith(body.events);
+    });
+
+    test('イベントを保存できない場合は500を返しLINEに再送させる', async () => {
+      app.messageBridge = mockMessageBridge;
+      mockMessageBridge.enqueueLineEvents.mockRejectedValueOnce(new Error('disk full'));
+      app.setupMiddleware();
+      app.setupRoutes();
+
+      const rawBody = JSON.stringify({ events: [{ type: 'follow', source: { userId: 'line-user-1' } }] });
+      const response = await request(app.app)
+        .post(config.line.webhookPath)
+        .set('content-type', 'application/json')
+        .set('x-line-signature', createLineSignature(rawBody, config.line.channelSecret))
+        .send(rawBody);
+
+      expect(response.status).toBe(500);
     });
 
     test('不正な署名のWebhookを拒否する', async () => {
@@ -224,7 +241,139 @@ describe('App', () => {
         .send(JSON.stringify({ events: [] }));
 
       expect(response.status).toBe(401);
-      expect(mockMessageBridge.handleLineEvent).not.toHaveBeenCalled();
+      expect(mockMessageBridge.enqueueLineEvents).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('管理API', () => {
+    let originalApiKey;
+
+    beforeEach(() => {
+      originalApiKey = config.admin.apiKey;
+      config.admin.apiKey = 'admin-secret';
+      app.messageBridge = {
+        ...mockMessageBridge,
+        channelManager: {
+          getAllMappings: jest.fn().mockReturnValue([]),
+          linkChannel: jest.fn().mockResolvedValue({ sourceId: 'U1234567890', discordChannelId: 'channel-1' })
+        },
+        messageQueue: {
+          getDeadLetters: jest.fn().mockReturnValue([{ id: 'item-1', userId: 'U1234567890' }]),
+          retryDeadLetter: jest.fn().mockResolvedValue(null)
+        }
+      };
+      app.setupMiddleware();
+      app.setupRoutes();
+      app.setupErrorHandling();
+    });
+
+    afterEach(() => {
+      config.admin.apiKey = originalApiKey;
+    });
+
+    test('APIキーのないリクエストを拒否する', async () => {
+      const response = await request(app.app).get('/admin/channels');
+
+      expect(response.status).toBe(401);
+    });
+
+    test('APIキー未設定時は管理APIを無効にする', async () => {
+      config.admin.apiKey = '';
+
+      const response = await request(app.app)
+        .get('/admin/channels')
+        .set('authorization', 'Bearer admin-secret');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('チャンネルを紐付ける', async () => {
+      const response = await request(app.app)
+        .post('/admin/channels/link')
+        .set('authorization', 'Bearer admin-secret')
+        .send({ sourceId: 'U1234567890', channelId: 'channel-1' });
+
+      expect(response.status).toBe(200);
+      expect(app.messageBridge.channelManager.linkChannel).toHaveBeenCalledWith('U1234567890', 'channel-1');
+    });
+
+    test('必須項目が欠けている場合は400を返す', async () => {
+      const response = await request(app.app)
+        .post('/admin/channels/link')
+        .set('x-admin-api-key', 'admin-secret')
+        .send({ sourceId: 'U1234567890' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Missing required fields: channelId');
+    });
+
+    test('検証エラーはステータスコード付きで返す', async () => {
+      const ChannelOperationError = require('../services/ChannelOperationError');
+      app.messageBridge.channelManager.linkChannel.mockRejectedValue(new ChannelOperationError(
+        ChannelOperationError.CODES.CONFLICT,
+        'Channel is already linked to LINE source U0000000000'
+      ));
+
+      const response = await request(app.app)
+        .post('/admin/channels/link')
+        .set('authorization', 'Bearer admin-secret')
+        .send({ sourceId: 'U1234567890', channelId: 'channel-1' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toContain('already linked');
+    });
+
+    test('チャンネルを統合する（初期化前は503）', async () => {
+      app.messageBridge.mergeChannels = jest.fn().mockResolvedValue({ reassignedMessages: 3 });
+
+      const response = await request(app.app)
+        .post('/admin/channels/merge')
+        .set('authorization', 'Bearer admin-secret')
+        .send({ fromChannelId: 'channel-1', intoChannelId: 'channel-2' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, reassignedMessages: 3 });
+      expect(app.messageBridge.mergeChannels).toHaveBeenCalledWith('channel-1', 'channel-2');
+
+      app.messageBridge.channelManager = null;
+      const notReady = await request(app.app)
+        .post('/admin/channels/merge')
+        .set('authorization', 'Bearer admin-secret')
+        .send({ fromChannelId: 'channel-1', intoChannelId: 'channel-2' });
+
+      expect(notReady.status).toBe(503);
+      expect(app.messageBridge.mergeChannels).toHaveBeenCalledTimes(1);
+    });
+
+    test('LINE送信のデッドレターを一覧する', async () => {
+      const response = await request(app.app)
+        .get('/admin/outbound/dead-letters')
+        .set('authorization', 'Bearer admin-secret');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ total: 1, deadLetters: [{ id: 'item-1', userId: 'U1234567890' }] });
+    });
+
+    test('デッドレターを再送キューに戻す', async () => {
+      app.messageBridge.messageQueue.retryDeadLetter.mockResolvedValueOnce({ id: 'item-1', attempts: 0 });
+
+      const response = await request(app.app)
+        .post('/admin/outbound/dead-letters/retry')
+        .set('authorization', 'Bearer admin-secret')
+        .send({ id: 'item-1' });
+
+      expect(response.status).toBe(200);
+      expect(app.messageBridge.messageQueue.retryDeadLetter).toHaveBeenCalledWith('item-1');
+    });
+
+    test('存在しないデッドレターの再送は404を返す', async () => {
+      const response = await request(app.app)
+        .post('/admin/outbound/dead-letters/retry')
+        .set('authorization', 'Bearer admin-secret')
+        .send({ id: 'missing' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe('Dead letter not found: missing');
     });
   });
 });
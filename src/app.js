@@ -7,10 +7,21 @@ const path = require('path');
 const config = require('./config');
 const logger = require('./utils/logger');
 const MessageBridge = require('./services/MessageBridge');
-const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const ChannelOperationError = require('./services/ChannelOperationError');
+const { errorHandler, notFoundHandler, asyncHandler, AppError } = require('./middleware/errorHandler');
 const requestLogger = require('./middleware/requestLogger');
 const { securityMiddleware } = require('./middleware/security');
 const { captureRawBody, lineSignatureMiddleware } = require('./middleware/lineSignature');
+const { adminAuthMiddleware } = require('./middleware/adminAuth');
+const { closeDatabases } = require('./storage/SqliteStore');
+
+// チャンネル紐付け操作の失敗理由と管理APIのステータスコード
+const CHANNEL_ERROR_STATUS = {
+  [ChannelOperationError.CODES.INVALID]: 400,
+  [ChannelOperationError.CODES.NOT_FOUND]: 404,
+  [ChannelOperationError.CODES.CONFLICT]: 409,
+  [ChannelOperationError.CODES.FAILED]: 500
+};
 
 /**
  * アプリケーションクラス
@@ -126,10 +137,8 @@ class App {
           return res.status(400).json({ error: 'Invalid webhook data' });
         }
 
-        // イベントを処理
-        for (const event of events) {
-          await this.messageBridge.handleLineEvent(event);
-        }
+        // イベントを保存してすぐに応答し、処理は受信キューに任せる（LINEの再送を防ぐ）
+        await this.messageBridge.enqueueLineEvents(events);
 
         res.json({ success: true });
       } catch (error) {
@@ -158,6 +167,9 @@ class App {
       }
     });
 
+    // 管理API
+    this.setupAdminRoutes();
+
     // API情報
     this.app.get('/api/info', (req, res) => {
       res.json({
@@ -169,6 +181,7 @@ class App {
           metrics: '/metrics',
           webhook: config.line.webhookPath,
           upload: '/upload',
+          admin: '/admin',
           info: '/api/info'
         }
       });
@@ -177,12 +190,157 @@ class App {
     logger.info('Routes configured');
   }
 
+  /**
+   * 管理APIルートの設定
+   * ADMIN_API_KEY が未設定の場合はすべて404を返す
+   */
+  setupAdminRoutes() {
+    this.app.use('/admin', adminAuthMiddleware);
+
+    this.app.get('/admin/channels', asyncHandler(async (req, res) => {
+      res.json({ mappings: this.getChannelManager().getAllMappings() });
+    }));
+
+    this.app.post('/admin/channels/link', asyncHandler(async (req, res) => {
+      const { sourceId, channelId } = this.requireBodyFields(req, ['sourceId', 'channelId']);
+      const mapping = await this.getChannelManager().linkChannel(sourceId, channelId);
+      res.json({ success: true, mapping });
+    }));
+
+    this.app.post('/admin/channels/relink', asyncHandler(async (req, res) => {
+      const { sourceId, channelId } = this.requireBodyFields(req, ['sourceId', 'channelId']);
+      const mapping = await this.getChannelManager().relinkSource(sourceId, channelId);
+      res.json({ success: true, mapping });
+    }));
+
+    this.app.post('/admin/channels/swap', asyncHandler(async (req, res) => {
+      const { sourceId, otherSourceId } = this.requireBodyFields(req, ['sourceId', 'otherSourceId']);
+      const mappings = await this.getChannelManager().swapSources(sourceId, otherSourceId);
+      res.json({ success: true, mappings });
+    }));
+
+    this.app.post('/admin/channels/merge', asyncHandler(async (req, res) => {
+      const { fromChannelId, intoChannelId } = this.requireBodyFields(req, ['fromChannelId', 'intoChannelId']);
+      const result = await this.getInitializedBridge().mergeChannels(fromChannelId, intoChannelId);
+      res.json({ success: true, ...result });
+    }));
+
+    this.app.get('/admin/routing/dry-run', asyncHandler(async (req, res) => {
+      const results = await this.getChannelManager().previewRouting();
+      res.json({
+        total: results.length,
+        changed: results.filter(result => result.changed).length,
+        results
+      });
+    }));
+
+    this.app.get('/admin/permissions/drift', asyncHandler(async (req, res) => {
+      const results = await this.getChannelManager().auditChannelPermissions({ apply: false });
+      res.json(this.summarizePermissionAudit(results));
+    }));
+
+    this.app.post('/admin/permissions/reapply', asyncHandler(async (req, res) => {
+      const results = await this.getChannelManager().auditChannelPermissions({ apply: true });
+      res.json({ success: true, ...this.summarizePermissionAudit(results) });
+    }));
+
+    this.app.post('/admin/channels/archive', asyncHandler(async (req, res) => {
+      const { sourceId } = this.requireBodyFields(req, ['sourceId']);
+      const mapping = await this.getChannelManager().archiveSource(sourceId, 'manual');
+      if (!mapping) {
+        throw new AppError(`Linked Discord channel not found for LINE source: ${sourceId}`, 404);
+      }
+      res.json({ success: true, mapping });
+    }));
+
+    this.app.post('/admin/channels/restore', asyncHandler(async (req, res) => {
+      const { sourceId } = this.requireBodyFields(req, ['sourceId']);
+      const mapping = await this.getChannelManager().restoreSource(sourceId);
+      if (!mapping) {
+        throw new AppError(`No archived channel for LINE source: ${sourceId}`, 404);
+      }
+      res.json({ success: true, mapping });
+    }));
+
+    this.app.post('/admin/channels/delete', asyncHandler(async (req, res) => {
+      const { sourceId } = this.requireBodyFields(req, ['sourceId']);
+      await this.getChannelManager().deleteArchivedChannel(sourceId);
+      res.json({ success: true, sourceId });
+    }));
+
+    this.app.get('/admin/outbound/dead-letters', asyncHandler(async (req, res) => {
+      const deadLetters = this.getMessageQueue().getDeadLetters();
+      res.json({ total: deadLetters.length, deadLetters });
+    }));
+
+    this.app.post('/admin/outbound/dead-letters/retry', asyncHandler(async (req, res) => {
+      const { id } = this.requireBodyFields(req, ['id']);
+      const item = await this.getMessageQueue().retryDeadLetter(id);
+      if (!item) {
+        throw new AppError(`Dead letter not found: ${id}`, 404);
+      }
+      res.json({ success: true, item });
+    }));
+  }
+
+  summarizePermissionAudit(results) {
+    return {
+      total: results.length,
+      drifted: results.filter(result => result.drift.length > 0).length,
+      applied: results.filter(result => result.applied).length,
+      results: results.filter(result => result.drift.length > 0 || result.error)
+    };
+  }
+
+  getChannelManager() {
+    return this.getInitializedBridge().channelManager;
+  }
+
+  /**
+   * 初期化済み（ChannelManager がある）MessageBridge を返す
+   * 初期化前は 503 にする
+   */
+  getInitializedBridge() {
+    if (!this.messageBridge?.channelManager) {
+      throw new AppError('MessageBridge not initialized', 503);
+    }
+
+    return this.messageBridge;
+  }
+
+  getMessageQueue() {
+    const messageQueue = this.messageBridge?.messageQueue;
+    if (!messageQueue) {
+      throw new AppError('MessageBridge not initialized', 503);
+    }
+
+    return messageQueue;
+  }
+
+  requireBodyFields(req, fields) {
+    const body = req.body || {};
+    const missing = fields.filter(field => typeof body[field] !== 'string' || !body[field].trim());
+    if (missing.length > 0) {
+      throw new AppError(`Missing required fields: ${missing.join(', ')}`, 400);
+    }
+
+    return Object.fromEntries(fields.map(field => [field, body[field].trim()]));
+  }
+
   /**
    * エラーハンドリングの設定
    */
   setupErrorHandling() {
     // 404ハンドラー
     this.app.use(notFoundHandler);
+
+    // サービスの失敗理由をステータスコード付きのエラーに変換
+    this.app.use((err, req, res, next) => {
+      if (err instanceof ChannelOperationError) {
+        return next(new AppError(err.message, CHANNEL_ERROR_STATUS[err.code] || 500));
+      }
+      return next(err);
+    });
     
     // エラーハンドラー
     this.app.use(errorHandler);
@@ -317,6 +475,9 @@ class App {
         await this.messageBridge.stop();
         this.messageBridge = null;
       }
+
+      // マネージャーの保存が終わってからSQLiteを閉じる
+      closeDatabases();
       
       logger.info('Application stopped');
     } catch (error) {
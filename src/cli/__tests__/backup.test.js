@@ -0,0 +1,37 @@
+const { isBridgeRunning, run } = require('../backup');
+
+describe('backup CLI', () => {
+  test('restore refuses while the bridge is running unless forced', async () => {
+    const backupService = {
+      restoreBackup: jest.fn().mockResolvedValue({
+        file: '/data/backups/a.json.gz',
+        createdAt: '2024-06-30T00:00:00.000Z',
+        restored: ['channel-mappings'],
+        skipped: [],
+        safetyBackup: '/data/backups/b-pre-restore.json.gz'
+      })
+    };
+    const output = { write: jest.fn() };
+
+    await expect(run(['restore', 'a.json.gz'], { backupService, output, checkRunning: async () => true }))
+      .rejects.toThrow('The bridge appears to be running');
+    expect(backupService.restoreBackup).not.toHaveBeenCalled();
+
+    await run(['restore', 'a.json.gz', '--force'], { backupService, output, checkRunning: async () => true });
+    expect(backupService.restoreBackup).toHaveBeenCalledWith('a.json.gz');
+    expect(output.write).toHaveBeenCalledWith(expect.stringContaining('Previous data saved to /data/backups/b-pre-restore.json.gz'));
+  });
+
+  test('rejects unknown commands', async () => {
+    await expect(run(['nope'], { backupService: {} })).rejects.toThrow('Unknown command: nope');
+  });
+
+  test('isBridgeRunning treats any HTTP response as running', async () => {
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    const unhealthy = Object.assign(new Error('Service Unavailable'), { response: { status: 503 } });
+
+    await expect(isBridgeRunning({ PORT: '4000' }, { get: jest.fn().mockResolvedValue({}) })).resolves.toBe(true);
+    await expect(isBridgeRunning({}, { get: jest.fn().mockRejectedValue(unhealthy) })).resolves.toBe(true);
+    await expect(isBridgeRunning({}, { get: jest.fn().mockRejectedValue(refused) })).resolves.toBe(false);
+  });
+});
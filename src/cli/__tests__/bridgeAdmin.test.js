@@ -0,0 +1,59 @@
+const { buildRequest, run } = require('../bridgeAdmin');
+
+describe('bridgeAdmin CLI', () => {
+  test('buildRequest maps commands to admin API requests', () => {
+    expect(buildRequest(['list'])).toEqual({
+      method: 'get',
+      url: '/admin/channels'
+    });
+    expect(buildRequest(['relink', 'U1234567890', 'channel-2'])).toEqual({
+      method: 'post',
+      url: '/admin/channels/relink',
+      data: { sourceId: 'U1234567890', channelId: 'channel-2' }
+    });
+    expect(buildRequest(['dead-letter-retry', 'item-1'])).toEqual({
+      method: 'post',
+      url: '/admin/outbound/dead-letters/retry',
+      data: { id: 'item-1' }
+    });
+    expect(() => buildRequest(['swap', 'U1234567890'])).toThrow('Expected 2 arguments for swap');
+    expect(() => buildRequest(['unknown'])).toThrow('Unknown command: unknown');
+  });
+
+  test('run sends the API key and prints the response', async () => {
+    const client = {
+      request: jest.fn().mockResolvedValue({ data: { success: true } })
+    };
+    const output = { write: jest.fn() };
+
+    await run(['merge', 'channel-1', 'channel-2'], {
+      env: { ADMIN_API_KEY: 'admin-secret', PORT: '4000' },
+      client,
+      output
+    });
+
+    expect(client.request).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'post',
+      url: '/admin/channels/merge',
+      baseURL: 'http://127.0.0.1:4000',
+      headers: { Authorization: 'Bearer admin-secret' },
+      data: { fromChannelId: 'channel-1', intoChannelId: 'channel-2' }
+    }));
+    expect(output.write).toHaveBeenCalledWith(expect.stringContaining('"success": true'));
+  });
+
+  test('run surfaces admin API error messages', async () => {
+    const client = {
+      request: jest.fn().mockRejectedValue({
+        message: 'Request failed with status code 409',
+        response: { data: { message: 'Channel is already linked to LINE source U1' } }
+      })
+    };
+
+    await expect(run(['link', 'U2', 'channel-1'], {
+      env: { ADMIN_API_KEY: 'admin-secret' },
+      client,
+      output: { write: jest.fn() }
+    })).rejects.toThrow('Admin API request failed: Channel is already linked to LINE source U1');
+  });
+});
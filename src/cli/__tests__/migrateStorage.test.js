@@ -0,0 +1,64 @@
+const { migrate, run } = require('../migrateStorage');
+
+function createMemoryStores(initial) {
+  const stores = {};
+  const storeFactory = jest.fn((name, { type }) => {
+    const key = `${type}:${name}`;
+    if (!stores[key]) {
+      stores[key] = {
+        data: initial[key] || null,
+        load: jest.fn(async function load() { return this.data; }),
+        save: jest.fn(async function save(data) { this.data = data; })
+      };
+    }
+    return stores[key];
+  });
+  return { stores, storeFactory };
+}
+
+describe('migrateStorage CLI', () => {
+  test('copies JSON stores into empty SQLite stores', async () => {
+    const { stores, storeFactory } = createMemoryStores({
+      'file:channel-mappings': { U1: { discordChannelId: 'c1' }, U2: { discordChannelId: 'c2' } },
+      'file:message-mappings': { lineToDiscord: { l1: {} }, discordToLine: { d1: {} } }
+    });
+
+    const results = await migrate({ storeFactory });
+
+    expect(results).toEqual([
+      { name: 'channel-mappings', status: 'migrated', records: 2 },
+      { name: 'message-mappings', status: 'migrated', records: 2 },
+      { name: 'line-usage', status: 'skipped', reason: 'source not found', records: 0 },
+      { name: 'line-budget-usage', status: 'skipped', reason: 'source not found', records: 0 },
+      { name: 'line-usage-history', status: 'skipped', reason: 'source not found', records: 0 },
+      { name: 'outbound-queue', status: 'skipped', reason: 'source not found', records: 0 },
+      { name: 'outbound-dead-letters', status: 'skipped', reason: 'source not found', records: 0 },
+      { name: 'inbound-events', status: 'skipped', reason: 'source not found', records: 0 },
+      { name: 'webhook-events', status: 'skipped', reason: 'source not found', records: 0 },
+      { name: 'schema-versions', status: 'skipped', reason: 'source not found', records: 0 }
+    ]);
+    expect(stores['sqlite:channel-mappings'].data).toEqual({
+      U1: { discordChannelId: 'c1' },
+      U2: { discordChannelId: 'c2' }
+    });
+  });
+
+  test('refuses to overwrite SQLite data unless --force is given', async () => {
+    const initial = {
+      'file:line-usage': { count: 5 },
+      'sqlite:line-usage': { count: 1 }
+    };
+    const first = createMemoryStores(initial);
+    const output = { write: jest.fn() };
+
+    await run([], { output, storeFactory: first.storeFactory });
+
+    expect(first.stores['sqlite:line-usage'].save).not.toHaveBeenCalled();
+    expect(output.write).toHaveBeenCalledWith(expect.stringContaining('line-usage: skipped (target already has data'));
+
+    const second = createMemoryStores(initial);
+    await run(['--force'], { output, storeFactory: second.storeFactory });
+
+    expect(second.stores['sqlite:line-usage'].data).toEqual({ count: 5 });
+  });
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * バックアップCLI
+ * ブリッジのデータ（有効なストレージの全ストア）のバックアップ作成・一覧・リストアを行う
+ *
+ * 使い方:
+ *   npm run backup -- create
+ *   npm run backup -- list
+ *   npm run backup -- restore <file>          # ブリッジ停止中のみ
+ *   npm run backup -- restore <file> --force  # 稼働確認を省略
+ */
+const axios = require('axios');
+const BackupService = require('../services/BackupService');
+const { closeDatabases } = require('../storage/SqliteStore');
+
+const USAGE = [
+  'Usage: backup <command> [args]',
+  '  create',
+  '  list',
+  '  restore <file> [--force]'
+].join('\n');
+
+/**
+ * ブリッジが稼働中か確認（/health に応答があれば稼働中とみなす）
+ */
+async function isBridgeRunning(env = process.env, client = axios) {
+  const baseURL = env.ADMIN_API_URL || `http://127.0.0.1:${env.PORT || 3000}`;
+  try {
+    await client.get('/health', { baseURL, timeout: 2000 });
+    return true;
+  } catch (error) {
+    return !!error.response;
+  }
+}
+
+async function run(argv, {
+  env = process.env,
+  output = process.stdout,
+  backupService = new BackupService(),
+  checkRunning = () => isBridgeRunning(env)
+} = {}) {
+  const [command, ...args] = argv;
+  const force = args.includes('--force');
+  const values = args.filter(arg => arg !== '--force');
+
+  switch (command) {
+  case 'create': {
+    const result = await backupService.createBackup();
+    output.write(`Backup created: ${result.file}\n`);
+    return result;
+  }
+  case 'list': {
+    const backups = await backupService.listBackups();
+    for (const backup of backups) {
+      output.write(`${backup.name}\t${backup.size} bytes\n`);
+    }
+    if (backups.length === 0) {
+      output.write(`No backups in ${backupService.backupDir}\n`);
+    }
+    return backups;
+  }
+  case 'restore': {
+    if (values.length !== 1) {
+      throw new Error(`Expected 1 argument for restore\n${USAGE}`);
+    }
+    if (!force && await checkRunning()) {
+      throw new Error('The bridge appears to be running. Stop it before restoring (or pass --force).');
+    }
+    const result = await backupService.restoreBackup(values[0]);
+    output.write(`Restored ${result.restored.join(', ') || 'nothing'} from ${result.file} (created ${result.createdAt})\n`);
+    if (result.skipped.length > 0) {
+      output.write(`Not in archive, left unchanged: ${result.skipped.join(', ')}\n`);
+    }
+    output.write(`Previous data saved to ${result.safetyBackup}\n`);
+    return result;
+  }
+  default:
+    throw new Error(`Unknown command: ${command || '(none)'}\n${USAGE}`);
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then(() => closeDatabases())
+    .catch((error) => {
+      process.stderr.write(`${error.message}\n`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  isBridgeRunning,
+  run
+};
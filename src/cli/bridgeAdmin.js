@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * ブリッジ管理CLI
+ * 稼働中のブリッジの管理API（/admin）を呼び出してチャンネルの紐付けやLINE送信のデッドレターを操作する
+ *
+ * 使い方:
+ *   npm run admin -- list
+ *   npm run admin -- link <sourceId> <channelId>
+ *   npm run admin -- relink <sourceId> <channelId>
+ *   npm run admin -- swap <sourceId> <otherSourceId>
+ *   npm run admin -- merge <fromChannelId> <intoChannelId>
+ *   npm run admin -- archive <sourceId>
+ *   npm run admin -- restore <sourceId>
+ *   npm run admin -- delete <sourceId>   # アーカイブ済みチャンネルのみ
+ *   npm run admin -- routing-dry-run
+ *   npm run admin -- permissions-drift
+ *   npm run admin -- permissions-reapply
+ *   npm run admin -- dead-letters
+ *   npm run admin -- dead-letter-retry <id>
+ */
+const axios = require('axios');
+const dotenv = require('dotenv');
+
+const COMMANDS = {
+  list: { method: 'get', path: '/admin/channels', args: [] },
+  link: { method: 'post', path: '/admin/channels/link', args: ['sourceId', 'channelId'] },
+  relink: { method: 'post', path: '/admin/channels/relink', args: ['sourceId', 'channelId'] },
+  swap: { method: 'post', path: '/admin/channels/swap', args: ['sourceId', 'otherSourceId'] },
+  merge: { method: 'post', path: '/admin/channels/merge', args: ['fromChannelId', 'intoChannelId'] },
+  archive: { method: 'post', path: '/admin/channels/archive', args: ['sourceId'] },
+  restore: { method: 'post', path: '/admin/channels/restore', args: ['sourceId'] },
+  delete: { method: 'post', path: '/admin/channels/delete', args: ['sourceId'] },
+  'routing-dry-run': { method: 'get', path: '/admin/routing/dry-run', args: [] },
+  'permissions-drift': { method: 'get', path: '/admin/permissions/drift', args: [] },
+  'permissions-reapply': { method: 'post', path: '/admin/permissions/reapply', args: [] },
+  'dead-letters': { method: 'get', path: '/admin/outbound/dead-letters', args: [] },
+  'dead-letter-retry': { method: 'post', path: '/admin/outbound/dead-letters/retry', args: ['id'] }
+};
+
+function getUsage() {
+  return [
+    'Usage: bridgeAdmin <command> [args]',
+    ...Object.entries(COMMANDS).map(([name, command]) =>
+      `  ${name} ${command.args.map(arg => `<${arg}>`).join(' ')}`.trimEnd())
+  ].join('\n');
+}
+
+/**
+ * CLI引数から管理APIリクエストを組み立てる
+ * @param {Array<string>} argv - コマンド引数
+ * @returns {Object} リクエスト定義
+ */
+function buildRequest(argv) {
+  const [commandName, ...values] = argv;
+  const command = COMMANDS[commandName];
+  if (!command) {
+    throw new Error(`Unknown command: ${commandName || '(none)'}\n${getUsage()}`);
+  }
+
+  if (values.length !== command.args.length) {
+    throw new Error(`Expected ${command.args.length} arguments for ${commandName}\n${getUsage()}`);
+  }
+
+  const request = {
+    method: command.method,
+    url: command.path
+  };
+
+  if (command.method === 'post') {
+    request.data = Object.fromEntries(command.args.map((arg, index) => [arg, values[index]]));
+  }
+
+  return request;
+}
+
+async function run(argv, { env = process.env, client = axios, output = process.stdout } = {}) {
+  const apiKey = env.ADMIN_API_KEY;
+  if (!apiKey) {
+    throw new Error('ADMIN_API_KEY is required');
+  }
+
+  const baseURL = env.ADMIN_API_URL || `http://127.0.0.1:${env.PORT || 3000}`;
+  const request = buildRequest(argv);
+
+  try {
+    const response = await client.request({
+      ...request,
+      baseURL,
+      headers: { Authorization: `Bearer ${apiKey}` },
+      timeout: 30000
+    });
+
+    output.write(`${JSON.stringify(response.data, null, 2)}\n`);
+    return response.data;
+  } catch (error) {
+    const message = error.response?.data?.message || error.response?.data?.error || error.message;
+    throw new Error(`Admin API request failed: ${message}`);
+  }
+}
+
+if (require.main === module) {
+  dotenv.config();
+  run(process.argv.slice(2)).catch((error) => {
+    process.stderr.write(`${error.message}\n`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildRequest,
+  run
+};
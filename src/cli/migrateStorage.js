@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * ストレージ移行CLI
+ * JSONファイル（DB_PATH/*.json）の内容をSQLiteデータベースへ一括で取り込む
+ * ブリッジを停止した状態で実行し、完了後に DB_TYPE=sqlite で起動する
+ *
+ * 使い方:
+ *   npm run storage:migrate            # SQLite側が空のストアのみ取り込む
+ *   npm run storage:migrate -- --force # SQLite側の既存データを上書きする
+ */
+const { STORE_NAMES, createStore } = require('../storage');
+const { closeDatabases } = require('../storage/SqliteStore');
+
+function countRecords(name, data) {
+  if (name === 'message-mappings') {
+    return Object.keys(data.lineToDiscord || {}).length + Object.keys(data.discordToLine || {}).length;
+  }
+  if (Array.isArray(data.items)) {
+    return data.items.length;
+  }
+  if (name === 'channel-mappings' || name === 'webhook-events') {
+    return Object.keys(data).length;
+  }
+  return 1;
+}
+
+/**
+ * JSONストアをSQLiteストアへ移行
+ * @param {Object} options
+ * @param {boolean} options.force - SQLite側にデータがあっても上書きする
+ * @param {Function} options.storeFactory - ストア生成関数（テスト用）
+ * @returns {Array<Object>} ストアごとの結果（{ name, status, records }）
+ */
+async function migrate({ force = false, storeFactory = createStore } = {}) {
+  const results = [];
+
+  for (const name of STORE_NAMES) {
+    const source = storeFactory(name, { type: 'file' });
+    const target = storeFactory(name, { type: 'sqlite' });
+
+    const data = await source.load();
+    if (!data) {
+      results.push({ name, status: 'skipped', reason: 'source not found', records: 0 });
+      continue;
+    }
+
+    if (!force && await target.load()) {
+      results.push({ name, status: 'skipped', reason: 'target already has data (use --force)', records: 0 });
+      continue;
+    }
+
+    await target.save(data);
+    results.push({ name, status: 'migrated', records: countRecords(name, data) });
+  }
+
+  return results;
+}
+
+async function run(argv, { output = process.stdout, storeFactory } = {}) {
+  const force = argv.includes('--force');
+  const results = await migrate({ force, storeFactory });
+
+  for (const result of results) {
+    output.write(`${result.name}: ${result.status}${result.reason ? ` (${result.reason})` : ''}, records=${result.records}\n`);
+  }
+
+  return results;
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then(() => closeDatabases())
+    .catch((error) => {
+      process.stderr.write(`Storage migration failed: ${error.message}\n`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrate,
+  run
+};
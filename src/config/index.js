@@ -2,6 +2,7 @@
  * アプリケーション設定
  * 環境変数から設定を読み込み、デフォルト値を提供
  */
+const path = require('path');
 const dotenv = require('dotenv');
 
 const dotenvPath = process.env.DOTENV_CONFIG_PATH || (process.env.NODE_ENV === 'test' ? '.env.test' : undefined);
@@ -12,12 +13,99 @@ function parseInteger(value, fallback) {
   return Number.isNaN(parsed) ? fallback : parsed;
 }
 
+// 未設定なら既定値、空文字を指定した場合は無効として扱う
+function optionalString(value, fallback) {
+  return value === undefined ? fallback : value.trim();
+}
+
+// カンマ区切りのリスト（未設定なら既定値）
+function parseList(value, fallback) {
+  return value === undefined ? fallback : value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// "warning:30,critical:10,emergency:5" 形式のアラート閾値（未設定・不正なら既定値）
+function parseThresholds(value, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+
+  const thresholds = {};
+  for (const entry of value.split(',')) {
+    const [level, threshold] = entry.split(':').map(part => part.trim());
+    const parsed = Number.parseInt(threshold, 10);
+    if (['warning', 'critical', 'emergency'].includes(level) && !Number.isNaN(parsed)) {
+      thresholds[level] = parsed;
+    }
+  }
+  return Object.keys(thresholds).length > 0 ? thresholds : fallback;
+}
+
 const config = {
   // LINE Bot設定
   line: {
     channelSecret: process.env.LINE_CHANNEL_SECRET || '',
     channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN || '',
-    webhookPath: process.env.LINE_WEBHOOK_PATH || '/webhook'
+    webhookPath: process.env.LINE_WEBHOOK_PATH || '/webhook',
+    // 月間通数の取得（quota / consumption API）の接続先（テスト用の偽APIに向けられるよう設定可能にする）
+    // 送信などSDK経由の呼び出しは常に https://api.line.me を使う
+    quotaApiBaseUrl: (process.env.LINE_QUOTA_API_BASE_URL || 'https://api.line.me').replace(/\/+$/, '')
+  },
+
+  // LINE月間通数の設定
+  lineQuota: {
+    // ブリッジが送ってよい月間通数（無料プラン200通に対し安全マージンを取った値が既定）
+    monthlyLimit: parseInteger(process.env.LINE_MONTHLY_MESSAGE_LIMIT, 190),
+    // LINEのquota/consumption APIと同期する間隔（分）。0で同期しない
+    syncIntervalMinutes: parseInteger(process.env.LINE_QUOTA_SYNC_INTERVAL_MINUTES, 15)
+  },
+
+  // 月間上限後の優先送信
+  linePriority: {
+    // 上限到達後も送るメッセージを決めるルールファイル（なければ既定ルール）
+    rulesFile: process.env.LINE_PRIORITY_RULES_FILE || './data/line-priority-rules.json',
+    // 上限到達後に優先ルールで送れる月間通数
+    emergencyPool: parseInteger(process.env.LINE_EMERGENCY_POOL, 10),
+    // Discordのメッセージに付けると緊急扱いにするマーカー（LINEには送らない）
+    marker: optionalString(process.env.LINE_PRIORITY_MARKER, '!urgent')
+  },
+
+  // LINE使用量アラートの送信先ごとの設定
+  lineUsageAlerts: {
+    // 残り通数を確認する間隔（分）
+    checkIntervalMinutes: parseInteger(process.env.LINE_USAGE_CHECK_INTERVAL_MINUTES, 60),
+    // 有効にする送信先（discord / log / line）
+    sinks: parseList(process.env.LINE_USAGE_ALERT_SINKS, ['discord', 'log']),
+    // リセット日より前に上限へ達する見込みを知らせる送信先
+    forecastSinks: parseList(process.env.LINE_USAGE_FORECAST_ALERT_SINKS, ['discord', 'log']),
+    discord: {
+      channelId: process.env.LINE_USAGE_ALERT_CHANNEL_ID || '',
+      thresholds: parseThresholds(process.env.LINE_USAGE_ALERT_DISCORD_THRESHOLDS, { warning: 30, critical: 10, emergency: 5 }),
+      cooldownMinutes: parseInteger(process.env.LINE_USAGE_ALERT_DISCORD_COOLDOWN_MINUTES, 360)
+    },
+    log: {
+      thresholds: parseThresholds(process.env.LINE_USAGE_ALERT_LOG_THRESHOLDS, { warning: 30, critical: 10, emergency: 5 }),
+      cooldownMinutes: parseInteger(process.env.LINE_USAGE_ALERT_LOG_COOLDOWN_MINUTES, 60)
+    },
+    // LINEへの通知自体も通数を消費するため、既定では緊急レベルのみ
+    line: {
+      adminUserIds: parseList(process.env.LINE_ADMIN_USER_IDS, []),
+      thresholds: parseThresholds(process.env.LINE_USAGE_ALERT_LINE_THRESHOLDS, { emergency: 5 }),
+      cooldownMinutes: parseInteger(process.env.LINE_USAGE_ALERT_LINE_COOLDOWN_MINUTES, 24 * 60)
+    }
+  },
+
+  // LINE通数の日ごとの履歴と見込み
+  lineUsageHistory: {
+    // 履歴を残す日数
+    retentionDays: parseInteger(process.env.LINE_USAGE_HISTORY_DAYS, 90),
+    // 上限到達の見込みに使う直近の送信ペースの日数
+    forecastWindowDays: parseInteger(process.env.LINE_USAGE_FORECAST_WINDOW_DAYS, 7)
+  },
+
+  // 送信先・カテゴリごとのLINE送信予算
+  lineBudget: {
+    // 予算を定義するファイル（なければ予算なし）
+    budgetsFile: process.env.LINE_BUDGETS_FILE || './data/line-budgets.json'
   },
 
   // Discord Bot設定
@@ -25,12 +113,23 @@ const config = {
     botToken: process.env.DISCORD_BOT_TOKEN || '',
     guildId: process.env.DISCORD_GUILD_ID || '',
     clientId: process.env.DISCORD_CLIENT_ID || '',
+    // /bridge コマンド設定
+    commandsEnabled: process.env.DISCORD_COMMANDS_ENABLED !== 'false',
+    adminRoleIds: process.env.DISCORD_ADMIN_ROLE_IDS
+      ? process.env.DISCORD_ADMIN_ROLE_IDS.split(',').map(id => id.trim()).filter(Boolean)
+      : [],
+    // LINE会話チャンネルの閲覧・発言を許可するスタッフロール（カンマ区切り）
+    staffRoleIds: process.env.DISCORD_STAFF_ROLE_IDS
+      ? process.env.DISCORD_STAFF_ROLE_IDS.split(',').map(id => id.trim()).filter(Boolean)
+      : [],
     // カテゴリ設定
     categories: {
       // LINE個人用カテゴリ
       friends: process.env.DISCORD_CATEGORY_FRIENDS || null,
       // LINEグループ用カテゴリ
       groups: process.env.DISCORD_CATEGORY_GROUPS || null,
+      // LINE複数人トーク用カテゴリ（未設定時はグループ用カテゴリ）
+      rooms: process.env.DISCORD_CATEGORY_ROOMS || null,
       // その他のカテゴリ
       shop: process.env.DISCORD_CATEGORY_SHOP || null,
       test: process.env.DISCORD_CATEGORY_TEST || null,
@@ -96,7 +195,18 @@ const config = {
   channel: {
     autoCreate: process.env.AUTO_CREATE_CHANNELS === 'true',
     channelPrefix: process.env.CHANNEL_PREFIX || 'line-',
-    maxChannels: parseInteger(process.env.MAX_CHANNELS, 100)
+    maxChannels: parseInteger(process.env.MAX_CHANNELS, 100),
+    // ブロック等で非アクティブになったチャンネルをアーカイブカテゴリへ移動
+    archiveInactive: process.env.ARCHIVE_INACTIVE_CHANNELS !== 'false',
+    // lastUsed などの更新をまとめて保存する間隔（秒）
+    mappingFlushIntervalSeconds: parseInteger(process.env.CHANNEL_MAPPING_FLUSH_INTERVAL_SECONDS, 30),
+    // 指定日数利用のないチャンネルをアーカイブ（0で無効）
+    idleArchiveDays: parseInteger(process.env.CHANNEL_IDLE_ARCHIVE_DAYS, 0),
+    idleArchiveCheckIntervalMinutes: parseInteger(process.env.CHANNEL_IDLE_ARCHIVE_CHECK_INTERVAL_MINUTES, 360),
+    // private: @everyone の閲覧を拒否しスタッフロールのみ許可 / public: @everyone に許可
+    visibility: process.env.CHANNEL_VISIBILITY === 'public' ? 'public' : 'private',
+    // チャンネル作成時のカテゴリ・名前・トピック・権限を決めるルールファイル
+    routingRulesFile: process.env.CHANNEL_ROUTING_RULES_FILE || './data/routing-rules.json'
   },
 
   // メディア設定
@@ -123,7 +233,38 @@ const config = {
   features: {
     replyBridgeEnabled: process.env.BRIDGE_REPLY_ENABLED !== 'false',
     reactionBridgeEnabled: process.env.BRIDGE_REACTION_ENABLED === 'true',
-    lineToDiscordReplyMode: process.env.LINE_TO_DISCORD_REPLY_MODE || 'webhook'
+    lineToDiscordReplyMode: process.env.LINE_TO_DISCORD_REPLY_MODE || 'webhook',
+    // LINE送信取消時のDiscord側の扱い（delete / placeholder / ignore）
+    lineUnsendMode: process.env.LINE_UNSEND_MODE || 'delete',
+    // Discordでの編集をLINEへ修正メッセージとして送る猶予（分、0で無効）
+    discordEditWindowMinutes: parseInteger(process.env.DISCORD_EDIT_WINDOW_MINUTES, 15),
+    // Discordで削除したメッセージをLINE側へ「送信取り消し」通知する猶予（分、0で無効）
+    discordDeleteNotifyWindowMinutes: parseInteger(process.env.DISCORD_DELETE_NOTIFY_WINDOW_MINUTES, 0)
+  },
+
+  // LINE Webhookの受信イベントキュー設定
+  inboundQueue: {
+    concurrency: parseInteger(process.env.INBOUND_CONCURRENCY, 4),
+    maxAttempts: parseInteger(process.env.INBOUND_MAX_ATTEMPTS, 3),
+    retryDelayMs: parseInteger(process.env.INBOUND_RETRY_DELAY_MS, 5000),
+    // webhookEventId の記録を残す時間（LINEの再送を判定できる期間）
+    ledgerRetentionHours: parseInteger(process.env.INBOUND_LEDGER_RETENTION_HOURS, 72),
+    // JSONファイル保存時に、処理中・完了・失敗への状態の変化をまとめて保存する間隔（ミリ秒、0で毎回保存）
+    ledgerSaveDelayMs: parseInteger(process.env.INBOUND_LEDGER_SAVE_DELAY_MS, 1000)
+  },
+
+  // Discord→LINE送信の再送キュー設定
+  outboundQueue: {
+    maxAttempts: parseInteger(process.env.OUTBOUND_MAX_ATTEMPTS, 8),
+    retryBaseDelayMs: parseInteger(process.env.OUTBOUND_RETRY_BASE_DELAY_MS, 5000),
+    retryMaxDelayMs: parseInteger(process.env.OUTBOUND_RETRY_MAX_DELAY_MS, 10 * 60 * 1000), // 10分
+    maxDeadLetters: parseInteger(process.env.OUTBOUND_MAX_DEAD_LETTERS, 500),
+    // 元のDiscordメッセージに付ける配信状況のリアクション（空文字で表示しない）
+    reactions: {
+      delivered: optionalString(process.env.OUTBOUND_REACTION_DELIVERED, '✅'),
+      retrying: optionalString(process.env.OUTBOUND_REACTION_RETRYING, '⏳'),
+      failed: optionalString(process.env.OUTBOUND_REACTION_FAILED, '⚠️')
+    }
   },
 
   // ログ設定
@@ -151,14 +292,31 @@ const config = {
 
   // データベース設定（将来の拡張用）
   database: {
+    // file: data/*.json / sqlite: DB_SQLITE_FILE（未設定時は DB_PATH/bridge.db）
     type: process.env.DB_TYPE || 'file',
     path: process.env.DB_PATH || './data',
+    sqliteFile: process.env.DB_SQLITE_FILE || '',
+    // メッセージマッピングの保持（0で各制限を無効化）
+    mappingRetention: {
+      maxAgeDays: parseInteger(process.env.DB_MAPPING_RETENTION_DAYS, 30),
+      maxMappings: parseInteger(process.env.DB_MAX_MAPPINGS, 10000),
+      pruneIntervalMinutes: parseInteger(process.env.DB_MAPPING_PRUNE_INTERVAL_MINUTES, 60)
+    },
+    // DB_TYPE=sqlite のとき、メモリに置くメッセージマッピングの件数（各方向）
+    mappingCacheSize: parseInteger(process.env.DB_MAPPING_CACHE_SIZE, 1000),
     backup: {
       enabled: process.env.DB_BACKUP_ENABLED === 'true',
-      interval: parseInteger(process.env.DB_BACKUP_INTERVAL, 24 * 60 * 60 * 1000) // 24時間
+      interval: parseInteger(process.env.DB_BACKUP_INTERVAL, 24 * 60 * 60 * 1000), // 24時間
+      path: process.env.DB_BACKUP_PATH || path.join(process.env.DB_PATH || './data', 'backups'),
+      keep: parseInteger(process.env.DB_BACKUP_KEEP, 14)
     }
   },
 
+  // 管理API設定（未設定時は無効）
+  admin: {
+    apiKey: process.env.ADMIN_API_KEY || ''
+  },
+
   // メトリクス設定
   metrics: {
     enabled: process.env.METRICS_ENABLED === 'true',
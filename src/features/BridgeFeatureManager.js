@@ -2,6 +2,9 @@ const config = require('../config');
 const logger = require('../utils/logger');
 const ReplyBridgeFeature = require('./ReplyBridgeFeature');
 const ReactionBridgeFeature = require('./ReactionBridgeFeature');
+const UnsendBridgeFeature = require('./UnsendBridgeFeature');
+const EditBridgeFeature = require('./EditBridgeFeature');
+const DeleteBridgeFeature = require('./DeleteBridgeFeature');
 
 class BridgeFeatureManager {
   constructor({ messageMappingManager } = {}) {
@@ -10,12 +13,26 @@ class BridgeFeatureManager {
       ? new ReplyBridgeFeature({ messageMappingManager })
       : null;
     this.reactionFeature = new ReactionBridgeFeature();
+    this.unsendFeature = new UnsendBridgeFeature({
+      messageMappingManager,
+      mode: config.features.lineUnsendMode
+    });
+    this.editFeature = new EditBridgeFeature({
+      messageMappingManager,
+      editWindowMinutes: config.features.discordEditWindowMinutes
+    });
+    this.deleteFeature = new DeleteBridgeFeature({
+      notifyWindowMinutes: config.features.discordDeleteNotifyWindowMinutes
+    });
   }
 
   async initialize() {
     logger.info('Bridge features initialized', {
       replyBridgeEnabled: !!this.replyFeature,
-      reactionBridgeEnabled: config.features.reactionBridgeEnabled && this.reactionFeature.isSupported()
+      reactionBridgeEnabled: config.features.reactionBridgeEnabled && this.reactionFeature.isSupported(),
+      lineUnsendMode: this.unsendFeature.mode,
+      discordEditWindowMinutes: config.features.discordEditWindowMinutes,
+      discordDeleteNotifyWindowMinutes: config.features.discordDeleteNotifyWindowMinutes
     });
 
     if (config.features.reactionBridgeEnabled && !this.reactionFeature.isSupported()) {
@@ -43,6 +60,26 @@ class BridgeFeatureManager {
     return this.replyFeature.resolveLineSendContext(message);
   }
 
+  resolveUnsendAction(event) {
+    return this.unsendFeature.resolveUnsendAction(event);
+  }
+
+  buildUnsendPlaceholderPayload(originalContent) {
+    return this.unsendFeature.buildPlaceholderPayload(originalContent);
+  }
+
+  resolveEditAction(oldMessage, newMessage) {
+    return this.editFeature.resolveEditAction(oldMessage, newMessage);
+  }
+
+  resolveDeleteNotices(removedMappings) {
+    return this.deleteFeature.resolveDeleteNotices(removedMappings);
+  }
+
+  buildDeleteNoticeMessage(notice) {
+    return this.deleteFeature.buildNoticeMessage(notice);
+  }
+
   applyLineSendContext(messagePayload, context = {}) {
     if (!this.replyFeature) {
       return messagePayload;
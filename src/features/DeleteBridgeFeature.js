@@ -0,0 +1,69 @@
+const DELETE_NOTICE_PREFIX = '送信取り消し';
+
+class DeleteBridgeFeature {
+  constructor({ notifyWindowMinutes = 0 } = {}) {
+    this.notifyWindowMs = Math.max(0, notifyWindowMinutes) * 60 * 1000;
+  }
+
+  getName() {
+    return 'delete-bridge';
+  }
+
+  isNotifyEnabled() {
+    return this.notifyWindowMs > 0;
+  }
+
+  /**
+   * Group deleted Discord-origin mappings by LINE recipient.
+   * Only messages deleted within the notify window are included, so staff can
+   * retract a message sent to the wrong customer without touching older history.
+   */
+  resolveDeleteNotices(removedMappings, now = Date.now()) {
+    if (!this.isNotifyEnabled()) {
+      return [];
+    }
+
+    const noticesByRecipient = new Map();
+
+    for (const mapping of removedMappings) {
+      const sentAt = Date.parse(mapping.timestamp);
+      if (!mapping.lineUserId || !sentAt || now - sentAt > this.notifyWindowMs) {
+        continue;
+      }
+
+      const notice = noticesByRecipient.get(mapping.lineUserId) || {
+        lineUserId: mapping.lineUserId,
+        mappings: []
+      };
+      notice.mappings.push(mapping);
+      noticesByRecipient.set(mapping.lineUserId, notice);
+    }
+
+    return Array.from(noticesByRecipient.values());
+  }
+
+  /**
+   * A single retraction quotes the original LINE message; several are summarised.
+   */
+  buildNoticeMessage(notice) {
+    const { mappings } = notice;
+
+    if (mappings.length === 1) {
+      const message = {
+        type: 'text',
+        text: `${DELETE_NOTICE_PREFIX}: このメッセージは送信者により取り消されました。`
+      };
+      if (mappings[0].quoteToken) {
+        message.quoteToken = mappings[0].quoteToken;
+      }
+      return message;
+    }
+
+    return {
+      type: 'text',
+      text: `${DELETE_NOTICE_PREFIX}: 直前の${mappings.length}件のメッセージは送信者により取り消されました。`
+    };
+  }
+}
+
+module.exports = DeleteBridgeFeature;
@@ -0,0 +1,61 @@
+const logger = require('../utils/logger');
+
+const CORRECTION_PREFIX = '修正: ';
+
+class EditBridgeFeature {
+  constructor({ messageMappingManager, editWindowMinutes = 15 } = {}) {
+    this.messageMappingManager = messageMappingManager;
+    this.editWindowMs = Math.max(0, editWindowMinutes) * 60 * 1000;
+  }
+
+  getName() {
+    return 'edit-bridge';
+  }
+
+  isEnabled() {
+    return this.editWindowMs > 0;
+  }
+
+  /**
+   * Decide whether a Discord edit should be sent to LINE as a correction.
+   * LINE cannot edit delivered messages, so the correction quotes the original instead.
+   * Returns null when the edit should not be bridged.
+   */
+  async resolveEditAction(oldMessage, newMessage, now = Date.now()) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const newContent = newMessage.content?.trim();
+    if (!newContent || newContent === oldMessage?.content?.trim()) {
+      return null;
+    }
+
+    const mapping = await this.messageMappingManager.getDiscordToLineMapping(newMessage.id);
+    if (!mapping?.lineMessageId) {
+      logger.debug('No LINE mapping found for edited Discord message', {
+        discordMessageId: newMessage.id
+      });
+      return null;
+    }
+
+    const createdAt = newMessage.createdTimestamp || Date.parse(mapping.timestamp);
+    if (!createdAt || now - createdAt > this.editWindowMs) {
+      logger.info('Discord edit is outside the correction window, not sent to LINE', {
+        discordMessageId: newMessage.id,
+        lineMessageId: mapping.lineMessageId,
+        editWindowMinutes: this.editWindowMs / 60000
+      });
+      return null;
+    }
+
+    return {
+      lineMessageId: mapping.lineMessageId,
+      lineUserId: mapping.lineUserId,
+      quoteToken: mapping.quoteToken || null,
+      text: `${CORRECTION_PREFIX}${newContent}`
+    };
+  }
+}
+
+module.exports = EditBridgeFeature;
@@ -21,7 +21,7 @@ class ReplyBridgeFeature {
       return {};
     }
 
-    const discordOriginMapping = this.messageMappingManager.getDiscordOriginByLineMessageId(quotedLineMessageId);
+    const discordOriginMapping = await this.messageMappingManager.getDiscordOriginByLineMessageId(quotedLineMessageId);
     if (!discordOriginMapping?.discordMessageId) {
       logger.debug('No Discord origin mapping found for LINE reply target', {
         quotedLineMessageId,
@@ -30,6 +30,8 @@ class ReplyBridgeFeature {
       return {};
     }
 
+    this.messageMappingManager.markReferenced(discordOriginMapping);
+
     return {
       replyToMessageId: discordOriginMapping.discordMessageId
     };
@@ -41,7 +43,7 @@ class ReplyBridgeFeature {
       return {};
     }
 
-    const lineOriginMapping = this.messageMappingManager.getLineOriginByDiscordMessageId(referencedDiscordMessageId);
+    const lineOriginMapping = await this.messageMappingManager.getLineOriginByDiscordMessageId(referencedDiscordMessageId);
     if (!lineOriginMapping) {
       logger.debug('No LINE origin mapping found for Discord reply target', {
         discordMessageId: referencedDiscordMessageId,
@@ -50,6 +52,8 @@ class ReplyBridgeFeature {
       return {};
     }
 
+    this.messageMappingManager.markReferenced(lineOriginMapping);
+
     const context = {
       quotedLineMessageId: lineOriginMapping.lineMessageId
     };
@@ -0,0 +1,62 @@
+const logger = require('../utils/logger');
+
+const UNSEND_MODES = new Set(['delete', 'placeholder', 'ignore']);
+const UNSEND_NOTICE = '-# 🚫 このメッセージはLINEで送信取消されました';
+const DISCORD_CONTENT_LIMIT = 2000;
+
+class UnsendBridgeFeature {
+  constructor({ messageMappingManager, mode = 'delete' } = {}) {
+    this.messageMappingManager = messageMappingManager;
+    this.mode = UNSEND_MODES.has(mode) ? mode : 'delete';
+
+    if (this.mode !== mode) {
+      logger.warn('Unknown LINE unsend mode, falling back to delete', { mode });
+    }
+  }
+
+  getName() {
+    return 'unsend-bridge';
+  }
+
+  /**
+   * Decide what to do with the Discord copy of an unsent LINE message.
+   * Returns null when the message was never bridged.
+   */
+  async resolveUnsendAction(event) {
+    const lineMessageId = event.unsend?.messageId;
+    if (!lineMessageId) {
+      return null;
+    }
+
+    const mapping = await this.messageMappingManager.getLineToDiscordMapping(lineMessageId);
+    if (!mapping?.discordMessageId) {
+      logger.debug('No Discord mapping found for unsent LINE message', { lineMessageId });
+      return null;
+    }
+
+    return {
+      mode: this.mode,
+      lineMessageId,
+      discordMessageId: mapping.discordMessageId,
+      discordChannelId: mapping.discordChannelId
+    };
+  }
+
+  /**
+   * Strike through the original text and append the unsend notice.
+   * Attachments and embeds are dropped so the unsent media is no longer visible.
+   */
+  buildPlaceholderPayload(originalContent = '') {
+    const trimmed = (originalContent || '').trim();
+    const struck = trimmed ? `~~${trimmed}~~\n${UNSEND_NOTICE}` : UNSEND_NOTICE;
+
+    return {
+      content: struck.length <= DISCORD_CONTENT_LIMIT ? struck : UNSEND_NOTICE,
+      attachments: [],
+      embeds: [],
+      allowedMentions: { parse: [] }
+    };
+  }
+}
+
+module.exports = UnsendBridgeFeature;
@@ -0,0 +1,51 @@
+const DeleteBridgeFeature = require('../DeleteBridgeFeature');
+
+describe('DeleteBridgeFeature', () => {
+  const now = Date.parse('2026-01-01T00:10:00.000Z');
+
+  test('recent deletions are grouped per LINE recipient', () => {
+    const feature = new DeleteBridgeFeature({ notifyWindowMinutes: 5 });
+
+    const notices = feature.resolveDeleteNotices([
+      { lineUserId: 'user-1', lineMessageId: 'line-1', timestamp: '2026-01-01T00:08:00.000Z' },
+      { lineUserId: 'user-1', lineMessageId: 'line-2', timestamp: '2026-01-01T00:09:00.000Z' },
+      { lineUserId: 'user-2', lineMessageId: 'line-3', timestamp: '2026-01-01T00:09:30.000Z' },
+      { lineUserId: 'user-3', lineMessageId: 'line-4', timestamp: '2026-01-01T00:01:00.000Z' }
+    ], now);
+
+    expect(notices.map(notice => [notice.lineUserId, notice.mappings.length])).toEqual([
+      ['user-1', 2],
+      ['user-2', 1]
+    ]);
+  });
+
+  test('notifications are disabled by default', () => {
+    const feature = new DeleteBridgeFeature();
+
+    expect(feature.isNotifyEnabled()).toBe(false);
+    expect(feature.resolveDeleteNotices([
+      { lineUserId: 'user-1', timestamp: '2026-01-01T00:09:00.000Z' }
+    ], now)).toEqual([]);
+  });
+
+  test('single retraction quotes the original message and several are summarised', () => {
+    const feature = new DeleteBridgeFeature({ notifyWindowMinutes: 5 });
+
+    expect(feature.buildNoticeMessage({
+      lineUserId: 'user-1',
+      mappings: [{ quoteToken: 'quote-token-1' }]
+    })).toEqual({
+      type: 'text',
+      text: '送信取り消し: このメッセージは送信者により取り消されました。',
+      quoteToken: 'quote-token-1'
+    });
+
+    expect(feature.buildNoticeMessage({
+      lineUserId: 'user-1',
+      mappings: [{}, {}]
+    })).toEqual({
+      type: 'text',
+      text: '送信取り消し: 直前の2件のメッセージは送信者により取り消されました。'
+    });
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../../utils/logger');
+
+const EditBridgeFeature = require('../EditBridgeFeature');
+
+describe('EditBridgeFeature', () => {
+  const now = Date.parse('2026-01-01T00:10:00.000Z');
+  const createdTimestamp = Date.parse('2026-01-01T00:00:00.000Z');
+
+  function createFeature(mapping, editWindowMinutes = 15) {
+    return new EditBridgeFeature({
+      messageMappingManager: {
+        getDiscordToLineMapping: jest.fn().mockReturnValue(mapping)
+      },
+      editWindowMinutes
+    });
+  }
+
+  test('edit within the window resolves to a quoted correction', async () => {
+    const feature = createFeature({
+      lineMessageId: 'line-1',
+      lineUserId: 'line-user-1',
+      quoteToken: 'quote-token-1'
+    });
+
+    const result = await feature.resolveEditAction(
+      { content: 'helo' },
+      { id: 'discord-1', content: 'hello', createdTimestamp },
+      now
+    );
+
+    expect(result).toEqual({
+      lineMessageId: 'line-1',
+      lineUserId: 'line-user-1',
+      quoteToken: 'quote-token-1',
+      text: '修正: hello'
+    });
+  });
+
+  test('edits outside the window, without text changes, or without mapping are ignored', async () => {
+    const mapping = { lineMessageId: 'line-1', lineUserId: 'line-user-1' };
+
+    expect(await createFeature(mapping, 5).resolveEditAction(
+      { content: 'helo' },
+      { id: 'discord-1', content: 'hello', createdTimestamp },
+      now
+    )).toBeNull();
+
+    expect(await createFeature(mapping).resolveEditAction(
+      { content: 'hello' },
+      { id: 'discord-1', content: 'hello', createdTimestamp },
+      now
+    )).toBeNull();
+
+    expect(await createFeature(null).resolveEditAction(
+      { content: 'helo' },
+      { id: 'discord-1', content: 'hello', createdTimestamp },
+      now
+    )).toBeNull();
+  });
+
+  test('a zero window disables edit forwarding', async () => {
+    const feature = createFeature({ lineMessageId: 'line-1' }, 0);
+
+    expect(feature.isEnabled()).toBe(false);
+    expect(await feature.resolveEditAction(
+      { content: 'helo' },
+      { id: 'discord-1', content: 'hello', createdTimestamp },
+      now
+    )).toBeNull();
+  });
+});
@@ -6,7 +6,8 @@ describe('ReplyBridgeFeature', () => {
       messageMappingManager: {
         getDiscordOriginByLineMessageId: jest.fn().mockReturnValue({
           discordMessageId: 'discord-original-1'
-        })
+        }),
+        markReferenced: jest.fn()
       }
     });
 
@@ -20,6 +21,9 @@ describe('ReplyBridgeFeature', () => {
     expect(result).toEqual({
       replyToMessageId: 'discord-original-1'
     });
+    expect(feature.messageMappingManager.markReferenced).toHaveBeenCalledWith({
+      discordMessageId: 'discord-original-1'
+    });
   });
 
   test('Discord reply target resolves to LINE quote token', async () => {
@@ -28,7 +32,8 @@ describe('ReplyBridgeFeature', () => {
         getLineOriginByDiscordMessageId: jest.fn().mockReturnValue({
           lineMessageId: 'line-original-1',
           quoteToken: 'quote-token-1'
-        })
+        }),
+        markReferenced: jest.fn()
       }
     });
 
@@ -53,7 +58,8 @@ describe('ReplyBridgeFeature', () => {
           replyToken: 'reply-token-1',
           replyTokenExpiry: new Date(Date.now() + 30000).toISOString(),
           quoteToken: 'quote-token-1'
-        })
+        }),
+        markReferenced: jest.fn()
       }
     });
 
@@ -81,7 +87,8 @@ describe('ReplyBridgeFeature', () => {
           replyToken: 'reply-token-1',
           replyTokenExpiry: new Date(Date.now() - 1000).toISOString(),
           quoteToken: 'quote-token-1'
-        })
+        }),
+        markReferenced: jest.fn()
       }
     });
 
@@ -0,0 +1,50 @@
+jest.mock('../../utils/logger');
+
+const UnsendBridgeFeature = require('../UnsendBridgeFeature');
+
+describe('UnsendBridgeFeature', () => {
+  test('unsent LINE message resolves to its Discord copy', async () => {
+    const feature = new UnsendBridgeFeature({
+      messageMappingManager: {
+        getLineToDiscordMapping: jest.fn().mockReturnValue({
+          discordMessageId: 'discord-1',
+          discordChannelId: 'channel-1'
+        })
+      },
+      mode: 'placeholder'
+    });
+
+    expect(await feature.resolveUnsendAction({ unsend: { messageId: 'line-1' } })).toEqual({
+      mode: 'placeholder',
+      lineMessageId: 'line-1',
+      discordMessageId: 'discord-1',
+      discordChannelId: 'channel-1'
+    });
+  });
+
+  test('unknown LINE messages and unknown modes are handled safely', async () => {
+    const feature = new UnsendBridgeFeature({
+      messageMappingManager: {
+        getLineToDiscordMapping: jest.fn().mockReturnValue(null)
+      },
+      mode: 'shred'
+    });
+
+    expect(feature.mode).toBe('delete');
+    expect(await feature.resolveUnsendAction({ unsend: { messageId: 'line-1' } })).toBeNull();
+    expect(await feature.resolveUnsendAction({})).toBeNull();
+  });
+
+  test('placeholder strikes through the original text and removes attachments', async () => {
+    const feature = new UnsendBridgeFeature({ messageMappingManager: {} });
+
+    expect(feature.buildPlaceholderPayload('hello')).toEqual({
+      content: '~~hello~~\n-# 🚫 このメッセージはLINEで送信取消されました',
+      attachments: [],
+      embeds: [],
+      allowedMentions: { parse: [] }
+    });
+    expect(feature.buildPlaceholderPayload('').content).toBe('-# 🚫 このメッセージはLINEで送信取消されました');
+    expect(feature.buildPlaceholderPayload('a'.repeat(2000)).content).toBe('-# 🚫 このメッセージはLINEで送信取消されました');
+  });
+});
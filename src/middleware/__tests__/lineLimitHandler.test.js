@@ -61,9 +61,78 @@ describe('LineLimitHandler persistence', () => {
     await handler.initialize();
 
     handler.recordMessageSent();
-    await handler.saveQueue;
+    await handler.saveQueue.flush();
 
     const persisted = JSON.parse(await fs.readFile(usageFile, 'utf8'));
     expect(persisted.monthlyMessageCount).toBe(1);
   });
+
+  test('reconcileUsage replaces the count with LINE consumption and caps the limit by the plan', async () => {
+    const handler = new LineLimitHandler({ usageFile, maxMonthlyMessages: 190 });
+    await handler.initialize();
+    handler.recordMessageSent();
+
+    const result = handler.reconcileUsage({ consumed: 150, planLimit: 150 });
+    await handler.saveQueue.flush();
+
+    expect(result).toEqual({ previousCount: 1, monthlyCount: 150, maxMonthlyMessages: 150 });
+    expect(handler.getLimitStatus().isLimitReached).toBe(true);
+    const persisted = JSON.parse(await fs.readFile(usageFile, 'utf8'));
+    expect(persisted.monthlyMessageCount).toBe(150);
+
+    handler.reconcileUsage({ consumed: 150, planLimit: null });
+    expect(handler.getLimitStatus().maxMonthlyMessages).toBe(190);
+    expect(handler.getLimitStatus().isLimitReached).toBe(false);
+  });
+
+  test('after the limit nothing is sent until a priority policy is set', async () => {
+    const handler = new LineLimitHandler({ usageFile, maxMonthlyMessages: 1, emergencyPool: 1 });
+    await handler.initialize();
+    handler.recordMessageSent();
+
+    expect(handler.shouldLimitMessage({ type: 'text', text: 'urgent' })).toEqual(expect.objectContaining({
+      allowed: false,
+      rule: null
+    }));
+
+    handler.setPriorityPolicy({ evaluate: jest.fn(() => 'urgent keywords') });
+    expect(handler.shouldLimitMessage({ type: 'text', text: 'urgent' })).toEqual(expect.objectContaining({
+      allowed: true,
+      emergency: true
+    }));
+    await handler.saveQueue.flush();
+  });
+
+  test('after the limit only priority matches are sent, from the emergency pool', async () => {
+    const priorityPolicy = {
+      evaluate: jest.fn(message => (message.text === 'urgent' ? 'urgent keywords' : null))
+    };
+    const handler = new LineLimitHandler({ usageFile, maxMonthlyMessages: 1, emergencyPool: 1, priorityPolicy });
+    await handler.initialize();
+    handler.recordMessageSent();
+
+    const context = { sourceId: 'U1', marked: false };
+    expect(handler.shouldLimitMessage({ type: 'image' }, context)).toEqual(expect.objectContaining({
+      allowed: false,
+      rule: null
+    }));
+    expect(priorityPolicy.evaluate).toHaveBeenCalledWith({ type: 'image' }, context);
+
+    const urgentCheck = handler.shouldLimitMessage({ type: 'text', text: 'urgent' }, context);
+    expect(urgentCheck).toEqual(expect.objectContaining({ allowed: true, rule: 'urgent keywords', emergency: true }));
+    handler.recordMessageSent({ emergency: urgentCheck.emergency });
+    await handler.saveQueue.flush();
+
+    expect(handler.shouldLimitMessage({ type: 'text', text: 'urgent' }, context)).toEqual(expect.objectContaining({
+      allowed: false,
+      rule: 'urgent keywords',
+      emergency: false
+    }));
+    expect(handler.getLimitStatus()).toEqual(expect.objectContaining({ emergencyUsed: 1, emergencyRemaining: 0 }));
+    const persisted = JSON.parse(await fs.readFile(usageFile, 'utf8'));
+    expect(persisted.emergencyCount).toBe(1);
+
+    jest.setSystemTime(new Date('2026-08-01T00:00:00.000Z'));
+    expect(handler.getLimitStatus().emergencyUsed).toBe(0);
+  });
 });
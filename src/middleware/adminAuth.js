@@ -0,0 +1,51 @@
+/**
+ * Admin API authentication.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+function getRequestApiKey(req) {
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  return req.get('x-admin-api-key') || '';
+}
+
+function isValidAdminApiKey(actual, expected) {
+  if (!actual || !expected) {
+    return false;
+  }
+
+  const actualBuffer = Buffer.from(actual);
+  const expectedBuffer = Buffer.from(expected);
+
+  if (actualBuffer.length !== expectedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(actualBuffer, expectedBuffer);
+}
+
+function adminAuthMiddleware(req, res, next) {
+  if (!config.admin.apiKey) {
+    return res.status(404).json({ error: 'Admin API is disabled' });
+  }
+
+  if (!isValidAdminApiKey(getRequestApiKey(req), config.admin.apiKey)) {
+    logger.warn('Invalid admin API key', {
+      path: req.path,
+      ip: req.ip
+    });
+    return res.status(401).json({ error: 'Invalid admin API key' });
+  }
+
+  return next();
+}
+
+module.exports = {
+  adminAuthMiddleware,
+  isValidAdminApiKey
+};
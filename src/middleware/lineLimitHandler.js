@@ -1,20 +1,28 @@
 /**
  * LINE API月間制限ハンドラー
  * 無料プランでの月間200メッセージ制限に対応
+ * 上限は LINE_MONTHLY_MESSAGE_LIMIT で設定し、使用数は LineQuotaSyncService がLINEの実績値と同期する
+ * 上限に達した後は優先度ポリシー（setPriorityPolicy で渡す LinePriorityPolicy）のルールに一致したメッセージだけを緊急枠から送る
+ * ポリシーを渡していない場合、上限後のメッセージはすべて止める
  */
-const path = require('path');
+const config = require('../config');
 const logger = require('../utils/logger');
-const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonFileStore');
+const { SaveQueue, createStore } = require('../storage');
 
 class LineLimitHandler {
   constructor(options = {}) {
     this.monthlyMessageCount = 0;
     this.lastResetDate = new Date().getMonth();
     this.lastResetYear = new Date().getFullYear();
-    this.maxMonthlyMessages = 190; // 安全マージンを持って190メッセージ/月に制限
+    this.configuredMonthlyLimit = options.maxMonthlyMessages ?? config.lineQuota.monthlyLimit;
+    this.maxMonthlyMessages = this.configuredMonthlyLimit;
     this.isLimitReached = false;
-    this.usageFile = options.usageFile || path.join(process.cwd(), 'data', 'line-usage.json');
-    this.saveQueue = Promise.resolve();
+    // 上限到達後に優先ルールで送れる通数
+    this.emergencyPool = options.emergencyPool ?? config.linePriority.emergencyPool;
+    this.emergencyCount = 0;
+    this.priorityPolicy = options.priorityPolicy || null;
+    this.store = options.store || createStore('line-usage', { filePath: options.usageFile });
+    this.saveQueue = new SaveQueue();
     this.isInitialized = false;
   }
 
@@ -23,7 +31,14 @@ class LineLimitHandler {
    */
   async initialize() {
     try {
-      const usage = await readJsonFile(this.usageFile);
+      const usage = await this.store.load();
+      if (!usage) {
+        logger.info('LINE usage state not found, starting with empty usage', this.store.describe());
+        await this.persistUsage();
+        this.isInitialized = true;
+        return;
+      }
+
       const currentMonth = new Date().getMonth();
       const currentYear = new Date().getFullYear();
 
@@ -36,8 +51,10 @@ class LineLimitHandler {
           : 0;
         this.isLimitReached = usage.isLimitReached === true ||
           this.monthlyMessageCount >= this.maxMonthlyMessages;
+        this.emergencyCount = Number.isInteger(usage.emergencyCount) ? usage.emergencyCount : 0;
       } else {
         this.monthlyMessageCount = 0;
+        this.emergencyCount = 0;
         this.lastResetDate = currentMonth;
         this.lastResetYear = currentYear;
         this.isLimitReached = false;
@@ -52,13 +69,6 @@ class LineLimitHandler {
         limitReached: this.isLimitReached
       });
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        logger.info('LINE usage state file not found, starting with empty usage');
-        await this.persistUsage();
-        this.isInitialized = true;
-        return;
-      }
-
       logger.error('Failed to load LINE usage state', {
         error: error.message
       });
@@ -66,6 +76,14 @@ class LineLimitHandler {
     }
   }
 
+  /**
+   * 上限到達後の優先判定に使うポリシーを設定
+   * @param {Object} priorityPolicy - evaluate(message, context) で一致したルール名を返すもの（初期化済み）
+   */
+  setPriorityPolicy(priorityPolicy) {
+    this.priorityPolicy = priorityPolicy;
+  }
+
   isCurrentUsagePeriod() {
     const now = new Date();
     return this.lastResetDate === now.getMonth() && this.lastResetYear === now.getFullYear();
@@ -73,18 +91,16 @@ class LineLimitHandler {
 
   async persistUsage() {
     const usage = {
-      version: '1.0.0',
       monthlyMessageCount: this.monthlyMessageCount,
       maxMonthlyMessages: this.maxMonthlyMessages,
       lastResetDate: this.lastResetDate,
       lastResetYear: this.lastResetYear,
       isLimitReached: this.isLimitReached,
+      emergencyCount: this.emergencyCount,
       lastUpdated: new Date().toISOString()
     };
 
-    const saveOperation = this.saveQueue.catch(() => {}).then(() => writeJsonFileAtomic(this.usageFile, usage));
-    this.saveQueue = saveOperation;
-    return saveOperation;
+    return this.saveQueue.run(() => this.store.save(usage));
   }
 
   persistUsageInBackground() {
@@ -104,6 +120,7 @@ class LineLimitHandler {
     const currentYear = now.getFullYear();
     if (currentMonth !== this.lastResetDate || currentYear !== this.lastResetYear) {
       this.monthlyMessageCount = 0;
+      this.emergencyCount = 0;
       this.lastResetDate = currentMonth;
       this.lastResetYear = currentYear;
       this.isLimitReached = false;
@@ -132,9 +149,14 @@ class LineLimitHandler {
 
   /**
    * メッセージ送信を記録
+   * @param {Object} options
+   * @param {boolean} options.emergency - 緊急枠からの送信か（shouldLimitMessage の判定結果）
    */
-  recordMessageSent() {
+  recordMessageSent({ emergency = false } = {}) {
     this.monthlyMessageCount++;
+    if (emergency) {
+      this.emergencyCount++;
+    }
     
     if (this.monthlyMessageCount >= this.maxMonthlyMessages) {
       this.isLimitReached = true;
@@ -154,60 +176,80 @@ class LineLimitHandler {
   }
 
   /**
-   * 残りメッセージ数を取得
-   * @returns {number} 残りメッセージ数
+   * LINEの実績値で使用数を置き換える
+   * LINE Official Account Manager からの送信やマルチキャストの通数もここで反映される
+   * @param {Object} usage
+   * @param {number} usage.consumed - LINEが数えた今月の送信数
+   * @param {number|null} usage.planLimit - プランの上限（上限なしのプランは null）
+   * @returns {Object} { previousCount, monthlyCount, maxMonthlyMessages }
    */
-  getRemainingMessages() {
+  reconcileUsage({ consumed, planLimit = null }) {
     this.resetMonthlyCount();
-    return Math.max(0, this.maxMonthlyMessages - this.monthlyMessageCount);
+    const previousCount = this.monthlyMessageCount;
+
+    this.monthlyMessageCount = consumed;
+    // 設定値がプランの上限を超えていても、プランの上限以上は送れない
+    this.maxMonthlyMessages = planLimit === null
+      ? this.configuredMonthlyLimit
+      : Math.min(this.configuredMonthlyLimit, planLimit);
+    this.isLimitReached = this.monthlyMessageCount >= this.maxMonthlyMessages;
+    this.persistUsageInBackground();
+
+    return {
+      previousCount,
+      monthlyCount: this.monthlyMessageCount,
+      maxMonthlyMessages: this.maxMonthlyMessages
+    };
   }
 
   /**
-   * メッセージの重要度を判定
-   * @param {Object} message - メッセージ
-   * @returns {boolean} 重要かどうか
+   * 残りメッセージ数を取得
+   * @returns {number} 残りメッセージ数
    */
-  isImportantMessage(message) {
-    // メディアメッセージは重要
-    const importantTypes = ['image', 'video', 'audio', 'file', 'location'];
-    if (importantTypes.includes(message.type)) {
-      return true;
-    }
-    
-    // テキストメッセージで緊急キーワードを含む場合は重要
-    if (message.type === 'text') {
-      const text = message.text.toLowerCase();
-      const urgentKeywords = ['緊急', 'urgent', 'help', '助けて', 'エラー', 'error', '重要'];
-      return urgentKeywords.some(keyword => text.includes(keyword));
-    }
-    
-    return false;
+  getRemainingMessages() {
+    this.resetMonthlyCount();
+    return Math.max(0, this.maxMonthlyMessages - this.monthlyMessageCount);
   }
 
   /**
    * メッセージ送信を制限するかどうかを判定
    * @param {Object} message - メッセージ
-   * @returns {Object} 制限判定結果
+   * @param {Object} context - 優先ルールの判定材料 { sourceId, routingRule, senderRoleIds, marked }
+   * @returns {Object} 制限判定結果 { allowed, reason, rule: 一致した優先ルール, emergency: 緊急枠を使うか }
    */
-  shouldLimitMessage(message) {
+  shouldLimitMessage(message, context = {}) {
     this.resetMonthlyCount();
     
     // 制限に達していない場合は送信可能
     if (this.canSendMessage()) {
-      return { allowed: true, reason: null };
+      return { allowed: true, reason: null, rule: null, emergency: false };
     }
     
-    // 制限に達している場合、重要メッセージのみ許可
-    if (this.isImportantMessage(message)) {
-      return { 
-        allowed: true, 
-        reason: 'Important message allowed despite limit' 
+    // 制限に達している場合、優先ルールに一致したメッセージのみ緊急枠から許可
+    const rule = this.priorityPolicy ? this.priorityPolicy.evaluate(message, context) : null;
+    if (!rule) {
+      return {
+        allowed: false,
+        reason: 'Monthly limit reached, no priority rule matched',
+        rule: null,
+        emergency: false
       };
     }
-    
-    return { 
-      allowed: false, 
-      reason: 'Monthly limit reached, non-important message blocked' 
+
+    if (this.emergencyCount >= this.emergencyPool) {
+      return {
+        allowed: false,
+        reason: 'Monthly limit reached, emergency pool used up',
+        rule,
+        emergency: false
+      };
+    }
+
+    return {
+      allowed: true,
+      reason: 'Priority rule matched, sending from emergency pool',
+      rule,
+      emergency: true
     };
   }
 
@@ -224,7 +266,10 @@ class LineLimitHandler {
       remainingMessages: this.getRemainingMessages(),
       isLimitReached: this.isLimitReached,
       resetDate: new Date(this.lastResetYear, this.lastResetDate + 1, 1),
-      usagePercentage: Math.round((this.monthlyMessageCount / this.maxMonthlyMessages) * 100)
+      usagePercentage: Math.round((this.monthlyMessageCount / this.maxMonthlyMessages) * 100),
+      emergencyPool: this.emergencyPool,
+      emergencyUsed: this.emergencyCount,
+      emergencyRemaining: Math.max(0, this.emergencyPool - this.emergencyCount)
     };
   }
 }
@@ -0,0 +1,368 @@
+/**
+ * バックアップサービス
+ * 有効なストレージ（JSON/SQLite）の全ストアを1つのgzipアーカイブに保存し、
+ * 世代数を超えた古いアーカイブを削除する。リストア時はアーカイブを検証してから書き戻す
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { STORE_NAMES, createStore } = require('../storage');
+const { SCHEMA_VERSIONS_STORE, findUnsupportedVersions } = require('../storage/migrations');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const BACKUP_FORMAT = 'line-discord-bridge-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const BACKUP_FILE_PATTERN = /^bridge-backup-.+\.json\.gz$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateQueueItems(data) {
+  if (!isPlainObject(data) || !Array.isArray(data.items)) {
+    return ['items must be an array'];
+  }
+  return data.items
+    .map((item, index) => (isPlainObject(item) && item.id && item.userId && isPlainObject(item.message)
+      ? null
+      : `items[${index}] must have id, userId and message`))
+    .filter(Boolean);
+}
+
+function validateInboundEvents(data) {
+  if (!isPlainObject(data) || !Array.isArray(data.items)) {
+    return ['items must be an array'];
+  }
+  return data.items
+    .map((item, index) => (isPlainObject(item) && item.id && isPlainObject(item.event)
+      ? null
+      : `items[${index}] must have id and event`))
+    .filter(Boolean);
+}
+
+// ストアごとのスキーマ検証（問題があればメッセージの配列を返す）
+const STORE_VALIDATORS = {
+  'channel-mappings': (data) => {
+    if (!isPlainObject(data)) {
+      return ['must be an object keyed by LINE source ID'];
+    }
+    return Object.entries(data)
+      .filter(([, mapping]) => !isPlainObject(mapping) || typeof mapping.discordChannelId !== 'string')
+      .map(([sourceId]) => `${sourceId} has no discordChannelId`);
+  },
+  'message-mappings': (data) => {
+    if (Array.isArray(data)) {
+      // 旧形式の配列は次回起動時のスキーマ移行で変換される
+      return [];
+    }
+    if (!isPlainObject(data)) {
+      return ['must be an object'];
+    }
+    return ['lineToDiscord', 'discordToLine']
+      .filter(collection => data[collection] !== undefined && !isPlainObject(data[collection]))
+      .map(collection => `${collection} must be an object`);
+  },
+  'line-usage': (data) => {
+    if (!isPlainObject(data)) {
+      return ['must be an object'];
+    }
+    return Number.isInteger(data.monthlyMessageCount) ? [] : ['monthlyMessageCount must be an integer'];
+  },
+  'line-budget-usage': (data) => {
+    if (!isPlainObject(data)) {
+      return ['must be an object'];
+    }
+    return ['sources', 'categories', 'overrides']
+      .filter(collection => data[collection] !== undefined && !isPlainObject(data[collection]))
+      .map(collection => `${collection} must be an object`);
+  },
+  'line-usage-history': (data) => {
+    if (!isPlainObject(data)) {
+      return ['must be an object'];
+    }
+    if (data.days === undefined) {
+      return [];
+    }
+    if (!isPlainObject(data.days)) {
+      return ['days must be an object'];
+    }
+    return Object.entries(data.days)
+      .filter(([, entry]) => !Number.isInteger(entry?.count))
+      .map(([date]) => `days.${date}.count must be an integer`);
+  },
+  'outbound-queue': validateQueueItems,
+  'outbound-dead-letters': validateQueueItems,
+  'inbound-events': validateInboundEvents,
+  'webhook-events': (data) => {
+    if (!isPlainObject(data)) {
+      return ['must be an object keyed by webhookEventId'];
+    }
+    return Object.entries(data)
+      .filter(([, entry]) => !isPlainObject(entry) || typeof entry.state !== 'string')
+      .map(([webhookEventId]) => `${webhookEventId} has no state`);
+  },
+  [SCHEMA_VERSIONS_STORE]: (data) => {
+    if (!isPlainObject(data) || !Object.values(data).every(Number.isInteger)) {
+      return ['must map store names to integer versions'];
+    }
+    return findUnsupportedVersions(data);
+  }
+};
+
+/**
+ * バックアップサービスクラス
+ */
+class BackupService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.beforeBackup - スナップショット前に呼ぶ処理（未保存の変更のフラッシュなど）
+   * @param {Function} options.storeFactory - ストア生成関数（テスト用）
+   * @param {Function} options.now - 現在時刻（テスト用）
+   */
+  constructor(options = {}) {
+    const { backup } = config.database;
+    this.backupDir = options.backupDir || backup.path;
+    this.keep = options.keep ?? backup.keep;
+    this.intervalMs = options.intervalMs ?? backup.interval;
+    this.beforeBackup = options.beforeBackup || null;
+    this.storeFactory = options.storeFactory || createStore;
+    this.now = options.now || (() => new Date());
+    this.timer = null;
+    this.lastBackup = null;
+  }
+
+  /**
+   * 定期バックアップを開始
+   */
+  start() {
+    if (!config.database.backup.enabled || this.timer || !this.intervalMs || this.intervalMs <= 0) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.createBackup().catch(() => {
+        // createBackup がログを出すので次回の実行で再試行する
+      });
+    }, this.intervalMs);
+    this.timer.unref?.();
+
+    logger.info('Scheduled backups started', {
+      backupDir: this.backupDir,
+      intervalMs: this.intervalMs,
+      keep: this.keep
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 全ストアのスナップショットを作成
+   * @param {Object} options
+   * @param {string} options.label - ファイル名に付ける識別子（例: pre-restore）
+   * @returns {Object} { file, createdAt, stores }
+   */
+  async createBackup({ label = null } = {}) {
+    try {
+      if (this.beforeBackup) {
+        await this.beforeBackup();
+      }
+
+      const createdAt = this.now().toISOString();
+      const stores = {};
+      for (const name of STORE_NAMES) {
+        stores[name] = await this.storeFactory(name).load();
+      }
+
+      const bundle = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_FORMAT_VERSION,
+        createdAt,
+        storageType: config.database.type,
+        stores
+      };
+
+      const fileName = `bridge-backup-${createdAt.replace(/[:.]/g, '-')}${label ? `-${label}` : ''}.json.gz`;
+      const file = path.join(this.backupDir, fileName);
+      const tempFile = `${file}.tmp`;
+
+      await fs.mkdir(this.backupDir, { recursive: true });
+      await fs.writeFile(tempFile, await gzip(JSON.stringify(bundle)));
+      await fs.rename(tempFile, file);
+
+      const removed = await this.rotateBackups();
+      this.lastBackup = { file, createdAt };
+
+      logger.info('Backup created', {
+        file,
+        stores: Object.keys(stores).filter(name => stores[name] !== null),
+        removedCount: removed.length
+      });
+
+      return { file, createdAt, stores: Object.keys(stores).filter(name => stores[name] !== null) };
+    } catch (error) {
+      logger.error('Failed to create backup', {
+        backupDir: this.backupDir,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 保存世代数を超えた古いアーカイブを削除
+   * @returns {Array<string>} 削除したファイル
+   */
+  async rotateBackups() {
+    if (!this.keep || this.keep <= 0) {
+      return [];
+    }
+
+    const backups = await this.listBackups();
+    const expired = backups.slice(this.keep);
+    for (const backup of expired) {
+      await fs.rm(backup.file, { force: true });
+    }
+    return expired.map(backup => backup.file);
+  }
+
+  /**
+   * アーカイブ一覧を新しい順に取得
+   * @returns {Array<Object>} { file, name, size }
+   */
+  async listBackups() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.backupDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const backups = [];
+    for (const name of entries.filter(entry => BACKUP_FILE_PATTERN.test(entry)).sort().reverse()) {
+      const file = path.join(this.backupDir, name);
+      const stat = await fs.stat(file);
+      backups.push({ file, name, size: stat.size });
+    }
+    return backups;
+  }
+
+  /**
+   * アーカイブを読み込んで検証
+   * @param {string} file - アーカイブのパス（ファイル名のみの場合はバックアップディレクトリから探す）
+   * @returns {Object} 検証済みのバンドル
+   */
+  async readBackup(file) {
+    const resolved = path.dirname(file) === '.' ? path.join(this.backupDir, file) : file;
+
+    let bundle;
+    try {
+      bundle = JSON.parse((await gunzip(await fs.readFile(resolved))).toString('utf8'));
+    } catch (error) {
+      throw new Error(`Invalid backup archive ${resolved}: ${error.message}`);
+    }
+
+    const errors = this.validateBundle(bundle);
+    if (errors.length > 0) {
+      throw new Error(`Invalid backup archive ${resolved}: ${errors.join('; ')}`);
+    }
+
+    return { ...bundle, file: resolved };
+  }
+
+  /**
+   * バンドルが現在のスキーマに合うか検証
+   * @param {Object} bundle - アーカイブの内容
+   * @returns {Array<string>} エラーメッセージ（問題がなければ空）
+   */
+  validateBundle(bundle) {
+    if (!isPlainObject(bundle) || bundle.format !== BACKUP_FORMAT) {
+      return ['not a bridge backup'];
+    }
+
+    if (bundle.version !== BACKUP_FORMAT_VERSION) {
+      return [`unsupported backup version ${bundle.version} (expected ${BACKUP_FORMAT_VERSION})`];
+    }
+
+    if (!isPlainObject(bundle.stores)) {
+      return ['stores must be an object'];
+    }
+
+    const errors = [];
+    for (const [name, data] of Object.entries(bundle.stores)) {
+      if (!STORE_VALIDATORS[name]) {
+        errors.push(`unknown store ${name}`);
+        continue;
+      }
+      if (data === null) {
+        continue;
+      }
+      errors.push(...STORE_VALIDATORS[name](data).map(message => `${name}: ${message}`));
+    }
+    return errors;
+  }
+
+  /**
+   * アーカイブを検証して書き戻す（ブリッジ停止中に実行すること）
+   * 書き戻す前に現在のデータを pre-restore ラベル付きでバックアップする
+   * スキーマバージョンのないアーカイブ（バージョン管理以前）は、次回起動時に形式を判定して移行させる
+   * @param {string} file - アーカイブのパス
+   * @returns {Object} { file, createdAt, restored, skipped, safetyBackup }
+   */
+  async restoreBackup(file) {
+    const bundle = await this.readBackup(file);
+    const safetyBackup = await this.createBackup({ label: 'pre-restore' });
+
+    const restored = [];
+    const skipped = [];
+    for (const name of STORE_NAMES) {
+      const data = name === SCHEMA_VERSIONS_STORE && !bundle.stores[name] ? {} : bundle.stores[name];
+      if (data === undefined || data === null) {
+        skipped.push(name);
+        continue;
+      }
+      await this.storeFactory(name).save(data);
+      restored.push(name);
+    }
+
+    logger.info('Backup restored', {
+      file: bundle.file,
+      createdAt: bundle.createdAt,
+      restored,
+      skipped,
+      safetyBackup: safetyBackup.file
+    });
+
+    return {
+      file: bundle.file,
+      createdAt: bundle.createdAt,
+      restored,
+      skipped,
+      safetyBackup: safetyBackup.file
+    };
+  }
+
+  getStatus() {
+    return {
+      enabled: config.database.backup.enabled,
+      backupDir: this.backupDir,
+      intervalMs: this.intervalMs,
+      keep: this.keep,
+      lastBackup: this.lastBackup
+    };
+  }
+}
+
+module.exports = BackupService;
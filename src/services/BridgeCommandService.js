@@ -0,0 +1,395 @@
+/**
+ * ブリッジ運用コマンドサービス
+ * Discordのスラッシュコマンド（/bridge）で状態確認や紐付け操作を行う
+ */
+const { MessageFlags, PermissionFlagsBits, Routes, SlashCommandBuilder } = require('discord.js');
+const config = require('../config');
+const logger = require('../utils/logger');
+const lineLimitHandler = require('../middleware/lineLimitHandler');
+const { getLineSourceType } = require('../utils/lineSource');
+
+const COMMAND_NAME = 'bridge';
+
+const INACTIVE_REASON_LABELS = {
+  unfollow: 'ブロック中',
+  leave: '退出済み'
+};
+
+/**
+ * ブリッジ運用コマンドクラス
+ */
+class BridgeCommandService {
+  constructor({ discordClient, channelManager, messageMappingManager, messageBatcher, lineBudget, lineUsageMonitor }) {
+    this.discord = discordClient;
+    this.channelManager = channelManager;
+    this.messageMappingManager = messageMappingManager;
+    this.messageBatcher = messageBatcher;
+    this.lineBudget = lineBudget;
+    this.lineUsageMonitor = lineUsageMonitor;
+  }
+
+  /**
+   * スラッシュコマンド定義を生成
+   * @returns {Array<Object>} コマンド定義
+   */
+  buildCommandDefinitions() {
+    const command = new SlashCommandBuilder()
+      .setName(COMMAND_NAME)
+      .setDescription('LINEブリッジの運用コマンド')
+      .addSubcommand(subcommand => subcommand
+        .setName('status')
+        .setDescription('このチャンネルの紐付け状態を表示'))
+      .addSubcommand(subcommand => subcommand
+        .setName('usage')
+        .setDescription('今月のLINE送信数を表示'))
+      .addSubcommand(subcommand => subcommand
+        .setName('usage-history')
+        .setDescription('日ごとのLINE送信数と月間上限に達する見込みを表示')
+        .addIntegerOption(option => option
+          .setName('days')
+          .setDescription('表示する日数（既定7日）')
+          .setMinValue(1)
+          .setMaxValue(31)))
+      .addSubcommand(subcommand => subcommand
+        .setName('budget')
+        .setDescription('このチャンネルの今月のLINE送信予算を表示'))
+      .addSubcommand(subcommand => subcommand
+        .setName('budget-override')
+        .setDescription('このチャンネルに今月の追加送信枠を与える（予算を使い切っていても送信できる）')
+        .addIntegerOption(option => option
+          .setName('messages')
+          .setDescription('予算を超えて送れる通数（0で解除）')
+          .setMinValue(0)
+          .setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('link')
+        .setDescription('このチャンネルをLINEのユーザー/グループ/トークに紐付け')
+        .addStringOption(option => option
+          .setName('line_id')
+          .setDescription('LINEのユーザーID/グループID/トークID')
+          .setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('unlink')
+        .setDescription('このチャンネルの紐付けを解除（チャンネルは削除しない）'))
+      .addSubcommand(subcommand => subcommand
+        .setName('mute')
+        .setDescription('このチャンネルからLINEへの転送を停止/再開')
+        .addBooleanOption(option => option
+          .setName('enabled')
+          .setDescription('trueで停止、falseで再開（省略時は切り替え）')))
+      .addSubcommand(subcommand => subcommand
+        .setName('flush')
+        .setDescription('このチャンネルの保留中メッセージをLINEへ即時送信'));
+
+    return [command.toJSON()];
+  }
+
+  /**
+   * ギルドにスラッシュコマンドを登録
+   * @returns {boolean} 登録成功
+   */
+  async registerCommands() {
+    const { clientId, guildId } = config.discord;
+    if (!clientId || !guildId) {
+      logger.warn('Bridge commands not registered, DISCORD_CLIENT_ID or DISCORD_GUILD_ID is missing');
+      return false;
+    }
+
+    try {
+      await this.discord.rest.put(Routes.applicationGuildCommands(clientId, guildId), {
+        body: this.buildCommandDefinitions()
+      });
+
+      logger.info('Bridge commands registered', { guildId });
+      return true;
+    } catch (error) {
+      logger.error('Failed to register bridge commands', {
+        guildId,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * インタラクションを処理
+   * @param {Object} interaction - Discordインタラクション
+   * @returns {boolean} このサービスで処理したかどうか
+   */
+  async handleInteraction(interaction) {
+    if (!interaction.isChatInputCommand?.() || interaction.commandName !== COMMAND_NAME) {
+      return false;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    if (!this.isAuthorized(interaction)) {
+      logger.warn('Unauthorized bridge command rejected', {
+        subcommand,
+        userId: interaction.user?.id,
+        channelId: interaction.channelId
+      });
+      await this.reply(interaction, '🚫 このコマンドを実行する権限がありません。');
+      return true;
+    }
+
+    try {
+      const content = await this.executeSubcommand(subcommand, interaction);
+      await this.reply(interaction, content);
+
+      logger.info('Bridge command executed', {
+        subcommand,
+        userId: interaction.user?.id,
+        channelId: interaction.channelId
+      });
+    } catch (error) {
+      logger.error('Failed to execute bridge command', {
+        subcommand,
+        channelId: interaction.channelId,
+        error: error.message
+      });
+      await this.reply(interaction, `❌ コマンドの実行に失敗しました: ${error.message}`).catch(() => {});
+    }
+
+    return true;
+  }
+
+  async executeSubcommand(subcommand, interaction) {
+    switch (subcommand) {
+    case 'status':
+      return this.handleStatus(interaction);
+    case 'usage':
+      return this.handleUsage();
+    case 'usage-history':
+      return this.handleUsageHistory(interaction);
+    case 'budget':
+      return this.handleBudget(interaction);
+    case 'budget-override':
+      return this.handleBudgetOverride(interaction);
+    case 'link':
+      return this.handleLink(interaction);
+    case 'unlink':
+      return this.handleUnlink(interaction);
+    case 'mute':
+      return this.handleMute(interaction);
+    case 'flush':
+      return this.handleFlush(interaction);
+    default:
+      throw new Error(`Unknown subcommand: ${subcommand}`);
+    }
+  }
+
+  /**
+   * 実行権限を確認
+   * DISCORD_ADMIN_ROLE_IDS が設定されていればそのロール、未設定ならサーバー管理権限を要求
+   * @param {Object} interaction - Discordインタラクション
+   * @returns {boolean} 実行可能かどうか
+   */
+  isAuthorized(interaction) {
+    const adminRoleIds = config.discord.adminRoleIds || [];
+
+    if (adminRoleIds.length > 0) {
+      const roles = interaction.member?.roles;
+      const memberRoleIds = Array.isArray(roles)
+        ? roles
+        : Array.from(roles?.cache?.keys() || []);
+      return memberRoleIds.some(roleId => adminRoleIds.includes(roleId));
+    }
+
+    return !!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild);
+  }
+
+  async handleStatus(interaction) {
+    const sourceId = this.channelManager.findSourceIdByChannelId(interaction.channelId);
+    if (!sourceId) {
+      return 'ℹ️ このチャンネルはLINEに紐付いていません。';
+    }
+
+    const mapping = this.channelManager.getChannelMapping(sourceId);
+    const latestLineMessage = await this.messageMappingManager.getLatestLineOriginByChannelId(interaction.channelId);
+    const replyTokenUsable = this.messageMappingManager.isReplyTokenUsable(latestLineMessage);
+
+    return [
+      '📊 **ブリッジ状態**',
+      `LINE ID: \`${sourceId}\` (${getLineSourceType(sourceId)})`,
+      `状態: ${this.formatSourceState(mapping)}`,
+      `作成: ${this.formatTimestamp(mapping.createdAt, 'f')}`,
+      `最終利用: ${this.formatTimestamp(mapping.lastUsed, 'R')}`,
+      `最終LINE受信: ${this.formatTimestamp(latestLineMessage?.timestamp, 'R')}`,
+      `replyToken: ${replyTokenUsable
+        ? `利用可能（期限 ${this.formatTimestamp(latestLineMessage.replyTokenExpiry, 'R')}）`
+        : '利用不可（Push送信）'}`
+    ].join('\n');
+  }
+
+  handleUsage() {
+    const status = lineLimitHandler.getLimitStatus();
+
+    return [
+      '📈 **LINE送信数（今月）**',
+      `送信数: ${status.monthlyCount} / ${status.maxMonthlyMessages} (${status.usagePercentage}%)`,
+      `残り: ${status.remainingMessages}`,
+      `上限到達: ${status.isLimitReached ? 'はい' : 'いいえ'}`,
+      `緊急枠: ${status.emergencyUsed} / ${status.emergencyPool}`,
+      `リセット: ${this.formatTimestamp(status.resetDate, 'D')}`,
+      ...this.formatForecastLines(status)
+    ].join('\n');
+  }
+
+  handleUsageHistory(interaction) {
+    const days = interaction.options.getInteger('days') ?? 7;
+    const history = this.lineUsageMonitor.getDailyHistory(days);
+    const lines = [`📅 **LINE送信数の推移（直近${days}日）**`];
+
+    if (history.length === 0) {
+      lines.push('記録なし');
+    }
+    for (const entry of history) {
+      lines.push(`${entry.date}: ${entry.sent}通（今月累計 ${entry.monthlyCount}）`);
+    }
+    lines.push(...this.formatForecastLines(lineLimitHandler.getLimitStatus()));
+
+    return lines.join('\n');
+  }
+
+  /**
+   * 直近の送信ペースからの見込み
+   * @param {Object} status - lineLimitHandler.getLimitStatus() の結果
+   * @returns {Array<string>} 表示行
+   */
+  formatForecastLines(status) {
+    const forecast = this.lineUsageMonitor.getForecast(status);
+
+    return [
+      `見込み: 1日あたり ${forecast.dailyRate}通 / 月末 ${forecast.projectedMonthEnd}通`,
+      `上限到達: ${forecast.exhaustsBeforeReset
+        ? `${this.formatTimestamp(forecast.exhaustionDate, 'D')}ごろ（リセット前）`
+        : 'リセットまでに到達しない見込み'}`
+    ];
+  }
+
+  handleBudget(interaction) {
+    const sourceId = this.channelManager.findSourceIdByChannelId(interaction.channelId);
+    if (!sourceId) {
+      return 'ℹ️ このチャンネルはLINEに紐付いていません。';
+    }
+
+    const budgets = this.lineBudget.getApplicableBudgets(sourceId, this.channelManager.getSourceCategoryId(sourceId));
+    const override = this.lineBudget.getOverride(sourceId);
+    const lines = ['💰 **LINE送信予算（今月）**'];
+
+    if (budgets.length === 0) {
+      lines.push('予算: 設定なし（月間上限のみ）');
+    }
+    for (const budget of budgets) {
+      const label = budget.scope === 'source' ? 'この送信先' : `カテゴリ「${budget.key}」`;
+      lines.push(`${label}: ${budget.used} / ${budget.limit}${budget.used >= budget.limit ? '（使い切り）' : ''}`);
+    }
+    lines.push(`追加枠: ${override ? `残り ${override.remaining}通` : 'なし'}`);
+
+    return lines.join('\n');
+  }
+
+  async handleBudgetOverride(interaction) {
+    const sourceId = this.channelManager.findSourceIdByChannelId(interaction.channelId);
+    if (!sourceId) {
+      return 'ℹ️ このチャンネルはLINEに紐付いていません。';
+    }
+
+    const messages = interaction.options.getInteger('messages', true);
+    await this.lineBudget.setOverride(sourceId, messages, interaction.user?.id || null);
+
+    return messages === 0
+      ? '🔒 このチャンネルの追加送信枠を解除しました。'
+      : `🔓 このチャンネルに今月の追加送信枠（${messages}通）を設定しました。予算を使い切っていても送信できます。`;
+  }
+
+  async handleLink(interaction) {
+    const sourceId = interaction.options.getString('line_id', true).trim();
+    await this.channelManager.linkChannel(sourceId, interaction.channelId);
+
+    return `🔗 このチャンネルをLINE \`${sourceId}\` に紐付けました。`;
+  }
+
+  async handleUnlink(interaction) {
+    const sourceId = this.channelManager.findSourceIdByChannelId(interaction.channelId);
+    if (!sourceId) {
+      return 'ℹ️ このチャンネルはLINEに紐付いていません。';
+    }
+
+    await this.channelManager.unlinkChannel(interaction.channelId);
+
+    return `🔓 LINE \`${sourceId}\` との紐付けを解除しました。チャンネルはそのまま残ります。`;
+  }
+
+  async handleMute(interaction) {
+    const sourceId = this.channelManager.findSourceIdByChannelId(interaction.channelId);
+    if (!sourceId) {
+      return 'ℹ️ このチャンネルはLINEに紐付いていません。';
+    }
+
+    const requested = interaction.options.getBoolean('enabled');
+    const muted = requested === null ? !this.channelManager.isSourceMuted(sourceId) : requested;
+    await this.channelManager.setSourceMuted(sourceId, muted);
+
+    return muted
+      ? '🔇 このチャンネルからLINEへの転送を停止しました。LINEからのメッセージは引き続き届きます。'
+      : '🔊 このチャンネルからLINEへの転送を再開しました。';
+  }
+
+  async handleFlush(interaction) {
+    const sourceId = this.channelManager.findSourceIdByChannelId(interaction.channelId);
+    if (!sourceId) {
+      return 'ℹ️ このチャンネルはLINEに紐付いていません。';
+    }
+
+    const batch = this.messageBatcher.getBatchStatus().batchDetails
+      .find(detail => detail.userId === sourceId);
+    if (!batch) {
+      return 'ℹ️ 保留中のメッセージはありません。';
+    }
+
+    await this.messageBatcher.flushUserBatch(sourceId);
+
+    return `📤 保留中の${batch.messageCount}件のメッセージをLINEへ送信しました。`;
+  }
+
+  formatSourceState(mapping) {
+    const states = [];
+
+    if (mapping.status === 'inactive') {
+      states.push(INACTIVE_REASON_LABELS[mapping.inactiveReason] || '非アクティブ');
+    } else {
+      states.push('アクティブ');
+    }
+
+    if (mapping.muted) {
+      states.push('ミュート中');
+    }
+
+    if (mapping.archivedAt) {
+      states.push('アーカイブ済み');
+    }
+
+    return states.join(' / ');
+  }
+
+  formatTimestamp(value, style) {
+    const time = value ? new Date(value).getTime() : NaN;
+    if (Number.isNaN(time)) {
+      return 'なし';
+    }
+
+    return `<t:${Math.floor(time / 1000)}:${style}>`;
+  }
+
+  reply(interaction, content) {
+    return interaction.reply({
+      content,
+      flags: MessageFlags.Ephemeral,
+      allowedMentions: { parse: [] }
+    });
+  }
+}
+
+module.exports = BridgeCommandService;
@@ -2,23 +2,112 @@
  * チャンネル管理サービス
  * LINEとDiscordのチャンネルマッピングを管理
  */
-const path = require('path');
-const { ChannelType, PermissionFlagsBits } = require('discord.js');
+const { ChannelType, OverwriteType, PermissionFlagsBits } = require('discord.js');
 const config = require('../config');
 const logger = require('../utils/logger');
-const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonFileStore');
+const { SaveQueue, createStore } = require('../storage');
+const { getLineSourceType } = require('../utils/lineSource');
+const { mapWithConcurrency } = require('../utils/async');
+const ChannelOperationError = require('./ChannelOperationError');
+const ChannelRouter = require('./ChannelRouter');
+const ChannelPermissionProfile = require('./ChannelPermissionProfile');
+
+const { CODES: CHANNEL_ERROR } = ChannelOperationError;
+
+// ルーティングの確認で同時に問い合わせる送信元の数（LINEプロフィールAPIとDiscordの取得）
+const PREVIEW_CONCURRENCY = 4;
+
+// アーカイブ状態を表すマッピングのフィールド（付け替え/入れ替え/復元時にまとめて扱う）
+const ARCHIVE_FIELDS = [
+  'archivedAt',
+  'archivedFromCategoryId',
+  'archiveReason',
+  'archivedFromName',
+  'archivedSendMessages',
+  'archivedStaffSendMessages'
+];
+
+/**
+ * ソースID → マッピングのMap
+ * DiscordチャンネルID → ソースIDの逆引きインデックスを set/delete/clear に合わせて維持する
+ * マッピングの discordChannelId を直接書き換えた場合は reindex を呼ぶこと
+ */
+class ChannelMappingMap extends Map {
+  constructor() {
+    super();
+    this.sourceIdsByChannelId = new Map();
+  }
+
+  set(sourceId, mapping) {
+    this.unindex(sourceId);
+    super.set(sourceId, mapping);
+    if (mapping?.discordChannelId) {
+      this.sourceIdsByChannelId.set(mapping.discordChannelId, sourceId);
+    }
+    return this;
+  }
+
+  delete(sourceId) {
+    this.unindex(sourceId);
+    return super.delete(sourceId);
+  }
+
+  clear() {
+    this.sourceIdsByChannelId.clear();
+    super.clear();
+  }
+
+  /**
+   * マッピングの discordChannelId 変更をインデックスへ反映
+   * @param {Array<string>} sourceIds - 変更したソースID
+   */
+  reindex(...sourceIds) {
+    for (const [channelId, sourceId] of this.sourceIdsByChannelId) {
+      if (sourceIds.includes(sourceId)) {
+        this.sourceIdsByChannelId.delete(channelId);
+      }
+    }
+
+    for (const sourceId of sourceIds) {
+      const channelId = this.get(sourceId)?.discordChannelId;
+      if (channelId) {
+        this.sourceIdsByChannelId.set(channelId, sourceId);
+      }
+    }
+  }
+
+  findSourceIdByChannelId(channelId) {
+    return this.sourceIdsByChannelId.get(channelId) || null;
+  }
+
+  unindex(sourceId) {
+    const channelId = this.get(sourceId)?.discordChannelId;
+    if (channelId && this.sourceIdsByChannelId.get(channelId) === sourceId) {
+      this.sourceIdsByChannelId.delete(channelId);
+    }
+  }
+}
 
 /**
  * チャンネル管理クラス
  */
 class ChannelManager {
-  constructor(discordClient, lineService) {
+  constructor(discordClient, lineService, options = {}) {
     this.discord = discordClient;
     this.lineService = lineService;
-    this.mappings = new Map();
-    this.mappingFile = path.join(process.cwd(), 'data', 'channel-mappings.json');
+    this.mappings = new ChannelMappingMap();
+    this.store = options.store || createStore('channel-mappings');
+    // 行単位で書き込めるストア（SQLite）には変わったマッピングだけを書き込む
+    this.usesRecordStore = typeof this.store.writeRecords === 'function';
+    // 最後に保存・読み込みした内容（ソースID → JSON）。値はその場で書き換えられるため、これと比べて変更を判定する
+    this.savedMappings = new Map();
     this.isInitialized = false;
-    this.saveQueue = Promise.resolve();
+    this.saveQueue = new SaveQueue();
+    this.isDirty = false;
+    this.flushTimer = null;
+    this.idleArchiveTimer = null;
+    this.channelRouter = new ChannelRouter();
+    this.permissionProfile = new ChannelPermissionProfile();
   }
 
   /**
@@ -27,7 +116,14 @@ class ChannelManager {
   async initialize() {
     try {
       await this.loadMappings();
+      await this.channelRouter.initialize();
+      if (this.permissionProfile.isPrivate() && config.discord.staffRoleIds.length === 0 &&
+        Object.keys(this.channelRouter.categoryStaffRoles).length === 0) {
+        logger.warn('LINE channels are private but no staff roles are configured, only administrators can read them');
+      }
       this.isInitialized = true;
+      this.startFlushTimer();
+      this.startIdleArchiveTimer();
       logger.info('ChannelManager initialized', {
         mappingCount: this.mappings.size
       });
@@ -44,9 +140,18 @@ class ChannelManager {
    */
   async loadMappings() {
     try {
-      const mappings = await readJsonFile(this.mappingFile);
-      
+      const mappings = await this.store.load();
+
       this.mappings.clear();
+      this.savedMappings = new Map(
+        Object.entries(mappings || {}).map(([sourceId, mapping]) => [sourceId, JSON.stringify(mapping)])
+      );
+      if (!mappings) {
+        // 保存済みデータがない場合は空のマッピングで開始
+        logger.info('Channel mapping store is empty, starting with empty mappings', this.store.describe());
+        return;
+      }
+
       for (const [key, value] of Object.entries(mappings)) {
         this.mappings.set(key, value);
       }
@@ -55,16 +160,10 @@ class ChannelManager {
         count: this.mappings.size
       });
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        // ファイルが存在しない場合は空のマッピングで開始
-        logger.info('Channel mapping file not found, starting with empty mappings');
-        this.mappings.clear();
-      } else {
-        logger.error('Failed to load channel mappings', {
-          error: error.message
-        });
-        throw error;
-      }
+      logger.error('Failed to load channel mappings', {
+        error: error.message
+      });
+      throw error;
     }
   }
 
@@ -72,17 +171,24 @@ class ChannelManager {
    * マッピングを保存
    */
   async saveMappings() {
-    const saveOperation = this.saveQueue.catch(() => {}).then(async () => {
-      const mappings = Object.fromEntries(this.mappings);
-      await writeJsonFileAtomic(this.mappingFile, mappings);
+    const saveOperation = this.saveQueue.run(async () => {
+      this.isDirty = false;
+      try {
+        if (this.usesRecordStore) {
+          await this.writeChangedMappings();
+        } else {
+          await this.store.save(Object.fromEntries(this.mappings));
+        }
+      } catch (error) {
+        this.isDirty = true;
+        throw error;
+      }
       
       logger.debug('Channel mappings saved', {
         count: this.mappings.size
       });
     });
 
-    this.saveQueue = saveOperation;
-
     try {
       await saveOperation;
     } catch (error) {
@@ -93,12 +199,70 @@ class ChannelManager {
     }
   }
 
+  /**
+   * 前回保存した内容から変わった・削除されたマッピングだけを書き込む
+   */
+  async writeChangedMappings() {
+    const saved = new Map();
+    const put = {};
+    for (const [sourceId, mapping] of this.mappings) {
+      const json = JSON.stringify(mapping);
+      saved.set(sourceId, json);
+      if (this.savedMappings.get(sourceId) !== json) {
+        put[sourceId] = mapping;
+      }
+    }
+    const remove = Array.from(this.savedMappings.keys()).filter(sourceId => !saved.has(sourceId));
+
+    if (Object.keys(put).length > 0 || remove.length > 0) {
+      await this.store.writeRecords({ put, remove });
+    }
+    this.savedMappings = saved;
+  }
+
+  /**
+   * lastUsed など頻繁に変わる値の変更を記録し、保存は定期フラッシュにまとめる
+   */
+  markDirty() {
+    this.isDirty = true;
+  }
+
+  /**
+   * 未保存の変更があれば保存
+   */
+  async flushMappings() {
+    if (!this.isDirty) {
+      return;
+    }
+
+    try {
+      await this.saveMappings();
+    } catch (error) {
+      // saveMappings がログを出し、isDirty を戻すので次回のフラッシュで再試行される
+    }
+  }
+
+  /**
+   * 定期フラッシュを開始
+   */
+  startFlushTimer() {
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setInterval(() => {
+      this.flushMappings();
+    }, config.channel.mappingFlushIntervalSeconds * 1000);
+    this.flushTimer.unref?.();
+  }
+
   /**
    * チャンネルマッピングを取得または作成
-   * @param {string} sourceId - LINEのソースID（グループIDまたはユーザーID）
+   * @param {string} sourceId - LINEのソースID（グループID、ルームIDまたはユーザーID）
+   * @param {Object} context - 新規作成時のルーティングに使う情報（firstMessageText）
    * @returns {Object} チャンネルマッピング
    */
-  async getOrCreateChannel(sourceId) {
+  async getOrCreateChannel(sourceId, context = {}) {
     try {
       // 既存のマッピングを確認
       let mapping = this.mappings.get(sourceId);
@@ -107,6 +271,9 @@ class ChannelManager {
         // チャンネルが存在するか確認
         const channelExists = await this.validateChannel(mapping.discordChannelId);
         if (channelExists) {
+          // LINE側の利用もアイドル判定に含める
+          mapping.lastUsed = new Date().toISOString();
+          this.markDirty();
           return mapping;
         } else {
           // チャンネルが存在しない場合は削除
@@ -154,7 +321,7 @@ class ChannelManager {
       }
 
       // 新しいチャンネルを作成
-      mapping = await this.createNewChannel(sourceId);
+      mapping = await this.createNewChannel(sourceId, context);
       if (mapping) {
         this.mappings.set(sourceId, mapping);
         await this.saveMappings();
@@ -178,10 +345,12 @@ class ChannelManager {
 
   /**
    * 新しいチャンネルを作成
+   * ルーティングルールに一致した場合はその設定でカテゴリ・名前・トピック・権限を決める
    * @param {string} sourceId - LINEのソースID
+   * @param {Object} context - ルーティングに使う情報（firstMessageText）
    * @returns {Object} チャンネルマッピング
    */
-  async createNewChannel(sourceId) {
+  async createNewChannel(sourceId, context = {}) {
     try {
       const guildId = config.discord.guildId;
       if (!guildId) {
@@ -193,27 +362,32 @@ class ChannelManager {
         throw new Error(`Discord guild not found: ${guildId}`);
       }
 
+      const displayName = await this.resolveSourceName(sourceId);
+      const route = this.channelRouter.route({
+        sourceId,
+        displayName,
+        firstMessageText: context.firstMessageText || null
+      });
+
       // チャンネル名を生成
-      const channelName = await this.generateChannelName(sourceId);
+      const channelName = this.sanitizeChannelName(route.channelName) ||
+        await this.generateChannelName(sourceId, displayName);
 
       // カテゴリIDを取得
-      const categoryId = this.getCategoryForSource(sourceId);
+      const categoryId = route.categoryId === undefined
+        ? this.getCategoryForSource(sourceId)
+        : route.categoryId;
 
       // チャンネル作成オプション
       const channelOptions = {
         name: channelName,
         type: ChannelType.GuildText,
-        topic: `LINE Bridge Channel for ${sourceId}`,
-        permissionOverwrites: [
-          {
-            id: guild.roles.everyone.id,
-            allow: [
-              PermissionFlagsBits.ViewChannel,
-              PermissionFlagsBits.SendMessages,
-              PermissionFlagsBits.ReadMessageHistory
-            ]
-          }
-        ]
+        topic: this.buildChannelTopic(sourceId, route),
+        permissionOverwrites: this.buildPermissionOverwrites({
+          everyoneRoleId: guild.roles.everyone.id,
+          categoryId,
+          routeOverwrites: route.permissionOverwrites
+        })
       };
 
       // カテゴリが指定されている場合は追加
@@ -223,13 +397,15 @@ class ChannelManager {
           sourceId,
           channelName,
           categoryId,
-          sourceType: sourceId.startsWith('C') ? 'group' : 'user'
+          sourceType: getLineSourceType(sourceId),
+          routingRule: route.rule
         });
       } else {
         logger.info('Creating channel without category', {
           sourceId,
           channelName,
-          sourceType: sourceId.startsWith('C') ? 'group' : 'user'
+          sourceType: getLineSourceType(sourceId),
+          routingRule: route.rule
         });
       }
 
@@ -244,6 +420,9 @@ class ChannelManager {
         createdAt: new Date().toISOString(),
         lastUsed: new Date().toISOString()
       };
+      if (route.rule) {
+        mapping.routingRule = route.rule;
+      }
 
       return mapping;
     } catch (error) {
@@ -255,6 +434,191 @@ class ChannelManager {
     }
   }
 
+  /**
+   * 権限プロファイルに沿った権限上書きを生成
+   * @param {Object} options
+   * @param {string} options.everyoneRoleId - @everyone ロールID
+   * @param {string|null} options.categoryId - チャンネルのカテゴリID（カテゴリ別スタッフロールの解決に使用）
+   * @param {boolean} options.archived - アーカイブ中かどうか
+   * @param {Array<Object>} options.routeOverwrites - ルーティングルールの権限上書き
+   * @returns {Array<Object>} 権限上書き
+   */
+  buildPermissionOverwrites({ everyoneRoleId, categoryId = null, archived = false, routeOverwrites = [] }) {
+    return this.permissionProfile.buildOverwrites({
+      everyoneRoleId,
+      botUserId: this.discord.user?.id || null,
+      staffRoleIds: this.getStaffRoleIds(categoryId),
+      archived,
+      extraOverwrites: routeOverwrites
+    });
+  }
+
+  /**
+   * カテゴリのスタッフロールを取得（カテゴリ別の指定がなければ DISCORD_STAFF_ROLE_IDS）
+   * @param {string|null} categoryId - カテゴリID
+   * @returns {Array<string>} スタッフロールID
+   */
+  getStaffRoleIds(categoryId) {
+    return this.channelRouter.getCategoryStaffRoleIds(categoryId) || config.discord.staffRoleIds || [];
+  }
+
+  /**
+   * 既存チャンネルの権限上書きを権限プロファイルと比較し、必要なら再適用
+   * プロファイルが管理するID（@everyone・スタッフロール・Bot・ルーティングルール指定）のみ扱う
+   * @param {Object} options
+   * @param {boolean} options.apply - ずれている上書きを再適用するか（falseならレポートのみ）
+   * @returns {Array<Object>} マッピングごとの結果（{ sourceId, discordChannelId, drift, applied, error }）
+   */
+  async auditChannelPermissions({ apply = false } = {}) {
+    const results = [];
+
+    for (const [sourceId, mapping] of this.mappings) {
+      const result = {
+        sourceId,
+        discordChannelId: mapping.discordChannelId,
+        drift: [],
+        applied: false
+      };
+      results.push(result);
+
+      const channel = await this.discord.channels.fetch(mapping.discordChannelId).catch(() => null);
+      if (!channel) {
+        result.error = 'Discord channel not found';
+        continue;
+      }
+
+      const expectedOverwrites = this.getExpectedOverwrites(mapping, channel);
+      result.drift = this.permissionProfile.findDrift(channel, expectedOverwrites);
+      if (!apply || result.drift.length === 0) {
+        continue;
+      }
+
+      try {
+        for (const { id } of result.drift) {
+          const overwrite = expectedOverwrites.find(expected => expected.id === id);
+          await channel.permissionOverwrites.create(
+            id,
+            this.permissionProfile.toOverwriteOptions(overwrite),
+            overwrite.type === undefined ? {} : { type: overwrite.type }
+          );
+        }
+        result.applied = true;
+      } catch (error) {
+        result.error = error.message;
+        logger.warn('Failed to re-apply channel permission profile', {
+          sourceId,
+          channelId: mapping.discordChannelId,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Channel permission audit completed', {
+      apply,
+      channelCount: results.length,
+      driftedCount: results.filter(result => result.drift.length > 0).length,
+      appliedCount: results.filter(result => result.applied).length
+    });
+
+    return results;
+  }
+
+  /**
+   * マッピングのチャンネルが本来持つべき権限上書きを生成
+   * @param {Object} mapping - チャンネルマッピング
+   * @param {Object} channel - Discordチャンネル
+   * @returns {Array<Object>} 権限上書き
+   */
+  getExpectedOverwrites(mapping, channel) {
+    const rule = mapping.routingRule ? this.channelRouter.getRule(mapping.routingRule) : null;
+
+    return this.buildPermissionOverwrites({
+      everyoneRoleId: channel.guild.roles.everyone.id,
+      categoryId: mapping.archivedAt ? mapping.archivedFromCategoryId : channel.parentId || null,
+      archived: !!mapping.archiveReason,
+      routeOverwrites: rule?.permissionOverwrites || []
+    });
+  }
+
+  /**
+   * チャンネルのトピック（ルールに指定がなければ既定のトピック）
+   * @param {string} sourceId - LINEのソースID
+   * @param {Object} route - ChannelRouter.route の結果
+   * @returns {string} トピック
+   */
+  buildChannelTopic(sourceId, route) {
+    return route.topic || `LINE Bridge Channel for ${sourceId}`;
+  }
+
+  /**
+   * 現在のルーティングルールで既存マッピングがどこに振り分けられるかを確認（変更はしない）
+   * ルールファイルは毎回読み直すため、再起動前に編集内容を確認できる
+   * 既存マッピングには最初のメッセージがないため、キーワード条件は一致しない扱いになる
+   * 送信元の名前とチャンネルは PREVIEW_CONCURRENCY 件ずつ並行して取得する
+   * @returns {Array<Object>} マッピングごとの現在値と振り分け結果（changes: category / channelName / topic / permissions）
+   */
+  async previewRouting() {
+    let rules;
+    try {
+      rules = await this.channelRouter.loadRules();
+    } catch (error) {
+      throw new ChannelOperationError(CHANNEL_ERROR.INVALID, `Invalid routing rules: ${error.message}`);
+    }
+
+    return mapWithConcurrency(
+      Array.from(this.mappings),
+      PREVIEW_CONCURRENCY,
+      ([sourceId, mapping]) => this.previewMappingRoute(sourceId, mapping, rules)
+    );
+  }
+
+  async previewMappingRoute(sourceId, mapping, rules) {
+    const [channel, displayName] = await Promise.all([
+      this.discord.channels.fetch(mapping.discordChannelId).catch(() => null),
+      this.resolveSourceName(sourceId)
+    ]);
+    const route = this.channelRouter.route({ sourceId, displayName, firstMessageText: null }, rules);
+
+    const current = {
+      categoryId: channel ? channel.parentId || null : mapping.categoryId || null,
+      channelName: channel?.name || mapping.channelName,
+      topic: channel ? channel.topic || null : null
+    };
+    const routed = {
+      categoryId: route.categoryId === undefined ? this.getCategoryForSource(sourceId) : route.categoryId,
+      channelName: this.sanitizeChannelName(route.channelName) ||
+        await this.generateChannelName(sourceId, displayName),
+      topic: this.buildChannelTopic(sourceId, route)
+    };
+
+    // チャンネルを取得できない場合、トピックと権限は比較できない
+    const permissionDrift = channel
+      ? this.permissionProfile.findDrift(channel, this.buildPermissionOverwrites({
+        everyoneRoleId: channel.guild.roles.everyone.id,
+        categoryId: routed.categoryId,
+        archived: !!mapping.archiveReason,
+        routeOverwrites: route.permissionOverwrites
+      }))
+      : [];
+
+    const changes = [];
+    if (current.categoryId !== routed.categoryId) changes.push('category');
+    if (current.channelName !== routed.channelName) changes.push('channelName');
+    if (channel && current.topic !== routed.topic) changes.push('topic');
+    if (permissionDrift.length > 0) changes.push('permissions');
+
+    return {
+      sourceId,
+      discordChannelId: mapping.discordChannelId,
+      rule: route.rule,
+      current,
+      routed,
+      permissionDrift,
+      changes,
+      changed: changes.length > 0
+    };
+  }
+
   /**
    * ソースIDに基づいてカテゴリIDを取得
    * @param {string} sourceId - LINEのソースID
@@ -262,8 +626,10 @@ class ChannelManager {
    */
   getCategoryForSource(sourceId) {
     try {
+      const sourceType = getLineSourceType(sourceId);
+
       // LINEグループの場合（IDがCで始まる）
-      if (sourceId.startsWith('C')) {
+      if (sourceType === 'group') {
         const groupsCategoryId = config.discord.categories.groups;
         if (groupsCategoryId && groupsCategoryId !== 'null') {
           logger.debug('Selected Groups category for LINE group', {
@@ -274,8 +640,23 @@ class ChannelManager {
         }
       }
 
+      // LINE複数人トークの場合（IDがRで始まる）、未設定ならグループ用カテゴリを使用
+      if (sourceType === 'room') {
+        const roomsCategoryId = [
+          config.discord.categories.rooms,
+          config.discord.categories.groups
+        ].find(categoryId => categoryId && categoryId !== 'null');
+        if (roomsCategoryId) {
+          logger.debug('Selected Rooms category for LINE room', {
+            sourceId,
+            categoryId: roomsCategoryId
+          });
+          return roomsCategoryId;
+        }
+      }
+
       // LINE個人の場合（IDがUで始まる）
-      if (sourceId.startsWith('U')) {
+      if (sourceType === 'user') {
         const friendsCategoryId = config.discord.categories.friends;
         if (friendsCategoryId && friendsCategoryId !== 'null') {
           logger.debug('Selected Friends category for LINE user', {
@@ -289,8 +670,7 @@ class ChannelManager {
       // その他の場合はカテゴリなし
       logger.debug('No category selected', {
         sourceId,
-        sourceType: sourceId.startsWith('C') ? 'group' :
-          sourceId.startsWith('U') ? 'user' : 'unknown'
+        sourceType
       });
       return null;
     } catch (error) {
@@ -302,61 +682,62 @@ class ChannelManager {
     }
   }
 
+  /**
+   * LINEソースの表示名を取得（グループ名またはユーザー名）
+   * 複数人トークなど名前のないソースや取得失敗時はnull
+   * @param {string} sourceId - LINEのソースID
+   * @returns {string|null} 表示名
+   */
+  async resolveSourceName(sourceId) {
+    const sourceType = getLineSourceType(sourceId);
+
+    try {
+      if (sourceType === 'group') {
+        const groupSummary = await this.lineService.getGroupSummary(sourceId);
+        return groupSummary.groupName || null;
+      }
+
+      if (sourceType === 'user') {
+        logger.info('Getting user profile', { sourceId });
+        const userProfile = await this.lineService.getUserProfile(sourceId);
+        logger.info('User profile retrieved', {
+          sourceId,
+          hasDisplayName: !!userProfile.displayName,
+          profileKeys: Object.keys(userProfile)
+        });
+        return userProfile.displayName || null;
+      }
+    } catch (error) {
+      logger.warn('Failed to get source name, using fallback', {
+        sourceId,
+        sourceType,
+        error: error.message
+      });
+    }
+
+    return null;
+  }
+
   /**
    * チャンネル名を生成
    * @param {string} sourceId - LINEのソースID
+   * @param {string|null} displayName - 取得済みの表示名（省略時はLINEから取得）
    * @returns {string} チャンネル名
    */
-  async generateChannelName(sourceId) {
+  async generateChannelName(sourceId, displayName) {
     try {
-      // グループの場合はグループ名を取得
-      if (sourceId.startsWith('C')) {
-        try {
-          const groupSummary = await this.lineService.getGroupSummary(sourceId);
-          const groupName = groupSummary.groupName || 'Unknown Group';
-          const sanitizedName = this.sanitizeChannelName(groupName);
-          if (sanitizedName && sanitizedName.length > 0) {
-            return sanitizedName;
-          }
-        } catch (error) {
-          logger.warn('Failed to get group name, using fallback', {
-            sourceId,
-            error: error.message
-          });
-        }
+      // 複数人トークには名前がないため、ルームIDから生成
+      if (getLineSourceType(sourceId) === 'room') {
+        return `room-${sourceId.substring(1, 9)}`;
       }
 
-      // ユーザーの場合はユーザー名を取得
-      if (sourceId.startsWith('U')) {
-        try {
-          logger.info('Getting user profile', { sourceId });
-          const userProfile = await this.lineService.getUserProfile(sourceId);
-          const userName = userProfile.displayName || 'Unknown User';
-          logger.info('User profile retrieved', {
-            sourceId,
-            userName,
-            hasDisplayName: !!userProfile.displayName,
-            profileKeys: Object.keys(userProfile)
-          });
-          
-          const sanitizedName = this.sanitizeChannelName(userName);
-          logger.info('Channel name sanitized', {
-            sourceId,
-            originalName: userName,
-            sanitizedName,
-            sanitizedNameLength: sanitizedName ? sanitizedName.length : 0
-          });
-          
-          if (sanitizedName && sanitizedName.length > 0) {
-            logger.info('User channel name generated', { sourceId, userName, sanitizedName });
-            return sanitizedName;
-          }
-        } catch (error) {
-          logger.warn('Failed to get user name, using fallback', {
-            sourceId,
-            error: error.message
-          });
-        }
+      const sourceName = displayName === undefined
+        ? await this.resolveSourceName(sourceId)
+        : displayName;
+      const sanitizedName = this.sanitizeChannelName(sourceName);
+      if (sanitizedName && sanitizedName.length > 0) {
+        logger.info('Channel name generated', { sourceId, sourceName, sanitizedName });
+        return sanitizedName;
       }
 
       // フォールバック
@@ -419,17 +800,16 @@ class ChannelManager {
    */
   async getLineUserId(discordChannelId) {
     try {
-      for (const [sourceId, mapping] of this.mappings) {
-        if (mapping.discordChannelId === discordChannelId) {
-          // 最後に使用された時刻を更新
-          mapping.lastUsed = new Date().toISOString();
-          await this.saveMappings();
-          
-          return sourceId;
-        }
+      const sourceId = this.mappings.findSourceIdByChannelId(discordChannelId);
+      if (!sourceId) {
+        return null;
       }
-      
-      return null;
+
+      // 最後に使用された時刻を更新（保存は定期フラッシュにまとめる）
+      this.mappings.get(sourceId).lastUsed = new Date().toISOString();
+      this.markDirty();
+
+      return sourceId;
     } catch (error) {
       logger.error('Failed to get LINE user ID', {
         discordChannelId,
@@ -504,6 +884,19 @@ class ChannelManager {
     return this.mappings.get(sourceId) || null;
   }
 
+  /**
+   * ソースのチャンネルが属するカテゴリを取得（アーカイブ済みならアーカイブ前のカテゴリ）
+   * @param {string} sourceId - LINEのソースID
+   * @returns {string|null} カテゴリID
+   */
+  getSourceCategoryId(sourceId) {
+    const mapping = this.mappings.get(sourceId);
+    if (!mapping) {
+      return null;
+    }
+    return (mapping.archivedAt ? mapping.archivedFromCategoryId : mapping.categoryId) || null;
+  }
+
   /**
    * チャンネルマッピングの統計を取得
    * @returns {Object} 統計情報
@@ -529,85 +922,805 @@ class ChannelManager {
   }
 
   /**
-   * 古いマッピングをクリーンアップ
-   * @param {number} daysOld - 何日以上古いマッピングを削除するか
-   * @returns {number} 削除されたマッピング数
+   * ソースがアクティブ（送信可能）か確認
+   * @param {string} sourceId - LINEのソースID
+   * @returns {boolean} アクティブかどうか
    */
-  async cleanupOldMappings(daysOld = 30) {
-    try {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+  isSourceActive(sourceId) {
+    const mapping = this.mappings.get(sourceId);
+    return !mapping || mapping.status !== 'inactive';
+  }
 
-      const mappingsToRemove = [];
-      for (const [sourceId, mapping] of this.mappings) {
-        if (new Date(mapping.lastUsed) < cutoffDate) {
-          mappingsToRemove.push(sourceId);
-        }
+  /**
+   * ソースを非アクティブにし、必要に応じてアーカイブカテゴリへ移動
+   * @param {string} sourceId - LINEのソースID
+   * @param {string} reason - 非アクティブ化の理由（unfollow など）
+   * @returns {Object|null} 更新されたマッピング
+   */
+  async deactivateSource(sourceId, reason) {
+    try {
+      const mapping = this.mappings.get(sourceId);
+      if (!mapping) {
+        return null;
       }
 
-      let removedCount = 0;
-      for (const sourceId of mappingsToRemove) {
-        const removed = await this.removeChannelMapping(sourceId);
-        if (removed) {
-          removedCount++;
+      mapping.status = 'inactive';
+      mapping.inactiveReason = reason;
+      mapping.inactiveAt = new Date().toISOString();
+
+      const archiveCategoryId = this.getArchiveCategoryId();
+      if (archiveCategoryId && config.channel.archiveInactive && !mapping.archivedAt) {
+        const previousCategoryId = await this.moveChannelToCategory(
+          mapping.discordChannelId,
+          archiveCategoryId
+        );
+        if (previousCategoryId !== undefined) {
+          mapping.archivedFromCategoryId = previousCategoryId;
+          mapping.archivedAt = new Date().toISOString();
         }
       }
 
-      logger.info('Old channel mappings cleaned up', {
-        removedCount,
-        daysOld
+      await this.saveMappings();
+
+      logger.info('Channel mapping deactivated', {
+        sourceId,
+        reason,
+        discordChannelId: mapping.discordChannelId,
+        archived: !!mapping.archivedAt
       });
 
-      return removedCount;
+      return mapping;
     } catch (error) {
-      logger.error('Failed to cleanup old mappings', {
+      logger.error('Failed to deactivate channel mapping', {
+        sourceId,
+        reason,
         error: error.message
       });
-      return 0;
+      throw error;
     }
   }
 
-
   /**
-   * チャンネル名を更新
-   * @param {string} sourceId - ソースID
-   * @param {string} newName - 新しいチャンネル名
-   * @returns {boolean} 更新成功
+   * ソースを再アクティブ化し、アーカイブ前のカテゴリへ戻す
+   * @param {string} sourceId - LINEのソースID
+   * @returns {Object|null} 更新されたマッピング
    */
-  async updateChannelName(sourceId, newName) {
+  async activateSource(sourceId) {
     try {
       const mapping = this.mappings.get(sourceId);
       if (!mapping) {
-        logger.warn('Channel mapping not found for update', { sourceId });
-        return false;
+        return null;
       }
 
-      const channel = await this.discord.channels.fetch(mapping.discordChannelId);
-      if (!channel) {
-        logger.warn('Discord channel not found for update', { 
-          sourceId, 
-          channelId: mapping.discordChannelId 
-        });
-        return false;
+      if (mapping.archivedAt) {
+        await this.restoreArchivedChannel(sourceId, mapping);
       }
 
-      // チャンネル名を更新
-      await channel.setName(newName);
-      
-      // マッピング情報を更新
-      mapping.channelName = newName;
-      mapping.updatedAt = new Date().toISOString();
-      
+      mapping.status = 'active';
+      delete mapping.inactiveReason;
+      delete mapping.inactiveAt;
+
       await this.saveMappings();
 
-      logger.info('Channel name updated', {
+      logger.info('Channel mapping activated', {
         sourceId,
-        channelId: mapping.discordChannelId,
-        oldName: mapping.channelName,
-        newName
+        discordChannelId: mapping.discordChannelId
       });
 
-      return true;
+      return mapping;
+    } catch (error) {
+      logger.error('Failed to activate channel mapping', {
+        sourceId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * チャンネルを指定カテゴリへ移動
+   * @param {string} channelId - DiscordチャンネルID
+   * @param {string|null} categoryId - 移動先カテゴリID（nullでカテゴリなし）
+   * @returns {string|null|undefined} 移動前のカテゴリID（失敗時はundefined）
+   */
+  async moveChannelToCategory(channelId, categoryId) {
+    try {
+      const channel = await this.discord.channels.fetch(channelId);
+      if (!channel) {
+        logger.warn('Discord channel not found for category move', { channelId, categoryId });
+        return undefined;
+      }
+
+      const previousCategoryId = channel.parentId || null;
+      if (previousCategoryId !== (categoryId || null)) {
+        await channel.setParent(categoryId || null, { lockPermissions: false });
+      }
+
+      logger.info('Discord channel moved to category', {
+        channelId,
+        previousCategoryId,
+        categoryId
+      });
+
+      return previousCategoryId;
+    } catch (error) {
+      logger.warn('Failed to move Discord channel to category', {
+        channelId,
+        categoryId,
+        error: error.message
+      });
+      return undefined;
+    }
+  }
+
+  /**
+   * アーカイブカテゴリIDを取得
+   * @returns {string|null} カテゴリID
+   */
+  getArchiveCategoryId() {
+    const archiveCategoryId = config.discord.categories.archive;
+    return archiveCategoryId && archiveCategoryId !== 'null' ? archiveCategoryId : null;
+  }
+
+  /**
+   * DiscordチャンネルIDからLINEソースIDを検索（lastUsedは更新しない）
+   * @param {string} channelId - DiscordチャンネルID
+   * @returns {string|null} LINEのソースID
+   */
+  findSourceIdByChannelId(channelId) {
+    return this.mappings.findSourceIdByChannelId(channelId);
+  }
+
+  /**
+   * DiscordチャンネルIDからマッピングを検索（lastUsedは更新しない）
+   * @param {string} channelId - DiscordチャンネルID
+   * @returns {Object|null} チャンネルマッピング
+   */
+  findMappingByChannelId(channelId) {
+    const sourceId = this.findSourceIdByChannelId(channelId);
+    return sourceId ? this.mappings.get(sourceId) : null;
+  }
+
+  /**
+   * 紐付け先のDiscordチャンネルを検証
+   * 設定されたギルドのテキストチャンネルで、他のLINEソースに紐付いていないこと
+   * @param {string} channelId - DiscordチャンネルID
+   * @returns {Object} Discordチャンネル
+   */
+  async validateLinkTarget(channelId) {
+    const existingSourceId = this.findSourceIdByChannelId(channelId);
+    if (existingSourceId) {
+      throw new ChannelOperationError(CHANNEL_ERROR.CONFLICT, `Channel is already linked to LINE source ${existingSourceId}`);
+    }
+
+    let channel = null;
+    try {
+      channel = await this.discord.channels.fetch(channelId);
+    } catch (error) {
+      channel = null;
+    }
+
+    if (!channel) {
+      throw new ChannelOperationError(CHANNEL_ERROR.NOT_FOUND, `Channel not found: ${channelId}`);
+    }
+
+    if (config.discord.guildId && channel.guildId !== config.discord.guildId) {
+      throw new ChannelOperationError(CHANNEL_ERROR.INVALID, `Channel is not in the configured guild: ${channelId}`);
+    }
+
+    if (channel.type !== ChannelType.GuildText) {
+      throw new ChannelOperationError(CHANNEL_ERROR.INVALID, `Channel is not a text channel: ${channelId}`);
+    }
+
+    return channel;
+  }
+
+  /**
+   * 既存のDiscordチャンネルをLINEソースに紐付け
+   * @param {string} sourceId - LINEのソースID
+   * @param {string} channelId - DiscordチャンネルID
+   * @returns {Object} 作成されたマッピング
+   */
+  async linkChannel(sourceId, channelId) {
+    try {
+      if (getLineSourceType(sourceId) === 'unknown') {
+        throw new ChannelOperationError(CHANNEL_ERROR.INVALID, `Invalid LINE source ID: ${sourceId}`);
+      }
+
+      const existingSourceMapping = this.mappings.get(sourceId);
+      if (existingSourceMapping) {
+        throw new ChannelOperationError(CHANNEL_ERROR.CONFLICT, `LINE source is already linked to channel ${existingSourceMapping.discordChannelId}`);
+      }
+
+      const channel = await this.validateLinkTarget(channelId);
+
+      const mapping = {
+        sourceId,
+        discordChannelId: channelId,
+        channelName: channel.name,
+        categoryId: channel.parentId || null,
+        createdAt: new Date().toISOString(),
+        lastUsed: new Date().toISOString(),
+        linkedManually: true
+      };
+
+      this.mappings.set(sourceId, mapping);
+      await this.saveMappings();
+
+      logger.info('Channel mapping linked manually', {
+        sourceId,
+        discordChannelId: channelId,
+        channelName: channel.name
+      });
+
+      return mapping;
+    } catch (error) {
+      logger.error('Failed to link channel mapping', {
+        sourceId,
+        channelId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * LINEソースの紐付け先を別のDiscordチャンネルへ移動
+   * 旧チャンネルは削除せずに残す
+   * @param {string} sourceId - LINEのソースID
+   * @param {string} channelId - 移動先のDiscordチャンネルID
+   * @returns {Object} 更新されたマッピング
+   */
+  async relinkSource(sourceId, channelId) {
+    try {
+      const mapping = this.mappings.get(sourceId);
+      if (!mapping) {
+        throw new ChannelOperationError(CHANNEL_ERROR.NOT_FOUND, `LINE source is not linked: ${sourceId}`);
+      }
+
+      if (mapping.discordChannelId === channelId) {
+        return mapping;
+      }
+
+      const channel = await this.validateLinkTarget(channelId);
+      const previousChannelId = mapping.discordChannelId;
+
+      mapping.discordChannelId = channelId;
+      mapping.channelName = channel.name;
+      mapping.categoryId = channel.parentId || null;
+      mapping.relinkedAt = new Date().toISOString();
+      mapping.previousChannelIds = [...(mapping.previousChannelIds || []), previousChannelId];
+      for (const field of ARCHIVE_FIELDS) {
+        delete mapping[field];
+      }
+      this.mappings.reindex(sourceId);
+
+      await this.saveMappings();
+
+      logger.info('Channel mapping relinked', {
+        sourceId,
+        previousChannelId,
+        discordChannelId: channelId
+      });
+
+      return mapping;
+    } catch (error) {
+      logger.error('Failed to relink channel mapping', {
+        sourceId,
+        channelId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 2つのLINEソースの紐付け先チャンネルを入れ替え
+   * @param {string} sourceId - LINEのソースID
+   * @param {string} otherSourceId - 入れ替え相手のLINEのソースID
+   * @returns {Array<Object>} 更新されたマッピング
+   */
+  async swapSources(sourceId, otherSourceId) {
+    try {
+      const mapping = this.mappings.get(sourceId);
+      const otherMapping = this.mappings.get(otherSourceId);
+      if (!mapping || !otherMapping) {
+        throw new ChannelOperationError(CHANNEL_ERROR.NOT_FOUND, `LINE source is not linked: ${!mapping ? sourceId : otherSourceId}`);
+      }
+
+      if (sourceId === otherSourceId) {
+        throw new ChannelOperationError(CHANNEL_ERROR.INVALID, 'Cannot swap a LINE source with itself');
+      }
+
+      const channelFields = ['discordChannelId', 'channelName', 'categoryId', ...ARCHIVE_FIELDS];
+      for (const field of channelFields) {
+        const value = mapping[field];
+        this.assignOptionalField(mapping, field, otherMapping[field]);
+        this.assignOptionalField(otherMapping, field, value);
+      }
+      this.mappings.reindex(sourceId, otherSourceId);
+
+      await this.saveMappings();
+
+      logger.info('Channel mappings swapped', {
+        sourceId,
+        otherSourceId,
+        discordChannelId: mapping.discordChannelId,
+        otherDiscordChannelId: otherMapping.discordChannelId
+      });
+
+      return [mapping, otherMapping];
+    } catch (error) {
+      logger.error('Failed to swap channel mappings', {
+        sourceId,
+        otherSourceId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 2つのDiscordチャンネルの紐付けを統合
+   * 統合先チャンネルの紐付けを残し、統合元チャンネルに紐付けがあれば外して removedMapping として返す
+   * （relink後の旧チャンネルなど、紐付けのない統合元も指定可能）
+   * メッセージ履歴の付け替えは MessageMappingManager.reassignChannel で行う
+   * @param {string} fromChannelId - 統合元のDiscordチャンネルID
+   * @param {string} intoChannelId - 統合先のDiscordチャンネルID
+   * @returns {Object} 統合結果
+   */
+  async mergeChannels(fromChannelId, intoChannelId) {
+    try {
+      if (fromChannelId === intoChannelId) {
+        throw new ChannelOperationError(CHANNEL_ERROR.INVALID, 'Cannot merge a channel into itself');
+      }
+
+      const fromSourceId = this.findSourceIdByChannelId(fromChannelId);
+      const intoSourceId = this.findSourceIdByChannelId(intoChannelId);
+      if (!intoSourceId) {
+        throw new ChannelOperationError(CHANNEL_ERROR.NOT_FOUND, `Channel is not linked: ${intoChannelId}`);
+      }
+
+      const intoMapping = this.mappings.get(intoSourceId);
+      const removedMapping = fromSourceId ? this.mappings.get(fromSourceId) : null;
+      intoMapping.mergedChannelIds = [...(intoMapping.mergedChannelIds || []), fromChannelId];
+      if (removedMapping) {
+        this.mappings.delete(fromSourceId);
+      }
+
+      await this.saveMappings();
+
+      if (removedMapping) {
+        // 統合元のLINE送信元は紐付けがなくなり、次のメッセージで新しいチャンネルが作られる
+        logger.warn('LINE source unlinked by channel merge', {
+          sourceId: fromSourceId,
+          discordChannelId: fromChannelId,
+          intoChannelId
+        });
+      }
+
+      logger.info('Channel mappings merged', {
+        fromChannelId,
+        intoChannelId,
+        fromSourceId,
+        intoSourceId
+      });
+
+      return {
+        fromSourceId,
+        intoSourceId,
+        mapping: intoMapping,
+        removedMapping
+      };
+    } catch (error) {
+      logger.error('Failed to merge channel mappings', {
+        fromChannelId,
+        intoChannelId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  assignOptionalField(target, field, value) {
+    if (value === undefined) {
+      delete target[field];
+    } else {
+      target[field] = value;
+    }
+  }
+
+  /**
+   * Discordチャンネルの紐付けを解除（チャンネル自体は削除しない）
+   * @param {string} channelId - DiscordチャンネルID
+   * @returns {Object|null} 削除されたマッピング
+   */
+  async unlinkChannel(channelId) {
+    try {
+      const sourceId = this.findSourceIdByChannelId(channelId);
+      if (!sourceId) {
+        return null;
+      }
+
+      const mapping = this.mappings.get(sourceId);
+      this.mappings.delete(sourceId);
+      await this.saveMappings();
+
+      logger.info('Channel mapping unlinked', {
+        sourceId,
+        discordChannelId: channelId
+      });
+
+      return mapping;
+    } catch (error) {
+      logger.error('Failed to unlink channel mapping', {
+        channelId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * ソースのミュート状態を設定（ミュート中はDiscordからLINEへ転送しない）
+   * @param {string} sourceId - LINEのソースID
+   * @param {boolean} muted - ミュートするかどうか
+   * @returns {Object|null} 更新されたマッピング
+   */
+  async setSourceMuted(sourceId, muted) {
+    try {
+      const mapping = this.mappings.get(sourceId);
+      if (!mapping) {
+        return null;
+      }
+
+      if (muted) {
+        mapping.muted = true;
+        mapping.mutedAt = new Date().toISOString();
+      } else {
+        delete mapping.muted;
+        delete mapping.mutedAt;
+      }
+
+      await this.saveMappings();
+
+      logger.info('Channel mapping mute updated', {
+        sourceId,
+        discordChannelId: mapping.discordChannelId,
+        muted: !!muted
+      });
+
+      return mapping;
+    } catch (error) {
+      logger.error('Failed to update channel mapping mute', {
+        sourceId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * ソースがミュート中か確認
+   * @param {string} sourceId - LINEのソースID
+   * @returns {boolean} ミュート中かどうか
+   */
+  isSourceMuted(sourceId) {
+    return !!this.mappings.get(sourceId)?.muted;
+  }
+
+  /**
+   * 一定期間利用のないチャンネルをアーカイブ
+   * @param {number} daysOld - 何日以上利用のないチャンネルをアーカイブするか
+   * @returns {number} アーカイブしたチャンネル数
+   */
+  async archiveIdleChannels(daysOld = config.channel.idleArchiveDays) {
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+
+      const sourcesToArchive = [];
+      for (const [sourceId, mapping] of this.mappings) {
+        if (!mapping.archiveReason && new Date(mapping.lastUsed) < cutoffDate) {
+          sourcesToArchive.push(sourceId);
+        }
+      }
+
+      let archivedCount = 0;
+      for (const sourceId of sourcesToArchive) {
+        const archived = await this.archiveSource(sourceId, 'idle').catch(() => null);
+        if (archived) {
+          archivedCount++;
+        }
+      }
+
+      logger.info('Idle channels archived', {
+        archivedCount,
+        daysOld
+      });
+
+      return archivedCount;
+    } catch (error) {
+      logger.error('Failed to archive idle channels', {
+        error: error.message
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * 古いマッピングをクリーンアップ
+   * チャンネルは削除せずアーカイブする。削除は deleteArchivedChannel で明示的に行う
+   * @param {number} daysOld - 何日以上古いマッピングを対象にするか
+   * @returns {number} アーカイブしたチャンネル数
+   */
+  async cleanupOldMappings(daysOld = 30) {
+    return this.archiveIdleChannels(daysOld);
+  }
+
+  /**
+   * ソースのチャンネルをアーカイブ
+   * アーカイブカテゴリへ移動し、@everyone の発言を禁止して日付付きの名前に変更する
+   * @param {string} sourceId - LINEのソースID
+   * @param {string} reason - アーカイブ理由（idle / manual）
+   * @returns {Object|null} 更新されたマッピング
+   */
+  async archiveSource(sourceId, reason = 'manual') {
+    try {
+      const mapping = this.mappings.get(sourceId);
+      if (!mapping) {
+        return null;
+      }
+
+      if (mapping.archiveReason) {
+        return mapping;
+      }
+
+      const channel = await this.discord.channels.fetch(mapping.discordChannelId).catch(() => null);
+      if (!channel) {
+        logger.warn('Discord channel not found for archive', {
+          sourceId,
+          channelId: mapping.discordChannelId
+        });
+        return null;
+      }
+
+      // 非アクティブ化で既にアーカイブカテゴリへ移動済みの場合は移動元を維持
+      if (!mapping.archivedAt) {
+        const archiveCategoryId = this.getArchiveCategoryId();
+        const previousCategoryId = archiveCategoryId
+          ? await this.moveChannelToCategory(mapping.discordChannelId, archiveCategoryId)
+          : channel.parentId || null;
+        mapping.archivedFromCategoryId = previousCategoryId === undefined
+          ? channel.parentId || null
+          : previousCategoryId;
+      }
+
+      const everyoneRoleId = channel.guild.roles.everyone.id;
+      const sendMessages = this.getPermissionOverwriteState(channel, everyoneRoleId, PermissionFlagsBits.SendMessages);
+      await channel.permissionOverwrites.edit(everyoneRoleId, { SendMessages: false });
+      // 復元時に戻せるよう、スタッフロールごとのアーカイブ前の状態も記録する
+      const staffSendMessages = {};
+      for (const roleId of this.getStaffRoleIds(mapping.archivedFromCategoryId)) {
+        staffSendMessages[roleId] = this.getPermissionOverwriteState(channel, roleId, PermissionFlagsBits.SendMessages);
+        await channel.permissionOverwrites.edit(roleId, { SendMessages: false }, { type: OverwriteType.Role });
+      }
+
+      const archivedName = this.buildArchivedChannelName(channel.name);
+      await channel.setName(archivedName);
+
+      mapping.archivedAt = mapping.archivedAt || new Date().toISOString();
+      mapping.archiveReason = reason;
+      mapping.archivedFromName = channel.name;
+      mapping.archivedSendMessages = sendMessages;
+      mapping.archivedStaffSendMessages = staffSendMessages;
+      mapping.channelName = archivedName;
+
+      await this.saveMappings();
+
+      logger.info('Channel archived', {
+        sourceId,
+        reason,
+        discordChannelId: mapping.discordChannelId,
+        channelName: archivedName
+      });
+
+      return mapping;
+    } catch (error) {
+      logger.error('Failed to archive channel', {
+        sourceId,
+        reason,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * アーカイブされたチャンネルを元のカテゴリ・権限・名前に戻す
+   * ソースのアクティブ状態は変更しない
+   * @param {string} sourceId - LINEのソースID
+   * @returns {Object|null} 更新されたマッピング（アーカイブされていない場合はnull）
+   */
+  async restoreSource(sourceId) {
+    try {
+      const mapping = this.mappings.get(sourceId);
+      if (!mapping?.archivedAt) {
+        return null;
+      }
+
+      await this.restoreArchivedChannel(sourceId, mapping);
+      await this.saveMappings();
+
+      logger.info('Channel restored from archive', {
+        sourceId,
+        discordChannelId: mapping.discordChannelId,
+        restored: !mapping.archivedAt
+      });
+
+      return mapping;
+    } catch (error) {
+      logger.error('Failed to restore archived channel', {
+        sourceId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * アーカイブ済みチャンネルを削除し、マッピングも破棄
+   * アーカイブを経由しないチャンネルの削除は受け付けない
+   * @param {string} sourceId - LINEのソースID
+   * @returns {boolean} 削除成功
+   */
+  async deleteArchivedChannel(sourceId) {
+    const mapping = this.mappings.get(sourceId);
+    if (!mapping) {
+      throw new ChannelOperationError(CHANNEL_ERROR.NOT_FOUND, `LINE source is not linked: ${sourceId}`);
+    }
+
+    if (!mapping.archiveReason) {
+      throw new ChannelOperationError(CHANNEL_ERROR.CONFLICT, `Channel must be archived before it can be deleted: ${mapping.discordChannelId}`);
+    }
+
+    const removed = await this.removeChannelMapping(sourceId);
+    if (!removed) {
+      throw new ChannelOperationError(CHANNEL_ERROR.FAILED, `Failed to delete archived channel: ${mapping.discordChannelId}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * アーカイブ前の状態へチャンネルを戻し、マッピングのアーカイブ情報を消す
+   * カテゴリを戻せなかった場合はアーカイブ情報を残す
+   * @param {string} sourceId - LINEのソースID
+   * @param {Object} mapping - チャンネルマッピング
+   */
+  async restoreArchivedChannel(sourceId, mapping) {
+    const categoryId = mapping.archivedFromCategoryId || this.getCategoryForSource(sourceId);
+    const previousCategoryId = await this.moveChannelToCategory(mapping.discordChannelId, categoryId);
+    if (previousCategoryId === undefined) {
+      return;
+    }
+
+    if (mapping.archiveReason) {
+      try {
+        const channel = await this.discord.channels.fetch(mapping.discordChannelId);
+        await channel.permissionOverwrites.edit(channel.guild.roles.everyone.id, {
+          SendMessages: mapping.archivedSendMessages ?? null
+        });
+        // 状態を記録する前にアーカイブしたチャンネルは、作成時と同じくスタッフの送信を許可する
+        const staffSendMessages = mapping.archivedStaffSendMessages ||
+          Object.fromEntries(this.getStaffRoleIds(mapping.archivedFromCategoryId).map(roleId => [roleId, true]));
+        for (const [roleId, state] of Object.entries(staffSendMessages)) {
+          await channel.permissionOverwrites.edit(roleId, { SendMessages: state ?? null }, { type: OverwriteType.Role });
+        }
+        if (mapping.archivedFromName) {
+          await channel.setName(mapping.archivedFromName);
+          mapping.channelName = mapping.archivedFromName;
+        }
+      } catch (error) {
+        logger.warn('Failed to restore archived channel settings', {
+          sourceId,
+          channelId: mapping.discordChannelId,
+          error: error.message
+        });
+      }
+    }
+
+    for (const field of ARCHIVE_FIELDS) {
+      delete mapping[field];
+    }
+  }
+
+  /**
+   * 権限上書きの現在値を取得
+   * @returns {boolean|null} 許可ならtrue、拒否ならfalse、未設定ならnull
+   */
+  getPermissionOverwriteState(channel, id, permission) {
+    const overwrite = channel.permissionOverwrites.cache.get(id);
+    if (overwrite?.allow.has(permission)) {
+      return true;
+    }
+    if (overwrite?.deny.has(permission)) {
+      return false;
+    }
+    return null;
+  }
+
+  /**
+   * アーカイブ用のチャンネル名を生成（例: user-taro-archived-20260101）
+   * @param {string} name - 現在のチャンネル名
+   * @param {Date} date - アーカイブ日
+   * @returns {string} チャンネル名
+   */
+  buildArchivedChannelName(name, date = new Date()) {
+    const suffix = `-archived-${date.toISOString().slice(0, 10).replace(/-/g, '')}`;
+    return `${name.slice(0, 100 - suffix.length)}${suffix}`;
+  }
+
+  /**
+   * アイドルチャンネルの定期アーカイブを開始
+   */
+  startIdleArchiveTimer() {
+    const { idleArchiveDays, idleArchiveCheckIntervalMinutes } = config.channel;
+    if (!idleArchiveDays || idleArchiveDays <= 0 || this.idleArchiveTimer) {
+      return;
+    }
+
+    this.idleArchiveTimer = setInterval(() => {
+      this.archiveIdleChannels(idleArchiveDays);
+    }, idleArchiveCheckIntervalMinutes * 60 * 1000);
+    this.idleArchiveTimer.unref?.();
+
+    logger.info('Idle channel archive timer started', {
+      idleArchiveDays,
+      intervalMinutes: idleArchiveCheckIntervalMinutes
+    });
+  }
+
+  /**
+   * チャンネル名を更新
+   * @param {string} sourceId - ソースID
+   * @param {string} newName - 新しいチャンネル名
+   * @returns {boolean} 更新成功
+   */
+  async updateChannelName(sourceId, newName) {
+    try {
+      const mapping = this.mappings.get(sourceId);
+      if (!mapping) {
+        logger.warn('Channel mapping not found for update', { sourceId });
+        return false;
+      }
+
+      const channel = await this.discord.channels.fetch(mapping.discordChannelId);
+      if (!channel) {
+        logger.warn('Discord channel not found for update', { 
+          sourceId, 
+          channelId: mapping.discordChannelId 
+        });
+        return false;
+      }
+
+      // チャンネル名を更新
+      await channel.setName(newName);
+      
+      // マッピング情報を更新
+      mapping.channelName = newName;
+      mapping.updatedAt = new Date().toISOString();
+      
+      await this.saveMappings();
+
+      logger.info('Channel name updated', {
+        sourceId,
+        channelId: mapping.discordChannelId,
+        oldName: mapping.channelName,
+        newName
+      });
+
+      return true;
     } catch (error) {
       logger.error('Failed to update channel name', {
         sourceId,
@@ -674,6 +1787,14 @@ class ChannelManager {
    */
   async stop() {
     try {
+      if (this.flushTimer) {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+      }
+      if (this.idleArchiveTimer) {
+        clearInterval(this.idleArchiveTimer);
+        this.idleArchiveTimer = null;
+      }
       await this.saveMappings();
       this.isInitialized = false;
       logger.info('ChannelManager stopped');
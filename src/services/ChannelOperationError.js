@@ -0,0 +1,26 @@
+/**
+ * チャンネル紐付け操作の失敗
+ * 失敗理由を code で表し、HTTPステータスへの変換は呼び出し側（管理API）が行う
+ */
+const CHANNEL_ERROR_CODES = Object.freeze({
+  INVALID: 'CHANNEL_INVALID',
+  NOT_FOUND: 'CHANNEL_NOT_FOUND',
+  CONFLICT: 'CHANNEL_CONFLICT',
+  FAILED: 'CHANNEL_OPERATION_FAILED'
+});
+
+class ChannelOperationError extends Error {
+  /**
+   * @param {string} code - CHANNEL_ERROR_CODES のいずれか
+   * @param {string} message - エラーメッセージ
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ChannelOperationError';
+    this.code = code;
+  }
+}
+
+ChannelOperationError.CODES = CHANNEL_ERROR_CODES;
+
+module.exports = ChannelOperationError;
@@ -0,0 +1,153 @@
+/**
+ * チャンネル権限プロファイル
+ * LINE会話チャンネルの権限上書き（@everyone・スタッフロール・Bot）の期待値を定義し、
+ * 既存チャンネルとのずれを検出する
+ */
+const { OverwriteType, PermissionFlagsBits } = require('discord.js');
+const config = require('../config');
+
+const MEMBER_PERMISSIONS = [
+  PermissionFlagsBits.ViewChannel,
+  PermissionFlagsBits.SendMessages,
+  PermissionFlagsBits.ReadMessageHistory
+];
+
+const READ_ONLY_PERMISSIONS = [
+  PermissionFlagsBits.ViewChannel,
+  PermissionFlagsBits.ReadMessageHistory
+];
+
+const PERMISSION_NAMES = new Map(
+  Object.entries(PermissionFlagsBits).map(([name, bit]) => [bit, name])
+);
+
+/**
+ * チャンネル権限プロファイルクラス
+ */
+class ChannelPermissionProfile {
+  constructor({ visibility = config.channel.visibility } = {}) {
+    this.visibility = visibility === 'public' ? 'public' : 'private';
+  }
+
+  isPrivate() {
+    return this.visibility === 'private';
+  }
+
+  /**
+   * プロファイルに沿った権限上書きを生成
+   * privateでは @everyone の閲覧を拒否し、スタッフロールとBotにのみ閲覧・発言を許可する
+   * アーカイブ中はBot以外の発言を拒否する
+   * @param {Object} options
+   * @param {string} options.everyoneRoleId - @everyone ロールID（ギルドID）
+   * @param {string|null} options.botUserId - BotのユーザーID
+   * @param {Array<string>} options.staffRoleIds - 許可するスタッフロールID
+   * @param {boolean} options.archived - アーカイブ中かどうか
+   * @param {Array<Object>} options.extraOverwrites - ルーティングルールの権限上書き（同じIDを置き換える）
+   * @returns {Array<Object>} 権限上書き（{ id, type, allow, deny }）
+   */
+  buildOverwrites({ everyoneRoleId, botUserId = null, staffRoleIds = [], archived = false, extraOverwrites = [] }) {
+    const overwrites = new Map();
+    const memberAccess = archived
+      ? { allow: READ_ONLY_PERMISSIONS, deny: [PermissionFlagsBits.SendMessages] }
+      : { allow: MEMBER_PERMISSIONS, deny: [] };
+
+    if (this.isPrivate()) {
+      overwrites.set(everyoneRoleId, {
+        id: everyoneRoleId,
+        type: OverwriteType.Role,
+        allow: [],
+        deny: archived
+          ? [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages]
+          : [PermissionFlagsBits.ViewChannel]
+      });
+    } else {
+      overwrites.set(everyoneRoleId, { id: everyoneRoleId, type: OverwriteType.Role, ...memberAccess });
+    }
+
+    for (const roleId of staffRoleIds) {
+      overwrites.set(roleId, { id: roleId, type: OverwriteType.Role, ...memberAccess });
+    }
+
+    if (botUserId) {
+      overwrites.set(botUserId, { id: botUserId, type: OverwriteType.Member, allow: MEMBER_PERMISSIONS, deny: [] });
+    }
+
+    for (const overwrite of extraOverwrites) {
+      const id = overwrite.id === 'everyone' ? everyoneRoleId : overwrite.id;
+      // 種類の指定がなければ既定の上書きと同じ種類、それもなければロールとして扱う
+      // （未指定だと discord.js がキャッシュからIDを解決しようとし、キャッシュにないメンバーで失敗する）
+      overwrites.set(id, {
+        id,
+        type: overwrite.type ?? overwrites.get(id)?.type ?? OverwriteType.Role,
+        allow: overwrite.allow || [],
+        deny: overwrite.deny || []
+      });
+    }
+
+    return Array.from(overwrites.values());
+  }
+
+  /**
+   * チャンネルの権限上書きとプロファイルのずれを検出
+   * プロファイルが管理するIDのみを比較し、それ以外の上書きは対象外とする
+   * @param {Object} channel - Discordチャンネル
+   * @param {Array<Object>} expectedOverwrites - buildOverwrites の結果
+   * @returns {Array<Object>} ずれている上書き（{ id, expected, actual }）
+   */
+  findDrift(channel, expectedOverwrites) {
+    const drift = [];
+
+    for (const expected of expectedOverwrites) {
+      const actual = channel.permissionOverwrites.cache.get(expected.id);
+      const actualAllow = actual ? BigInt(actual.allow.bitfield) : 0n;
+      const actualDeny = actual ? BigInt(actual.deny.bitfield) : 0n;
+
+      if (!actual || actualAllow !== this.toBitfield(expected.allow) || actualDeny !== this.toBitfield(expected.deny)) {
+        drift.push({
+          id: expected.id,
+          expected: {
+            allow: this.toPermissionNames(this.toBitfield(expected.allow)),
+            deny: this.toPermissionNames(this.toBitfield(expected.deny))
+          },
+          actual: actual
+            ? { allow: this.toPermissionNames(actualAllow), deny: this.toPermissionNames(actualDeny) }
+            : null
+        });
+      }
+    }
+
+    return drift;
+  }
+
+  /**
+   * permissionOverwrites.create に渡すオプションへ変換
+   * @param {Object} overwrite - { allow, deny }
+   * @returns {Object} 例: { ViewChannel: true, SendMessages: false }
+   */
+  toOverwriteOptions(overwrite) {
+    const options = {};
+    for (const name of this.toPermissionNames(this.toBitfield(overwrite.allow))) {
+      options[name] = true;
+    }
+    for (const name of this.toPermissionNames(this.toBitfield(overwrite.deny))) {
+      options[name] = false;
+    }
+    return options;
+  }
+
+  toBitfield(permissions = []) {
+    return permissions.reduce((bitfield, permission) => bitfield | BigInt(permission), 0n);
+  }
+
+  toPermissionNames(bitfield) {
+    const names = [];
+    for (const [bit, name] of PERMISSION_NAMES) {
+      if ((bitfield & bit) === bit) {
+        names.push(name);
+      }
+    }
+    return names;
+  }
+}
+
+module.exports = ChannelPermissionProfile;
@@ -0,0 +1,287 @@
+/**
+ * チャンネルルーティングサービス
+ * ルールファイルに従って、新規チャンネルのカテゴリ・名前・トピック・権限を決定する
+ */
+const { OverwriteType, PermissionFlagsBits } = require('discord.js');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJsonFile } = require('../utils/jsonFileStore');
+const { getLineSourceType } = require('../utils/lineSource');
+
+const SOURCE_TYPES = ['user', 'group', 'room'];
+// 権限上書きの対象の種類（省略時はロール）
+const OVERWRITE_TYPES = {
+  role: OverwriteType.Role,
+  member: OverwriteType.Member
+};
+
+/**
+ * チャンネルルーティングクラス
+ *
+ * ルールは上から順に評価し、最初に一致したものを採用する。
+ * 1つのルール内に複数の条件がある場合はすべてを満たしたときに一致とする。
+ */
+class ChannelRouter {
+  constructor(rulesFile = config.channel.routingRulesFile) {
+    this.rulesFile = rulesFile;
+    this.rules = [];
+    this.categoryStaffRoles = {};
+  }
+
+  /**
+   * ルールファイルを読み込み
+   * ファイルがない場合はルールなし（従来のカテゴリ振り分け）として扱う
+   */
+  async initialize() {
+    try {
+      const { rules, categoryStaffRoles } = await this.loadConfig();
+      this.rules = rules;
+      this.categoryStaffRoles = categoryStaffRoles;
+      logger.info('Channel routing rules loaded', {
+        rulesFile: this.rulesFile,
+        ruleCount: this.rules.length
+      });
+    } catch (error) {
+      this.rules = [];
+      this.categoryStaffRoles = {};
+      logger.error('Failed to load channel routing rules, using default routing', {
+        rulesFile: this.rulesFile,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ルールファイルを読み込んで検証
+   * @returns {Object} { rules: 検証済みのルール, categoryStaffRoles: カテゴリごとのスタッフロール }
+   */
+  async loadConfig() {
+    let data;
+    try {
+      data = await readJsonFile(this.rulesFile);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { rules: [], categoryStaffRoles: {} };
+      }
+      throw error;
+    }
+
+    const rules = Array.isArray(data) ? data : data?.rules;
+    if (!Array.isArray(rules)) {
+      throw new Error('Routing rules file must contain a "rules" array');
+    }
+
+    const categoryStaffRoles = data.categoryStaffRoles || {};
+    for (const [category, roleIds] of Object.entries(categoryStaffRoles)) {
+      if (!Array.isArray(roleIds)) {
+        throw new Error(`categoryStaffRoles.${category} must be an array of role IDs`);
+      }
+    }
+
+    return {
+      rules: rules.map((rule, index) => this.compileRule(rule, index)),
+      categoryStaffRoles
+    };
+  }
+
+  async loadRules() {
+    const { rules } = await this.loadConfig();
+    return rules;
+  }
+
+  /**
+   * カテゴリに割り当てられたスタッフロールを取得
+   * categoryStaffRoles のキーは config.discord.categories のキーまたはカテゴリID
+   * @param {string|null} categoryId - カテゴリID
+   * @returns {Array<string>|null} スタッフロールID（指定がなければnull）
+   */
+  getCategoryStaffRoleIds(categoryId) {
+    if (!categoryId) {
+      return null;
+    }
+
+    for (const [category, roleIds] of Object.entries(this.categoryStaffRoles)) {
+      const configuredId = config.discord.categories[category];
+      if (category === categoryId || (configuredId && configuredId === categoryId)) {
+        return roleIds;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 名前からルールを取得
+   * @param {string} name - ルール名
+   * @returns {Object|null} ルール
+   */
+  getRule(name) {
+    return this.rules.find(rule => rule.name === name) || null;
+  }
+
+  /**
+   * ルールを検証し、評価しやすい形に変換
+   * @param {Object} rule - ルール定義
+   * @param {number} index - ルールの位置
+   * @returns {Object} 変換済みルール
+   */
+  compileRule(rule, index) {
+    const name = rule?.name || `rule-${index + 1}`;
+    const match = rule?.match || {};
+
+    const sourceTypes = match.sourceTypes || (match.sourceType ? [match.sourceType] : null);
+    if (sourceTypes && !sourceTypes.every(type => SOURCE_TYPES.includes(type))) {
+      throw new Error(`Invalid sourceTypes in routing rule "${name}": ${sourceTypes.join(', ')}`);
+    }
+
+    let displayNamePattern = null;
+    if (match.displayName) {
+      try {
+        displayNamePattern = new RegExp(match.displayName, 'i');
+      } catch (error) {
+        throw new Error(`Invalid displayName pattern in routing rule "${name}": ${error.message}`);
+      }
+    }
+
+    const permissionOverwrites = (rule.permissionOverwrites || []).map(overwrite => {
+      if (!overwrite?.id) {
+        throw new Error(`Permission overwrite without id in routing rule "${name}"`);
+      }
+      if (overwrite.type !== undefined && !Object.hasOwn(OVERWRITE_TYPES, overwrite.type)) {
+        throw new Error(`Invalid permission overwrite type "${overwrite.type}" in routing rule "${name}" (expected role or member)`);
+      }
+
+      const compiled = {
+        id: overwrite.id,
+        allow: this.resolvePermissions(overwrite.allow, name),
+        deny: this.resolvePermissions(overwrite.deny, name)
+      };
+      if (overwrite.type !== undefined) {
+        compiled.type = OVERWRITE_TYPES[overwrite.type];
+      }
+      return compiled;
+    });
+
+    return {
+      name,
+      sourceTypes,
+      lineIds: match.lineIds || null,
+      displayNamePattern,
+      firstMessageKeywords: match.firstMessageKeywords || null,
+      category: rule.category || null,
+      channelName: rule.channelName || null,
+      topic: rule.topic || null,
+      permissionOverwrites
+    };
+  }
+
+  resolvePermissions(names = [], ruleName) {
+    return names.map(permissionName => {
+      const permission = PermissionFlagsBits[permissionName];
+      if (permission === undefined) {
+        throw new Error(`Unknown permission "${permissionName}" in routing rule "${ruleName}"`);
+      }
+      return permission;
+    });
+  }
+
+  /**
+   * ソースに一致する最初のルールを取得
+   * @param {Object} context - { sourceId, displayName, firstMessageText }
+   * @param {Array<Object>} rules - 評価するルール（省略時は読み込み済みのルール）
+   * @returns {Object|null} 一致したルール
+   */
+  findMatchingRule(context, rules = this.rules) {
+    return rules.find(rule => this.matchesRule(rule, context)) || null;
+  }
+
+  matchesRule(rule, { sourceId, displayName, firstMessageText }) {
+    if (rule.sourceTypes && !rule.sourceTypes.includes(getLineSourceType(sourceId))) {
+      return false;
+    }
+
+    if (rule.lineIds && !rule.lineIds.includes(sourceId)) {
+      return false;
+    }
+
+    if (rule.displayNamePattern && !rule.displayNamePattern.test(displayName || '')) {
+      return false;
+    }
+
+    if (rule.firstMessageKeywords) {
+      const text = firstMessageText || '';
+      if (!rule.firstMessageKeywords.some(keyword => text.includes(keyword))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * ソースのチャンネル作成設定を決定
+   * ルールに指定のない項目は null のまま返し、呼び出し側の既定値を使わせる
+   * @param {Object} context - { sourceId, displayName, firstMessageText }
+   * @param {Array<Object>} rules - 評価するルール（省略時は読み込み済みのルール）
+   * @returns {Object} { rule, categoryId, channelName, topic, permissionOverwrites }
+   */
+  route(context, rules = this.rules) {
+    const rule = this.findMatchingRule(context, rules);
+    if (!rule) {
+      return {
+        rule: null,
+        categoryId: undefined,
+        channelName: null,
+        topic: null,
+        permissionOverwrites: []
+      };
+    }
+
+    return {
+      rule: rule.name,
+      categoryId: rule.category ? this.resolveCategoryId(rule.category, rule.name) : undefined,
+      channelName: rule.channelName ? this.renderTemplate(rule.channelName, context) : null,
+      topic: rule.topic ? this.renderTemplate(rule.topic, context) : null,
+      permissionOverwrites: rule.permissionOverwrites
+    };
+  }
+
+  /**
+   * カテゴリ指定を解決（config.discord.categories のキー、またはカテゴリID）
+   * @returns {string|null|undefined} カテゴリID（未設定のキーの場合は undefined で既定に委ねる）
+   */
+  resolveCategoryId(category, ruleName) {
+    if (Object.prototype.hasOwnProperty.call(config.discord.categories, category)) {
+      const categoryId = config.discord.categories[category];
+      if (categoryId && categoryId !== 'null') {
+        return categoryId;
+      }
+
+      logger.warn('Routing rule category is not configured, using default category', {
+        rule: ruleName,
+        category
+      });
+      return undefined;
+    }
+
+    return category;
+  }
+
+  /**
+   * テンプレートを展開
+   * 利用可能な変数: {name} {sourceId} {shortId} {sourceType}
+   */
+  renderTemplate(template, { sourceId, displayName }) {
+    const values = {
+      name: displayName || sourceId.substring(0, 8),
+      sourceId,
+      shortId: sourceId.substring(1, 9),
+      sourceType: getLineSourceType(sourceId)
+    };
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+      Object.prototype.hasOwnProperty.call(values, key) ? values[key] : placeholder);
+  }
+}
+
+module.exports = ChannelRouter;
@@ -0,0 +1,116 @@
+/**
+ * 配信状況表示サービス
+ * Discord→LINEの送信結果（配信済み・再送待ち・失敗）を元のDiscordメッセージのリアクションで示す
+ * 失敗時は理由を返信で知らせる
+ */
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const STATUSES = ['delivered', 'retrying', 'failed'];
+
+/**
+ * 配信状況表示クラス
+ */
+class DeliveryStatusReporter {
+  /**
+   * @param {Object} discordClient - Discordクライアント
+   * @param {Object} options
+   * @param {Object} options.reactions - 状態ごとのリアクション（空文字で表示しない）
+   */
+  constructor(discordClient, { reactions = config.outboundQueue.reactions } = {}) {
+    this.discord = discordClient;
+    this.reactions = reactions;
+  }
+
+  /**
+   * 配信状況をDiscordメッセージに反映
+   * 以前の状態のリアクションは外し、現在の状態のリアクションだけを残す
+   * @param {Object} target - { message } または { discordChannelId, discordMessageId }
+   * @param {string} status - delivered / retrying / failed
+   * @param {Object} detail - { error }（failed のときの理由）
+   */
+  async report(target, status, detail = {}) {
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Unknown delivery status: ${status}`);
+    }
+
+    try {
+      const message = await this.resolveMessage(target);
+      if (!message) {
+        return;
+      }
+
+      for (const otherStatus of STATUSES.filter(name => name !== status)) {
+        await this.removeOwnReaction(message, this.reactions[otherStatus]);
+      }
+
+      if (this.reactions[status]) {
+        await message.react(this.reactions[status]);
+      }
+
+      if (status === 'failed') {
+        const reason = detail.error?.message || detail.error || '不明なエラー';
+        await message.reply({
+          content: `⚠️ このメッセージはLINEに届きませんでした（${reason}）`,
+          allowedMentions: { repliedUser: false }
+        });
+      }
+    } catch (error) {
+      logger.warn('Failed to show LINE delivery status on Discord', {
+        discordMessageId: target.message?.id || target.discordMessageId,
+        status,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * 元のDiscordメッセージに返信で知らせる（緊急枠からの送信など）
+   * @param {Object} target - { message } または { discordChannelId, discordMessageId }
+   * @param {string} content - 返信内容
+   */
+  async notify(target, content) {
+    try {
+      const message = await this.resolveMessage(target);
+      if (!message) {
+        return;
+      }
+
+      await message.reply({
+        content,
+        allowedMentions: { repliedUser: false }
+      });
+    } catch (error) {
+      logger.warn('Failed to notify Discord author about LINE delivery', {
+        discordMessageId: target.message?.id || target.discordMessageId,
+        error: error.message
+      });
+    }
+  }
+
+  async resolveMessage({ message, discordChannelId, discordMessageId }) {
+    if (message) {
+      return message;
+    }
+
+    if (!discordChannelId || !discordMessageId) {
+      return null;
+    }
+
+    const channel = await this.discord.channels.fetch(discordChannelId);
+    return channel?.messages ? channel.messages.fetch(discordMessageId) : null;
+  }
+
+  async removeOwnReaction(message, emoji) {
+    if (!emoji) {
+      return;
+    }
+
+    const reaction = message.reactions?.cache?.get(emoji);
+    if (reaction?.me) {
+      await reaction.users.remove(this.discord.user.id);
+    }
+  }
+}
+
+module.exports = DeliveryStatusReporter;
@@ -0,0 +1,271 @@
+/**
+ * 受信イベントキューサービス
+ * LINE Webhookのイベントを永続化してからすぐに応答し、バックグラウンドで処理する
+ * 同じ送信元（ユーザー/グループ/ルーム）のイベントは受信順に1件ずつ、異なる送信元は並行して処理する
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { SaveQueue, createStore } = require('../storage');
+const { getLineSourceId } = require('../utils/lineSource');
+
+// 処理時間の統計に使う直近の件数
+const LATENCY_SAMPLE_SIZE = 100;
+
+class InboundEventQueue {
+  /**
+   * @param {Object} options
+   * @param {Function} options.handler - イベント処理 (event) => Promise
+   * @param {Object} options.store - 保存先ストア（テスト用）
+   * @param {Function} options.now - 現在時刻（テスト用）
+   */
+  constructor(options = {}) {
+    const queueConfig = config.inboundQueue;
+    this.handler = options.handler;
+    this.store = options.store || createStore('inbound-events');
+    this.concurrency = Math.max(1, options.concurrency ?? queueConfig.concurrency);
+    this.maxAttempts = options.maxAttempts ?? queueConfig.maxAttempts;
+    this.retryDelayMs = options.retryDelayMs ?? queueConfig.retryDelayMs;
+    this.now = options.now || (() => Date.now());
+
+    this.queue = [];
+    this.active = new Map();
+    this.loading = null;
+    this.isRunning = false;
+    this.timer = null;
+    this.saveQueue = new SaveQueue();
+    this.latencies = [];
+    this.stats = {
+      received: 0,
+      processed: 0,
+      retried: 0,
+      dropped: 0
+    };
+  }
+
+  /**
+   * 永続化されたイベントを読み込む（初回のみ）
+   * 起動完了前に届いたイベントも、保存済みのイベントを上書きしないよう読み込み後に追加する
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.store.load().then((saved) => {
+        const pending = Array.isArray(saved?.items) ? saved.items : [];
+        this.queue = [...pending, ...this.queue];
+        if (pending.length > 0) {
+          logger.info('Inbound LINE events restored', { count: pending.length });
+        }
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * イベントを保存してキューに追加（保存が完了してから応答すること）
+   * @param {Array<Object>} events - LINE Webhookイベント
+   * @returns {number} 追加した件数
+   */
+  async enqueue(events) {
+    await this.load();
+
+    const receivedAt = new Date(this.now()).toISOString();
+    for (const event of events) {
+      this.queue.push({
+        id: crypto.randomUUID(),
+        sourceId: getLineSourceId(event.source) || 'unknown',
+        event,
+        receivedAt,
+        attempts: 0,
+        nextAttemptAt: receivedAt,
+        lastError: null
+      });
+    }
+    this.stats.received += events.length;
+
+    await this.persist();
+    this.pump();
+    return events.length;
+  }
+
+  /**
+   * 指定したWebhookイベントが処理待ち・処理中として残っているか
+   * @param {string} webhookEventId - WebhookイベントID
+   */
+  async hasEvent(webhookEventId) {
+    await this.load();
+    return this.queue.some(item => item.event?.webhookEventId === webhookEventId);
+  }
+
+  /**
+   * 処理を開始（MessageBridgeの初期化後に呼ぶ）
+   */
+  async start() {
+    await this.load();
+    this.isRunning = true;
+    this.pump();
+  }
+
+  /**
+   * 処理中でない送信元の先頭イベントを、並行数の上限まで処理に回す
+   */
+  pump() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    const now = this.now();
+    const seen = new Set();
+    let nextAttemptAt = null;
+
+    for (const item of this.queue) {
+      if (this.active.size >= this.concurrency) {
+        break;
+      }
+      if (seen.has(item.sourceId) || this.active.has(item.sourceId)) {
+        continue;
+      }
+      seen.add(item.sourceId);
+
+      const dueAt = new Date(item.nextAttemptAt).getTime();
+      if (dueAt > now) {
+        nextAttemptAt = nextAttemptAt === null ? dueAt : Math.min(nextAttemptAt, dueAt);
+        continue;
+      }
+
+      const processing = this.processItem(item).finally(() => {
+        this.active.delete(item.sourceId);
+        this.pump();
+      });
+      this.active.set(item.sourceId, processing);
+    }
+
+    this.scheduleRetry(nextAttemptAt);
+  }
+
+  async processItem(item) {
+    const startedAt = this.now();
+    try {
+      await this.handler(item.event);
+    } catch (error) {
+      await this.handleFailure(item, error);
+      return;
+    }
+
+    this.removeItem(item);
+    this.stats.processed++;
+    this.recordLatency(new Date(item.receivedAt).getTime(), startedAt);
+    await this.persist().catch((error) => {
+      logger.error('Failed to persist inbound LINE event queue', { error: error.message });
+    });
+  }
+
+  async handleFailure(item, error) {
+    item.attempts++;
+    item.lastError = { message: error.message, at: new Date(this.now()).toISOString() };
+
+    if (item.attempts >= this.maxAttempts) {
+      this.removeItem(item);
+      this.stats.dropped++;
+      logger.error('Dropping LINE event after repeated failures', {
+        eventType: item.event?.type,
+        webhookEventId: item.event?.webhookEventId,
+        sourceId: item.sourceId,
+        attempts: item.attempts,
+        error: error.message
+      });
+    } else {
+      item.nextAttemptAt = new Date(this.now() + this.retryDelayMs * 2 ** (item.attempts - 1)).toISOString();
+      this.stats.retried++;
+      logger.warn('LINE event processing failed, will retry', {
+        eventType: item.event?.type,
+        webhookEventId: item.event?.webhookEventId,
+        sourceId: item.sourceId,
+        attempts: item.attempts,
+        nextAttemptAt: item.nextAttemptAt,
+        error: error.message
+      });
+    }
+
+    await this.persist().catch((persistError) => {
+      logger.error('Failed to persist inbound LINE event queue', { error: persistError.message });
+    });
+  }
+
+  scheduleRetry(nextAttemptAt) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (nextAttemptAt === null) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.pump();
+    }, Math.max(0, nextAttemptAt - this.now()));
+    this.timer.unref?.();
+  }
+
+  recordLatency(receivedAt, startedAt) {
+    const finishedAt = this.now();
+    this.latencies.push({
+      queuedMs: startedAt - receivedAt,
+      totalMs: finishedAt - receivedAt
+    });
+    if (this.latencies.length > LATENCY_SAMPLE_SIZE) {
+      this.latencies.shift();
+    }
+  }
+
+  removeItem(item) {
+    this.queue = this.queue.filter(queued => queued.id !== item.id);
+  }
+
+  persist() {
+    return this.saveQueue.run(() => this.store.save({ items: this.queue }));
+  }
+
+  /**
+   * キューの深さと処理遅延（直近の処理分）を取得
+   * @returns {Object} キュー状態
+   */
+  getStatus() {
+    const average = (field) => (this.latencies.length === 0
+      ? null
+      : Math.round(this.latencies.reduce((sum, sample) => sum + sample[field], 0) / this.latencies.length));
+    const oldest = this.queue.reduce((min, item) =>
+      (min === null || item.receivedAt < min ? item.receivedAt : min), null);
+
+    return {
+      queueDepth: this.queue.length,
+      activeSources: this.active.size,
+      concurrency: this.concurrency,
+      oldestEventAgeMs: oldest ? this.now() - new Date(oldest).getTime() : null,
+      latency: {
+        samples: this.latencies.length,
+        averageQueuedMs: average('queuedMs'),
+        averageTotalMs: average('totalMs'),
+        maxTotalMs: this.latencies.length === 0 ? null : Math.max(...this.latencies.map(sample => sample.totalMs))
+      },
+      ...this.stats
+    };
+  }
+
+  /**
+   * 新しい処理を止め、処理中のイベントの完了を待つ
+   * 未処理のイベントは保存されたまま、次回起動時に処理する
+   */
+  async stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await Promise.allSettled(this.active.values());
+    await this.saveQueue.flush();
+  }
+}
+
+module.exports = InboundEventQueue;
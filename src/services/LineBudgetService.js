@@ -0,0 +1,335 @@
+/**
+ * LINE送信予算サービス
+ * 送信先（LINEのユーザー/グループ/トーク）ごと・Discordカテゴリごとに月間のPush通数の予算を設け、
+ * 1つの会話が月間上限（lineLimitHandler）を使い切らないようにする
+ * 予算を使い切った送信先にも、スタッフが /bridge budget-override で今月の追加枠を与えられる
+ *
+ * 予算ファイルの形式:
+ *   {
+ *     "defaultPerSource": 30,              // 個別の指定がない送信先の予算（省略時は無制限）
+ *     "sources": { "Cxxxxxxxx": 50 },      // 送信先ごとの予算
+ *     "categories": { "groups": 20 }       // カテゴリ内の全送信先の合計（config.discord.categories のキーまたはカテゴリID）
+ *   }
+ */
+const config = require('../config');
+const logger = require('../utils/logger');
+const { SaveQueue, createStore } = require('../storage');
+const { readJsonFile } = require('../utils/jsonFileStore');
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function createEmptyBudgets() {
+  return { defaultPerSource: null, sources: {}, categories: {} };
+}
+
+function parseLimit(value, field) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${field} must be a non-negative integer`);
+  }
+  return value;
+}
+
+// lineLimitHandler と同じくローカル時刻の月で区切る
+function getUsagePeriod(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * LINE送信予算クラス
+ */
+class LineBudgetService {
+  /**
+   * @param {Object} options
+   * @param {string} options.budgetsFile - 予算ファイルのパス
+   * @param {Object} options.store - 使用数の保存先ストア（テスト用）
+   * @param {Function} options.now - 現在時刻（テスト用）
+   */
+  constructor(options = {}) {
+    this.budgetsFile = options.budgetsFile || config.lineBudget.budgetsFile;
+    this.store = options.store || createStore('line-budget-usage');
+    this.now = options.now || (() => new Date());
+
+    this.budgets = createEmptyBudgets();
+    this.usage = this.createEmptyUsage();
+    this.saveQueue = new SaveQueue();
+    this.stats = {
+      blocked: 0,
+      overridden: 0
+    };
+  }
+
+  createEmptyUsage() {
+    return {
+      period: getUsagePeriod(this.now()),
+      sources: {},
+      categories: {},
+      overrides: {}
+    };
+  }
+
+  /**
+   * 予算ファイルと今月の使用数を読み込み
+   * 予算ファイルがない、または不正な場合は予算なし（月間上限のみ）として扱う
+   */
+  async initialize() {
+    try {
+      this.budgets = await this.loadBudgets();
+      logger.info('LINE budgets loaded', {
+        budgetsFile: this.budgetsFile,
+        defaultPerSource: this.budgets.defaultPerSource,
+        sourceBudgets: Object.keys(this.budgets.sources).length,
+        categoryBudgets: Object.keys(this.budgets.categories).length
+      });
+    } catch (error) {
+      this.budgets = createEmptyBudgets();
+      logger.error('Failed to load LINE budgets, sending without budgets', {
+        budgetsFile: this.budgetsFile,
+        error: error.message
+      });
+    }
+
+    const saved = await this.store.load();
+    if (saved?.period === this.usage.period) {
+      this.usage = {
+        ...this.usage,
+        sources: saved.sources || {},
+        categories: saved.categories || {},
+        overrides: saved.overrides || {}
+      };
+    }
+  }
+
+  /**
+   * 予算ファイルを読み込んで検証
+   * @returns {Object} { defaultPerSource, sources, categories }
+   */
+  async loadBudgets() {
+    let data;
+    try {
+      data = await readJsonFile(this.budgetsFile);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return createEmptyBudgets();
+      }
+      throw error;
+    }
+
+    if (!isPlainObject(data)) {
+      throw new Error('LINE budgets file must contain an object');
+    }
+
+    const budgets = createEmptyBudgets();
+    if (data.defaultPerSource !== undefined && data.defaultPerSource !== null) {
+      budgets.defaultPerSource = parseLimit(data.defaultPerSource, 'defaultPerSource');
+    }
+
+    for (const field of ['sources', 'categories']) {
+      const entries = data[field] ?? {};
+      if (!isPlainObject(entries)) {
+        throw new Error(`${field} must be an object`);
+      }
+      for (const [key, limit] of Object.entries(entries)) {
+        budgets[field][key] = parseLimit(limit, `${field}.${key}`);
+      }
+    }
+
+    return budgets;
+  }
+
+  /**
+   * 月が変わっていれば使用数と追加枠をリセット
+   */
+  rollOver() {
+    const period = getUsagePeriod(this.now());
+    if (this.usage.period === period) {
+      return;
+    }
+
+    this.usage = this.createEmptyUsage();
+    this.persistInBackground();
+    logger.info('LINE budget usage reset', { period });
+  }
+
+  /**
+   * カテゴリIDに対応する予算のキーを取得
+   * キーは config.discord.categories のキーまたはカテゴリID
+   * @param {string|null} categoryId - DiscordカテゴリID
+   * @returns {string|null} 予算のキー
+   */
+  findCategoryBudgetKey(categoryId) {
+    if (!categoryId) {
+      return null;
+    }
+
+    for (const category of Object.keys(this.budgets.categories)) {
+      const configuredId = config.discord.categories[category];
+      if (category === categoryId || (configuredId && configuredId === categoryId)) {
+        return category;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 送信先に適用される予算と今月の使用数
+   * @param {string} sourceId - LINEのソースID
+   * @param {string|null} categoryId - 送信先チャンネルのDiscordカテゴリID
+   * @returns {Array<Object>} { scope: source / category, key, limit, used }
+   */
+  getApplicableBudgets(sourceId, categoryId = null) {
+    this.rollOver();
+    const budgets = [];
+
+    const sourceLimit = this.budgets.sources[sourceId] ?? this.budgets.defaultPerSource;
+    if (Number.isInteger(sourceLimit)) {
+      budgets.push({
+        scope: 'source',
+        key: sourceId,
+        limit: sourceLimit,
+        used: this.usage.sources[sourceId] || 0
+      });
+    }
+
+    const categoryKey = this.findCategoryBudgetKey(categoryId);
+    if (categoryKey) {
+      budgets.push({
+        scope: 'category',
+        key: categoryKey,
+        limit: this.budgets.categories[categoryKey],
+        used: this.usage.categories[categoryId] || 0
+      });
+    }
+
+    return budgets;
+  }
+
+  findExceededBudget(sourceId, categoryId) {
+    return this.getApplicableBudgets(sourceId, categoryId).find(budget => budget.used >= budget.limit) || null;
+  }
+
+  getOverride(sourceId) {
+    this.rollOver();
+    return this.usage.overrides[sourceId] || null;
+  }
+
+  /**
+   * 送信してよいか判定
+   * @param {string} sourceId - LINEのソースID
+   * @param {string|null} categoryId - 送信先チャンネルのDiscordカテゴリID
+   * @returns {Object} { allowed, budget: 使い切った予算, overridden, reason }
+   */
+  check(sourceId, categoryId = null) {
+    const exceeded = this.findExceededBudget(sourceId, categoryId);
+    if (!exceeded) {
+      return { allowed: true, budget: null, overridden: false, reason: null };
+    }
+
+    if (this.getOverride(sourceId)?.remaining > 0) {
+      return { allowed: true, budget: exceeded, overridden: true, reason: null };
+    }
+
+    this.stats.blocked++;
+    return {
+      allowed: false,
+      budget: exceeded,
+      overridden: false,
+      reason: exceeded.scope === 'source'
+        ? `この送信先の今月の送信枠（${exceeded.limit}通）を使い切りました`
+        : `カテゴリ「${exceeded.key}」の今月の送信枠（${exceeded.limit}通）を使い切りました`
+    };
+  }
+
+  /**
+   * Push送信を記録
+   * 予算を超えた分は追加枠から差し引く
+   * @param {string} sourceId - LINEのソースID
+   * @param {string|null} categoryId - 送信先チャンネルのDiscordカテゴリID
+   */
+  recordSent(sourceId, categoryId = null) {
+    const override = this.findExceededBudget(sourceId, categoryId) ? this.getOverride(sourceId) : null;
+    if (override?.remaining > 0) {
+      override.remaining--;
+      this.stats.overridden++;
+      if (override.remaining === 0) {
+        delete this.usage.overrides[sourceId];
+      }
+    }
+
+    this.usage.sources[sourceId] = (this.usage.sources[sourceId] || 0) + 1;
+    if (categoryId) {
+      this.usage.categories[categoryId] = (this.usage.categories[categoryId] || 0) + 1;
+    }
+    this.persistInBackground();
+  }
+
+  /**
+   * 送信先に今月の追加枠を設定（0で解除）
+   * @param {string} sourceId - LINEのソースID
+   * @param {number} messages - 予算を超えて送れる通数
+   * @param {string|null} grantedBy - 設定したDiscordユーザーID
+   * @returns {Object|null} 設定した追加枠
+   */
+  async setOverride(sourceId, messages, grantedBy = null) {
+    parseLimit(messages, 'messages');
+    this.rollOver();
+
+    if (messages === 0) {
+      delete this.usage.overrides[sourceId];
+    } else {
+      this.usage.overrides[sourceId] = {
+        remaining: messages,
+        grantedBy,
+        grantedAt: this.now().toISOString()
+      };
+    }
+
+    await this.persist();
+    logger.info('LINE budget override updated', { sourceId, messages, grantedBy });
+    return this.usage.overrides[sourceId] || null;
+  }
+
+  persist() {
+    return this.saveQueue.run(() => this.store.save(this.usage));
+  }
+
+  persistInBackground() {
+    this.persist().catch((error) => {
+      logger.error('Failed to persist LINE budget usage', {
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * 予算の設定と今月の状況
+   * @returns {Object} 予算状況
+   */
+  getStatus() {
+    this.rollOver();
+    const exhaustedSources = Object.keys(this.usage.sources)
+      .filter(sourceId => this.getApplicableBudgets(sourceId).some(budget => budget.used >= budget.limit));
+    const categories = Object.entries(this.budgets.categories).map(([key, limit]) => {
+      const categoryId = config.discord.categories[key] || key;
+      return { key, limit, used: this.usage.categories[categoryId] || 0 };
+    });
+
+    return {
+      period: this.usage.period,
+      defaultPerSource: this.budgets.defaultPerSource,
+      sourceBudgets: Object.keys(this.budgets.sources).length,
+      categories,
+      exhaustedSources,
+      overrides: Object.keys(this.usage.overrides).length,
+      ...this.stats
+    };
+  }
+
+  async stop() {
+    await this.saveQueue.flush();
+  }
+}
+
+module.exports = LineBudgetService;
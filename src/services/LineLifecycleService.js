@@ -0,0 +1,238 @@
+/**
+ * LINEライフサイクルイベントサービス
+ * 友だち追加/ブロック、グループ参加/退出などのイベントをDiscordチャンネルの状態に反映
+ */
+const logger = require('../utils/logger');
+const { getLineSourceId } = require('../utils/lineSource');
+
+const INACTIVE_SOURCE_NOTICES = {
+  unfollow: '⚠️ このLINEユーザーはBotをブロックしているため、メッセージはLINEに送信されませんでした。',
+  leave: '⚠️ BotはこのLINEグループ/トークから退出しているため、メッセージはLINEに送信されませんでした。'
+};
+
+const DEFAULT_INACTIVE_SOURCE_NOTICE = '⚠️ このLINEトークは現在無効なため、メッセージはLINEに送信されませんでした。';
+
+/**
+ * LINEライフサイクルイベント処理クラス
+ */
+class LineLifecycleService {
+  constructor({ channelManager, discordService, lineService }) {
+    this.channelManager = channelManager;
+    this.discordService = discordService;
+    this.lineService = lineService;
+  }
+
+  /**
+   * 友だち追加（ブロック解除）イベントを処理
+   * @param {Object} event - LINE followイベント
+   */
+  async handleFollow(event) {
+    const sourceId = event.source.userId;
+    const wasInactive = !this.channelManager.isSourceActive(sourceId);
+
+    const mapping = await this.channelManager.getOrCreateChannel(sourceId);
+    if (!mapping) return;
+
+    await this.channelManager.activateSource(sourceId);
+
+    await this.postSystemNotice(
+      mapping.discordChannelId,
+      wasInactive
+        ? '✅ LINEユーザーがブロックを解除しました。Discordからのメッセージ送信を再開します。'
+        : '✅ LINEユーザーが友だち追加しました。'
+    );
+
+    logger.info('LINE follow event bridged', {
+      sourceId,
+      discordChannelId: mapping.discordChannelId,
+      wasInactive
+    });
+  }
+
+  /**
+   * ブロックイベントを処理
+   * @param {Object} event - LINE unfollowイベント
+   */
+  async handleUnfollow(event) {
+    const sourceId = event.source.userId;
+    const mapping = this.channelManager.getChannelMapping(sourceId);
+    if (!mapping) {
+      logger.info('LINE unfollow event ignored, no channel mapping', { sourceId });
+      return;
+    }
+
+    await this.postSystemNotice(
+      mapping.discordChannelId,
+      '🚫 LINEユーザーがBotをブロックしました。ブロックが解除されるまで、このチャンネルからのメッセージはLINEに送信されません。'
+    );
+
+    await this.channelManager.deactivateSource(sourceId, 'unfollow');
+
+    logger.info('LINE unfollow event bridged', {
+      sourceId,
+      discordChannelId: mapping.discordChannelId
+    });
+  }
+
+  /**
+   * グループ/複数人トーク参加イベントを処理
+   * @param {Object} event - LINE joinイベント
+   */
+  async handleJoin(event) {
+    const sourceId = getLineSourceId(event.source);
+    const wasInactive = !this.channelManager.isSourceActive(sourceId);
+
+    const mapping = await this.channelManager.getOrCreateChannel(sourceId);
+    if (!mapping) return;
+
+    await this.channelManager.activateSource(sourceId);
+
+    await this.postSystemNotice(
+      mapping.discordChannelId,
+      wasInactive
+        ? '📥 BotがLINEグループ/トークに再参加しました。Discordからのメッセージ送信を再開します。'
+        : '📥 BotがLINEグループ/トークに参加しました。'
+    );
+
+    logger.info('LINE join event bridged', {
+      sourceId,
+      discordChannelId: mapping.discordChannelId,
+      wasInactive
+    });
+  }
+
+  /**
+   * グループ/複数人トーク退出イベントを処理
+   * @param {Object} event - LINE leaveイベント
+   */
+  async handleLeave(event) {
+    const sourceId = getLineSourceId(event.source);
+    const mapping = this.channelManager.getChannelMapping(sourceId);
+    if (!mapping) {
+      logger.info('LINE leave event ignored, no channel mapping', { sourceId });
+      return;
+    }
+
+    await this.postSystemNotice(
+      mapping.discordChannelId,
+      '📤 BotがLINEグループ/トークから退出しました。再度招待されるまで、このチャンネルからのメッセージはLINEに送信されません。'
+    );
+
+    await this.channelManager.deactivateSource(sourceId, 'leave');
+
+    logger.info('LINE leave event bridged', {
+      sourceId,
+      discordChannelId: mapping.discordChannelId
+    });
+  }
+
+  /**
+   * メンバー参加イベントを処理
+   * @param {Object} event - LINE memberJoinedイベント
+   */
+  async handleMemberJoined(event) {
+    const sourceId = getLineSourceId(event.source);
+    const mapping = await this.channelManager.getOrCreateChannel(sourceId);
+    if (!mapping) return;
+
+    const members = event.joined?.members || [];
+    const names = await this.resolveMemberNames(sourceId, members);
+
+    await this.postSystemNotice(
+      mapping.discordChannelId,
+      `👋 メンバーが参加しました: ${names.join(', ')}`
+    );
+
+    logger.info('LINE memberJoined event bridged', {
+      sourceId,
+      discordChannelId: mapping.discordChannelId,
+      memberCount: members.length
+    });
+  }
+
+  /**
+   * メンバー退出イベントを処理
+   * @param {Object} event - LINE memberLeftイベント
+   */
+  async handleMemberLeft(event) {
+    const sourceId = getLineSourceId(event.source);
+    const mapping = this.channelManager.getChannelMapping(sourceId);
+    if (!mapping) {
+      logger.info('LINE memberLeft event ignored, no channel mapping', { sourceId });
+      return;
+    }
+
+    const members = event.left?.members || [];
+    const names = await this.resolveMemberNames(sourceId, members);
+
+    await this.postSystemNotice(
+      mapping.discordChannelId,
+      `👋 メンバーが退出しました: ${names.join(', ')}`
+    );
+
+    logger.info('LINE memberLeft event bridged', {
+      sourceId,
+      discordChannelId: mapping.discordChannelId,
+      memberCount: members.length
+    });
+  }
+
+  /**
+   * メンバーの表示名を取得
+   * 退出済みメンバーなどプロフィールを取得できない場合はユーザーIDの先頭で代替
+   * @param {string} sourceId - LINEのソースID
+   * @param {Array} members - メンバー配列（{ type, userId }）
+   * @returns {Array<string>} 表示名配列
+   */
+  async resolveMemberNames(sourceId, members) {
+    return Promise.all(members.map(async (member) => {
+      const fallbackName = `不明なユーザー (${(member.userId || '').substring(0, 8)})`;
+      if (!member.userId) {
+        return fallbackName;
+      }
+
+      try {
+        const profile = await this.lineService.getMemberProfile(sourceId, member.userId);
+        return profile?.displayName || fallbackName;
+      } catch (error) {
+        logger.debug('Failed to get member profile for roster notice', {
+          sourceId,
+          userId: member.userId,
+          error: error.message
+        });
+        return fallbackName;
+      }
+    }));
+  }
+
+  /**
+   * 非アクティブなソースへの送信を拒否する際の説明文を取得
+   * @param {string} sourceId - LINEのソースID
+   * @returns {string} 説明文
+   */
+  getInactiveSourceNotice(sourceId) {
+    const mapping = this.channelManager.getChannelMapping(sourceId);
+    return INACTIVE_SOURCE_NOTICES[mapping?.inactiveReason] || DEFAULT_INACTIVE_SOURCE_NOTICE;
+  }
+
+  /**
+   * チャンネルにシステム通知を投稿
+   * @param {string} channelId - DiscordチャンネルID
+   * @param {string} content - 通知内容
+   */
+  async postSystemNotice(channelId, content) {
+    try {
+      await this.discordService.sendMessage(channelId, {
+        content,
+        allowedMentions: { parse: [] }
+      });
+    } catch (error) {
+      logger.warn('Failed to post LINE lifecycle notice', {
+        channelId,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = LineLifecycleService;
@@ -0,0 +1,208 @@
+/**
+ * LINE送信の優先度ポリシー
+ * 月間上限に達した後も送るメッセージを、ルールファイルの条件で決める
+ * 一致したメッセージは緊急枠（lineLimitHandler の emergencyPool）から送信する
+ *
+ * ルールは上から順に評価し、最初に一致したものを採用する。
+ * 1つのルール内に複数の条件がある場合はすべてを満たしたときに一致とする。
+ */
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJsonFile } = require('../utils/jsonFileStore');
+
+// ルールファイルがない場合の既定ルール（明示的な緊急マーカーと、緊急を示すキーワードを含むテキスト）
+const DEFAULT_RULES = [
+  { name: 'urgent marker', match: { marker: true } },
+  {
+    name: 'urgent keywords',
+    match: {
+      messageTypes: ['text'],
+      keywords: ['緊急', 'urgent', 'help', '助けて', 'エラー', 'error', '重要']
+    }
+  }
+];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Discordのテキストから緊急マーカー（既定は !urgent）を取り除く
+ * @param {string} text - Discordメッセージの本文
+ * @param {string} marker - 緊急マーカー（空文字で無効）
+ * @returns {Object} { text: マーカーを除いた本文, marked: マーカーがあったか }
+ */
+function extractPriorityMarker(text, marker = config.linePriority.marker) {
+  if (!marker || !text) {
+    return { text: text || '', marked: false };
+  }
+
+  const pattern = new RegExp(`(^|\\s)${escapeRegExp(marker)}(?=\\s|$)`, 'gi');
+  const stripped = text.replace(pattern, '$1');
+  if (stripped === text) {
+    return { text, marked: false };
+  }
+
+  return { text: stripped.replace(/[ \t]{2,}/g, ' ').trim(), marked: true };
+}
+
+/**
+ * 優先度ポリシークラス
+ */
+class LinePriorityPolicy {
+  constructor(rulesFile = config.linePriority.rulesFile) {
+    this.rulesFile = rulesFile;
+    this.rules = DEFAULT_RULES.map((rule, index) => this.compileRule(rule, index));
+    this.recipientTags = {};
+  }
+
+  /**
+   * ルールファイルを読み込み
+   * ファイルがない、または不正な場合は既定ルールを使う
+   */
+  async initialize() {
+    try {
+      const { rules, recipientTags } = await this.loadConfig();
+      this.rules = rules;
+      this.recipientTags = recipientTags;
+      logger.info('LINE priority rules loaded', {
+        rulesFile: this.rulesFile,
+        ruleCount: this.rules.length
+      });
+    } catch (error) {
+      this.rules = DEFAULT_RULES.map((rule, index) => this.compileRule(rule, index));
+      this.recipientTags = {};
+      logger.error('Failed to load LINE priority rules, using default rules', {
+        rulesFile: this.rulesFile,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ルールファイルを読み込んで検証
+   * @returns {Object} { rules: 検証済みのルール, recipientTags: タグごとのLINE ID }
+   */
+  async loadConfig() {
+    let data;
+    try {
+      data = await readJsonFile(this.rulesFile);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {
+          rules: DEFAULT_RULES.map((rule, index) => this.compileRule(rule, index)),
+          recipientTags: {}
+        };
+      }
+      throw error;
+    }
+
+    const rules = Array.isArray(data) ? data : data?.rules;
+    if (!Array.isArray(rules)) {
+      throw new Error('Priority rules file must contain a "rules" array');
+    }
+
+    const recipientTags = data.recipientTags || {};
+    for (const [tag, lineIds] of Object.entries(recipientTags)) {
+      if (!Array.isArray(lineIds)) {
+        throw new Error(`recipientTags.${tag} must be an array of LINE IDs`);
+      }
+    }
+
+    return {
+      rules: rules.map((rule, index) => this.compileRule(rule, index)),
+      recipientTags
+    };
+  }
+
+  /**
+   * ルールを検証し、評価しやすい形に変換
+   * @param {Object} rule - ルール定義
+   * @param {number} index - ルールの位置
+   * @returns {Object} 変換済みルール
+   */
+  compileRule(rule, index) {
+    const name = rule?.name || `rule-${index + 1}`;
+    const match = rule?.match || {};
+
+    for (const field of ['messageTypes', 'keywords', 'senderRoleIds', 'recipientTags']) {
+      if (match[field] !== undefined && !Array.isArray(match[field])) {
+        throw new Error(`${field} in priority rule "${name}" must be an array`);
+      }
+    }
+    if (Object.keys(match).length === 0) {
+      throw new Error(`Priority rule "${name}" has no conditions`);
+    }
+
+    return {
+      name,
+      marker: match.marker === true,
+      messageTypes: match.messageTypes || null,
+      keywords: match.keywords ? match.keywords.map(keyword => keyword.toLowerCase()) : null,
+      senderRoleIds: match.senderRoleIds || null,
+      recipientTags: match.recipientTags || null
+    };
+  }
+
+  /**
+   * 送信先のタグ（recipientTags での指定と、チャンネル作成時に一致したルーティングルール名）
+   * @param {Object} context - { sourceId, routingRule }
+   * @returns {Array<string>} タグ
+   */
+  getRecipientTags({ sourceId, routingRule }) {
+    const tags = Object.entries(this.recipientTags)
+      .filter(([, lineIds]) => lineIds.includes(sourceId))
+      .map(([tag]) => tag);
+    if (routingRule) {
+      tags.push(routingRule);
+    }
+    return tags;
+  }
+
+  /**
+   * 月間上限後も送るべきメッセージか判定
+   * @param {Object} message - LINEメッセージ
+   * @param {Object} context - { sourceId, routingRule, senderRoleIds, marked }
+   * @returns {string|null} 一致したルール名
+   */
+  evaluate(message, context = {}) {
+    const rule = this.rules.find(candidate => this.matchesRule(candidate, message, context));
+    return rule ? rule.name : null;
+  }
+
+  matchesRule(rule, message, context) {
+    if (rule.marker && !context.marked) {
+      return false;
+    }
+
+    if (rule.messageTypes && !rule.messageTypes.includes(message.type)) {
+      return false;
+    }
+
+    if (rule.keywords) {
+      const text = message.type === 'text' ? message.text.toLowerCase() : '';
+      if (!rule.keywords.some(keyword => text.includes(keyword))) {
+        return false;
+      }
+    }
+
+    if (rule.senderRoleIds) {
+      const senderRoleIds = context.senderRoleIds || [];
+      if (!rule.senderRoleIds.some(roleId => senderRoleIds.includes(roleId))) {
+        return false;
+      }
+    }
+
+    if (rule.recipientTags) {
+      const tags = this.getRecipientTags(context);
+      if (!rule.recipientTags.some(tag => tags.includes(tag))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+}
+
+module.exports = LinePriorityPolicy;
+module.exports.extractPriorityMarker = extractPriorityMarker;
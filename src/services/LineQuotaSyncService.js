@@ -0,0 +1,123 @@
+/**
+ * LINE通数同期サービス
+ * LINEのquota/consumption APIから今月の上限と送信数を定期的に取得し、
+ * lineLimitHandler のローカルカウンターを実績値に合わせる
+ */
+const config = require('../config');
+const logger = require('../utils/logger');
+const lineLimitHandler = require('../middleware/lineLimitHandler');
+
+class LineQuotaSyncService {
+  /**
+   * @param {Object} lineService - LineService
+   * @param {Object} options
+   * @param {Object} options.limitHandler - 同期先の LineLimitHandler（テスト用）
+   * @param {number} options.intervalMs - 同期間隔（0で定期同期しない）
+   * @param {Function} options.now - 現在時刻（テスト用）
+   */
+  constructor(lineService, options = {}) {
+    this.lineService = lineService;
+    this.limitHandler = options.limitHandler || lineLimitHandler;
+    this.intervalMs = options.intervalMs ?? config.lineQuota.syncIntervalMinutes * 60 * 1000;
+    this.now = options.now || (() => new Date());
+    this.timer = null;
+    this.lastSync = null;
+    this.lastError = null;
+  }
+
+  /**
+   * 起動時に1回同期し、以降は定期的に同期
+   */
+  async start() {
+    if (!this.intervalMs || this.intervalMs <= 0 || this.timer) {
+      return;
+    }
+
+    await this.sync().catch(() => {
+      // sync がログを出すので次回の実行で再試行する
+    });
+
+    this.timer = setInterval(() => {
+      this.sync().catch(() => {});
+    }, this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * LINEの上限と送信数を取得してローカルカウンターに反映
+   * @returns {Object} 同期結果
+   */
+  async sync() {
+    try {
+      const [quota, consumption] = await Promise.all([
+        this.lineService.getMessageQuota(),
+        this.lineService.getMessageQuotaConsumption()
+      ]);
+
+      const planLimit = quota?.type === 'limited' && Number.isInteger(quota.value) ? quota.value : null;
+      const consumed = consumption?.totalUsage;
+      if (!Number.isInteger(consumed)) {
+        throw new Error('LINE quota consumption response has no totalUsage');
+      }
+
+      const { previousCount, monthlyCount, maxMonthlyMessages } = this.limitHandler.reconcileUsage({
+        consumed,
+        planLimit
+      });
+
+      this.lastSync = {
+        syncedAt: this.now().toISOString(),
+        quotaType: quota?.type || null,
+        planLimit,
+        remoteCount: consumed,
+        localCount: previousCount,
+        // ローカルの推定と実績の差（負なら他の経路からの送信をブリッジが数えていなかった）
+        drift: previousCount - consumed,
+        maxMonthlyMessages
+      };
+      this.lastError = null;
+
+      logger.info('LINE quota synced', {
+        planLimit,
+        remoteCount: monthlyCount,
+        localCount: previousCount,
+        drift: this.lastSync.drift
+      });
+
+      return this.lastSync;
+    } catch (error) {
+      this.lastError = {
+        message: error.message,
+        at: this.now().toISOString()
+      };
+      logger.warn('Failed to sync LINE quota', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  getStatus() {
+    const limitStatus = this.limitHandler.getLimitStatus();
+    return {
+      enabled: this.intervalMs > 0,
+      intervalMs: this.intervalMs,
+      localCount: limitStatus.monthlyCount,
+      maxMonthlyMessages: limitStatus.maxMonthlyMessages,
+      remoteCount: this.lastSync?.remoteCount ?? null,
+      planLimit: this.lastSync?.planLimit ?? null,
+      drift: this.lastSync?.drift ?? null,
+      lastSyncedAt: this.lastSync?.syncedAt || null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = LineQuotaSyncService;
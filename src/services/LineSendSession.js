@@ -1,10 +1,94 @@
 /**
  * Per-Discord-message LINE send state.
  */
+const crypto = require('crypto');
+
+/**
+ * Formats a hash of the seed as a UUID, the format LINE requires for X-Line-Retry-Key.
+ */
+function createRetryKey(seed) {
+  const hex = crypto.createHash('sha256').update(seed).digest('hex').slice(0, 32).split('');
+  hex[12] = '5';
+  hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  const key = hex.join('');
+  return `${key.slice(0, 8)}-${key.slice(8, 12)}-${key.slice(12, 16)}-${key.slice(16, 20)}-${key.slice(20)}`;
+}
+
 class LineSendSession {
-  constructor(context = {}) {
+  /**
+   * @param {Object} context - reply/quote context resolved from the Discord message
+   * @param {Object} origin - { discordMessageId, discordChannelId, editedTimestamp } used for retries and delivery status
+   * @param {Object} priority - { senderRoleIds, marked } matched by the priority policy after the monthly limit
+   */
+  constructor(context = {}, origin = {}, priority = {}) {
     this.context = { ...context };
+    this.origin = { ...origin };
+    this.priority = { ...priority };
     this.replyTokenConsumed = false;
+    this.deliveredCount = 0;
+    this.queuedCount = 0;
+    this.retryKeyCounts = new Map();
+    this.blockedReason = null;
+    this.emergencyRules = [];
+  }
+
+  /**
+   * Retry key for the next push. Keys derive from the Discord message ID, the pushed content and how
+   * often that content was pushed before for the same message, so they do not depend on which earlier
+   * pushes went out as replies or were skipped. Sending the same Discord message again reuses them and
+   * LINE drops the duplicate. Corrections for an edit also include the edit time, so editing a message back
+   * to earlier text still sends a new correction.
+   * @param {Object} message - LINE message about to be pushed
+   * @returns {string} UUID for X-Line-Retry-Key
+   */
+  nextRetryKey(message = null) {
+    if (!this.origin.discordMessageId) {
+      return crypto.randomUUID();
+    }
+
+    const content = crypto.createHash('sha256').update(JSON.stringify(message)).digest('hex');
+    const occurrence = this.retryKeyCounts.get(content) || 0;
+    this.retryKeyCounts.set(content, occurrence + 1);
+    const revision = this.origin.editedTimestamp ? `@${this.origin.editedTimestamp}` : '';
+    return createRetryKey(`${this.origin.discordMessageId}${revision}:${content}:${occurrence}`);
+  }
+
+  recordDelivered() {
+    this.deliveredCount++;
+  }
+
+  recordQueued() {
+    this.queuedCount++;
+  }
+
+  /**
+   * A push was refused by a send budget; the reason is shown on the Discord message.
+   */
+  recordBlocked(reason) {
+    this.blockedReason = reason;
+  }
+
+  /**
+   * A push went out from the emergency pool because a priority rule matched.
+   */
+  recordEmergencySend(rule) {
+    if (!this.emergencyRules.includes(rule)) {
+      this.emergencyRules.push(rule);
+    }
+  }
+
+  /**
+   * failed is also reported by the caller when sending throws.
+   * @returns {string|null} delivered / retrying / failed, or null when nothing was tracked (e.g. batched sends)
+   */
+  getDeliveryStatus() {
+    if (this.blockedReason) {
+      return 'failed';
+    }
+    if (this.queuedCount > 0) {
+      return 'retrying';
+    }
+    return this.deliveredCount > 0 ? 'delivered' : null;
   }
 
   claimReplyToken() {
@@ -2,10 +2,12 @@
  * LINE Bot API サービス
  * LINE Bot SDKを使用したLINE API操作を管理
  */
+const axios = require('axios');
 const { Client } = require('@line/bot-sdk');
 const config = require('../config');
 const logger = require('../utils/logger');
 const { sleep } = require('../utils/async');
+const { getLineSourceType } = require('../utils/lineSource');
 
 /**
  * LINEサービスクラス
@@ -16,6 +18,7 @@ class LineService {
       channelAccessToken: config.line.channelAccessToken,
       channelSecret: config.line.channelSecret
     });
+    this.quotaApiBaseUrl = config.line.quotaApiBaseUrl;
     
     // レート制限管理
     this.rateLimitInfo = {
@@ -77,7 +80,7 @@ class LineService {
         lastError = error;
         
         // 429エラー（レート制限）の場合
-        if (error.status === 429 || (error.response && error.response.status === 429)) {
+        if (this.getErrorStatus(error) === 429) {
           const retryAfter = error.response?.headers?.['retry-after'] || Math.pow(2, attempt) * 1000;
           logger.warn('Rate limit hit, retrying after delay', {
             attempt,
@@ -101,15 +104,23 @@ class LineService {
 
   /**
    * メッセージを送信
+   * retryKey を指定すると X-Line-Retry-Key を付けて送信し、同じキーの再送はLINE側で重複排除される
+   * 受付済みのキー（409）は成功として扱い、duplicate: true と応答の sentMessages から取り出した messageId / quoteToken を返す
    * @param {string} userId - ユーザーID
    * @param {Object|Array} messages - メッセージ
+   * @param {Object} options
+   * @param {string} options.retryKey - リトライキー（UUID）
    * @returns {Object} 送信結果
    */
-  async pushMessage(userId, messages) {
+  async pushMessage(userId, messages, { retryKey = null } = {}) {
     try {
       const messageArray = Array.isArray(messages) ? messages : [messages];
       
       const rawResult = await this.executeWithRetry(async () => {
+        // リクエストオプションは1リクエストで消えるため、試行ごとに設定する
+        if (retryKey) {
+          this.client.setRequestOptionOnce({ retryKey });
+        }
         return await this.client.pushMessage(userId, messageArray);
       });
       const result = this.normalizeSendResult(rawResult);
@@ -122,6 +133,25 @@ class LineService {
       
       return result;
     } catch (error) {
+      if (retryKey && this.getErrorStatus(error) === 409) {
+        const acceptedRequestId = this.getResponseHeader(error, 'x-line-accepted-request-id');
+        // 409 の応答本文には受け付けた時の sentMessages（id / quoteToken）が入っている
+        const sentMessages = this.getResponseData(error)?.sentMessages;
+        const result = {
+          ...this.normalizeSendResult(sentMessages ? { sentMessages } : null),
+          duplicate: true,
+          retryKey,
+          acceptedRequestId
+        };
+        logger.info('LINE push already accepted for retry key', {
+          userId,
+          retryKey,
+          acceptedRequestId,
+          messageId: result.messageId
+        });
+        return result;
+      }
+
       logger.error('Failed to send LINE message', {
         userId,
         error: error.message,
@@ -220,6 +250,50 @@ class LineService {
     }
   }
 
+  /**
+   * 複数人トークのメンバープロフィールを取得
+   * @param {string} roomId - ルームID
+   * @param {string} userId - ユーザーID
+   * @returns {Object} プロフィール
+   */
+  async getRoomMemberProfile(roomId, userId) {
+    try {
+      const profile = await this.executeWithRetry(async () => {
+        return await this.client.getRoomMemberProfile(roomId, userId);
+      });
+      
+      logger.debug('LINE room member profile retrieved', {
+        roomId,
+        userId,
+        displayName: profile.displayName
+      });
+      
+      return profile;
+    } catch (error) {
+      logger.error('Failed to get LINE room member profile', {
+        roomId,
+        userId,
+        error: error.message,
+        status: this.getErrorStatus(error)
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * グループ/複数人トークのメンバープロフィールを取得
+   * @param {string} sourceId - グループIDまたはルームID
+   * @param {string} userId - ユーザーID
+   * @returns {Object} プロフィール
+   */
+  async getMemberProfile(sourceId, userId) {
+    if (getLineSourceType(sourceId) === 'room') {
+      return this.getRoomMemberProfile(sourceId, userId);
+    }
+
+    return this.getGroupMemberProfile(sourceId, userId);
+  }
+
   /**
    * グループ情報を取得
    * @param {string} groupId - グループID
@@ -295,6 +369,12 @@ class LineService {
           event.source.userId
         );
         return profile.displayName || 'Unknown User';
+      } else if (event.source.roomId) {
+        const profile = await this.getRoomMemberProfile(
+          event.source.roomId,
+          event.source.userId
+        );
+        return profile.displayName || 'Unknown User';
       } else {
         const profile = await this.getUserProfile(event.source.userId);
         return profile.displayName || 'Unknown User';
@@ -420,8 +500,58 @@ class LineService {
     };
   }
 
+  /**
+   * 今月の送信上限を取得
+   * @returns {Object} { type: 'none' | 'limited', value }
+   */
+  async getMessageQuota() {
+    return this.getBotApi('/v2/bot/message/quota');
+  }
+
+  /**
+   * 今月の送信数（LINE Official Account Manager やマルチキャストの分を含む）を取得
+   * @returns {Object} { totalUsage }
+   */
+  async getMessageQuotaConsumption() {
+    return this.getBotApi('/v2/bot/message/quota/consumption');
+  }
+
+  /**
+   * LINE_QUOTA_API_BASE_URL に対してGETリクエストを送る
+   * SDKは接続先が固定のため、接続先を差し替えたいAPI（月間通数の取得）はここから呼ぶ
+   * @param {string} pathname - APIのパス
+   */
+  async getBotApi(pathname) {
+    try {
+      const response = await this.executeWithRetry(() => axios.get(`${this.quotaApiBaseUrl}${pathname}`, {
+        headers: { Authorization: `Bearer ${config.line.channelAccessToken}` },
+        timeout: 10000
+      }));
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to call LINE API', {
+        path: pathname,
+        error: error.message,
+        status: this.getErrorStatus(error)
+      });
+      throw error;
+    }
+  }
+
   getErrorStatus(error) {
-    return error.status || error.response?.status || null;
+    return error.status || error.statusCode || error.response?.status || error.originalError?.response?.status || null;
+  }
+
+  getResponseHeader(error, name) {
+    return this.getErrorResponse(error)?.headers?.[name] || null;
+  }
+
+  getResponseData(error) {
+    return this.getErrorResponse(error)?.data || null;
+  }
+
+  getErrorResponse(error) {
+    return error.response || error.originalError?.response || null;
   }
 }
 
@@ -1,86 +1,209 @@
 /**
  * LINE API使用量監視サービス
  * 月間メッセージ数の監視とアラート機能
+ * アラートは送信先（Discordの運用チャンネル・ログ・LINE）ごとの閾値とクールダウンで通知する
+ *
+ * チェックのたびにその日の月間送信数を記録し（日ごとの履歴）、直近の送信ペースから
+ * 月間上限に達する日を見込む。リセット日より前に達する見込みなら forecast アラートを送る
+ * 送信先ごとの通知状態も履歴と一緒に保存し、再起動直後に同じアラートを繰り返さない
  */
+const config = require('../config');
 const logger = require('../utils/logger');
+const { SaveQueue, createStore } = require('../storage');
 const lineLimitHandler = require('../middleware/lineLimitHandler');
 
+// 軽い順
+const ALERT_LEVELS = ['warning', 'critical', 'emergency'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// lineLimitHandler と同じくローカル時刻で区切る
+function getDateKey(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
 class LineUsageMonitor {
-  constructor() {
-    this.alertThresholds = {
-      warning: 30,    // 30メッセージ以下で警告
-      critical: 10,   // 10メッセージ以下で重要警告
-      emergency: 5    // 5メッセージ以下で緊急警告
-    };
-    this.alertedLevels = new Set(); // 既にアラートを送信したレベル
-    this.lastAlertTime = 0;
-    this.alertCooldown = 24 * 60 * 60 * 1000; // 24時間のクールダウン
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.sinks - アラートの送信先（alerts/lineUsageAlertSinks の形式）
+   * @param {Object} options.store - 日ごとの履歴と送信先ごとの通知状態の保存先ストア（テスト用）
+   * @param {number} options.retentionDays - 履歴を残す日数
+   * @param {number} options.forecastWindowDays - 見込みの計算に使う直近の日数
+   * @param {Function} options.now - 現在時刻のミリ秒（テスト用）
+   */
+  constructor(options = {}) {
+    this.sinks = options.sinks || [];
+    this.store = options.store || createStore('line-usage-history');
+    this.retentionDays = options.retentionDays ?? config.lineUsageHistory.retentionDays;
+    this.forecastWindowDays = options.forecastWindowDays ?? config.lineUsageHistory.forecastWindowDays;
+    this.now = options.now || Date.now;
+    // 送信先ごとの最後に通知したレベルと時刻
+    this.sinkStates = new Map();
+    // 日付（YYYY-MM-DD）ごとの { count: その日の最後のチェック時点の月間送信数, recordedAt }
+    this.history = {};
+    this.saveQueue = new SaveQueue();
     this.monitoringInterval = null;
   }
 
   /**
-   * LINE APIの使用量統計を取得（LINE APIから直接取得はできないため、内部カウンターを使用）
+   * 保存済みの履歴と通知状態を読み込み
+   */
+  async initialize() {
+    const saved = await this.store.load();
+    this.history = saved?.days || {};
+    this.sinkStates = new Map(Object.entries(saved?.sinks || {}));
+    this.pruneHistory();
+  }
+
+  /**
+   * LINE APIの使用量統計を取得（LineQuotaSyncService がLINEの実績値に合わせた内部カウンターを使用）
    * @returns {Object} 使用量統計
    */
   async getUsageStatistics() {
     const limitStatus = lineLimitHandler.getLimitStatus();
-    
+
     return {
       monthlyCount: limitStatus.monthlyCount,
       maxMonthlyMessages: limitStatus.maxMonthlyMessages,
       remainingMessages: limitStatus.remainingMessages,
       usagePercentage: limitStatus.usagePercentage,
       isLimitReached: limitStatus.isLimitReached,
-      resetDate: limitStatus.resetDate
+      resetDate: limitStatus.resetDate,
+      emergencyRemaining: limitStatus.emergencyRemaining,
+      forecast: this.getForecast(limitStatus)
     };
   }
 
   /**
-   * 使用量をチェックし、必要に応じてアラートを送信
-   * @param {Function} alertCallback - アラート送信コールバック
+   * 今日の月間送信数を履歴に記録
+   * @param {number} monthlyCount - 現在の月間送信数
    */
-  async checkUsageAndAlert(alertCallback) {
-    try {
-      const stats = await this.getUsageStatistics();
-      const remaining = stats.remainingMessages;
+  recordUsage(monthlyCount) {
+    const now = new Date(this.now());
+    this.history[getDateKey(now)] = { count: monthlyCount, recordedAt: now.toISOString() };
+    this.pruneHistory();
+  }
 
-      // クールダウンチェック
-      const now = Date.now();
-      if (now - this.lastAlertTime < this.alertCooldown) {
-        return;
+  pruneHistory() {
+    const oldest = getDateKey(new Date(this.now() - this.retentionDays * DAY_MS));
+    for (const date of Object.keys(this.history)) {
+      if (date < oldest) {
+        delete this.history[date];
       }
+    }
+  }
+
+  /**
+   * 日ごとの送信数
+   * 月の最初の記録日は、その日までの今月の送信数をまとめて含む
+   * @param {number} days - 直近の日数（省略時は保存している全期間）
+   * @returns {Array<Object>} { date, sent, monthlyCount }（古い順）
+   */
+  getDailyHistory(days = this.retentionDays) {
+    const oldest = getDateKey(new Date(this.now() - (days - 1) * DAY_MS));
+    const dates = Object.keys(this.history).sort();
+
+    return dates
+      .map((date, index) => {
+        const previous = dates[index - 1];
+        // 月が変わると月間送信数は0から数え直す
+        const baseline = previous && previous.slice(0, 7) === date.slice(0, 7)
+          ? this.history[previous].count
+          : 0;
+        return {
+          date,
+          sent: Math.max(0, this.history[date].count - baseline),
+          monthlyCount: this.history[date].count
+        };
+      })
+      .filter(entry => entry.date >= oldest);
+  }
+
+  /**
+   * 直近の送信ペースから月間上限に達する日を見込む
+   * 見込みの起点は forecastWindowDays 日前の記録（今月の記録がなければ月初の0通）
+   * @param {Object} limitStatus - lineLimitHandler.getLimitStatus() の結果
+   * @returns {Object} { dailyRate, windowDays, projectedMonthEnd, exhaustionDate, exhaustsBeforeReset }
+   */
+  getForecast(limitStatus) {
+    const now = this.now();
+    const resetDate = new Date(limitStatus.resetDate);
+    const monthStart = new Date(resetDate.getFullYear(), resetDate.getMonth() - 1, 1);
+    const windowStart = now - this.forecastWindowDays * DAY_MS;
 
-      // アラートレベルの判定
-      let alertLevel = null;
-      let message = '';
-
-      if (remaining <= this.alertThresholds.emergency) {
-        alertLevel = 'emergency';
-        message = `🚨 緊急: LINE API残りメッセージ数が${remaining}件になりました！`;
-      } else if (remaining <= this.alertThresholds.critical && !this.alertedLevels.has('critical')) {
-        alertLevel = 'critical';
-        message = `⚠️ 重要: LINE API残りメッセージ数が${remaining}件になりました。`;
-      } else if (remaining <= this.alertThresholds.warning && !this.alertedLevels.has('warning')) {
-        alertLevel = 'warning';
-        message = `⚠️ 警告: LINE API残りメッセージ数が${remaining}件になりました。`;
+    let baseline = { count: 0, at: monthStart.getTime() };
+    for (const entry of Object.values(this.history)) {
+      const recordedAt = Date.parse(entry.recordedAt);
+      if (recordedAt >= monthStart.getTime() && recordedAt <= windowStart && recordedAt > baseline.at) {
+        baseline = { count: entry.count, at: recordedAt };
       }
+    }
+
+    // 月初直後の少ない送信で見込みが跳ね上がらないよう、最低1日分で割る
+    const elapsedDays = Math.max(1, (now - baseline.at) / DAY_MS);
+    const dailyRate = Math.max(0, limitStatus.monthlyCount - baseline.count) / elapsedDays;
+    const daysUntilReset = Math.max(0, (resetDate.getTime() - now) / DAY_MS);
 
-      // アラート送信
-      if (alertLevel && alertCallback) {
-        await this.sendAlert(alertLevel, message, stats, alertCallback);
-        this.alertedLevels.add(alertLevel);
-        this.lastAlertTime = now;
+    let exhaustionDate = null;
+    if (limitStatus.remainingMessages <= 0) {
+      exhaustionDate = new Date(now);
+    } else if (dailyRate > 0) {
+      exhaustionDate = new Date(now + (limitStatus.remainingMessages / dailyRate) * DAY_MS);
+    }
+
+    return {
+      dailyRate: Math.round(dailyRate * 10) / 10,
+      windowDays: Math.round(((now - baseline.at) / DAY_MS) * 10) / 10,
+      projectedMonthEnd: Math.round(limitStatus.monthlyCount + dailyRate * daysUntilReset),
+      exhaustionDate: exhaustionDate ? exhaustionDate.toISOString() : null,
+      exhaustsBeforeReset: !!exhaustionDate && exhaustionDate < resetDate
+    };
+  }
+
+  /**
+   * 残り通数に対応するアラートレベル
+   * @param {number} remaining - 残りメッセージ数
+   * @param {Object} thresholds - 送信先の閾値
+   * @returns {string|null} 最も重いレベル
+   */
+  getAlertLevel(remaining, thresholds) {
+    for (const level of [...ALERT_LEVELS].reverse()) {
+      if (thresholds[level] !== undefined && remaining <= thresholds[level]) {
+        return level;
       }
+    }
+    return null;
+  }
+
+  getSinkState(sink) {
+    return this.sinkStates.get(sink.name) || { level: null, alertedAt: null, forecastAlertedAt: null };
+  }
+
+  /**
+   * 使用量をチェックし、送信先ごとに必要なアラートを送信
+   * レベルが上がったときはすぐに通知し、同じレベルはクールダウン経過後に再通知する
+   */
+  async checkUsageAndAlert() {
+    try {
+      const stats = await this.getUsageStatistics();
+      const remaining = stats.remainingMessages;
+      this.recordUsage(stats.monthlyCount);
 
-      // リセット時にアラートレベルをクリア
-      if (remaining > this.alertThresholds.warning) {
-        this.alertedLevels.clear();
+      for (const sink of this.sinks) {
+        await this.checkSinkLevel(sink, stats);
+        if (sink.forecast) {
+          await this.checkSinkForecast(sink, stats);
+        }
       }
+      this.persistInBackground();
 
       logger.debug('LINE usage checked', {
         remaining,
-        alertLevel,
-        alertedLevels: Array.from(this.alertedLevels)
+        forecast: stats.forecast,
+        sinks: Object.fromEntries(this.sinkStates)
       });
 
     } catch (error) {
@@ -90,70 +213,124 @@ class LineUsageMonitor {
     }
   }
 
+  async checkSinkLevel(sink, stats) {
+    const level = this.getAlertLevel(stats.remainingMessages, sink.thresholds);
+    const state = this.getSinkState(sink);
+
+    // 閾値を上回った（月のリセットやプラン変更）、またはレベルが下がった場合は通知せず状態だけ更新
+    if (!level || (state.level && ALERT_LEVELS.indexOf(level) < ALERT_LEVELS.indexOf(state.level))) {
+      this.sinkStates.set(sink.name, level ? { ...state, level } : { ...state, level: null, alertedAt: null });
+      return;
+    }
+
+    const escalated = level !== state.level;
+    const cooldownElapsed = sink.cooldownMs > 0 && this.now() - state.alertedAt >= sink.cooldownMs;
+    if (!escalated && !cooldownElapsed) {
+      return;
+    }
+
+    if (await this.sendAlert(sink, level, stats)) {
+      this.sinkStates.set(sink.name, { ...this.getSinkState(sink), level, alertedAt: this.now() });
+    }
+  }
+
   /**
-   * アラートを送信
-   * @param {string} level - アラートレベル
-   * @param {string} message - アラートメッセージ
-   * @param {Object} stats - 使用量統計
-   * @param {Function} alertCallback - アラート送信コールバック
+   * リセット日より前に上限へ達する見込みなら通知
+   * 上限に達した後は残り通数のアラートに任せる
    */
-  async sendAlert(level, message, stats, alertCallback) {
-    try {
-      const alertMessage = {
-        type: 'text',
-        text: `${message}
+  async checkSinkForecast(sink, stats) {
+    const state = this.getSinkState(sink);
+    if (!stats.forecast.exhaustsBeforeReset || stats.isLimitReached) {
+      if (state.forecastAlertedAt) {
+        this.sinkStates.set(sink.name, { ...state, forecastAlertedAt: null });
+      }
+      return;
+    }
 
-📊 使用量詳細:
-• 月間使用数: ${stats.monthlyCount}/${stats.maxMonthlyMessages}
-• 残りメッセージ: ${stats.remainingMessages}件
-• 使用率: ${stats.usagePercentage}%
-• リセット日: ${stats.resetDate.toLocaleDateString('ja-JP')}
+    const cooldownElapsed = sink.cooldownMs > 0 && this.now() - state.forecastAlertedAt >= sink.cooldownMs;
+    if (state.forecastAlertedAt && !cooldownElapsed) {
+      return;
+    }
 
-${level === 'emergency' ? '🚨 すぐにLINEプランのアップグレードを検討してください！' :
-    level === 'critical' ? '⚠️ 近日中にLINEプランのアップグレードを検討してください。' :
-      '📝 使用量を監視し、必要に応じてプラン変更を検討してください。'}`
-      };
+    if (await this.sendAlert(sink, 'forecast', stats)) {
+      this.sinkStates.set(sink.name, { ...this.getSinkState(sink), forecastAlertedAt: this.now() });
+    }
+  }
 
-      // アラートを送信
-      await alertCallback(alertMessage);
+  /**
+   * アラートを送信
+   * 失敗した場合は状態を更新せず、次回のチェックで再送する
+   * @param {Object} sink - 送信先
+   * @param {string} level - アラートレベル（forecast は上限到達の見込み）
+   * @param {Object} stats - 使用量統計
+   * @returns {boolean} 送信できたか
+   */
+  async sendAlert(sink, level, stats) {
+    try {
+      await sink.send({ level, stats });
 
       logger.info('LINE usage alert sent', {
+        sink: sink.name,
         level,
         remainingMessages: stats.remainingMessages,
         usagePercentage: stats.usagePercentage
       });
-
+      return true;
     } catch (error) {
       logger.error('Failed to send LINE usage alert', {
+        sink: sink.name,
         level,
         error: error.message
       });
+      return false;
     }
   }
 
   /**
    * 定期的な監視を開始
-   * @param {Function} alertCallback - アラート送信コールバック
    * @param {number} intervalMinutes - チェック間隔（分）
    */
-  startMonitoring(alertCallback, intervalMinutes = 60) {
+  startMonitoring(intervalMinutes = 60) {
     this.stopMonitoring();
 
     logger.info('LINE usage monitoring started', {
       intervalMinutes,
-      thresholds: this.alertThresholds
+      sinks: this.sinks.map(sink => sink.name)
     });
 
     // 初回チェック
-    this.checkUsageAndAlert(alertCallback);
+    this.checkUsageAndAlert();
 
     // 定期的なチェック
     this.monitoringInterval = setInterval(() => {
-      this.checkUsageAndAlert(alertCallback);
+      this.checkUsageAndAlert();
     }, intervalMinutes * 60 * 1000);
     this.monitoringInterval.unref?.();
   }
 
+  persist() {
+    return this.saveQueue.run(() => this.store.save({
+      days: this.history,
+      sinks: Object.fromEntries(this.sinkStates)
+    }));
+  }
+
+  persistInBackground() {
+    this.persist().catch((error) => {
+      logger.error('Failed to persist LINE usage history', {
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * 監視を停止し、履歴と通知状態の保存を待つ
+   */
+  async stop() {
+    this.stopMonitoring();
+    await this.saveQueue.flush();
+  }
+
   /**
    * 監視を停止
    */
@@ -166,30 +343,30 @@ ${level === 'emergency' ? '🚨 すぐにLINEプランのアップグレード
     logger.info('LINE usage monitoring stopped');
   }
 
-  /**
-   * アラート設定を更新
-   * @param {Object} newThresholds - 新しい閾値設定
-   */
-  updateAlertThresholds(newThresholds) {
-    this.alertThresholds = { ...this.alertThresholds, ...newThresholds };
-    this.alertedLevels.clear(); // 新しい設定でアラートレベルをリセット
-    
-    logger.info('LINE usage alert thresholds updated', {
-      newThresholds: this.alertThresholds
-    });
-  }
-
   /**
    * 監視状況を取得
    * @returns {Object} 監視状況
    */
   getMonitoringStatus() {
     return {
-      thresholds: this.alertThresholds,
-      alertedLevels: Array.from(this.alertedLevels),
-      lastAlertTime: this.lastAlertTime,
-      cooldownRemaining: Math.max(0, this.alertCooldown - (Date.now() - this.lastAlertTime)),
-      isMonitoring: !!this.monitoringInterval
+      isMonitoring: !!this.monitoringInterval,
+      forecast: this.getForecast(lineLimitHandler.getLimitStatus()),
+      history: this.getDailyHistory(),
+      sinks: this.sinks.map((sink) => {
+        const state = this.getSinkState(sink);
+        return {
+          name: sink.name,
+          thresholds: sink.thresholds,
+          cooldownMs: sink.cooldownMs,
+          forecast: !!sink.forecast,
+          alertedLevel: state.level,
+          lastAlertTime: state.alertedAt,
+          lastForecastAlertTime: state.forecastAlertedAt,
+          cooldownRemaining: state.alertedAt && sink.cooldownMs > 0
+            ? Math.max(0, sink.cooldownMs - (this.now() - state.alertedAt))
+            : 0
+        };
+      })
     };
   }
 }
@@ -0,0 +1,61 @@
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Decides which message mappings to prune.
+ * A mapping's age is measured from its last activity: creation, or the last time a reply
+ * referenced it, so conversations that keep replying to an old message keep its mapping.
+ */
+class MappingRetentionPolicy {
+  constructor(options = {}) {
+    const retention = config.database.mappingRetention;
+    this.now = options.now || (() => Date.now());
+    this.maxAgeDays = options.maxAgeDays ?? retention.maxAgeDays;
+    this.maxMappings = options.maxMappings ?? retention.maxMappings;
+  }
+
+  getLastActivity(mapping) {
+    const created = new Date(mapping?.timestamp).getTime() || 0;
+    const referenced = new Date(mapping?.lastReferencedAt).getTime() || 0;
+    return Math.max(created, referenced);
+  }
+
+  /**
+   * Activity before this time is too old to keep.
+   * @param {number} maxAgeDays - 0 disables the age limit
+   * @returns {number|null} epoch milliseconds, or null without an age limit
+   */
+  getCutoff(maxAgeDays = this.maxAgeDays) {
+    return maxAgeDays > 0 ? this.now() - maxAgeDays * DAY_MS : null;
+  }
+
+  /**
+   * @param {Array<Object>} entries - { collection, key, mapping }
+   * @param {Object} overrides - { maxAgeDays, maxMappings } (0 disables a limit)
+   * @returns {Object} { byAge, byCount } entries to prune
+   */
+  selectPrunable(entries, { maxAgeDays = this.maxAgeDays, maxMappings = this.maxMappings } = {}) {
+    const cutoff = this.getCutoff(maxAgeDays);
+    const byAge = [];
+    const kept = [];
+
+    for (const entry of entries) {
+      if (cutoff !== null && this.getLastActivity(entry.mapping) < cutoff) {
+        byAge.push(entry);
+      } else {
+        kept.push(entry);
+      }
+    }
+
+    let byCount = [];
+    if (maxMappings > 0 && kept.length > maxMappings) {
+      kept.sort((a, b) => this.getLastActivity(a.mapping) - this.getLastActivity(b.mapping));
+      byCount = kept.slice(0, kept.length - maxMappings);
+    }
+
+    return { byAge, byCount };
+  }
+}
+
+module.exports = MappingRetentionPolicy;
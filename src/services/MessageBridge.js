@@ -2,7 +2,7 @@
  * メッセージブリッジサービス
  * LINEとDiscord間の双方向メッセージングを管理
  */
-const { Client, GatewayIntentBits } = require('discord.js');
+const { Client, GatewayIntentBits, Partials } = require('discord.js');
 const config = require('../config');
 const logger = require('../utils/logger');
 const LineService = require('./LineService');
@@ -12,11 +12,38 @@ const ChannelManager = require('./ChannelManager');
 const WebhookManager = require('./WebhookManager');
 const MessageMappingManager = require('./MessageMappingManager');
 const LineSendSession = require('./LineSendSession');
+const LineLifecycleService = require('./LineLifecycleService');
+const BridgeCommandService = require('./BridgeCommandService');
+const BackupService = require('./BackupService');
+const MessageQueue = require('./MessageQueue');
+const InboundEventQueue = require('./InboundEventQueue');
+const WebhookEventLedger = require('./WebhookEventLedger');
+const LineQuotaSyncService = require('./LineQuotaSyncService');
+const LineBudgetService = require('./LineBudgetService');
+const LinePriorityPolicy = require('./LinePriorityPolicy');
+const DeliveryStatusReporter = require('./DeliveryStatusReporter');
+const { runMigrations } = require('../storage/migrations');
 const BridgeFeatureManager = require('../features/BridgeFeatureManager');
 const { processLineEmoji, processDiscordEmoji } = require('../utils/emojiHandler');
 const lineLimitHandler = require('../middleware/lineLimitHandler');
 const LineUsageMonitor = require('./LineUsageMonitor');
+const { createLineUsageAlertSinks } = require('./alerts/lineUsageAlertSinks');
 const MessageBatcher = require('../utils/messageBatcher');
+const { getLineSourceId } = require('../utils/lineSource');
+
+const { extractPriorityMarker } = LinePriorityPolicy;
+
+// Discordへ転送するLINEイベント種別
+const SUPPORTED_LINE_EVENT_TYPES = new Set([
+  'message',
+  'follow',
+  'unfollow',
+  'join',
+  'leave',
+  'memberJoined',
+  'memberLeft',
+  'unsend'
+]);
 
 /**
  * メッセージブリッジクラス
@@ -30,7 +57,9 @@ class MessageBridge {
         GatewayIntentBits.GuildMessageReactions,
         GatewayIntentBits.DirectMessageReactions,
         GatewayIntentBits.MessageContent
-      ]
+      ],
+      // キャッシュにない（起動前・再起動前に送られた）メッセージの編集・削除も受け取る
+      partials: [Partials.Message, Partials.Channel]
     });
     
     this.lineService = new LineService();
@@ -42,8 +71,33 @@ class MessageBridge {
     });
     this.channelManager = null;
     this.webhookManager = null;
-    this.lineUsageMonitor = new LineUsageMonitor();
+    this.lineLifecycleService = null;
+    this.bridgeCommandService = null;
+    // 月間通数のアラートはDiscordの運用チャンネルとログへ（LINEへの通知は通数を消費するため任意）
+    this.lineUsageMonitor = new LineUsageMonitor({
+      sinks: createLineUsageAlertSinks({
+        discordService: this.discordService,
+        sendLineMessage: (userId, message) => this.pushLineMessage(userId, message)
+      })
+    });
+    this.lineQuotaSync = new LineQuotaSyncService(this.lineService);
+    // 月間上限後に緊急枠から送るメッセージの優先ルール（lineLimitHandler に渡す）
+    this.linePriorityPolicy = new LinePriorityPolicy();
+    // 送信先・カテゴリごとの月間送信予算
+    this.lineBudget = new LineBudgetService();
     this.messageBatcher = new MessageBatcher();
+    this.deliveryStatusReporter = new DeliveryStatusReporter(this.discord);
+    // Webhookで受け取ったLINEイベントの処理キューと、再送判定用の台帳
+    this.webhookEventLedger = new WebhookEventLedger();
+    this.inboundQueue = new InboundEventQueue({
+      handler: (event) => this.processQueuedLineEvent(event)
+    });
+    // LINEへのPush送信に失敗したメッセージの再送キュー
+    this.messageQueue = new MessageQueue({
+      sendMethod: (userId, message, options) => this.pushLineMessage(userId, message, options),
+      onDelivered: (item, result) => this.handleQueuedMessageDelivered(item, result),
+      onDeadLetter: (item) => this.handleQueuedMessageFailed(item)
+    });
     
     // DiscordServiceにクライアントを設定
     this.discordService.setClient(this.discord);
@@ -92,6 +146,60 @@ class MessageBridge {
       }
     });
 
+    // Discordメッセージ編集
+    this.discord.on('messageUpdate', async (oldMessage, newMessage) => {
+      try {
+        await this.handleDiscordMessageUpdate(oldMessage, newMessage);
+      } catch (error) {
+        logger.error('Failed to handle Discord message update', {
+          messageId: newMessage?.id,
+          error: error.message
+        });
+        this.metrics.errors++;
+      }
+    });
+
+    // Discordメッセージ削除
+    this.discord.on('messageDelete', async (message) => {
+      try {
+        await this.handleDiscordMessageDelete([message]);
+      } catch (error) {
+        logger.error('Failed to handle Discord message delete', {
+          messageId: message.id,
+          channelId: message.channelId,
+          error: error.message
+        });
+        this.metrics.errors++;
+      }
+    });
+
+    this.discord.on('messageDeleteBulk', async (messages) => {
+      try {
+        await this.handleDiscordMessageDelete(Array.from(messages.values()));
+      } catch (error) {
+        logger.error('Failed to handle Discord bulk message delete', {
+          count: messages.size,
+          error: error.message
+        });
+        this.metrics.errors++;
+      }
+    });
+
+    // Discordスラッシュコマンド
+    this.discord.on('interactionCreate', async (interaction) => {
+      if (!this.bridgeCommandService) return;
+
+      try {
+        await this.bridgeCommandService.handleInteraction(interaction);
+      } catch (error) {
+        logger.error('Failed to handle Discord interaction', {
+          interactionId: interaction.id,
+          error: error.message
+        });
+        this.metrics.errors++;
+      }
+    });
+
     // Discordエラー
     this.discord.on('error', (error) => {
       logger.error('Discord client error', { error: error.message });
@@ -108,30 +216,67 @@ class MessageBridge {
    */
   async initialize() {
     try {
+      // 保存データを現在のスキーマへ移行（移行前にバックアップを作成）
+      this.backupService = new BackupService({
+        beforeBackup: () => this.channelManager?.flushMappings()
+      });
+      await runMigrations({ backupService: this.backupService });
+
       // MessageMappingManagerを初期化
       await this.messageMappingManager.initialize();
+      await this.linePriorityPolicy.initialize();
+      lineLimitHandler.setPriorityPolicy(this.linePriorityPolicy);
       await lineLimitHandler.initialize();
+      // 通数をLINEの実績値に合わせてから送信を始める
+      await this.lineQuotaSync.start();
+      await this.lineBudget.initialize();
+      await this.messageQueue.initialize();
       
       await this.featureManager.initialize();
       
       // ChannelManagerを初期化
       this.channelManager = new ChannelManager(this.discord, this.lineService);
       await this.channelManager.initialize();
+
+      // 定期バックアップ（スナップショット前に未保存の lastUsed をフラッシュ）
+      this.backupService.start();
+
+      this.lineLifecycleService = new LineLifecycleService({
+        channelManager: this.channelManager,
+        discordService: this.discordService,
+        lineService: this.lineService
+      });
       
       // WebhookManagerを初期化
       this.webhookManager = new WebhookManager(this.discord);
       await this.webhookManager.initialize();
+
+      // /bridge コマンドを登録
+      if (config.discord.commandsEnabled) {
+        this.bridgeCommandService = new BridgeCommandService({
+          discordClient: this.discord,
+          channelManager: this.channelManager,
+          messageMappingManager: this.messageMappingManager,
+          messageBatcher: this.messageBatcher,
+          lineBudget: this.lineBudget,
+          lineUsageMonitor: this.lineUsageMonitor
+        });
+        await this.bridgeCommandService.registerCommands();
+      }
       
       this.isInitialized = true;
       
       // 保留中のメッセージを処理
       await this.processPendingMessages();
+
+      // 受信済みのLINEイベントの処理を開始
+      await this.inboundQueue.start();
       
       // メッセージバッチング設定を初期化
       this.initializeMessageBatching();
       
       // LINE使用量監視を開始
-      this.startLineUsageMonitoring();
+      await this.startLineUsageMonitoring();
       
       logger.info('MessageBridge initialized successfully');
     } catch (error) {
@@ -155,6 +300,25 @@ class MessageBridge {
     const lineUserId = await this.channelManager.getLineUserId(message.channelId);
     if (!lineUserId) return;
 
+    if (!this.channelManager.isSourceActive(lineUserId)) {
+      logger.info('Discord message not sent, LINE source is inactive', {
+        messageId: message.id,
+        channelId: message.channelId,
+        lineUserId
+      });
+      await this.notifyDiscordAuthor(message, this.lineLifecycleService.getInactiveSourceNotice(lineUserId));
+      return;
+    }
+
+    if (this.channelManager.isSourceMuted(lineUserId)) {
+      logger.debug('Discord message not sent, channel is muted', {
+        messageId: message.id,
+        channelId: message.channelId,
+        lineUserId
+      });
+      return;
+    }
+
     logger.info('Processing Discord message', {
       messageId: message.id,
       channelId: message.channelId,
@@ -167,12 +331,202 @@ class MessageBridge {
     this.metrics.messagesProcessed++;
   }
 
+  /**
+   * Discordメッセージの編集をLINEへ修正メッセージとして転送
+   * LINEは送信済みメッセージを編集できないため、元メッセージを引用した「修正:」メッセージを送る
+   * @param {Object} oldMessage - 編集前のDiscordメッセージ
+   * @param {Object} newMessage - 編集後のDiscordメッセージ
+   */
+  async handleDiscordMessageUpdate(oldMessage, newMessage) {
+    if (!this.isInitialized) return;
+
+    // 埋め込みの展開やピン留めなど本文の編集でない更新は編集日時が変わらない
+    if (!newMessage.editedTimestamp) return;
+    if (!oldMessage?.partial && oldMessage?.editedTimestamp === newMessage.editedTimestamp) return;
+
+    // キャッシュにないメッセージは本文のない更新で届くことがあるため、LINEへ転送したものだけ取得し直す
+    if (newMessage.partial) {
+      if (!await this.messageMappingManager.getDiscordToLineMapping(newMessage.id)) return;
+      newMessage = await newMessage.fetch();
+    }
+
+    if (!newMessage.author || newMessage.author.bot) return;
+
+    const action = await this.featureManager.resolveEditAction(oldMessage, newMessage);
+    if (!action) return;
+
+    const lineUserId = await this.channelManager.getLineUserId(newMessage.channelId);
+    if (!lineUserId || !this.channelManager.isSourceActive(lineUserId)) return;
+    if (this.channelManager.isSourceMuted(lineUserId)) return;
+
+    // 通常の送信と同じく、送信者のロールと緊急マーカーで優先判定し、配信状況を編集したメッセージに表示する
+    // 再送キューに入った修正は、届いた時点で handleQueuedMessageDelivered がマッピングを修正メッセージへ移す
+    const { text: correctionText, marked } = extractPriorityMarker(action.text);
+    const lineSendSession = new LineSendSession({}, {
+      discordMessageId: newMessage.id,
+      discordChannelId: newMessage.channelId,
+      editedTimestamp: newMessage.editedTimestamp
+    }, {
+      senderRoleIds: this.getDiscordMemberRoleIds(newMessage),
+      marked
+    });
+
+    const correctionMessage = {
+      type: 'text',
+      text: processDiscordEmoji(correctionText)
+    };
+    if (action.quoteToken) {
+      correctionMessage.quoteToken = action.quoteToken;
+    }
+
+    let result;
+    try {
+      result = await this.sendTrackedLineMessage(lineUserId, correctionMessage, lineSendSession);
+    } catch (error) {
+      logger.error('Failed to forward Discord edit to LINE', {
+        discordMessageId: newMessage.id,
+        lineMessageId: action.lineMessageId,
+        error: error.message
+      });
+      this.metrics.errors++;
+      await this.deliveryStatusReporter.report({ message: newMessage }, 'failed', { error });
+      return;
+    }
+
+    if (result?.messageId) {
+      // 以降の返信が修正メッセージを指すようにマッピングを更新
+      await this.messageMappingManager.mapDiscordToLine(
+        newMessage.id,
+        result.messageId,
+        lineUserId,
+        newMessage.channelId,
+        { quoteToken: result.quoteToken || null }
+      );
+
+      logger.info('Discord edit forwarded to LINE as correction', {
+        discordMessageId: newMessage.id,
+        originalLineMessageId: action.lineMessageId,
+        correctionLineMessageId: result.messageId
+      });
+    }
+
+    await this.reportLineSendOutcome({ message: newMessage }, lineSendSession);
+  }
+
+  /**
+   * Discordメッセージの削除をマッピングとLINE側に反映
+   * 送信直後の削除は設定に応じてLINEの受信者へ「送信取り消し」を通知する
+   * キャッシュにないメッセージは本文や送信者のないpartialで届くため、IDとチャンネルIDだけを使う
+   * @param {Array<Object>} messages - 削除されたDiscordメッセージ（partialを含む）
+   */
+  async handleDiscordMessageDelete(messages) {
+    if (!this.isInitialized || messages.length === 0) return;
+
+    const discordMessageIds = messages.map(message => message.id);
+    logger.debug('Discord messages deleted', {
+      count: discordMessageIds.length,
+      channelIds: [...new Set(messages.map(message => message.channelId))],
+      uncached: messages.filter(message => message.partial).length
+    });
+
+    const removedMappings = await this.messageMappingManager.removeMappingsByDiscordMessageIds(discordMessageIds);
+    const notices = this.featureManager.resolveDeleteNotices(removedMappings);
+
+    for (const notice of notices) {
+      if (!this.channelManager.isSourceActive(notice.lineUserId)) continue;
+
+      try {
+        const noticeMessage = this.featureManager.buildDeleteNoticeMessage(notice);
+        await this.sendTrackedLineMessage(notice.lineUserId, noticeMessage);
+
+        logger.info('Discord message deletion notified to LINE', {
+          lineUserId: notice.lineUserId,
+          deletedCount: notice.mappings.length
+        });
+      } catch (error) {
+        logger.error('Failed to notify LINE of Discord message deletion', {
+          lineUserId: notice.lineUserId,
+          deletedCount: notice.mappings.length,
+          error: error.message
+        });
+        this.metrics.errors++;
+      }
+    }
+  }
+
+  /**
+   * 2つのDiscordチャンネルを統合し、メッセージ履歴も統合先へ付け替え
+   * @param {string} fromChannelId - 統合元のDiscordチャンネルID
+   * @param {string} intoChannelId - 統合先のDiscordチャンネルID
+   * @returns {Object} 統合結果
+   */
+  async mergeChannels(fromChannelId, intoChannelId) {
+    const result = await this.channelManager.mergeChannels(fromChannelId, intoChannelId);
+    const reassignedMessages = await this.messageMappingManager.reassignChannel(fromChannelId, intoChannelId);
+
+    return {
+      ...result,
+      reassignedMessages
+    };
+  }
+
+  /**
+   * Webhookで受け取ったLINEイベントを受信キューに保存
+   * 処理は受信キューが送信元ごとに順番に行う
+   * 処理済み・処理待ちのイベントの再送は台帳（webhookEventId）で判定してスキップする
+   * @param {Array<Object>} events - LINEイベント
+   * @returns {number} 受け付けた件数
+   */
+  async enqueueLineEvents(events) {
+    const accepted = [];
+    for (const event of events) {
+      if (!event.webhookEventId) {
+        accepted.push(event);
+        continue;
+      }
+
+      const decision = await this.webhookEventLedger.receive(
+        event,
+        (webhookEventId) => this.inboundQueue.hasEvent(webhookEventId)
+      );
+      if (decision !== 'duplicate') {
+        accepted.push(event);
+      }
+    }
+
+    if (accepted.length === 0) {
+      return 0;
+    }
+    return this.inboundQueue.enqueue(accepted);
+  }
+
+  /**
+   * 受信キューから取り出したLINEイベントを処理し、台帳の状態を更新
+   * @param {Object} event - LINEイベント
+   */
+  async processQueuedLineEvent(event) {
+    const { webhookEventId } = event;
+    if (!webhookEventId) {
+      await this.handleLineEvent(event);
+      return;
+    }
+
+    await this.webhookEventLedger.markProcessing(webhookEventId);
+    try {
+      await this.handleLineEvent(event);
+    } catch (error) {
+      await this.webhookEventLedger.markFailed(webhookEventId, error);
+      throw error;
+    }
+    await this.webhookEventLedger.markDone(webhookEventId);
+  }
+
   /**
    * LINEイベントを処理
    * @param {Object} event - LINEイベント
    */
   async handleLineEvent(event) {
-    if (event.type !== 'message') return;
+    if (!SUPPORTED_LINE_EVENT_TYPES.has(event.type)) return;
 
     if (!this.isInitialized) {
       this.pendingMessages.push({ type: 'line', event });
@@ -180,13 +534,169 @@ class MessageBridge {
     }
 
     logger.info('Processing LINE event', {
+      eventType: event.type,
       eventId: event.message?.id,
       messageType: event.message?.type,
-      sourceId: event.source.groupId || event.source.userId
+      sourceId: getLineSourceId(event.source)
     });
 
-    await this.processLineToDiscord(event);
-    this.metrics.messagesProcessed++;
+    if (event.type === 'message') {
+      await this.processLineToDiscord(event);
+      this.metrics.messagesProcessed++;
+      return;
+    }
+
+    if (event.type === 'unsend') {
+      await this.processLineUnsend(event);
+      return;
+    }
+
+    await this.processLineLifecycleEvent(event);
+  }
+
+  /**
+   * LINEの送信取消をDiscord側のメッセージに反映
+   * LINE_UNSEND_MODEに応じて削除/取消表示への置き換え/何もしないを選び、マッピングを破棄する
+   * @param {Object} event - LINE unsendイベント
+   */
+  async processLineUnsend(event) {
+    const action = await this.featureManager.resolveUnsendAction(event);
+    if (!action) return;
+
+    const { mode, lineMessageId, discordMessageId, discordChannelId } = action;
+
+    try {
+      if (mode !== 'ignore') {
+        const discordMessage = await this.discordService.getMessage(discordChannelId, discordMessageId)
+          .catch(() => null);
+
+        if (!discordMessage) {
+          logger.info('Discord copy of unsent LINE message no longer exists', {
+            lineMessageId,
+            discordMessageId
+          });
+        } else if (mode === 'delete') {
+          await this.deleteBridgedDiscordMessage(discordMessage);
+        } else {
+          const payload = this.featureManager.buildUnsendPlaceholderPayload(discordMessage.content);
+          await this.editBridgedDiscordMessage(discordMessage, payload);
+        }
+      }
+
+      logger.info('LINE unsend bridged to Discord', {
+        mode,
+        lineMessageId,
+        discordMessageId,
+        discordChannelId
+      });
+    } catch (error) {
+      logger.error('Failed to bridge LINE unsend to Discord', {
+        mode,
+        lineMessageId,
+        discordMessageId,
+        error: error.message
+      });
+      this.metrics.errors++;
+      // 再試行で同じメッセージを見つけられるよう、マッピングは残したまま失敗を伝える
+      throw error;
+    }
+
+    // Discord側は反映済みのため失敗は再試行せず記録だけ残す（残ったマッピングは保持期間で削除される）
+    try {
+      await this.messageMappingManager.removeMapping(lineMessageId, null);
+    } catch (error) {
+      logger.error('Failed to remove mapping for unsent LINE message', {
+        lineMessageId,
+        discordMessageId,
+        error: error.message
+      });
+      this.metrics.errors++;
+    }
+  }
+
+  /**
+   * ブリッジしたDiscordメッセージを削除
+   * Webhook経由のメッセージはWebhookで、Bot送信のメッセージはBotで削除する
+   * @param {Object} discordMessage - Discordメッセージ
+   */
+  async deleteBridgedDiscordMessage(discordMessage) {
+    if (discordMessage.webhookId && this.webhookManager) {
+      return this.webhookManager.deleteMessage(discordMessage.channelId, discordMessage.id);
+    }
+
+    return this.discordService.deleteMessage(discordMessage.channelId, discordMessage.id);
+  }
+
+  /**
+   * ブリッジしたDiscordメッセージを編集
+   * @param {Object} discordMessage - Discordメッセージ
+   * @param {Object} payload - 編集内容
+   */
+  async editBridgedDiscordMessage(discordMessage, payload) {
+    if (discordMessage.webhookId && this.webhookManager) {
+      return this.webhookManager.editMessage(discordMessage.channelId, discordMessage.id, payload);
+    }
+
+    return this.discordService.editMessage(discordMessage.channelId, discordMessage.id, payload);
+  }
+
+  /**
+   * LINEライフサイクルイベント（友だち追加/ブロック、グループ参加/退出、メンバー増減）を処理
+   * @param {Object} event - LINEイベント
+   */
+  async processLineLifecycleEvent(event) {
+    try {
+      switch (event.type) {
+      case 'follow':
+        await this.lineLifecycleService.handleFollow(event);
+        break;
+      case 'unfollow':
+        await this.lineLifecycleService.handleUnfollow(event);
+        break;
+      case 'join':
+        await this.lineLifecycleService.handleJoin(event);
+        break;
+      case 'leave':
+        await this.lineLifecycleService.handleLeave(event);
+        break;
+      case 'memberJoined':
+        await this.lineLifecycleService.handleMemberJoined(event);
+        break;
+      case 'memberLeft':
+        await this.lineLifecycleService.handleMemberLeft(event);
+        break;
+      default:
+        break;
+      }
+    } catch (error) {
+      logger.error('Failed to process LINE lifecycle event', {
+        eventType: event.type,
+        sourceId: getLineSourceId(event.source),
+        error: error.message
+      });
+      this.metrics.errors++;
+      throw error;
+    }
+  }
+
+  /**
+   * Discordメッセージの送信者に返信で通知
+   * @param {Object} message - Discordメッセージ
+   * @param {string} content - 通知内容
+   */
+  async notifyDiscordAuthor(message, content) {
+    try {
+      await message.reply({
+        content,
+        allowedMentions: { repliedUser: false }
+      });
+    } catch (error) {
+      logger.warn('Failed to notify Discord message author', {
+        messageId: message.id,
+        channelId: message.channelId,
+        error: error.message
+      });
+    }
   }
 
   /**
@@ -198,7 +708,7 @@ class MessageBridge {
       // 重複チェック: 既に処理済みのメッセージIDの場合はスキップ
       const lineMessageId = event.message?.id;
       if (lineMessageId) {
-        const existingMapping = this.messageMappingManager.getLineToDiscordMapping(lineMessageId);
+        const existingMapping = await this.messageMappingManager.getLineToDiscordMapping(lineMessageId);
         if (existingMapping) {
           logger.debug('Skipping duplicate LINE message', {
             lineMessageId,
@@ -209,10 +719,17 @@ class MessageBridge {
         }
       }
 
-      const sourceId = event.source.groupId || event.source.userId;
-      const mapping = await this.channelManager.getOrCreateChannel(sourceId);
+      const sourceId = getLineSourceId(event.source);
+      const mapping = await this.channelManager.getOrCreateChannel(sourceId, {
+        firstMessageText: event.message?.type === 'text' ? event.message.text : null
+      });
       if (!mapping) return;
 
+      // アーカイブ済みのチャンネルは新着メッセージで元のカテゴリへ戻す
+      if (mapping.archivedAt) {
+        await this.channelManager.restoreSource(sourceId);
+      }
+
       const displayName = await this.lineService.getDisplayName(event);
       const avatarUrl = await this.getLineAvatar(event);
 
@@ -286,6 +803,8 @@ class MessageBridge {
         error: error.message
       });
       this.metrics.errors++;
+      // 受信キューが再試行し、台帳が失敗として記録できるよう呼び出し元へ伝える
+      throw error;
     }
   }
 
@@ -297,8 +816,17 @@ class MessageBridge {
   async processDiscordToLine(message, lineUserId) {
     try {
       let lineMessageId = null;
+      let lineQuoteToken = null;
       const lineSendContext = await this.featureManager.resolveLineSendContext(message);
-      const lineSendSession = new LineSendSession(lineSendContext);
+      // 緊急マーカーはLINEには送らず、月間上限後の優先判定にだけ使う
+      const { text: messageText, marked } = extractPriorityMarker(message.content?.trim());
+      const lineSendSession = new LineSendSession(lineSendContext, {
+        discordMessageId: message.id,
+        discordChannelId: message.channelId
+      }, {
+        senderRoleIds: this.getDiscordMemberRoleIds(message),
+        marked
+      });
       const trackedLineService = this.createTrackedLineService(lineUserId, lineSendSession);
 
       // 添付ファイルの処理
@@ -314,8 +842,8 @@ class MessageBridge {
       }
 
       // テキストメッセージの処理
-      if (message.content?.trim()) {
-        const text = message.content.trim();
+      if (messageText) {
+        const text = messageText;
         
         // 位置情報の検出と処理
         const locationResult = this.detectAndProcessLocation(text);
@@ -331,6 +859,7 @@ class MessageBridge {
           const result = await this.sendTrackedLineMessage(lineUserId, lineMessage, lineSendSession);
           if (result?.messageId) {
             lineMessageId = result.messageId;
+            lineQuoteToken = result.quoteToken || null;
           }
         } else {
           const processedText = processDiscordEmoji(text);
@@ -349,6 +878,7 @@ class MessageBridge {
               const textResult = await this.sendTrackedLineMessage(lineUserId, textMessage, lineSendSession);
               if (textResult?.messageId) {
                 lineMessageId = textResult.messageId;
+                lineQuoteToken = textResult.quoteToken || null;
               }
             }
             
@@ -364,6 +894,7 @@ class MessageBridge {
             const locationResult = await this.sendTrackedLineMessage(lineUserId, locationMessage, lineSendSession);
             if (locationResult?.messageId) {
               lineMessageId = locationResult.messageId;
+              lineQuoteToken = locationResult.quoteToken || null;
             }
           } else {
             // GoogleMapsリンクでない場合は通常のテキストとして送信
@@ -374,6 +905,7 @@ class MessageBridge {
             const textResult = await this.sendTrackedLineMessage(lineUserId, textMessage, lineSendSession);
             if (textResult?.messageId) {
               lineMessageId = textResult.messageId;
+              lineQuoteToken = textResult.quoteToken || null;
             }
           }
         }
@@ -397,19 +929,57 @@ class MessageBridge {
           message.id,
           lineMessageId,
           lineUserId,
-          message.channelId
+          message.channelId,
+          { quoteToken: lineQuoteToken }
         );
       }
 
+      await this.reportLineSendOutcome({ message }, lineSendSession);
+
     } catch (error) {
       logger.error('Failed to process Discord to LINE', {
         messageId: message.id,
         error: error.message
       });
       this.metrics.errors++;
+      await this.deliveryStatusReporter.report({ message }, 'failed', { error });
     }
   }
 
+  /**
+   * LINEへの送信結果（配信状況・緊急枠からの送信）を元のDiscordメッセージに表示
+   * @param {Object} target - { message } または { discordChannelId, discordMessageId }
+   * @param {LineSendSession} lineSendSession - そのメッセージの送信状態
+   */
+  async reportLineSendOutcome(target, lineSendSession) {
+    const deliveryStatus = lineSendSession.getDeliveryStatus();
+    if (deliveryStatus === 'failed') {
+      // 送信予算で止められた場合は理由をDiscordに返信する
+      await this.deliveryStatusReporter.report(target, 'failed', { error: lineSendSession.blockedReason });
+    } else if (deliveryStatus) {
+      await this.deliveryStatusReporter.report(target, deliveryStatus);
+    }
+
+    if (lineSendSession.emergencyRules.length > 0) {
+      const { emergencyRemaining } = lineLimitHandler.getLimitStatus();
+      await this.deliveryStatusReporter.notify(target, [
+        '🚨 今月のLINE送信数は上限に達していますが、',
+        `優先ルール「${lineSendSession.emergencyRules.join('」「')}」に一致したため緊急枠から送信しました`,
+        `（緊急枠の残り ${emergencyRemaining}通）`
+      ].join(''));
+    }
+  }
+
+  /**
+   * Discordメッセージの投稿者のロール（優先ルールの判定用）
+   * @param {Object} message - Discordメッセージ
+   * @returns {Array<string>} ロールID
+   */
+  getDiscordMemberRoleIds(message) {
+    const roles = message.member?.roles;
+    return Array.isArray(roles) ? roles : Array.from(roles?.cache?.keys() || []);
+  }
+
   /**
    * 位置情報メッセージをフォーマット
    * @param {Object} locationMessage - LINE位置情報メッセージ
@@ -585,6 +1155,13 @@ class MessageBridge {
           });
         }
         return null;
+      } else if (event.source.roomId) {
+        // 複数人トークにはアイコンがないため、メンバーのアイコンのみ使用
+        const memberProfile = await this.lineService.getRoomMemberProfile(
+          event.source.roomId,
+          event.source.userId
+        );
+        return memberProfile?.pictureUrl || null;
       } else {
         const userProfile = await this.lineService.getUserProfile(event.source.userId);
         return userProfile.pictureUrl || null;
@@ -853,37 +1430,65 @@ class MessageBridge {
 
   /**
    * バッチング機能を使用してメッセージを送信
+   * まとめた送信の結果は、送信した時点でまとめた各Discordメッセージに表示する
    * @param {string} userId - LINEユーザーID
    * @param {Object} message - メッセージ
+   * @param {LineSendSession} lineSendSession - 送信元のDiscordメッセージと送信者の情報
    */
-  async sendMessageWithBatching(userId, message) {
+  async sendMessageWithBatching(userId, message, lineSendSession = new LineSendSession()) {
     try {
       // 送信コールバック関数
-      const sendCallback = async (messages) => {
-        for (const msg of messages) {
-          const limitCheck = lineLimitHandler.shouldLimitMessage(msg);
-          if (limitCheck.allowed) {
-            const result = await this.lineService.pushMessage(userId, msg);
-            if (result?.messageId) {
-              lineLimitHandler.recordMessageSent();
-              logger.debug('Batched message sent to LINE', {
+      const sendCallback = async (messages, lineSendSessions) => {
+        const sessions = [...new Set(lineSendSessions.filter(Boolean))];
+        // まとめた中に優先ルールに一致する送信者・緊急マーカーがあれば、まとめた送信全体を優先する
+        const priority = {
+          senderRoleIds: [...new Set(sessions.flatMap(session => session.priority.senderRoleIds || []))],
+          marked: sessions.some(session => session.priority.marked)
+        };
+
+        try {
+          for (const msg of messages) {
+            const limitCheck = lineLimitHandler.shouldLimitMessage(msg, this.getLinePriorityContext(userId, priority));
+            if (limitCheck.allowed) {
+              const result = await this.lineService.pushMessage(userId, msg);
+              if (result?.messageId) {
+                this.recordLinePushSent(userId, limitCheck);
+                logger.debug('Batched message sent to LINE', {
+                  userId,
+                  messageType: msg.type,
+                  messageId: result.messageId
+                });
+              }
+              for (const session of sessions) {
+                session.recordDelivered();
+                if (limitCheck.emergency) {
+                  session.recordEmergencySend(limitCheck.rule);
+                }
+              }
+            } else {
+              logger.warn('Batched message blocked due to monthly limit', {
                 userId,
                 messageType: msg.type,
-                messageId: result.messageId
+                reason: limitCheck.reason,
+                rule: limitCheck.rule
               });
+              sessions.forEach(session => session.recordBlocked(this.getMonthlyLimitBlockedReason(limitCheck)));
             }
-          } else {
-            logger.warn('Batched message blocked due to monthly limit', {
-              userId,
-              messageType: msg.type,
-              reason: limitCheck.reason
-            });
           }
+        } catch (error) {
+          await Promise.all(sessions
+            .filter(session => session.origin.discordMessageId)
+            .map(session => this.deliveryStatusReporter.report(session.origin, 'failed', { error })));
+          throw error;
+        }
+
+        for (const session of sessions.filter(session => session.origin.discordMessageId)) {
+          await this.reportLineSendOutcome(session.origin, session);
         }
       };
 
       // メッセージをバッチに追加
-      this.messageBatcher.addToBatch(userId, message, sendCallback);
+      this.messageBatcher.addToBatch(userId, message, sendCallback, lineSendSession);
       
     } catch (error) {
       logger.error('Failed to send message with batching', {
@@ -898,34 +1503,231 @@ class MessageBridge {
     const lineSendSession = this.toLineSendSession(lineSendContext);
     const replyResult = await this.sendLineReplyMessageIfAvailable(userId, message, lineSendSession);
     if (replyResult) {
+      lineSendSession.recordDelivered();
       return replyResult;
     }
 
     const outboundMessage = this.featureManager.applyLineSendContext(message, lineSendSession.getPushContext());
 
+    // replyTokenでの返信は通数に数えられないため、予算はPush送信にだけ適用する
+    const budgetCheck = this.lineBudget.check(userId, this.getLineBudgetCategoryId(userId));
+    if (!budgetCheck.allowed) {
+      logger.warn('LINE message blocked by budget', {
+        userId,
+        messageType: outboundMessage.type,
+        scope: budgetCheck.budget.scope,
+        budget: budgetCheck.budget.key,
+        limit: budgetCheck.budget.limit
+      });
+      lineSendSession.recordBlocked(budgetCheck.reason);
+      return null;
+    }
+
     if (!this.featureManager.requiresDirectLineTracking()) {
-      await this.sendMessageWithBatching(userId, outboundMessage);
+      await this.sendMessageWithBatching(userId, outboundMessage, lineSendSession);
+      return null;
+    }
+
+    const retryKey = lineSendSession.nextRetryKey(outboundMessage);
+
+    // 再送待ちのメッセージがあるユーザーには、順序を保つため後ろに並べる
+    if (this.messageQueue.hasPending(userId)) {
+      await this.recordPendingLinePush(userId, lineSendSession, retryKey);
+      await this.messageQueue.enqueue(userId, outboundMessage, {
+        origin: lineSendSession.origin,
+        linePriority: lineSendSession.priority,
+        retryKey
+      });
+      lineSendSession.recordQueued();
       return null;
     }
 
-    const limitCheck = lineLimitHandler.shouldLimitMessage(outboundMessage);
+    const limitCheck = lineLimitHandler.shouldLimitMessage(
+      outboundMessage,
+      this.getLinePriorityContext(userId, lineSendSession.priority)
+    );
     if (!limitCheck.allowed) {
       logger.warn('LINE message blocked due to monthly limit', {
         userId,
         messageType: outboundMessage.type,
-        reason: limitCheck.reason
+        reason: limitCheck.reason,
+        rule: limitCheck.rule
       });
+      lineSendSession.recordBlocked(this.getMonthlyLimitBlockedReason(limitCheck));
       return null;
     }
+    if (limitCheck.emergency) {
+      logger.info('LINE message sent from emergency pool', {
+        userId,
+        messageType: outboundMessage.type,
+        rule: limitCheck.rule
+      });
+    }
 
-    const result = await this.lineService.pushMessage(userId, outboundMessage);
-    if (result?.messageId) {
-      lineLimitHandler.recordMessageSent();
+    await this.recordPendingLinePush(userId, lineSendSession, retryKey);
+
+    let result;
+    try {
+      result = await this.lineService.pushMessage(userId, outboundMessage, { retryKey });
+    } catch (error) {
+      if (!this.messageQueue.shouldRetry(error)) {
+        await this.messageMappingManager.discardPendingLinePush(retryKey);
+        throw error;
+      }
+
+      // タイムアウトでもLINE側で受け付けている可能性があるため、同じリトライキーで再送する
+      await this.messageQueue.enqueue(userId, outboundMessage, {
+        origin: lineSendSession.origin,
+        linePriority: lineSendSession.priority,
+        error,
+        retryKey
+      });
+      lineSendSession.recordQueued();
+      return null;
     }
 
+    if (result?.messageId || result?.duplicate) {
+      this.recordLinePushSent(userId, limitCheck);
+      if (limitCheck.emergency) {
+        lineSendSession.recordEmergencySend(limitCheck.rule);
+      }
+    }
+    // 受付済み（409）も応答のメッセージIDを返すため、紐付けは通常の送信と同じく呼び出し元が行う
+    await this.messageMappingManager.discardPendingLinePush(retryKey);
+    lineSendSession.recordDelivered();
+
     return result;
   }
 
+  /**
+   * 月間上限で送信しなかった理由（Discordに表示する）
+   * @param {Object} limitCheck - lineLimitHandler.shouldLimitMessage の結果
+   * @returns {string} 理由
+   */
+  getMonthlyLimitBlockedReason(limitCheck) {
+    return limitCheck.rule
+      ? `今月のLINE送信数が上限に達し、緊急枠も使い切りました（優先ルール「${limitCheck.rule}」）`
+      : '今月のLINE送信数が上限に達しました（優先ルールに一致しないため送信しません）';
+  }
+
+  /**
+   * Discordメッセージからの送信なら、Push送信の前にリトライキーを記録
+   * @param {string} userId - LINEユーザーID
+   * @param {LineSendSession} lineSendSession - 送信元のDiscordメッセージ
+   * @param {string} retryKey - X-Line-Retry-Key
+   */
+  async recordPendingLinePush(userId, lineSendSession, retryKey) {
+    if (!lineSendSession.origin.discordMessageId) {
+      return;
+    }
+
+    await this.messageMappingManager.recordPendingLinePush(retryKey, {
+      ...lineSendSession.origin,
+      lineUserId: userId
+    });
+  }
+
+  /**
+   * 再送キューからのPush送信
+   * 月間上限で送れない場合は恒久的なエラーとしてデッドレターに回す
+   * @param {string} userId - LINEユーザーID
+   * @param {Object} message - LINEメッセージ
+   * @param {Object} options
+   * @param {string} options.retryKey - X-Line-Retry-Key
+   * @param {Object} options.linePriority - キューに保存した送信者の情報（{ senderRoleIds, marked }）
+   * @returns {Object} 送信結果
+   */
+  async pushLineMessage(userId, message, { retryKey = null, linePriority = {} } = {}) {
+    // 初回送信と同じ送信者の情報（ロール・緊急マーカー）で優先ルールを判定する
+    const limitCheck = lineLimitHandler.shouldLimitMessage(message, this.getLinePriorityContext(userId, linePriority));
+    if (!limitCheck.allowed) {
+      const error = new Error(`LINE monthly message limit reached (${limitCheck.reason})`);
+      error.code = 'LINE_MONTHLY_LIMIT';
+      throw error;
+    }
+
+    const result = await this.lineService.pushMessage(userId, message, { retryKey });
+    // duplicate は前回の試行がLINEに受け付けられていたもの（その試行の通数はまだ数えていない）
+    if (result?.messageId || result?.duplicate) {
+      this.recordLinePushSent(userId, limitCheck);
+    }
+    return result;
+  }
+
+  /**
+   * Push送信を月間上限と送信予算の両方に記録
+   * @param {string} userId - LINEのソースID
+   * @param {Object} limitCheck - 送信前の月間上限の判定結果
+   */
+  recordLinePushSent(userId, limitCheck = {}) {
+    lineLimitHandler.recordMessageSent({ emergency: !!limitCheck.emergency });
+    this.lineBudget.recordSent(userId, this.getLineBudgetCategoryId(userId));
+  }
+
+  /**
+   * 月間上限後の優先ルールの判定材料
+   * @param {string} userId - LINEのソースID
+   * @param {Object} priority - 送信者の情報（LineSendSession.priority: { senderRoleIds, marked }）
+   * @returns {Object} { sourceId, routingRule, senderRoleIds, marked }
+   */
+  getLinePriorityContext(userId, priority = {}) {
+    return {
+      sourceId: userId,
+      routingRule: this.channelManager?.getChannelMapping(userId)?.routingRule || null,
+      senderRoleIds: priority?.senderRoleIds || [],
+      marked: !!priority?.marked
+    };
+  }
+
+  /**
+   * 送信予算の判定に使う送信先チャンネルのカテゴリ
+   * ChannelManager の初期化前（再送キューの送信など）はカテゴリなしとして扱う
+   * @param {string} userId - LINEのソースID
+   * @returns {string|null} DiscordカテゴリID
+   */
+  getLineBudgetCategoryId(userId) {
+    return this.channelManager ? this.channelManager.getSourceCategoryId(userId) : null;
+  }
+
+  /**
+   * 再送に成功したメッセージのマッピングと配信状況を更新
+   * @param {Object} item - キューの項目
+   * @param {Object} result - 送信結果
+   */
+  async handleQueuedMessageDelivered(item, result) {
+    const { discordMessageId, discordChannelId } = item.origin || {};
+    if (!discordMessageId) {
+      return;
+    }
+
+    // 受付済み（duplicate）の場合も409の応答にあるメッセージIDで紐付ける
+    await this.messageMappingManager.resolvePendingLinePush(item.retryKey, result, {
+      discordMessageId,
+      discordChannelId,
+      lineUserId: item.userId
+    });
+
+    if (!this.messageQueue.hasPendingForOrigin(discordMessageId)) {
+      await this.deliveryStatusReporter.report({ discordChannelId, discordMessageId }, 'delivered');
+    }
+  }
+
+  /**
+   * 再送を諦めたメッセージを元のDiscordメッセージに表示
+   * @param {Object} item - キューの項目
+   */
+  async handleQueuedMessageFailed(item) {
+    const { discordMessageId, discordChannelId } = item.origin || {};
+    if (!discordMessageId) {
+      return;
+    }
+
+    await this.messageMappingManager.discardPendingLinePush(item.retryKey);
+    await this.deliveryStatusReporter.report({ discordChannelId, discordMessageId }, 'failed', {
+      error: item.lastError?.message
+    });
+  }
+
   async sendLineReplyMessageIfAvailable(userId, message, lineSendContext = new LineSendSession()) {
     const lineSendSession = this.toLineSendSession(lineSendContext);
     const replyTokenClaim = lineSendSession.claimReplyToken();
@@ -989,42 +1791,11 @@ class MessageBridge {
   /**
    * LINE使用量監視を開始
    */
-  startLineUsageMonitoring() {
+  async startLineUsageMonitoring() {
     try {
-      // 管理者向けのアラート送信関数
-      const sendAlertToAdmins = async (alertMessage) => {
-        try {
-          // 管理者のLINEユーザーIDを設定（環境変数から取得）
-          const adminUserIds = (process.env.LINE_ADMIN_USER_IDS || '').split(',').filter(id => id.trim());
-          
-          if (adminUserIds.length === 0) {
-            logger.warn('No admin user IDs configured for LINE usage alerts');
-            return;
-          }
-
-          // 各管理者にアラートを送信
-          for (const adminUserId of adminUserIds) {
-            try {
-              await this.lineService.pushMessage(adminUserId.trim(), alertMessage);
-              logger.info('LINE usage alert sent to admin', { adminUserId });
-            } catch (error) {
-              logger.error('Failed to send LINE usage alert to admin', {
-                adminUserId,
-                error: error.message
-              });
-            }
-          }
-        } catch (error) {
-          logger.error('Failed to send LINE usage alerts to admins', {
-            error: error.message
-          });
-        }
-      };
-
-      // 監視を開始（1時間ごとにチェック）
-      this.lineUsageMonitor.startMonitoring(sendAlertToAdmins, 60);
-      
-      logger.info('LINE usage monitoring started');
+      // 日ごとの送信数の履歴を読み込んでから監視を始める（見込みの計算に使う）
+      await this.lineUsageMonitor.initialize();
+      this.lineUsageMonitor.startMonitoring(config.lineUsageAlerts.checkIntervalMinutes);
     } catch (error) {
       logger.error('Failed to start LINE usage monitoring', {
         error: error.message
@@ -1043,8 +1814,15 @@ class MessageBridge {
       isInitialized: this.isInitialized,
       pendingMessages: this.pendingMessages.length,
       lineLimitStatus: lineLimitHandler.getLimitStatus(),
+      lineQuota: this.lineQuotaSync.getStatus(),
+      lineBudget: this.lineBudget.getStatus(),
       lineUsageMonitoring: this.lineUsageMonitor.getMonitoringStatus(),
-      messageBatching: this.messageBatcher.getBatchStatus()
+      messageBatching: this.messageBatcher.getBatchStatus(),
+      messageMappings: this.messageMappingManager.getStats(),
+      backup: this.backupService ? this.backupService.getStatus() : null,
+      outboundQueue: this.messageQueue.getQueueStatus(),
+      inboundQueue: this.inboundQueue.getStatus(),
+      webhookEvents: this.webhookEventLedger.getStats()
     };
   }
 
@@ -1066,10 +1844,19 @@ class MessageBridge {
    */
   async stop() {
     try {
+      // 処理中のLINEイベントの完了を待つ（未処理分は次回起動時に処理）
+      await this.inboundQueue.stop();
+      await this.webhookEventLedger.stop();
+
       // 全てのバッチを強制送信
       await this.messageBatcher.flushAllBatches();
 
-      this.lineUsageMonitor.stopMonitoring();
+      await this.lineUsageMonitor.stop();
+      this.lineQuotaSync.stop();
+
+      if (this.backupService) {
+        this.backupService.stop();
+      }
       
       if (this.webhookManager) {
         await this.webhookManager.stop();
@@ -1078,6 +1865,10 @@ class MessageBridge {
       if (this.channelManager) {
         await this.channelManager.stop();
       }
+
+      await this.messageQueue.stop();
+      await this.lineBudget.stop();
+      await this.messageMappingManager.stop();
       
       // MediaServiceのクリーンアップ
       if (this.mediaService) {
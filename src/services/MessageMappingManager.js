@@ -1,26 +1,156 @@
 /**
  * メッセージマッピング管理サービス
  * LINEとDiscordのメッセージIDマッピングを管理
+ *
+ * 行単位で読み書きできるストア（SQLite）ではストアを正とし、起動時に全件を読み込まない。
+ * 参照したマッピングだけをストアから読み込み、Map は件数に上限のあるキャッシュとして使う。
+ * 文書全体を保存するストア（JSONファイル）では全件をメモリに持つ
  */
-const path = require('path');
+const config = require('../config');
 const logger = require('../utils/logger');
-const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonFileStore');
+const { SaveQueue, createStore } = require('../storage');
 const ReplyTokenPolicy = require('./ReplyTokenPolicy');
+const MappingRetentionPolicy = require('./MappingRetentionPolicy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 前回の保存以降に変更・削除したキーを記録するMap
+ * 行単位で書き込めるストア（SQLite）には、変わったキーだけを保存する
+ * 値をその場で書き換えた場合は touch で記録する
+ */
+class TrackedMap extends Map {
+  constructor() {
+    super();
+    this.changedKeys = new Set();
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.changedKeys.add(key);
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) {
+      this.changedKeys.add(key);
+    }
+    return deleted;
+  }
+
+  clear() {
+    for (const key of this.keys()) {
+      this.changedKeys.add(key);
+    }
+    super.clear();
+  }
+
+  touch(key) {
+    if (this.has(key)) {
+      this.changedKeys.add(key);
+    }
+  }
+
+  /**
+   * ストアから読み込んだ値を、変更として記録せずにキャッシュする
+   */
+  cache(key, value) {
+    super.set(key, value);
+    return value;
+  }
+
+  /**
+   * 未保存の変更がないものを古い順に取り除き、maxSize 件以下にする
+   * @param {number} maxSize - 残す件数
+   */
+  evict(maxSize) {
+    for (const key of this.keys()) {
+      if (this.size <= maxSize) {
+        break;
+      }
+      if (!this.changedKeys.has(key)) {
+        super.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 記録した変更を取り出し、記録を空にする
+   * @returns {Object} { put: { key: value }, remove: [key], keys }
+   */
+  takeChanges() {
+    const put = {};
+    const remove = [];
+    for (const key of this.changedKeys) {
+      if (this.has(key)) {
+        put[key] = this.get(key);
+      } else {
+        remove.push(key);
+      }
+    }
+
+    const keys = this.changedKeys;
+    this.changedKeys = new Set();
+    return { put, remove, keys };
+  }
+
+  /**
+   * 保存に失敗した変更を次の保存で書き込めるよう記録し直す
+   * @param {Set<string>} keys - takeChanges で取り出したキー
+   */
+  restoreChanges(keys) {
+    for (const key of keys) {
+      this.changedKeys.add(key);
+    }
+  }
+
+  forgetChanges() {
+    this.changedKeys.clear();
+  }
+}
+
+/**
+ * 古い順に取り除き、maxSize 件以下にする
+ */
+function trimMap(map, maxSize) {
+  for (const key of map.keys()) {
+    if (map.size <= maxSize) {
+      break;
+    }
+    map.delete(key);
+  }
+}
 
 /**
  * メッセージマッピング管理クラス
  */
 class MessageMappingManager {
   constructor(options = {}) {
-    this.lineToDiscord = new Map();
-    this.discordToLine = new Map();
+    this.lineToDiscord = new TrackedMap();
+    this.discordToLine = new TrackedMap();
+    // 応答を待っているPush送信（リトライキー → 送信元のDiscordメッセージ）
+    this.pendingLinePushes = new TrackedMap();
     this.lineOriginByDiscordMessage = new Map();
     this.discordOriginByLineMessage = new Map();
-    this.mappingFile = options.mappingFile || path.join(process.cwd(), 'data', 'message-mappings.json');
-    this.tempMappingFile = `${this.mappingFile}.tmp`;
+    this.store = options.store || createStore('message-mappings', { filePath: options.mappingFile });
+    // 行単位で読み書きできるストアでは、Map は参照したマッピングのキャッシュになる
+    this.usesRecordStore = typeof this.store.writeRecords === 'function';
+    this.cacheSize = options.cacheSize ?? config.database.mappingCacheSize;
+    // ストア上の件数（行単位のストアのみ。起動時と整理のたびに数える）
+    this.recordCounts = null;
     this.isInitialized = false;
-    this.saveQueue = Promise.resolve();
+    this.saveQueue = new SaveQueue();
     this.replyTokenPolicy = options.replyTokenPolicy || new ReplyTokenPolicy();
+    this.retentionPolicy = options.retentionPolicy || new MappingRetentionPolicy();
+    this.pruneTimer = null;
+    this.retentionStats = {
+      lastPrunedAt: null,
+      lastPrunedCount: 0,
+      totalPruned: 0,
+      prunedByAge: 0,
+      prunedByCount: 0
+    };
   }
 
   /**
@@ -29,10 +159,14 @@ class MessageMappingManager {
   async initialize() {
     try {
       await this.loadMappings();
+      await this.pruneMappings();
+      this.startPruneTimer();
       this.isInitialized = true;
+      const { lineToDiscordCount, discordToLineCount } = this.getMappingCounts();
       logger.info('MessageMappingManager initialized', {
-        lineToDiscordCount: this.lineToDiscord.size,
-        discordToLineCount: this.discordToLine.size
+        lineToDiscordCount,
+        discordToLineCount,
+        cached: this.usesRecordStore
       });
     } catch (error) {
       logger.error('Failed to initialize MessageMappingManager', {
@@ -47,13 +181,28 @@ class MessageMappingManager {
    */
   async loadMappings() {
     try {
-      const mappings = await readJsonFile(this.mappingFile);
+      if (this.usesRecordStore) {
+        // 全件は読み込まず、参照したマッピングだけをストアから読み込む
+        this.resetMappings();
+        this.forgetMappingChanges();
+        await this.refreshRecordCounts();
+        logger.debug('Message mappings are read from the store on demand', this.store.describe());
+        return;
+      }
+
+      const mappings = await this.store.load();
 
-      if (!mappings || Array.isArray(mappings)) {
+      if (!mappings) {
+        // 保存済みデータがない場合は空のマッピングで開始
+        logger.info('Message mapping store is empty, starting with empty mappings', this.store.describe());
         this.resetMappings();
-        logger.info('Legacy or empty message mapping format detected, starting with empty mappings');
         return;
       }
+
+      if (Array.isArray(mappings)) {
+        // 旧形式はスキーマ移行（src/storage/migrations.js）で変換してから読み込む
+        throw new Error('Legacy message mapping format found, run schema migrations before loading');
+      }
       
       this.resetMappings();
       
@@ -74,22 +223,25 @@ class MessageMappingManager {
           }
         }
       }
+
+      if (mappings.pendingLinePushes) {
+        for (const [key, value] of Object.entries(mappings.pendingLinePushes)) {
+          this.pendingLinePushes.set(key, value);
+        }
+      }
       
+      // 読み込んだ内容は保存済みなので、変更として扱わない
+      this.forgetMappingChanges();
+
       logger.debug('Message mappings loaded', {
         lineToDiscordCount: this.lineToDiscord.size,
         discordToLineCount: this.discordToLine.size
       });
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        // ファイルが存在しない場合は空のマッピングで開始
-        logger.info('Message mapping file not found, starting with empty mappings');
-        this.resetMappings();
-      } else {
-        logger.error('Failed to load message mappings', {
-          error: error.message
-        });
-        throw error;
-      }
+      logger.error('Failed to load message mappings', {
+        error: error.message
+      });
+      throw error;
     }
   }
 
@@ -97,24 +249,28 @@ class MessageMappingManager {
    * マッピングを保存
    */
   async saveMappings() {
-    const saveOperation = this.saveQueue.catch(() => {}).then(async () => {
-      const mappings = {
-        lineToDiscord: Object.fromEntries(this.lineToDiscord),
-        discordToLine: Object.fromEntries(this.discordToLine),
-        lastUpdated: new Date().toISOString(),
-        version: '3.1.0'
-      };
-
-      await writeJsonFileAtomic(this.mappingFile, mappings);
+    const saveOperation = this.saveQueue.run(async () => {
+      if (this.usesRecordStore) {
+        await this.writeChangedMappings();
+        this.trimCaches();
+      } else {
+        const mappings = {
+          lineToDiscord: Object.fromEntries(this.lineToDiscord),
+          discordToLine: Object.fromEntries(this.discordToLine),
+          pendingLinePushes: Object.fromEntries(this.pendingLinePushes),
+          lastUpdated: new Date().toISOString()
+        };
+        this.forgetMappingChanges();
+        await this.store.save(mappings);
+      }
 
       logger.debug('Message mappings saved', {
         lineToDiscordCount: this.lineToDiscord.size,
-        discordToLineCount: this.discordToLine.size
+        discordToLineCount: this.discordToLine.size,
+        cached: this.usesRecordStore
       });
     });
 
-    this.saveQueue = saveOperation;
-
     try {
       await saveOperation;
     } catch (error) {
@@ -125,6 +281,114 @@ class MessageMappingManager {
     }
   }
 
+  /**
+   * 前回の保存以降に変わったマッピングだけを書き込む
+   * 失敗した場合は次の保存で書き込めるよう変更の記録を戻す
+   */
+  async writeChangedMappings() {
+    const lineToDiscord = this.lineToDiscord.takeChanges();
+    const discordToLine = this.discordToLine.takeChanges();
+    const pendingLinePushes = this.pendingLinePushes.takeChanges();
+    if (lineToDiscord.keys.size === 0 && discordToLine.keys.size === 0 && pendingLinePushes.keys.size === 0) {
+      return;
+    }
+
+    try {
+      await this.store.writeRecords({
+        put: {
+          lineToDiscord: lineToDiscord.put,
+          discordToLine: discordToLine.put,
+          pendingLinePushes: pendingLinePushes.put
+        },
+        remove: {
+          lineToDiscord: lineToDiscord.remove,
+          discordToLine: discordToLine.remove,
+          pendingLinePushes: pendingLinePushes.remove
+        }
+      });
+    } catch (error) {
+      this.lineToDiscord.restoreChanges(lineToDiscord.keys);
+      this.discordToLine.restoreChanges(discordToLine.keys);
+      this.pendingLinePushes.restoreChanges(pendingLinePushes.keys);
+      throw error;
+    }
+  }
+
+  /**
+   * キャッシュを上限の件数まで減らす（未保存の変更は残す）
+   */
+  trimCaches() {
+    if (!this.usesRecordStore) {
+      return;
+    }
+
+    this.lineToDiscord.evict(this.cacheSize);
+    this.discordToLine.evict(this.cacheSize);
+    this.pendingLinePushes.evict(this.cacheSize);
+    trimMap(this.lineOriginByDiscordMessage, this.cacheSize);
+    trimMap(this.discordOriginByLineMessage, this.cacheSize);
+  }
+
+  /**
+   * キャッシュになければストアから1件読み込む
+   * @param {string} collectionName - lineToDiscord / discordToLine / pendingLinePushes
+   * @param {string} key - キー
+   * @returns {Object|null} マッピング
+   */
+  async lookupMapping(collectionName, key) {
+    const collection = this[collectionName];
+    // 削除してまだ書き込んでいないものはストアから読み直さない
+    if (!key || collection.has(key) || !this.usesRecordStore || collection.changedKeys.has(key)) {
+      return collection.get(key) || null;
+    }
+
+    const mapping = await this.store.getRecord(key, collectionName);
+    return mapping ? this.cacheRecord(collectionName, key, mapping) : null;
+  }
+
+  /**
+   * マッピングの値（discordMessageId / lineMessageId）から逆引き
+   * @param {Map} originIndex - 逆引きのキャッシュ
+   * @param {string} collectionName - 検索するマッピング
+   * @param {string} field - 値のフィールド名
+   * @param {string} value - 検索する値
+   * @returns {Object|null} マッピング
+   */
+  async lookupOrigin(originIndex, collectionName, field, value) {
+    if (!value || originIndex.has(value) || !this.usesRecordStore) {
+      return originIndex.get(value) || null;
+    }
+
+    const [record] = await this.store.findRecords(collectionName, field, value, { limit: 1 });
+    const mapping = record && this.cacheRecord(collectionName, ...record);
+    if (!mapping) {
+      return null;
+    }
+    originIndex.set(value, mapping);
+    return mapping;
+  }
+
+  /**
+   * ストアから読んだマッピングをキャッシュ
+   * 読み込み中にキャッシュされた・変更されたものはそちらを使う
+   */
+  cacheRecord(collectionName, key, mapping) {
+    const collection = this[collectionName];
+    if (collection.has(key) || collection.changedKeys.has(key)) {
+      return collection.get(key) || null;
+    }
+
+    collection.cache(key, mapping);
+    this.trimCaches();
+    return mapping;
+  }
+
+  forgetMappingChanges() {
+    this.lineToDiscord.forgetChanges();
+    this.discordToLine.forgetChanges();
+    this.pendingLinePushes.forgetChanges();
+  }
+
   /**
    * LINEメッセージIDをDiscordメッセージIDにマッピング
    * @param {string} lineMessageId - LINEメッセージID
@@ -181,8 +445,9 @@ class MessageMappingManager {
    * @param {string} lineMessageId - LINEメッセージID
    * @param {string} lineUserId - LINEユーザーID
    * @param {string} discordChannelId - DiscordチャンネルID
+   * @param {Object} metadata - LINE送信結果のメタデータ（quoteTokenなど、オプショナル）
    */
-  async mapDiscordToLine(discordMessageId, lineMessageId, lineUserId, discordChannelId) {
+  async mapDiscordToLine(discordMessageId, lineMessageId, lineUserId, discordChannelId, metadata = {}) {
     try {
       const mapping = {
         discordMessageId,
@@ -191,6 +456,10 @@ class MessageMappingManager {
         discordChannelId,
         timestamp: new Date().toISOString()
       };
+
+      if (metadata?.quoteToken) {
+        mapping.quoteToken = metadata.quoteToken;
+      }
       
       this.discordToLine.set(discordMessageId, mapping);
       this.discordOriginByLineMessage.set(lineMessageId, mapping);
@@ -200,7 +469,8 @@ class MessageMappingManager {
         discordMessageId,
         lineMessageId,
         lineUserId,
-        discordChannelId
+        discordChannelId,
+        hasQuoteToken: !!mapping.quoteToken
       });
     } catch (error) {
       logger.error('Failed to create Discord to LINE mapping', {
@@ -212,18 +482,91 @@ class MessageMappingManager {
     }
   }
 
-  getLineOriginByDiscordMessageId(discordMessageId) {
-    return this.lineOriginByDiscordMessage.get(discordMessageId) || null;
+  /**
+   * Push送信の前に、リトライキーと送信元のDiscordメッセージを記録
+   * 応答を受け取る前にタイムアウト・停止しても、同じキーでの再送結果を元のメッセージに紐付けられる
+   * @param {string} retryKey - X-Line-Retry-Key
+   * @param {Object} origin - { discordMessageId, discordChannelId, lineUserId }
+   */
+  async recordPendingLinePush(retryKey, { discordMessageId, discordChannelId, lineUserId }) {
+    this.pendingLinePushes.set(retryKey, {
+      retryKey,
+      discordMessageId,
+      discordChannelId,
+      lineUserId,
+      timestamp: new Date().toISOString()
+    });
+    await this.saveMappings();
+  }
+
+  /**
+   * 送信結果で記録済みのPush送信を解決
+   * 受付済み（409）の場合も応答の sentMessages から取り出したメッセージIDで通常の送信と同じように紐付ける
+   * メッセージIDがなければ紐付けは作らない（編集・返信はLINEのメッセージIDがないと使えないため）
+   * @param {string} retryKey - X-Line-Retry-Key
+   * @param {Object} result - 送信結果（messageId / quoteToken / duplicate）
+   * @param {Object} origin - 記録がない場合（記録前にキューへ入った再送など）の送信元
+   * @returns {Object|null} 紐付け
+   */
+  async resolvePendingLinePush(retryKey, result, origin = {}) {
+    const pending = await this.lookupMapping('pendingLinePushes', retryKey) || origin;
+    this.pendingLinePushes.delete(retryKey);
+
+    const { discordMessageId, discordChannelId, lineUserId } = pending;
+    if (!discordMessageId) {
+      await this.saveMappings();
+      return null;
+    }
+
+    if (result?.messageId) {
+      await this.mapDiscordToLine(discordMessageId, result.messageId, lineUserId, discordChannelId, {
+        quoteToken: result.quoteToken || null
+      });
+      return this.discordToLine.get(discordMessageId);
+    }
+
+    if (result?.duplicate) {
+      logger.warn('Accepted LINE push returned no message ID, leaving it unmapped', {
+        discordMessageId,
+        lineUserId,
+        retryKey,
+        acceptedRequestId: result.acceptedRequestId
+      });
+    }
+    await this.saveMappings();
+
+    return this.discordToLine.get(discordMessageId) || null;
+  }
+
+  /**
+   * 送信しなかった・送信を諦めたPush送信の記録を削除
+   * @param {string} retryKey - X-Line-Retry-Key
+   */
+  async discardPendingLinePush(retryKey) {
+    if (await this.lookupMapping('pendingLinePushes', retryKey)) {
+      this.pendingLinePushes.delete(retryKey);
+      await this.saveMappings();
+    }
+  }
+
+  /**
+   * Discordメッセージへの返信・引用として送ったLINE発のマッピングを取得
+   * @param {string} discordMessageId - DiscordメッセージID
+   * @returns {Object|null} マッピング情報
+   */
+  async getLineOriginByDiscordMessageId(discordMessageId) {
+    return this.lookupOrigin(this.lineOriginByDiscordMessage, 'lineToDiscord', 'discordMessageId', discordMessageId);
   }
 
   async markReplyTokenUsed(lineMessageId) {
     try {
-      const mapping = this.lineToDiscord.get(lineMessageId);
+      const mapping = await this.lookupMapping('lineToDiscord', lineMessageId);
       if (!this.replyTokenPolicy.isUsable(mapping)) {
         return false;
       }
 
       mapping.replyTokenUsedAt = new Date().toISOString();
+      this.lineToDiscord.touch(lineMessageId);
       if (mapping.discordMessageId) {
         this.lineOriginByDiscordMessage.set(mapping.discordMessageId, mapping);
       }
@@ -244,21 +587,56 @@ class MessageMappingManager {
     }
   }
 
-  getDiscordOriginByLineMessageId(lineMessageId) {
-    return this.discordOriginByLineMessage.get(lineMessageId) || null;
+  /**
+   * LINEメッセージから引用されたDiscord発のマッピングを取得
+   * @param {string} lineMessageId - LINEメッセージID
+   * @returns {Object|null} マッピング情報
+   */
+  async getDiscordOriginByLineMessageId(lineMessageId) {
+    return this.lookupOrigin(this.discordOriginByLineMessage, 'discordToLine', 'lineMessageId', lineMessageId);
   }
 
   isReplyTokenExpired(mapping) {
     return this.replyTokenPolicy.isExpired(mapping);
   }
 
+  isReplyTokenUsable(mapping) {
+    return this.replyTokenPolicy.isUsable(mapping);
+  }
+
+  /**
+   * チャンネル内で最後にLINEから届いたメッセージのマッピングを取得
+   * @param {string} discordChannelId - DiscordチャンネルID
+   * @returns {Object|null} マッピング情報
+   */
+  async getLatestLineOriginByChannelId(discordChannelId) {
+    if (this.usesRecordStore) {
+      const [record] = await this.store.findRecords('lineToDiscord', 'discordChannelId', discordChannelId, {
+        limit: 1,
+        newestFirst: true
+      });
+      return record ? this.cacheRecord('lineToDiscord', ...record) : null;
+    }
+
+    let latest = null;
+
+    for (const mapping of this.lineToDiscord.values()) {
+      if (mapping.discordChannelId !== discordChannelId) continue;
+      if (!latest || new Date(mapping.timestamp) > new Date(latest.timestamp)) {
+        latest = mapping;
+      }
+    }
+
+    return latest;
+  }
+
   /**
    * LINEメッセージIDのマッピング情報を取得
    * @param {string} lineMessageId - LINEメッセージID
    * @returns {Object|null} マッピング情報
    */
-  getLineToDiscordMapping(lineMessageId) {
-    return this.lineToDiscord.get(lineMessageId) || null;
+  async getLineToDiscordMapping(lineMessageId) {
+    return this.lookupMapping('lineToDiscord', lineMessageId);
   }
 
   /**
@@ -266,8 +644,8 @@ class MessageMappingManager {
    * @param {string} discordMessageId - DiscordメッセージID
    * @returns {Object|null} マッピング情報
    */
-  getDiscordToLineMapping(discordMessageId) {
-    return this.discordToLine.get(discordMessageId) || null;
+  async getDiscordToLineMapping(discordMessageId) {
+    return this.lookupMapping('discordToLine', discordMessageId);
   }
 
   /**
@@ -279,7 +657,7 @@ class MessageMappingManager {
     try {
       let removed = false;
       
-      if (lineMessageId && this.lineToDiscord.has(lineMessageId)) {
+      if (await this.lookupMapping('lineToDiscord', lineMessageId)) {
         const mapping = this.lineToDiscord.get(lineMessageId);
         this.lineToDiscord.delete(lineMessageId);
         if (mapping?.discordMessageId) {
@@ -288,7 +666,7 @@ class MessageMappingManager {
         removed = true;
       }
       
-      if (discordMessageId && this.discordToLine.has(discordMessageId)) {
+      if (await this.lookupMapping('discordToLine', discordMessageId)) {
         const mapping = this.discordToLine.get(discordMessageId);
         this.discordToLine.delete(discordMessageId);
         if (mapping?.lineMessageId) {
@@ -315,59 +693,314 @@ class MessageMappingManager {
   }
 
   /**
-   * 古いマッピングをクリーンアップ
-   * @param {number} daysOld - 何日以上古いマッピングを削除するか
-   * @returns {number} 削除されたマッピング数
+   * 削除されたDiscordメッセージのマッピングをまとめて削除
+   * Discord発のマッピングとLINE発のマッピングの両方から取り除き、保存は1回にまとめる
+   * @param {Array<string>} discordMessageIds - DiscordメッセージID配列
+   * @returns {Array<Object>} 削除したDiscord発のマッピング
    */
-  async cleanupOldMappings(daysOld = 7) {
+  async removeMappingsByDiscordMessageIds(discordMessageIds) {
     try {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - daysOld);
-
+      const deletedIds = new Set(discordMessageIds);
+      const removedDiscordOrigins = [];
       let removedCount = 0;
 
-      // LINE to Discord マッピングのクリーンアップ
-      for (const [lineMessageId, mapping] of this.lineToDiscord) {
-        if (new Date(mapping.timestamp) < cutoffDate) {
-          this.lineToDiscord.delete(lineMessageId);
-          if (mapping?.discordMessageId) {
-            this.lineOriginByDiscordMessage.delete(mapping.discordMessageId);
-          }
+      for (const discordMessageId of deletedIds) {
+        const discordOrigin = await this.lookupMapping('discordToLine', discordMessageId);
+        if (discordOrigin) {
+          this.discordToLine.delete(discordMessageId);
+          removedDiscordOrigins.push(discordOrigin);
+          removedCount++;
+        }
+
+        const lineOrigin = await this.getLineOriginByDiscordMessageId(discordMessageId);
+        if (lineOrigin) {
+          this.lineOriginByDiscordMessage.delete(discordMessageId);
+          this.lineToDiscord.delete(lineOrigin.lineMessageId);
           removedCount++;
         }
       }
 
-      // Discord to LINE マッピングのクリーンアップ
-      for (const [discordMessageId, mapping] of this.discordToLine) {
-        if (new Date(mapping.timestamp) < cutoffDate) {
-          this.discordToLine.delete(discordMessageId);
-          if (mapping?.lineMessageId) {
-            this.discordOriginByLineMessage.delete(mapping.lineMessageId);
+      // 修正送信で付け替えた古いLINEメッセージIDも含めて逆引きを削除
+      if (removedDiscordOrigins.length > 0) {
+        for (const [lineMessageId, mapping] of this.discordOriginByLineMessage) {
+          if (deletedIds.has(mapping.discordMessageId)) {
+            this.discordOriginByLineMessage.delete(lineMessageId);
           }
-          removedCount++;
         }
       }
 
       if (removedCount > 0) {
         await this.saveMappings();
-        logger.info('Old message mappings cleaned up', {
-          removedCount,
-          daysOld
+        logger.debug('Message mappings removed for deleted Discord messages', {
+          requestedCount: discordMessageIds.length,
+          removedCount
         });
       }
 
+      return removedDiscordOrigins;
+    } catch (error) {
+      logger.error('Failed to remove mappings for deleted Discord messages', {
+        count: discordMessageIds.length,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * メッセージ履歴の所属チャンネルを付け替え（チャンネル統合用）
+   * @param {string} fromChannelId - 統合元のDiscordチャンネルID
+   * @param {string} intoChannelId - 統合先のDiscordチャンネルID
+   * @returns {number} 付け替えたマッピング数
+   */
+  async reassignChannel(fromChannelId, intoChannelId) {
+    try {
+      let reassignedCount = 0;
+
+      for (const collectionName of ['lineToDiscord', 'discordToLine']) {
+        const collection = this[collectionName];
+        // 行単位のストアでは統合元チャンネルのマッピングだけをストアから読み込む
+        const entries = this.usesRecordStore
+          ? (await this.store.findRecords(collectionName, 'discordChannelId', fromChannelId))
+            .filter(([key]) => collection.has(key) || !collection.changedKeys.has(key))
+            .map(([key, record]) => [key, collection.get(key) || record])
+          : Array.from(collection);
+        for (const [key, mapping] of entries) {
+          if (mapping.discordChannelId === fromChannelId) {
+            mapping.discordChannelId = intoChannelId;
+            collection.set(key, mapping);
+            reassignedCount++;
+          }
+        }
+      }
+
+      if (reassignedCount > 0) {
+        await this.saveMappings();
+      }
+
+      logger.info('Message mappings reassigned to merged channel', {
+        fromChannelId,
+        intoChannelId,
+        reassignedCount
+      });
+
+      return reassignedCount;
+    } catch (error) {
+      logger.error('Failed to reassign message mappings', {
+        fromChannelId,
+        intoChannelId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 返信先として参照されたマッピングの最終参照日時を記録
+   * 保持期間は最終参照から数えるため、最近の返信が参照しているマッピングは削除されない
+   * 保存は続けて作成される返信のマッピングと一緒に行う
+   * @param {Object} mapping - マッピング情報
+   */
+  markReferenced(mapping) {
+    if (!mapping) {
+      return;
+    }
+
+    mapping.lastReferencedAt = new Date().toISOString();
+    if (this.lineToDiscord.get(mapping.lineMessageId) === mapping) {
+      this.lineToDiscord.touch(mapping.lineMessageId);
+    }
+    if (this.discordToLine.get(mapping.discordMessageId) === mapping) {
+      this.discordToLine.touch(mapping.discordMessageId);
+    }
+  }
+
+  /**
+   * 保持期間と上限件数を超えたマッピングを削除
+   * @param {Object} limits - { maxAgeDays, maxMappings }（省略時は config.database.mappingRetention）
+   * @returns {number} 削除されたマッピング数
+   */
+  async pruneMappings(limits = {}) {
+    try {
+      const { byAge, byCount } = this.usesRecordStore
+        ? await this.pruneStoredMappings(limits)
+        : await this.pruneLoadedMappings(limits);
+      const removedCount = byAge + byCount;
+
+      this.retentionStats.lastPrunedAt = new Date().toISOString();
+      this.retentionStats.lastPrunedCount = removedCount;
+      if (removedCount === 0) {
+        return 0;
+      }
+
+      this.retentionStats.totalPruned += removedCount;
+      this.retentionStats.prunedByAge += byAge;
+      this.retentionStats.prunedByCount += byCount;
+
+      const { lineToDiscordCount, discordToLineCount } = this.getMappingCounts();
+      logger.info('Message mappings pruned', {
+        removedCount,
+        prunedByAge: byAge,
+        prunedByCount: byCount,
+        remainingCount: lineToDiscordCount + discordToLineCount
+      });
+
       return removedCount;
     } catch (error) {
-      logger.error('Failed to cleanup old mappings', {
+      logger.error('Failed to prune message mappings', {
         error: error.message
       });
       return 0;
     }
   }
 
+  /**
+   * メモリ上の全件から保持期間と上限件数を超えたものを削除して保存
+   * @param {Object} limits - { maxAgeDays, maxMappings }
+   * @returns {Object} { byAge, byCount } 削除した件数
+   */
+  async pruneLoadedMappings(limits) {
+    const entries = [
+      ...Array.from(this.lineToDiscord, ([key, mapping]) => ({ collection: this.lineToDiscord, key, mapping })),
+      ...Array.from(this.discordToLine, ([key, mapping]) => ({ collection: this.discordToLine, key, mapping })),
+      ...Array.from(this.pendingLinePushes, ([key, mapping]) => ({ collection: this.pendingLinePushes, key, mapping }))
+    ];
+    const { byAge, byCount } = this.retentionPolicy.selectPrunable(entries, limits);
+    if (byAge.length + byCount.length === 0) {
+      return { byAge: 0, byCount: 0 };
+    }
+
+    for (const { collection, key } of [...byAge, ...byCount]) {
+      collection.delete(key);
+    }
+    this.removeOrphanedOrigins();
+    await this.saveMappings();
+
+    return { byAge: byAge.length, byCount: byCount.length };
+  }
+
+  /**
+   * ストア上で保持期間と上限件数を超えたものを削除し、キャッシュを空にする
+   * 最終活動の判定は MappingRetentionPolicy と同じ（作成日時と最終参照日時の新しい方）
+   * @param {Object} limits - { maxAgeDays, maxMappings }
+   * @returns {Object} { byAge, byCount } 削除した件数
+   */
+  async pruneStoredMappings({ maxAgeDays = this.retentionPolicy.maxAgeDays, maxMappings = this.retentionPolicy.maxMappings } = {}) {
+    // 未保存の変更（最終参照日時など）を書き込んでから判定する
+    await this.saveMappings();
+
+    const cutoff = this.retentionPolicy.getCutoff(maxAgeDays);
+    const pruned = await this.saveQueue.run(() => this.store.pruneRecords({
+      before: cutoff === null ? null : new Date(cutoff).toISOString(),
+      keep: Math.max(0, maxMappings)
+    }));
+
+    if (pruned.byAge + pruned.byCount > 0) {
+      // 削除したものがキャッシュから参照されないよう、キャッシュを空にする
+      this.lineToDiscord.evict(0);
+      this.discordToLine.evict(0);
+      this.pendingLinePushes.evict(0);
+      this.lineOriginByDiscordMessage.clear();
+      this.discordOriginByLineMessage.clear();
+    }
+    await this.refreshRecordCounts();
+
+    return pruned;
+  }
+
+  /**
+   * ストア上の件数を数え直す（行単位のストアのみ）
+   */
+  async refreshRecordCounts() {
+    const now = Date.now();
+    const since = (ms) => new Date(now - ms).toISOString();
+    const counts = {};
+    for (const collectionName of ['lineToDiscord', 'discordToLine']) {
+      counts[collectionName] = {
+        total: await this.store.countRecords(collectionName),
+        recent: await this.store.countRecords(collectionName, { since: since(DAY_MS) }),
+        weekly: await this.store.countRecords(collectionName, { since: since(7 * DAY_MS) })
+      };
+    }
+
+    this.recordCounts = {
+      lineToDiscordCount: counts.lineToDiscord.total,
+      discordToLineCount: counts.discordToLine.total,
+      recentMappings: counts.lineToDiscord.recent + counts.discordToLine.recent,
+      weeklyMappings: counts.lineToDiscord.weekly + counts.discordToLine.weekly,
+      countedAt: new Date(now).toISOString()
+    };
+  }
+
+  /**
+   * マッピングの件数（行単位のストアでは最後に数えた値）
+   * @returns {Object} { lineToDiscordCount, discordToLineCount, recentMappings, weeklyMappings }
+   */
+  getMappingCounts() {
+    if (this.usesRecordStore && this.recordCounts) {
+      return this.recordCounts;
+    }
+
+    const now = Date.now();
+    const countSince = (ms) => [this.lineToDiscord, this.discordToLine]
+      .flatMap(collection => Array.from(collection.values()))
+      .filter(mapping => new Date(mapping.timestamp) > new Date(now - ms))
+      .length;
+
+    return {
+      lineToDiscordCount: this.lineToDiscord.size,
+      discordToLineCount: this.discordToLine.size,
+      recentMappings: countSince(DAY_MS),
+      weeklyMappings: countSince(7 * DAY_MS)
+    };
+  }
+
+  /**
+   * 削除済みマッピングを指す逆引きを削除
+   * 修正送信で付け替えた古いLINEメッセージIDの逆引きも含む
+   */
+  removeOrphanedOrigins() {
+    for (const [discordMessageId, mapping] of this.lineOriginByDiscordMessage) {
+      if (!this.lineToDiscord.has(mapping.lineMessageId)) {
+        this.lineOriginByDiscordMessage.delete(discordMessageId);
+      }
+    }
+
+    for (const [lineMessageId, mapping] of this.discordOriginByLineMessage) {
+      if (!this.discordToLine.has(mapping.discordMessageId)) {
+        this.discordOriginByLineMessage.delete(lineMessageId);
+      }
+    }
+  }
+
+  /**
+   * 古いマッピングをクリーンアップ
+   * @param {number} daysOld - 何日以上古いマッピングを削除するか
+   * @returns {number} 削除されたマッピング数
+   */
+  async cleanupOldMappings(daysOld = 7) {
+    return this.pruneMappings({ maxAgeDays: daysOld, maxMappings: 0 });
+  }
+
+  /**
+   * 定期的なマッピング削除を開始
+   */
+  startPruneTimer() {
+    const { pruneIntervalMinutes } = config.database.mappingRetention;
+    if (!pruneIntervalMinutes || pruneIntervalMinutes <= 0 || this.pruneTimer) {
+      return;
+    }
+
+    this.pruneTimer = setInterval(() => {
+      this.pruneMappings();
+    }, pruneIntervalMinutes * 60 * 1000);
+    this.pruneTimer.unref?.();
+  }
+
   resetMappings() {
     this.lineToDiscord.clear();
     this.discordToLine.clear();
+    this.pendingLinePushes.clear();
     this.lineOriginByDiscordMessage.clear();
     this.discordOriginByLineMessage.clear();
   }
@@ -385,7 +1018,7 @@ class MessageMappingManager {
   }
 
   /**
-   * すべてのマッピングを取得
+   * すべてのマッピングを取得（行単位のストアではキャッシュ中のもののみ）
    * @returns {Object} マッピング情報
    */
   getAllMappings() {
@@ -400,33 +1033,17 @@ class MessageMappingManager {
    * @returns {Object} 統計情報
    */
   getStats() {
-    const lineToDiscordMappings = Array.from(this.lineToDiscord.values());
-    const discordToLineMappings = Array.from(this.discordToLine.values());
-    
-    const now = new Date();
-    const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-    const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-
-    const recentLineToDiscord = lineToDiscordMappings.filter(m => 
-      new Date(m.timestamp) > oneDayAgo
-    );
-    const recentDiscordToLine = discordToLineMappings.filter(m => 
-      new Date(m.timestamp) > oneDayAgo
-    );
-
-    const weeklyLineToDiscord = lineToDiscordMappings.filter(m => 
-      new Date(m.timestamp) > oneWeekAgo
-    );
-    const weeklyDiscordToLine = discordToLineMappings.filter(m => 
-      new Date(m.timestamp) > oneWeekAgo
-    );
+    const counts = this.getMappingCounts();
 
     return {
-      totalMappings: this.lineToDiscord.size + this.discordToLine.size,
-      lineToDiscordCount: this.lineToDiscord.size,
-      discordToLineCount: this.discordToLine.size,
-      recentMappings: recentLineToDiscord.length + recentDiscordToLine.length,
-      weeklyMappings: weeklyLineToDiscord.length + weeklyDiscordToLine.length,
+      totalMappings: counts.lineToDiscordCount + counts.discordToLineCount,
+      ...counts,
+      cachedMappings: this.usesRecordStore ? this.lineToDiscord.size + this.discordToLine.size : null,
+      retention: {
+        maxAgeDays: this.retentionPolicy.maxAgeDays,
+        maxMappings: this.retentionPolicy.maxMappings,
+        ...this.retentionStats
+      },
       isInitialized: this.isInitialized
     };
   }
@@ -436,6 +1053,10 @@ class MessageMappingManager {
    */
   async stop() {
     try {
+      if (this.pruneTimer) {
+        clearInterval(this.pruneTimer);
+        this.pruneTimer = null;
+      }
       await this.saveMappings();
       this.isInitialized = false;
       logger.info('MessageMappingManager stopped');
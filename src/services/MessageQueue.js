@@ -1,110 +1,363 @@
 /**
  * メッセージキューサービス
- * LINE APIの月間制限を考慮したメッセージ送信キュー
+ * Discord→LINEの送信に失敗したメッセージを永続化し、指数バックオフで再送する
+ * 再送しても届かないメッセージ（恒久的なエラー・試行回数超過）はデッドレターとして保存する
  */
-const MessageOptimizer = require('../utils/messageOptimizer');
+const crypto = require('crypto');
+const config = require('../config');
 const logger = require('../utils/logger');
-const { sleep } = require('../utils/async');
+const { SaveQueue, createStore } = require('../storage');
+
+// 再送すれば届く見込みのあるLINE APIのステータス（それ以外の4xxは恒久的なエラー）
+const RETRYABLE_STATUSES = new Set([408, 429]);
+// LINEへ送らずに失敗させたエラー（月間上限など）
+const PERMANENT_ERROR_CODES = new Set(['LINE_MONTHLY_LIMIT']);
 
 class MessageQueue {
-  constructor() {
-    this.optimizer = new MessageOptimizer();
+  /**
+   * @param {Object} options
+   * @param {Function} options.sendMethod - 送信処理 (userId, message, { retryKey, linePriority }) => 送信結果
+   * @param {Function} options.onDelivered - 再送成功時の処理 (item, result)
+   * @param {Function} options.onDeadLetter - デッドレター化した時の処理 (item)
+   */
+  constructor(options = {}) {
+    const queueConfig = config.outboundQueue;
+    this.store = options.store || createStore('outbound-queue');
+    this.deadLetterStore = options.deadLetterStore || createStore('outbound-dead-letters');
+    this.maxAttempts = options.maxAttempts ?? queueConfig.maxAttempts;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? queueConfig.retryBaseDelayMs;
+    this.retryMaxDelayMs = options.retryMaxDelayMs ?? queueConfig.retryMaxDelayMs;
+    this.maxDeadLetters = options.maxDeadLetters ?? queueConfig.maxDeadLetters;
+    this.now = options.now || (() => Date.now());
+    this.onDelivered = options.onDelivered || null;
+    this.onDeadLetter = options.onDeadLetter || null;
+    if (options.sendMethod) {
+      this.setSendMethod(options.sendMethod);
+    }
+
     this.queue = [];
+    this.deadLetters = [];
     this.isProcessing = false;
-    this.maxQueueSize = 50; // 最大キューサイズ
+    this.timer = null;
+    this.saveQueue = new SaveQueue();
+    this.stats = {
+      enqueued: 0,
+      delivered: 0,
+      retried: 0,
+      deadLettered: 0
+    };
   }
 
   /**
-   * メッセージをキューに追加
-   * @param {string} userId - LINEユーザーID
-   * @param {Object} message - メッセージ
-   * @param {number} priority - 優先度（1-5）
-   * @returns {boolean} キューに追加されたかどうか
+   * 永続化されたキューとデッドレターを読み込み、再送を再開
    */
-  enqueue(userId, message, priority = 3) {
-    // キューサイズ制限チェック
-    if (this.queue.length >= this.maxQueueSize) {
-      logger.warn('Message queue is full, dropping message', {
-        userId,
-        messageType: message.type,
-        queueSize: this.queue.length
+  async initialize() {
+    try {
+      const saved = await this.store.load();
+      const deadLetters = await this.deadLetterStore.load();
+      this.queue = Array.isArray(saved?.items) ? saved.items : [];
+      this.deadLetters = Array.isArray(deadLetters?.items) ? deadLetters.items : [];
+
+      logger.info('Outbound message queue loaded', {
+        queueSize: this.queue.length,
+        deadLetterCount: this.deadLetters.length
       });
-      return false;
+
+      this.scheduleNext();
+    } catch (error) {
+      logger.error('Failed to load outbound message queue', {
+        error: error.message
+      });
+      throw error;
     }
+  }
 
-    const queueItem = {
+  /**
+   * メッセージをキューに追加
+   * @param {string} userId - LINEユーザーID
+   * @param {Object} message - LINEメッセージ
+   * @param {Object} options
+   * @param {number} options.priority - 優先度（1-5、大きいほど先に送る）
+   * @param {Object} options.origin - 送信元のDiscordメッセージ（{ discordMessageId, discordChannelId }）
+   * @param {Error} options.error - 直前の送信エラー（初回送信に失敗した場合）
+   * @param {string} options.retryKey - 初回送信で使ったリトライキー（再送でも同じキーを使う）
+   * @param {Object} options.linePriority - 月間上限後の優先判定に使う送信者の情報（{ senderRoleIds, marked }）
+   * @returns {Object} キューの項目
+   */
+  async enqueue(userId, message, { priority = 3, origin = {}, error = null, retryKey = null, linePriority = {} } = {}) {
+    const now = this.now();
+    const item = {
+      id: crypto.randomUUID(),
       userId,
       message,
       priority,
-      timestamp: Date.now(),
-      retryCount: 0
+      origin,
+      retryKey: retryKey || crypto.randomUUID(),
+      linePriority,
+      attempts: error ? 1 : 0,
+      createdAt: new Date(now).toISOString(),
+      nextAttemptAt: new Date(error ? now + this.getRetryDelay(1) : now).toISOString(),
+      lastError: error ? this.describeError(error) : null
     };
 
-    // 優先度順でソート
-    this.queue.push(queueItem);
-    this.queue.sort((a, b) => b.priority - a.priority);
+    this.queue.push(item);
+    this.stats.enqueued++;
+    await this.persistQueue();
 
-    logger.debug('Message enqueued', {
+    logger.warn('LINE message queued for retry', {
+      itemId: item.id,
       userId,
       messageType: message.type,
-      priority,
-      queueSize: this.queue.length
+      discordMessageId: origin.discordMessageId,
+      nextAttemptAt: item.nextAttemptAt,
+      error: item.lastError?.message
     });
 
-    // キューの処理を開始
-    this.processQueue();
-    return true;
+    this.scheduleNext();
+    return item;
   }
 
   /**
-   * キューを処理
+   * 送信待ちのメッセージがあるか（あれば順序を保つため後続もキューに入れる）
+   * @param {string} userId - LINEユーザーID
+   */
+  hasPending(userId) {
+    return this.queue.some(item => item.userId === userId);
+  }
+
+  /**
+   * Discordメッセージに送信待ちの項目が残っているか
+   * @param {string} discordMessageId - DiscordメッセージID
+   */
+  hasPendingForOrigin(discordMessageId) {
+    return this.queue.some(item => item.origin?.discordMessageId === discordMessageId);
+  }
+
+  /**
+   * 送信時刻を過ぎた項目を順に送信
+   * 同じユーザー宛ての項目は古いものから1件ずつ送り、順序を入れ替えない
    */
   async processQueue() {
-    if (this.isProcessing || this.queue.length === 0) {
+    if (this.isProcessing) {
       return;
     }
 
     this.isProcessing = true;
+    try {
+      let item;
+      while ((item = this.getNextDueItem())) {
+        await this.attemptDelivery(item);
+      }
+    } finally {
+      this.isProcessing = false;
+      this.scheduleNext();
+    }
+  }
 
-    while (this.queue.length > 0 && this.optimizer.canSendMessage()) {
-      const item = this.queue.shift();
-      
-      try {
-        // メッセージ送信を試行
-        await this.sendMessage(item.userId, item.message);
-        this.optimizer.recordMessageSent();
-        
-        logger.debug('Message sent from queue', {
-          userId: item.userId,
-          messageType: item.message.type,
-          remaining: this.optimizer.getRemainingMessages()
-        });
-        
-      } catch (error) {
-        logger.error('Failed to send message from queue', {
-          userId: item.userId,
-          messageType: item.message.type,
-          error: error.message,
-          retryCount: item.retryCount
-        });
-
-        // リトライ可能な場合
-        if (item.retryCount < 2 && this.shouldRetry(error)) {
-          item.retryCount++;
-          this.queue.unshift(item); // キューに戻す
-        }
+  getNextDueItem() {
+    const now = this.now();
+    const heads = new Map();
+    for (const item of this.queue) {
+      const head = heads.get(item.userId);
+      if (!head || item.createdAt < head.createdAt) {
+        heads.set(item.userId, item);
       }
+    }
+
+    return Array.from(heads.values())
+      .filter(item => new Date(item.nextAttemptAt).getTime() <= now)
+      .sort((a, b) => b.priority - a.priority || a.createdAt.localeCompare(b.createdAt))[0] || null;
+  }
 
-      // レート制限を避けるため少し待機
-      await sleep(100);
+  async attemptDelivery(item) {
+    let result;
+    try {
+      result = await this.sendMessage(item.userId, item.message, {
+        retryKey: item.retryKey,
+        linePriority: item.linePriority || {}
+      });
+    } catch (error) {
+      await this.handleDeliveryFailure(item, error);
+      return;
     }
 
-    this.isProcessing = false;
+    this.removeItem(item);
+    this.stats.delivered++;
+    await this.persistQueue();
+
+    logger.info('Queued LINE message delivered', {
+      itemId: item.id,
+      userId: item.userId,
+      attempts: item.attempts + 1,
+      messageId: result?.messageId,
+      duplicate: !!result?.duplicate
+    });
+
+    await this.notify(this.onDelivered, item, result);
+  }
+
+  async handleDeliveryFailure(item, error) {
+    item.attempts++;
+    item.lastError = this.describeError(error);
+
+    if (!this.shouldRetry(error) || item.attempts >= this.maxAttempts) {
+      await this.moveToDeadLetters(item);
+      return;
+    }
+
+    item.nextAttemptAt = new Date(this.now() + this.getRetryDelay(item.attempts)).toISOString();
+    this.stats.retried++;
+    await this.persistQueue();
+
+    logger.warn('Queued LINE message failed, will retry', {
+      itemId: item.id,
+      userId: item.userId,
+      attempts: item.attempts,
+      nextAttemptAt: item.nextAttemptAt,
+      error: item.lastError.message,
+      status: item.lastError.status
+    });
+  }
+
+  async moveToDeadLetters(item) {
+    this.removeItem(item);
+    item.deadLetteredAt = new Date(this.now()).toISOString();
+    this.deadLetters.push(item);
+    if (this.maxDeadLetters > 0 && this.deadLetters.length > this.maxDeadLetters) {
+      this.deadLetters.splice(0, this.deadLetters.length - this.maxDeadLetters);
+    }
+    this.stats.deadLettered++;
+
+    await this.persistQueue();
+    await this.persistDeadLetters();
+
+    logger.error('LINE message moved to dead letters', {
+      itemId: item.id,
+      userId: item.userId,
+      attempts: item.attempts,
+      discordMessageId: item.origin?.discordMessageId,
+      error: item.lastError?.message,
+      status: item.lastError?.status
+    });
+
+    await this.notify(this.onDeadLetter, item);
+  }
+
+  /**
+   * デッドレターをキューに戻して再送
+   * @param {string} id - 項目ID
+   * @returns {Object|null} キューに戻した項目（見つからなければnull）
+   */
+  async retryDeadLetter(id) {
+    const index = this.deadLetters.findIndex(item => item.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [item] = this.deadLetters.splice(index, 1);
+    delete item.deadLetteredAt;
+    item.attempts = 0;
+    item.nextAttemptAt = new Date(this.now()).toISOString();
+    this.queue.push(item);
+
+    await this.persistDeadLetters();
+    await this.persistQueue();
+    logger.info('Dead letter requeued', { itemId: id, userId: item.userId });
+
+    this.scheduleNext();
+    return item;
+  }
+
+  getDeadLetters() {
+    return [...this.deadLetters];
+  }
+
+  /**
+   * 送信を待つ価値があるエラーか判定
+   * ネットワークエラー・タイムアウト・429・5xx は再送し、その他の4xxは恒久的なエラーとして扱う
+   * @param {Error} error - エラー
+   * @returns {boolean} 再送すべきかどうか
+   */
+  shouldRetry(error) {
+    if (PERMANENT_ERROR_CODES.has(error?.code)) {
+      return false;
+    }
 
-    // 残りメッセージがある場合は定期的にチェック
-    if (this.queue.length > 0) {
-      setTimeout(() => this.processQueue(), 60000); // 1分後に再試行
+    const status = this.getErrorStatus(error);
+    if (!status) {
+      return true;
     }
+
+    return RETRYABLE_STATUSES.has(status) || status >= 500;
+  }
+
+  getErrorStatus(error) {
+    return error?.status || error?.statusCode || error?.response?.status || null;
+  }
+
+  describeError(error) {
+    return {
+      message: error?.message || String(error),
+      status: this.getErrorStatus(error),
+      code: error?.code || null,
+      at: new Date(this.now()).toISOString()
+    };
+  }
+
+  /**
+   * 試行回数に応じた再送までの待ち時間（指数バックオフ）
+   * @param {number} attempts - 失敗した回数
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** Math.max(0, attempts - 1));
+  }
+
+  scheduleNext() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.isProcessing || this.queue.length === 0) {
+      return;
+    }
+
+    const nextAttemptAt = Math.min(...this.queue.map(item => new Date(item.nextAttemptAt).getTime()));
+    const delay = Math.max(0, nextAttemptAt - this.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.processQueue().catch((error) => {
+        logger.error('Failed to process outbound message queue', { error: error.message });
+      });
+    }, delay);
+    this.timer.unref?.();
+  }
+
+  removeItem(item) {
+    this.queue = this.queue.filter(queued => queued.id !== item.id);
+  }
+
+  async notify(callback, ...args) {
+    if (!callback) {
+      return;
+    }
+
+    try {
+      await callback(...args);
+    } catch (error) {
+      logger.warn('Outbound message queue callback failed', {
+        itemId: args[0]?.id,
+        error: error.message
+      });
+    }
+  }
+
+  persistQueue() {
+    return this.saveQueue.run(() => this.store.save({ items: this.queue }));
+  }
+
+  persistDeadLetters() {
+    return this.saveQueue.run(() => this.deadLetterStore.save({ items: this.deadLetters }));
   }
 
   /**
@@ -112,8 +365,7 @@ class MessageQueue {
    * @param {string} userId - LINEユーザーID
    * @param {Object} message - メッセージ
    */
-  async sendMessage(_userId, _message) {
-    // ここで実際のLINE API呼び出しを行う
+  async sendMessage(_userId, _message, _options) {
     // MessageBridgeから注入される
     throw new Error('sendMessage method must be implemented');
   }
@@ -126,21 +378,6 @@ class MessageQueue {
     this.sendMessage = sendMethod;
   }
 
-  /**
-   * リトライすべきかどうかを判定
-   * @param {Error} error - エラー
-   * @returns {boolean} リトライすべきかどうか
-   */
-  shouldRetry(error) {
-    // 429エラー（レート制限）の場合はリトライしない
-    if (error.status === 429 || (error.response && error.response.status === 429)) {
-      return false;
-    }
-    
-    // その他の一時的なエラーはリトライ
-    return error.status >= 500 || !error.status;
-  }
-
   /**
    * キューの状態を取得
    * @returns {Object} キュー状態
@@ -148,20 +385,31 @@ class MessageQueue {
   getQueueStatus() {
     return {
       queueSize: this.queue.length,
+      deadLetterCount: this.deadLetters.length,
       isProcessing: this.isProcessing,
-      remainingMessages: this.optimizer.getRemainingMessages(),
-      monthlyCount: this.optimizer.monthlyMessageCount
+      oldestItemAt: this.queue.reduce((oldest, item) =>
+        (!oldest || item.createdAt < oldest ? item.createdAt : oldest), null),
+      ...this.stats
     };
   }
 
   /**
    * キューをクリア
    */
-  clearQueue() {
+  async clearQueue() {
     const clearedCount = this.queue.length;
     this.queue = [];
+    await this.persistQueue();
     logger.info('Message queue cleared', { clearedCount });
   }
+
+  async stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await this.saveQueue.flush();
+  }
 }
 
 module.exports = MessageQueue;
@@ -0,0 +1,265 @@
+/**
+ * Webhookイベント台帳サービス
+ * LINE Webhookイベントを webhookEventId ごとに記録し、再送されたイベントを処理済みならスキップ、
+ * 処理途中で止まったものなら再開させる
+ *
+ * 状態: received（受信・保存済み）→ processing（処理中）→ done（完了）/ failed（処理失敗）
+ *
+ * 変わった記録だけを書き込めるストア（SQLite）では変更のたびにその記録だけを書き込む。
+ * 文書全体を保存するストア（JSONファイル）では受信時だけすぐに保存し、処理中・完了・失敗への変化は
+ * saveDelayMs の間まとめてから保存する（その間に止まっても、再送は処理途中のものとして処理し直される）
+ */
+const config = require('../config');
+const logger = require('../utils/logger');
+const { SaveQueue, createStore } = require('../storage');
+const { getLineSourceId } = require('../utils/lineSource');
+
+const STATES = ['received', 'processing', 'done', 'failed'];
+// 期限切れの記録を削除する間隔
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+class WebhookEventLedger {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - 保存先ストア（テスト用）
+   * @param {number} options.retentionHours - 記録の保持時間
+   * @param {number} options.saveDelayMs - 文書全体を保存するストアで状態の変化をまとめる時間
+   * @param {Function} options.now - 現在時刻（テスト用）
+   */
+  constructor(options = {}) {
+    this.store = options.store || createStore('webhook-events');
+    this.retentionMs = (options.retentionHours ?? config.inboundQueue.ledgerRetentionHours) * 60 * 60 * 1000;
+    this.saveDelayMs = options.saveDelayMs ?? config.inboundQueue.ledgerSaveDelayMs;
+    this.now = options.now || (() => Date.now());
+
+    this.entries = new Map();
+    // 前回の書き込み以降に追加・変更・削除した記録のID
+    this.changedIds = new Set();
+    this.saveTimer = null;
+    this.loading = null;
+    this.lastPrunedAt = 0;
+    this.saveQueue = new SaveQueue();
+    this.stats = {
+      redeliveries: 0,
+      duplicatesSkipped: 0,
+      resumed: 0
+    };
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = this.store.load().then((saved) => {
+        const entries = Object.entries(saved || {});
+        // 起動前に記録された分を優先し、保存済みの記録で上書きしない
+        this.entries = new Map([...entries, ...this.entries]);
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * 受信したイベントを記録し、処理キューに入れるべきか判定
+   * @param {Object} event - LINE Webhookイベント
+   * @param {Function} isQueued - (webhookEventId) => 処理キューに残っているか
+   * @returns {string} new / resume / retry（キューに入れる）または duplicate（スキップ）
+   */
+  async receive(event, isQueued) {
+    await this.load();
+
+    const id = event.webhookEventId;
+    const isRedelivery = !!event.deliveryContext?.isRedelivery;
+    if (isRedelivery) {
+      this.stats.redeliveries++;
+    }
+
+    const entry = this.entries.get(id);
+    let decision = 'new';
+    if (entry) {
+      if (entry.state === 'done' || await isQueued(id)) {
+        // 完了済み、または処理キューに残っている（処理待ち・再試行待ち）
+        decision = 'duplicate';
+      } else {
+        // 失敗して破棄されたものは再試行し、received/processing のままのものは途中で止まったので再開する
+        decision = entry.state === 'failed' ? 'retry' : 'resume';
+      }
+    }
+
+    if (decision === 'duplicate') {
+      this.stats.duplicatesSkipped++;
+      logger.info('Skipping already received LINE webhook event', {
+        webhookEventId: id,
+        eventType: event.type,
+        state: entry.state,
+        isRedelivery
+      });
+      return decision;
+    }
+
+    if (decision === 'resume' || decision === 'retry') {
+      this.stats.resumed++;
+      logger.warn('Resuming interrupted LINE webhook event', {
+        webhookEventId: id,
+        eventType: event.type,
+        state: entry.state,
+        isRedelivery
+      });
+    }
+
+    const timestamp = new Date(this.now()).toISOString();
+    this.changedIds.add(id);
+    this.entries.set(id, {
+      state: 'received',
+      eventType: event.type,
+      sourceId: getLineSourceId(event.source),
+      isRedelivery: isRedelivery || !!entry?.isRedelivery,
+      receivedAt: entry?.receivedAt || timestamp,
+      updatedAt: timestamp,
+      attempts: entry?.attempts || 0,
+      error: null
+    });
+
+    this.pruneExpired();
+    await this.persist();
+    return decision;
+  }
+
+  markProcessing(id) {
+    return this.update(id, (entry) => ({ ...entry, state: 'processing', attempts: entry.attempts + 1 }));
+  }
+
+  markDone(id) {
+    return this.update(id, (entry) => ({ ...entry, state: 'done', error: null }));
+  }
+
+  markFailed(id, error) {
+    return this.update(id, (entry) => ({ ...entry, state: 'failed', error: error.message }));
+  }
+
+  async update(id, change) {
+    await this.load();
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return;
+    }
+
+    this.entries.set(id, { ...change(entry), updatedAt: new Date(this.now()).toISOString() });
+    this.changedIds.add(id);
+    if (this.writesRecords() || this.saveDelayMs <= 0) {
+      await this.persist();
+      return;
+    }
+    this.schedulePersist();
+  }
+
+  /**
+   * 変わった記録だけを書き込めるストアか
+   */
+  writesRecords() {
+    return typeof this.store.writeRecords === 'function';
+  }
+
+  /**
+   * 状態の変化を saveDelayMs の間まとめてから保存
+   */
+  schedulePersist() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.persist().catch((error) => {
+        logger.error('Failed to save webhook event ledger', { error: error.message });
+      });
+    }, this.saveDelayMs);
+    this.saveTimer.unref?.();
+  }
+
+  getEntry(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * 保持時間を過ぎた記録を削除（完了・失敗したものに限る）
+   * LINEの再送は受信から短時間で行われるため、古い記録は判定に使われない
+   */
+  pruneExpired() {
+    const now = this.now();
+    if (now - this.lastPrunedAt < PRUNE_INTERVAL_MS) {
+      return 0;
+    }
+    this.lastPrunedAt = now;
+
+    const cutoff = now - this.retentionMs;
+    let pruned = 0;
+    for (const [id, entry] of this.entries) {
+      if (['done', 'failed'].includes(entry.state) && new Date(entry.updatedAt).getTime() < cutoff) {
+        this.entries.delete(id);
+        this.changedIds.add(id);
+        pruned++;
+      }
+    }
+
+    if (pruned > 0) {
+      logger.info('Pruned webhook event ledger', { pruned, remaining: this.entries.size });
+    }
+    return pruned;
+  }
+
+  /**
+   * 変更を保存（まとめている途中の変化も含める）
+   */
+  persist() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    return this.saveQueue.run(async () => {
+      const changedIds = [...this.changedIds];
+      if (changedIds.length === 0) {
+        return;
+      }
+      this.changedIds.clear();
+
+      try {
+        if (this.writesRecords()) {
+          await this.store.writeRecords({
+            put: Object.fromEntries(changedIds.filter(id => this.entries.has(id)).map(id => [id, this.entries.get(id)])),
+            remove: changedIds.filter(id => !this.entries.has(id))
+          });
+        } else {
+          await this.store.save(Object.fromEntries(this.entries));
+        }
+      } catch (error) {
+        // 次の保存で書き込めるよう変更の記録を戻す
+        changedIds.forEach(id => this.changedIds.add(id));
+        throw error;
+      }
+    });
+  }
+
+  getStats() {
+    const states = Object.fromEntries(STATES.map(state => [state, 0]));
+    for (const entry of this.entries.values()) {
+      states[entry.state] = (states[entry.state] || 0) + 1;
+    }
+
+    return {
+      tracked: this.entries.size,
+      states,
+      ...this.stats
+    };
+  }
+
+  async stop() {
+    if (this.saveTimer) {
+      await this.persist().catch((error) => {
+        logger.error('Failed to save webhook event ledger', { error: error.message });
+      });
+    }
+    await this.saveQueue.flush();
+  }
+}
+
+module.exports = WebhookEventLedger;
@@ -245,6 +245,63 @@ class WebhookManager {
     }
   }
 
+  /**
+   * Webhookで送信したメッセージを編集
+   * @param {string} channelId - チャンネルID
+   * @param {string} messageId - メッセージID
+   * @param {Object} payload - 編集内容
+   * @returns {Object} 編集されたメッセージ
+   */
+  async editMessage(channelId, messageId, payload) {
+    try {
+      const webhook = await this.getOrCreateWebhook(channelId);
+      const editedMessage = await webhook.editMessage(messageId, payload);
+
+      logger.debug('Webhook message edited', {
+        channelId,
+        webhookId: webhook.id,
+        messageId
+      });
+
+      return editedMessage;
+    } catch (error) {
+      logger.warn('Failed to edit webhook message', {
+        channelId,
+        messageId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Webhookで送信したメッセージを削除
+   * @param {string} channelId - チャンネルID
+   * @param {string} messageId - メッセージID
+   * @returns {boolean} 削除成功
+   */
+  async deleteMessage(channelId, messageId) {
+    try {
+      const webhook = await this.getOrCreateWebhook(channelId);
+      await webhook.deleteMessage(messageId);
+
+      logger.debug('Webhook message deleted', {
+        channelId,
+        webhookId: webhook.id,
+        messageId
+      });
+
+      return true;
+    } catch (error) {
+      logger.warn('Failed to delete webhook message', {
+        channelId,
+        messageId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Webhookを削除
    * @param {string} channelId - チャンネルID
@@ -0,0 +1,133 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+jest.mock('../../utils/logger');
+
+const BackupService = require('../BackupService');
+const JsonFileStore = require('../../storage/JsonFileStore');
+
+describe('BackupService', () => {
+  let tempDir;
+  let dataDir;
+  let backupDir;
+  let clock;
+  let service;
+
+  const storeFactory = (name) => new JsonFileStore(name, path.join(dataDir, `${name}.json`));
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bridge-backup-'));
+    dataDir = path.join(tempDir, 'data');
+    backupDir = path.join(tempDir, 'backups');
+    clock = Date.parse('2024-06-30T00:00:00.000Z');
+    service = new BackupService({
+      backupDir,
+      keep: 2,
+      storeFactory,
+      now: () => new Date(clock)
+    });
+
+    await storeFactory('channel-mappings').save({ U1: { discordChannelId: 'c1' } });
+    await storeFactory('line-usage').save({ monthlyMessageCount: 3 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('createBackup writes a compressed snapshot of every store', async () => {
+    const beforeBackup = jest.fn();
+    service.beforeBackup = beforeBackup;
+
+    const result = await service.createBackup();
+
+    expect(beforeBackup).toHaveBeenCalled();
+    expect(path.basename(result.file)).toBe('bridge-backup-2024-06-30T00-00-00-000Z.json.gz');
+    expect(result.stores).toEqual(['channel-mappings', 'line-usage']);
+
+    const bundle = JSON.parse(zlib.gunzipSync(await fs.readFile(result.file)).toString('utf8'));
+    expect(bundle).toEqual(expect.objectContaining({
+      format: 'line-discord-bridge-backup',
+      version: 1,
+      createdAt: '2024-06-30T00:00:00.000Z',
+      stores: {
+        'channel-mappings': { U1: { discordChannelId: 'c1' } },
+        'message-mappings': null,
+        'line-usage': { monthlyMessageCount: 3 },
+        'line-budget-usage': null,
+        'line-usage-history': null,
+        'outbound-queue': null,
+        'outbound-dead-letters': null,
+        'inbound-events': null,
+        'webhook-events': null,
+        'schema-versions': null
+      }
+    }));
+  });
+
+  test('createBackup keeps only the newest archives', async () => {
+    for (let i = 0; i < 3; i++) {
+      await service.createBackup();
+      clock += 60 * 60 * 1000;
+    }
+
+    const backups = await service.listBackups();
+    expect(backups.map(backup => backup.name)).toEqual([
+      'bridge-backup-2024-06-30T02-00-00-000Z.json.gz',
+      'bridge-backup-2024-06-30T01-00-00-000Z.json.gz'
+    ]);
+  });
+
+  test('restoreBackup validates the archive and writes stores back after a safety backup', async () => {
+    const { file } = await service.createBackup();
+    await storeFactory('channel-mappings').save({ U2: { discordChannelId: 'c2' } });
+    clock += 1000;
+
+    const result = await service.restoreBackup(path.basename(file));
+
+    expect(result.restored).toEqual(['channel-mappings', 'line-usage', 'schema-versions']);
+    expect(result.skipped).toEqual(['message-mappings', 'line-budget-usage', 'line-usage-history', 'outbound-queue', 'outbound-dead-letters', 'inbound-events', 'webhook-events']);
+    await expect(storeFactory('channel-mappings').load()).resolves.toEqual({ U1: { discordChannelId: 'c1' } });
+    // バージョン管理以前のアーカイブは、次回起動時に形式を判定して移行させる
+    await expect(storeFactory('schema-versions').load()).resolves.toEqual({});
+
+    const safety = await service.readBackup(result.safetyBackup);
+    expect(path.basename(result.safetyBackup)).toMatch(/-pre-restore\.json\.gz$/);
+    expect(safety.stores['channel-mappings']).toEqual({ U2: { discordChannelId: 'c2' } });
+  });
+
+  test('restoreBackup rejects archives that do not match the current schema', async () => {
+    await fs.mkdir(backupDir, { recursive: true });
+    const file = path.join(backupDir, 'bridge-backup-broken.json.gz');
+    await fs.writeFile(file, zlib.gzipSync(JSON.stringify({
+      format: 'line-discord-bridge-backup',
+      version: 1,
+      stores: {
+        'channel-mappings': { U1: { channel: 'c1' } },
+        'line-usage': { monthlyMessageCount: 'many' }
+      }
+    })));
+
+    await expect(service.restoreBackup(file)).rejects.toThrow(
+      'channel-mappings: U1 has no discordChannelId; line-usage: monthlyMessageCount must be an integer'
+    );
+    await expect(storeFactory('channel-mappings').load()).resolves.toEqual({ U1: { discordChannelId: 'c1' } });
+    expect(await service.listBackups()).toHaveLength(1);
+  });
+
+  test('validateBundle rejects unknown formats and versions', () => {
+    expect(service.validateBundle({ hello: 'world' })).toEqual(['not a bridge backup']);
+    expect(service.validateBundle({ format: 'line-discord-bridge-backup', version: 2, stores: {} }))
+      .toEqual(['unsupported backup version 2 (expected 1)']);
+  });
+
+  test('validateBundle rejects archives written with a newer schema', () => {
+    expect(service.validateBundle({
+      format: 'line-discord-bridge-backup',
+      version: 1,
+      stores: { 'schema-versions': { 'channel-mappings': 99 } }
+    })).toEqual(['schema-versions: channel-mappings is at schema version 99 but this version supports up to 1']);
+  });
+});
@@ -0,0 +1,231 @@
+jest.mock('../../utils/logger');
+jest.mock('../../config', () => ({
+  discord: {
+    clientId: 'client-1',
+    guildId: 'guild-1',
+    adminRoleIds: ['role-admin']
+  }
+}));
+jest.mock('../../middleware/lineLimitHandler', () => ({
+  getLimitStatus: jest.fn(() => ({
+    monthlyCount: 120,
+    maxMonthlyMessages: 200,
+    remainingMessages: 80,
+    isLimitReached: false,
+    resetDate: new Date('2026-02-01T00:00:00.000Z'),
+    usagePercentage: 60,
+    emergencyPool: 10,
+    emergencyUsed: 2
+  }))
+}));
+
+const { MessageFlags } = require('discord.js');
+const BridgeCommandService = require('../BridgeCommandService');
+
+function createInteraction(subcommand, options = {}) {
+  return {
+    id: 'interaction-1',
+    commandName: 'bridge',
+    channelId: 'channel-1',
+    user: { id: 'staff-1' },
+    member: { roles: options.roles || ['role-admin'] },
+    isChatInputCommand: () => true,
+    options: {
+      getSubcommand: () => subcommand,
+      getString: jest.fn(name => options[name]),
+      getInteger: jest.fn(name => options[name]),
+      getBoolean: jest.fn(name => (name in options ? options[name] : null))
+    },
+    reply: jest.fn().mockResolvedValue({})
+  };
+}
+
+describe('BridgeCommandService', () => {
+  let service;
+  let channelManager;
+  let messageMappingManager;
+  let messageBatcher;
+  let lineBudget;
+  let lineUsageMonitor;
+  let discordClient;
+
+  beforeEach(() => {
+    discordClient = {
+      rest: {
+        put: jest.fn().mockResolvedValue([])
+      }
+    };
+    channelManager = {
+      findSourceIdByChannelId: jest.fn().mockReturnValue('U1234567890'),
+      getChannelMapping: jest.fn().mockReturnValue({
+        sourceId: 'U1234567890',
+        discordChannelId: 'channel-1',
+        createdAt: '2026-01-01T00:00:00.000Z',
+        lastUsed: '2026-01-02T00:00:00.000Z'
+      }),
+      linkChannel: jest.fn().mockResolvedValue({}),
+      unlinkChannel: jest.fn().mockResolvedValue({}),
+      isSourceMuted: jest.fn().mockReturnValue(false),
+      setSourceMuted: jest.fn().mockResolvedValue({}),
+      getSourceCategoryId: jest.fn().mockReturnValue('category-friends')
+    };
+    messageMappingManager = {
+      getLatestLineOriginByChannelId: jest.fn().mockReturnValue(null),
+      isReplyTokenUsable: jest.fn().mockReturnValue(false)
+    };
+    messageBatcher = {
+      getBatchStatus: jest.fn().mockReturnValue({ batchDetails: [] }),
+      flushUserBatch: jest.fn().mockResolvedValue()
+    };
+    lineBudget = {
+      getApplicableBudgets: jest.fn().mockReturnValue([]),
+      getOverride: jest.fn().mockReturnValue(null),
+      setOverride: jest.fn().mockResolvedValue({ remaining: 5 })
+    };
+    lineUsageMonitor = {
+      getDailyHistory: jest.fn().mockReturnValue([]),
+      getForecast: jest.fn().mockReturnValue({
+        dailyRate: 6,
+        projectedMonthEnd: 180,
+        exhaustionDate: null,
+        exhaustsBeforeReset: false
+      })
+    };
+    service = new BridgeCommandService({
+      discordClient,
+      channelManager,
+      messageMappingManager,
+      messageBatcher,
+      lineBudget,
+      lineUsageMonitor
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('registerCommands registers the /bridge command for the configured guild', async () => {
+    await expect(service.registerCommands()).resolves.toBe(true);
+
+    const [route, { body }] = discordClient.rest.put.mock.calls[0];
+    expect(route).toBe('/applications/client-1/guilds/guild-1/commands');
+    expect(body[0].name).toBe('bridge');
+    expect(body[0].options.map(option => option.name)).toEqual([
+      'status', 'usage', 'usage-history', 'budget', 'budget-override', 'link', 'unlink', 'mute', 'flush'
+    ]);
+  });
+
+  test('members without an admin role are rejected ephemerally', async () => {
+    const interaction = createInteraction('unlink', { roles: ['role-other'] });
+
+    await service.handleInteraction(interaction);
+
+    expect(channelManager.unlinkChannel).not.toHaveBeenCalled();
+    expect(interaction.reply).toHaveBeenCalledWith(expect.objectContaining({
+      content: expect.stringContaining('権限がありません'),
+      flags: MessageFlags.Ephemeral
+    }));
+  });
+
+  test('status reports the mapping and reply token availability', async () => {
+    messageMappingManager.getLatestLineOriginByChannelId.mockReturnValue({
+      timestamp: '2026-01-02T00:00:00.000Z',
+      replyTokenExpiry: '2026-01-02T00:01:00.000Z'
+    });
+    messageMappingManager.isReplyTokenUsable.mockReturnValue(true);
+    const interaction = createInteraction('status');
+
+    await service.handleInteraction(interaction);
+
+    const { content, flags } = interaction.reply.mock.calls[0][0];
+    expect(flags).toBe(MessageFlags.Ephemeral);
+    expect(content).toContain('`U1234567890` (user)');
+    expect(content).toContain('状態: アクティブ');
+    expect(content).toContain('replyToken: 利用可能');
+  });
+
+  test('usage reports the monthly LINE quota', async () => {
+    const interaction = createInteraction('usage');
+
+    await service.handleInteraction(interaction);
+
+    expect(interaction.reply.mock.calls[0][0].content).toContain('送信数: 120 / 200 (60%)');
+    expect(interaction.reply.mock.calls[0][0].content).toContain('緊急枠: 2 / 10');
+    expect(interaction.reply.mock.calls[0][0].content).toContain('見込み: 1日あたり 6通 / 月末 180通');
+    expect(interaction.reply.mock.calls[0][0].content).toContain('上限到達: リセットまでに到達しない見込み');
+  });
+
+  test('usage-history lists daily sends and when the quota is projected to run out', async () => {
+    lineUsageMonitor.getDailyHistory.mockReturnValue([
+      { date: '2026-01-20', sent: 9, monthlyCount: 111 },
+      { date: '2026-01-21', sent: 9, monthlyCount: 120 }
+    ]);
+    lineUsageMonitor.getForecast.mockReturnValue({
+      dailyRate: 9,
+      projectedMonthEnd: 219,
+      exhaustionDate: '2026-01-29T00:00:00.000Z',
+      exhaustsBeforeReset: true
+    });
+    const interaction = createInteraction('usage-history', { days: 14 });
+
+    await service.handleInteraction(interaction);
+
+    expect(lineUsageMonitor.getDailyHistory).toHaveBeenCalledWith(14);
+    const { content } = interaction.reply.mock.calls[0][0];
+    expect(content).toContain('直近14日');
+    expect(content).toContain('2026-01-21: 9通（今月累計 120）');
+    expect(content).toContain('上限到達: <t:1769644800:D>ごろ（リセット前）');
+  });
+
+  test('budget reports the budgets that apply to the current channel', async () => {
+    lineBudget.getApplicableBudgets.mockReturnValue([
+      { scope: 'source', key: 'U1234567890', limit: 30, used: 12 },
+      { scope: 'category', key: 'friends', limit: 100, used: 100 }
+    ]);
+    lineBudget.getOverride.mockReturnValue({ remaining: 3 });
+    const interaction = createInteraction('budget');
+
+    await service.handleInteraction(interaction);
+
+    expect(lineBudget.getApplicableBudgets).toHaveBeenCalledWith('U1234567890', 'category-friends');
+    const { content } = interaction.reply.mock.calls[0][0];
+    expect(content).toContain('この送信先: 12 / 30');
+    expect(content).toContain('カテゴリ「friends」: 100 / 100（使い切り）');
+    expect(content).toContain('追加枠: 残り 3通');
+  });
+
+  test('budget-override grants extra sends to the current channel', async () => {
+    const interaction = createInteraction('budget-override', { messages: 5 });
+
+    await service.handleInteraction(interaction);
+
+    expect(lineBudget.setOverride).toHaveBeenCalledWith('U1234567890', 5, 'staff-1');
+    expect(interaction.reply.mock.calls[0][0].content).toContain('追加送信枠（5通）');
+  });
+
+  test('link, mute and flush operate on the current channel', async () => {
+    await service.handleInteraction(createInteraction('link', { line_id: ' C1234567890 ' }));
+    expect(channelManager.linkChannel).toHaveBeenCalledWith('C1234567890', 'channel-1');
+
+    await service.handleInteraction(createInteraction('mute'));
+    expect(channelManager.setSourceMuted).toHaveBeenCalledWith('U1234567890', true);
+
+    messageBatcher.getBatchStatus.mockReturnValue({
+      batchDetails: [{ userId: 'U1234567890', messageCount: 3 }]
+    });
+    const flushInteraction = createInteraction('flush');
+    await service.handleInteraction(flushInteraction);
+    expect(messageBatcher.flushUserBatch).toHaveBeenCalledWith('U1234567890');
+    expect(flushInteraction.reply.mock.calls[0][0].content).toContain('3件');
+  });
+
+  test('command failures are reported to the operator', async () => {
+    channelManager.linkChannel.mockRejectedValue(new Error('Invalid LINE source ID: x'));
+    const interaction = createInteraction('link', { line_id: 'x' });
+
+    await service.handleInteraction(interaction);
+
+    expect(interaction.reply.mock.calls[0][0].content).toContain('Invalid LINE source ID: x');
+  });
+});
@@ -1,7 +1,17 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
 jest.mock('../../utils/logger');
 
+const { ChannelType, OverwriteType, PermissionFlagsBits } = require('discord.js');
 const ChannelManager = require('../ChannelManager');
+const ChannelOperationError = require('../ChannelOperationError');
 const config = require('../../config');
+const logger = require('../../utils/logger');
+const SqliteStore = require('../../storage/SqliteStore');
+
+const { CODES } = ChannelOperationError;
 
 describe('ChannelManager', () => {
   let discordClient;
@@ -14,6 +24,7 @@ describe('ChannelManager', () => {
     config.discord.categories = {
       friends: 'friends-category-id',
       groups: 'groups-category-id',
+      rooms: 'rooms-category-id',
       shop: null,
       test: null,
       archive: null
@@ -47,6 +58,20 @@ describe('ChannelManager', () => {
     expect(channelManager.getCategoryForSource('C1234567890')).toBe('groups-category-id');
   });
 
+  test('getCategoryForSource selects the Rooms category for a LINE multi-person chat', () => {
+    expect(channelManager.getCategoryForSource('R1234567890')).toBe('rooms-category-id');
+  });
+
+  test('getCategoryForSource falls back to the Groups category for rooms without a Rooms category', () => {
+    config.discord.categories.rooms = null;
+    expect(channelManager.getCategoryForSource('R1234567890')).toBe('groups-category-id');
+  });
+
+  test('generateChannelName derives a room channel name from the room ID', async () => {
+    await expect(channelManager.generateChannelName('R1234567890abcdef')).resolves.toBe('room-12345678');
+    expect(lineService.getUserProfile).not.toHaveBeenCalled();
+  });
+
   test('getCategoryForSource returns null for unknown source types', () => {
     expect(channelManager.getCategoryForSource('X1234567890')).toBeNull();
   });
@@ -76,6 +101,20 @@ describe('ChannelManager', () => {
     expect(channelManager.getChannelMapping('Cmissing')).toBeNull();
   });
 
+  test('getSourceCategoryId uses the pre-archive category for archived channels', () => {
+    channelManager.mappings.set('Cgroup-1', { discordChannelId: 'c1', categoryId: 'category-groups' });
+    channelManager.mappings.set('Cgroup-2', {
+      discordChannelId: 'c2',
+      categoryId: 'category-groups',
+      archivedAt: '2026-01-01T00:00:00.000Z',
+      archivedFromCategoryId: 'category-shop'
+    });
+
+    expect(channelManager.getSourceCategoryId('Cgroup-1')).toBe('category-groups');
+    expect(channelManager.getSourceCategoryId('Cgroup-2')).toBe('category-shop');
+    expect(channelManager.getSourceCategoryId('Cmissing')).toBeNull();
+  });
+
   test('updateChannelName updates the Discord channel and stored group mapping', async () => {
     const mapping = {
       sourceId: 'Cgroup-1',
@@ -102,4 +141,654 @@ describe('ChannelManager', () => {
     });
     expect(channelManager.saveMappings).toHaveBeenCalledTimes(1);
   });
+
+  test('deactivateSource marks the mapping inactive and moves the channel to the archive category', async () => {
+    config.discord.categories.archive = 'archive-category-id';
+    const mapping = {
+      sourceId: 'U1234567890',
+      discordChannelId: 'discord-channel-1',
+      channelName: 'user',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      lastUsed: '2026-01-01T00:00:00.000Z'
+    };
+    const channel = {
+      parentId: 'friends-category-id',
+      setParent: jest.fn().mockResolvedValue()
+    };
+    channelManager.mappings.set(mapping.sourceId, mapping);
+    discordClient.channels.fetch.mockResolvedValue(channel);
+
+    await channelManager.deactivateSource('U1234567890', 'unfollow');
+
+    expect(channelManager.isSourceActive('U1234567890')).toBe(false);
+    expect(channel.setParent).toHaveBeenCalledWith('archive-category-id', { lockPermissions: false });
+    expect(channelManager.getChannelMapping('U1234567890')).toMatchObject({
+      status: 'inactive',
+      inactiveReason: 'unfollow',
+      archivedFromCategoryId: 'friends-category-id'
+    });
+  });
+
+  test('deactivateSource keeps the channel in place without an archive category', async () => {
+    channelManager.mappings.set('U1234567890', {
+      sourceId: 'U1234567890',
+      discordChannelId: 'discord-channel-1'
+    });
+
+    await channelManager.deactivateSource('U1234567890', 'unfollow');
+
+    expect(discordClient.channels.fetch).not.toHaveBeenCalled();
+    expect(channelManager.isSourceActive('U1234567890')).toBe(false);
+    expect(channelManager.getChannelMapping('U1234567890').archivedAt).toBeUndefined();
+  });
+
+  test('activateSource restores the category the channel was archived from', async () => {
+    const channel = {
+      parentId: 'archive-category-id',
+      setParent: jest.fn().mockResolvedValue()
+    };
+    channelManager.mappings.set('U1234567890', {
+      sourceId: 'U1234567890',
+      discordChannelId: 'discord-channel-1',
+      status: 'inactive',
+      inactiveReason: 'unfollow',
+      inactiveAt: '2026-01-02T00:00:00.000Z',
+      archivedAt: '2026-01-02T00:00:00.000Z',
+      archivedFromCategoryId: 'friends-category-id'
+    });
+    discordClient.channels.fetch.mockResolvedValue(channel);
+
+    await channelManager.activateSource('U1234567890');
+
+    expect(channel.setParent).toHaveBeenCalledWith('friends-category-id', { lockPermissions: false });
+    expect(channelManager.isSourceActive('U1234567890')).toBe(true);
+    expect(channelManager.getChannelMapping('U1234567890')).not.toHaveProperty('archivedAt');
+    expect(channelManager.getChannelMapping('U1234567890')).not.toHaveProperty('inactiveReason');
+  });
+
+  function createTextChannel(id, overrides = {}) {
+    return {
+      id,
+      name: `name-${id}`,
+      guildId: config.discord.guildId,
+      type: ChannelType.GuildText,
+      parentId: 'parent-category-id',
+      ...overrides
+    };
+  }
+
+  test('linkChannel links an unmapped channel and rejects duplicates or invalid IDs', async () => {
+    discordClient.channels.fetch.mockResolvedValue(createTextChannel('channel-1', { name: 'support' }));
+
+    await expect(channelManager.linkChannel('U1234567890', 'channel-1')).resolves.toEqual(expect.objectContaining({
+      sourceId: 'U1234567890',
+      discordChannelId: 'channel-1',
+      channelName: 'support',
+      linkedManually: true
+    }));
+    await expect(channelManager.linkChannel('C1234567890', 'channel-1'))
+      .rejects.toThrow('Channel is already linked to LINE source U1234567890');
+    await expect(channelManager.linkChannel('U1234567890', 'channel-2'))
+      .rejects.toThrow('LINE source is already linked to channel channel-1');
+    await expect(channelManager.linkChannel('not-a-line-id', 'channel-2'))
+      .rejects.toThrow('Invalid LINE source ID');
+  });
+
+  test('unlinkChannel removes the mapping without deleting the Discord channel', async () => {
+    const channel = { delete: jest.fn() };
+    discordClient.channels.fetch.mockResolvedValue(channel);
+    channelManager.mappings.set('U1234567890', {
+      sourceId: 'U1234567890',
+      discordChannelId: 'channel-1'
+    });
+
+    await channelManager.unlinkChannel('channel-1');
+
+    expect(channelManager.getChannelMapping('U1234567890')).toBeNull();
+    expect(channel.delete).not.toHaveBeenCalled();
+  });
+
+  test('setSourceMuted toggles the muted flag', async () => {
+    channelManager.mappings.set('U1234567890', {
+      sourceId: 'U1234567890',
+      discordChannelId: 'channel-1'
+    });
+
+    await channelManager.setSourceMuted('U1234567890', true);
+    expect(channelManager.isSourceMuted('U1234567890')).toBe(true);
+
+    await channelManager.setSourceMuted('U1234567890', false);
+    expect(channelManager.isSourceMuted('U1234567890')).toBe(false);
+  });
+
+  test('validateLinkTarget rejects channels outside the guild, non-text channels and missing channels', async () => {
+    const originalGuildId = config.discord.guildId;
+    config.discord.guildId = 'guild-1';
+
+    try {
+      discordClient.channels.fetch.mockResolvedValueOnce(createTextChannel('channel-1', { guildId: 'guild-2' }));
+      await expect(channelManager.validateLinkTarget('channel-1')).rejects.toMatchObject({
+        code: CODES.INVALID,
+        message: 'Channel is not in the configured guild: channel-1'
+      });
+
+      discordClient.channels.fetch.mockResolvedValueOnce(createTextChannel('channel-1', { type: ChannelType.GuildVoice }));
+      await expect(channelManager.validateLinkTarget('channel-1')).rejects.toThrow('Channel is not a text channel');
+
+      discordClient.channels.fetch.mockRejectedValueOnce(new Error('Unknown Channel'));
+      await expect(channelManager.validateLinkTarget('channel-1')).rejects.toMatchObject({ code: CODES.NOT_FOUND });
+    } finally {
+      config.discord.guildId = originalGuildId;
+    }
+  });
+
+  test('relinkSource moves a LINE source to another channel and keeps the previous channel ID', async () => {
+    channelManager.mappings.set('U1234567890', {
+      sourceId: 'U1234567890',
+      discordChannelId: 'channel-1',
+      channelName: 'old',
+      status: 'inactive',
+      inactiveReason: 'unfollow'
+    });
+    discordClient.channels.fetch.mockResolvedValue(createTextChannel('channel-2'));
+
+    const mapping = await channelManager.relinkSource('U1234567890', 'channel-2');
+
+    expect(mapping).toEqual(expect.objectContaining({
+      discordChannelId: 'channel-2',
+      channelName: 'name-channel-2',
+      categoryId: 'parent-category-id',
+      previousChannelIds: ['channel-1'],
+      status: 'inactive'
+    }));
+    expect(channelManager.findSourceIdByChannelId('channel-1')).toBeNull();
+    await expect(channelManager.relinkSource('U0000000000', 'channel-3')).rejects.toMatchObject({ code: CODES.NOT_FOUND });
+  });
+
+  test('swapSources exchanges the channels of two LINE sources', async () => {
+    channelManager.mappings.set('U1111111111', {
+      sourceId: 'U1111111111',
+      discordChannelId: 'channel-1',
+      channelName: 'one',
+      archivedAt: '2026-01-01T00:00:00.000Z'
+    });
+    channelManager.mappings.set('C2222222222', {
+      sourceId: 'C2222222222',
+      discordChannelId: 'channel-2',
+      channelName: 'two'
+    });
+
+    await channelManager.swapSources('U1111111111', 'C2222222222');
+
+    expect(channelManager.getChannelMapping('U1111111111')).toEqual({
+      sourceId: 'U1111111111',
+      discordChannelId: 'channel-2',
+      channelName: 'two'
+    });
+    expect(channelManager.getChannelMapping('C2222222222')).toEqual({
+      sourceId: 'C2222222222',
+      discordChannelId: 'channel-1',
+      channelName: 'one',
+      archivedAt: '2026-01-01T00:00:00.000Z'
+    });
+  });
+
+  test('mergeChannels keeps the target mapping and drops the merged channel mapping', async () => {
+    channelManager.mappings.set('U1111111111', { sourceId: 'U1111111111', discordChannelId: 'channel-1' });
+    channelManager.mappings.set('U2222222222', { sourceId: 'U2222222222', discordChannelId: 'channel-2' });
+
+    const result = await channelManager.mergeChannels('channel-1', 'channel-2');
+
+    expect(result).toEqual(expect.objectContaining({
+      fromSourceId: 'U1111111111',
+      intoSourceId: 'U2222222222',
+      removedMapping: { sourceId: 'U1111111111', discordChannelId: 'channel-1' }
+    }));
+    expect(logger.warn).toHaveBeenCalledWith('LINE source unlinked by channel merge', {
+      sourceId: 'U1111111111',
+      discordChannelId: 'channel-1',
+      intoChannelId: 'channel-2'
+    });
+    expect(channelManager.getChannelMapping('U1111111111')).toBeNull();
+    expect(channelManager.getChannelMapping('U2222222222').mergedChannelIds).toEqual(['channel-1']);
+    await expect(channelManager.mergeChannels('channel-2', 'channel-2')).rejects.toMatchObject({ code: CODES.INVALID });
+  });
+
+  function createArchivableChannel(overrides = {}) {
+    return {
+      name: 'user-taro',
+      parentId: 'friends-category-id',
+      guild: { roles: { everyone: { id: 'everyone-role-id' } } },
+      permissionOverwrites: {
+        cache: new Map([['everyone-role-id', {
+          allow: { has: jest.fn().mockReturnValue(true) },
+          deny: { has: jest.fn().mockReturnValue(false) }
+        }]]),
+        edit: jest.fn().mockResolvedValue()
+      },
+      setParent: jest.fn().mockResolvedValue(),
+      setName: jest.fn().mockResolvedValue(),
+      ...overrides
+    };
+  }
+
+  test('archiveSource moves the channel, makes it read-only and renames it with a date suffix', async () => {
+    config.discord.categories.archive = 'archive-category-id';
+    const channel = createArchivableChannel();
+    channelManager.mappings.set('U1234567890', {
+      sourceId: 'U1234567890',
+      discordChannelId: 'discord-channel-1',
+      channelName: 'user-taro'
+    });
+    discordClient.channels.fetch.mockResolvedValue(channel);
+
+    const mapping = await channelManager.archiveSource('U1234567890', 'idle');
+
+    expect(channel.setParent).toHaveBeenCalledWith('archive-category-id', { lockPermissions: false });
+    expect(channel.permissionOverwrites.edit).toHaveBeenCalledWith('everyone-role-id', { SendMessages: false });
+    expect(channel.setName).toHaveBeenCalledWith(expect.stringMatching(/^user-taro-archived-\d{8}$/));
+    expect(mapping).toMatchObject({
+      archiveReason: 'idle',
+      archivedFromCategoryId: 'friends-category-id',
+      archivedFromName: 'user-taro',
+      archivedSendMessages: true
+    });
+    expect(mapping.channelName).toMatch(/^user-taro-archived-/);
+  });
+
+  test('archive and restore put each staff role back to its own previous state', async () => {
+    const originalStaffRoleIds = config.discord.staffRoleIds;
+    config.discord.staffRoleIds = ['staff-allowed', 'staff-denied', 'staff-neutral'];
+    const overwrite = (allowed) => ({
+      allow: { has: jest.fn().mockReturnValue(allowed === true) },
+      deny: { has: jest.fn().mockReturnValue(allowed === false) }
+    });
+    const channel = createArchivableChannel();
+    channel.permissionOverwrites.cache.set('staff-allowed', overwrite(true));
+    channel.permissionOverwrites.cache.set('staff-denied', overwrite(false));
+    channelManager.mappings.set('U1234567890', {
+      sourceId: 'U1234567890',
+      discordChannelId: 'discord-channel-1',
+      channelName: 'user-taro'
+    });
+    discordClient.channels.fetch.mockResolvedValue(channel);
+
+    try {
+      const mapping = await channelManager.archiveSource('U1234567890', 'manual');
+      expect(mapping.archivedStaffSendMessages).toEqual({
+        'staff-allowed': true,
+        'staff-denied': false,
+        'staff-neutral': null
+      });
+
+      channel.permissionOverwrites.edit.mockClear();
+      await channelManager.restoreSource('U1234567890');
+
+      const staffEdits = channel.permissionOverwrites.edit.mock.calls.filter(([id]) => id.startsWith('staff-'));
+      expect(staffEdits).toEqual([
+        ['staff-allowed', { SendMessages: true }, { type: OverwriteType.Role }],
+        ['staff-denied', { SendMessages: false }, { type: OverwriteType.Role }],
+        ['staff-neutral', { SendMessages: null }, { type: OverwriteType.Role }]
+      ]);
+      expect(channelManager.getChannelMapping('U1234567890').archivedStaffSendMessages).toBeUndefined();
+    } finally {
+      config.discord.staffRoleIds = originalStaffRoleIds;
+    }
+  });
+
+  test('restoreSource puts the category, permission and name back', async () => {
+    const channel = createArchivableChannel({
+      name: 'user-taro-archived-20260101',
+      parentId: 'archive-category-id'
+    });
+    channelManager.mappings.set('U1234567890', {
+      sourceId: 'U1234567890',
+      discordChannelId: 'discord-channel-1',
+      channelName: 'user-taro-archived-20260101',
+      archivedAt: '2026-01-01T00:00:00.000Z',
+      archivedFromCategoryId: 'friends-category-id',
+      archiveReason: 'idle',
+      archivedFromName: 'user-taro',
+      archivedSendMessages: true
+    });
+    discordClient.channels.fetch.mockResolvedValue(channel);
+
+    const mapping = await channelManager.restoreSource('U1234567890');
+
+    expect(channel.setParent).toHaveBeenCalledWith('friends-category-id', { lockPermissions: false });
+    expect(channel.permissionOverwrites.edit).toHaveBeenCalledWith('everyone-role-id', { SendMessages: true });
+    expect(channel.setName).toHaveBeenCalledWith('user-taro');
+    expect(mapping).toEqual({
+      sourceId: 'U1234567890',
+      discordChannelId: 'discord-channel-1',
+      channelName: 'user-taro'
+    });
+    expect(await channelManager.restoreSource('U1234567890')).toBeNull();
+  });
+
+  test('cleanupOldMappings archives idle channels instead of deleting them', async () => {
+    channelManager.mappings.set('U1111111111', {
+      sourceId: 'U1111111111',
+      discordChannelId: 'channel-1',
+      lastUsed: '2020-01-01T00:00:00.000Z'
+    });
+    channelManager.mappings.set('U2222222222', {
+      sourceId: 'U2222222222',
+      discordChannelId: 'channel-2',
+      lastUsed: new Date().toISOString()
+    });
+    channelManager.archiveSource = jest.fn().mockResolvedValue({});
+    channelManager.removeChannelMapping = jest.fn();
+
+    const archivedCount = await channelManager.cleanupOldMappings(30);
+
+    expect(archivedCount).toBe(1);
+    expect(channelManager.archiveSource).toHaveBeenCalledWith('U1111111111', 'idle');
+    expect(channelManager.removeChannelMapping).not.toHaveBeenCalled();
+  });
+
+  test('deleteArchivedChannel only deletes channels that were archived first', async () => {
+    channelManager.mappings.set('U1111111111', { sourceId: 'U1111111111', discordChannelId: 'channel-1' });
+    channelManager.mappings.set('U2222222222', {
+      sourceId: 'U2222222222',
+      discordChannelId: 'channel-2',
+      archivedAt: '2026-01-01T00:00:00.000Z',
+      archiveReason: 'idle'
+    });
+    channelManager.removeChannelMapping = jest.fn().mockResolvedValue(true);
+
+    await expect(channelManager.deleteArchivedChannel('U1111111111')).rejects.toMatchObject({ code: CODES.CONFLICT });
+    await expect(channelManager.deleteArchivedChannel('U9999999999')).rejects.toMatchObject({ code: CODES.NOT_FOUND });
+    await expect(channelManager.deleteArchivedChannel('U2222222222')).resolves.toBe(true);
+    expect(channelManager.removeChannelMapping).toHaveBeenCalledTimes(1);
+    expect(channelManager.removeChannelMapping).toHaveBeenCalledWith('U2222222222');
+  });
+
+  test('createNewChannel applies the matching routing rule', async () => {
+    const guild = {
+      roles: { everyone: { id: 'everyone-role-id' } },
+      channels: {
+        create: jest.fn(options => Promise.resolve({ id: 'new-channel-1', name: options.name }))
+      }
+    };
+    discordClient.guilds.fetch.mockResolvedValue(guild);
+    lineService.getUserProfile.mockResolvedValue({ displayName: '店舗田中' });
+    channelManager.channelRouter.rules = [
+      channelManager.channelRouter.compileRule({
+        name: 'shop orders',
+        match: { firstMessageKeywords: ['注文'] },
+        category: 'shop-category-id',
+        channelName: 'shop-{name}',
+        topic: 'Shop {sourceId}',
+        permissionOverwrites: [{ id: 'staff-role-id', allow: ['ViewChannel'] }]
+      }, 0)
+    ];
+
+    const mapping = await channelManager.createNewChannel('U1234567890', { firstMessageText: '注文です' });
+
+    expect(guild.channels.create).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'shop-店舗田中',
+      topic: 'Shop U1234567890',
+      parent: 'shop-category-id',
+      permissionOverwrites: [
+        expect.objectContaining({ id: 'everyone-role-id', allow: [], deny: [PermissionFlagsBits.ViewChannel] }),
+        { id: 'staff-role-id', type: OverwriteType.Role, allow: [PermissionFlagsBits.ViewChannel], deny: [] }
+      ]
+    }));
+    expect(mapping).toMatchObject({ categoryId: 'shop-category-id', routingRule: 'shop orders' });
+
+    await channelManager.createNewChannel('U1234567890', { firstMessageText: 'こんにちは' });
+
+    expect(guild.channels.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      name: '店舗田中',
+      parent: 'friends-category-id'
+    }));
+  });
+
+  test('previewRouting reports where existing mappings would land without changing them', async () => {
+    channelManager.mappings.set('C1234567890', {
+      sourceId: 'C1234567890',
+      discordChannelId: 'channel-1',
+      channelName: 'team'
+    });
+    discordClient.channels.fetch.mockResolvedValue({
+      name: 'team',
+      parentId: 'groups-category-id',
+      topic: 'LINE Bridge Channel for C1234567890',
+      guild: { roles: { everyone: { id: 'everyone-role-id' } } },
+      permissionOverwrites: { cache: new Map() }
+    });
+    lineService.getGroupSummary.mockResolvedValue({ groupName: 'team' });
+    channelManager.channelRouter.loadRules = jest.fn().mockResolvedValue([
+      channelManager.channelRouter.compileRule({
+        name: 'groups to shop',
+        match: { sourceTypes: ['group'] },
+        category: 'shop-category-id'
+      }, 0)
+    ]);
+    channelManager.permissionProfile.findDrift = jest.fn().mockReturnValue([]);
+
+    const results = await channelManager.previewRouting();
+
+    expect(results).toEqual([{
+      sourceId: 'C1234567890',
+      discordChannelId: 'channel-1',
+      rule: 'groups to shop',
+      current: { categoryId: 'groups-category-id', channelName: 'team', topic: 'LINE Bridge Channel for C1234567890' },
+      routed: { categoryId: 'shop-category-id', channelName: 'team', topic: 'LINE Bridge Channel for C1234567890' },
+      permissionDrift: [],
+      changes: ['category'],
+      changed: true
+    }]);
+    expect(channelManager.channelRouter.rules).toEqual([]);
+
+    channelManager.channelRouter.loadRules.mockRejectedValue(new Error('Unexpected token'));
+    await expect(channelManager.previewRouting()).rejects.toMatchObject({ code: CODES.INVALID });
+  });
+
+  test('previewRouting counts topic and permission differences as changes', async () => {
+    channelManager.mappings.set('C1234567890', {
+      sourceId: 'C1234567890',
+      discordChannelId: 'channel-1',
+      channelName: 'team'
+    });
+    discordClient.channels.fetch.mockResolvedValue({
+      name: 'team',
+      parentId: 'shop-category-id',
+      topic: 'old topic',
+      guild: { roles: { everyone: { id: 'everyone-role-id' } } },
+      permissionOverwrites: { cache: new Map() }
+    });
+    lineService.getGroupSummary.mockResolvedValue({ groupName: 'team' });
+    channelManager.channelRouter.loadRules = jest.fn().mockResolvedValue([
+      channelManager.channelRouter.compileRule({
+        name: 'groups to shop',
+        match: { sourceTypes: ['group'] },
+        category: 'shop-category-id',
+        topic: 'Shop {sourceId}',
+        permissionOverwrites: [{ id: 'staff-role-id', allow: ['ViewChannel'] }]
+      }, 0)
+    ]);
+
+    const [result] = await channelManager.previewRouting();
+
+    expect(result.routed.topic).toBe('Shop C1234567890');
+    expect(result.changes).toEqual(['topic', 'permissions']);
+    expect(result.permissionDrift.map(drift => drift.id)).toEqual(expect.arrayContaining(['everyone-role-id', 'staff-role-id']));
+    expect(result.changed).toBe(true);
+  });
+
+  test('previewRouting looks up at most four LINE sources at a time', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    for (let i = 0; i < 10; i++) {
+      const sourceId = `U${String(i).padStart(10, '0')}`;
+      channelManager.mappings.set(sourceId, { sourceId, discordChannelId: `channel-${i}`, channelName: `user-${i}` });
+    }
+    discordClient.channels.fetch.mockResolvedValue(null);
+    lineService.getUserProfile.mockImplementation(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setImmediate(resolve));
+      running--;
+      return { displayName: 'name' };
+    });
+    channelManager.channelRouter.loadRules = jest.fn().mockResolvedValue([]);
+
+    const results = await channelManager.previewRouting();
+
+    expect(results.map(result => result.sourceId)).toEqual(Array.from(channelManager.mappings.keys()));
+    expect(lineService.getUserProfile).toHaveBeenCalledTimes(10);
+    expect(maxRunning).toBe(4);
+  });
+
+  test('auditChannelPermissions reports drift and re-applies only drifted overwrites', async () => {
+    const originalStaffRoleIds = config.discord.staffRoleIds;
+    config.discord.staffRoleIds = ['staff-role-id'];
+    discordClient.user = { id: 'bot-user-id' };
+    const staffOverwrite = {
+      allow: {
+        bitfield: PermissionFlagsBits.ViewChannel | PermissionFlagsBits.SendMessages | PermissionFlagsBits.ReadMessageHistory
+      },
+      deny: { bitfield: 0n }
+    };
+    const channel = {
+      parentId: 'friends-category-id',
+      guild: { roles: { everyone: { id: 'everyone-role-id' } } },
+      permissionOverwrites: {
+        cache: new Map([
+          ['everyone-role-id', { allow: { bitfield: PermissionFlagsBits.ViewChannel }, deny: { bitfield: 0n } }],
+          ['staff-role-id', staffOverwrite],
+          ['bot-user-id', staffOverwrite]
+        ]),
+        create: jest.fn().mockResolvedValue()
+      }
+    };
+    channelManager.mappings.set('U1234567890', { sourceId: 'U1234567890', discordChannelId: 'channel-1' });
+    discordClient.channels.fetch.mockResolvedValue(channel);
+
+    try {
+      const report = await channelManager.auditChannelPermissions();
+
+      expect(report).toEqual([expect.objectContaining({
+        sourceId: 'U1234567890',
+        applied: false,
+        drift: [expect.objectContaining({ id: 'everyone-role-id' })]
+      })]);
+      expect(channel.permissionOverwrites.create).not.toHaveBeenCalled();
+
+      const applied = await channelManager.auditChannelPermissions({ apply: true });
+
+      expect(applied[0].applied).toBe(true);
+      expect(channel.permissionOverwrites.create).toHaveBeenCalledTimes(1);
+      expect(channel.permissionOverwrites.create).toHaveBeenCalledWith(
+        'everyone-role-id',
+        { ViewChannel: false },
+        { type: OverwriteType.Role }
+      );
+    } finally {
+      config.discord.staffRoleIds = originalStaffRoleIds;
+    }
+  });
+
+  test('channel lookups use an index that follows relink, swap and removal', async () => {
+    channelManager.mappings.set('U1111111111', { sourceId: 'U1111111111', discordChannelId: 'channel-1' });
+    channelManager.mappings.set('U2222222222', { sourceId: 'U2222222222', discordChannelId: 'channel-2' });
+    discordClient.channels.fetch.mockResolvedValue(createTextChannel('channel-3'));
+
+    await channelManager.swapSources('U1111111111', 'U2222222222');
+    expect(channelManager.findSourceIdByChannelId('channel-1')).toBe('U2222222222');
+    expect(channelManager.findSourceIdByChannelId('channel-2')).toBe('U1111111111');
+
+    await channelManager.relinkSource('U1111111111', 'channel-3');
+    expect(channelManager.findSourceIdByChannelId('channel-2')).toBeNull();
+    expect(channelManager.findSourceIdByChannelId('channel-3')).toBe('U1111111111');
+
+    channelManager.mappings.delete('U2222222222');
+    expect(channelManager.findSourceIdByChannelId('channel-1')).toBeNull();
+  });
+
+  test('getLineUserId bumps lastUsed without rewriting the mapping file until the next flush', async () => {
+    channelManager.mappings.set('U1111111111', {
+      sourceId: 'U1111111111',
+      discordChannelId: 'channel-1',
+      lastUsed: '2026-01-01T00:00:00.000Z'
+    });
+    channelManager.saveMappings = jest.fn(async () => {
+      channelManager.isDirty = false;
+    });
+
+    await expect(channelManager.getLineUserId('channel-1')).resolves.toBe('U1111111111');
+    await expect(channelManager.getLineUserId('channel-1')).resolves.toBe('U1111111111');
+    await expect(channelManager.getLineUserId('unknown-channel')).resolves.toBeNull();
+
+    expect(channelManager.saveMappings).not.toHaveBeenCalled();
+    expect(channelManager.getChannelMapping('U1111111111').lastUsed).not.toBe('2026-01-01T00:00:00.000Z');
+    expect(channelManager.isDirty).toBe(true);
+
+    await channelManager.flushMappings();
+    await channelManager.flushMappings();
+
+    expect(channelManager.saveMappings).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('ChannelManager with the SQLite store', () => {
+  let tempDir;
+  let store;
+  let channelManager;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'channel-manager-'));
+    store = new SqliteStore('channel-mappings', path.join(tempDir, 'bridge.db'));
+    await store.save({
+      U1: { discordChannelId: 'c1', lastUsed: '2024-01-01T00:00:00.000Z' },
+      U2: { discordChannelId: 'c2', lastUsed: '2024-01-01T00:00:00.000Z' }
+    });
+    channelManager = new ChannelManager({}, {}, { store });
+    await channelManager.loadMappings();
+  });
+
+  afterEach(async () => {
+    SqliteStore.closeDatabases();
+    await fs.rm(tempDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  test('saveMappings writes only the mappings changed or removed since the last save', async () => {
+    const save = jest.spyOn(store, 'save');
+    const writeRecords = jest.spyOn(store, 'writeRecords');
+
+    channelManager.mappings.get('U1').lastUsed = '2024-02-01T00:00:00.000Z';
+    channelManager.mappings.set('U3', { discordChannelId: 'c3' });
+    channelManager.mappings.delete('U2');
+    await channelManager.saveMappings();
+    await channelManager.saveMappings();
+
+    expect(save).not.toHaveBeenCalled();
+    expect(writeRecords).toHaveBeenCalledTimes(1);
+    expect(writeRecords).toHaveBeenCalledWith({
+      put: {
+        U1: { discordChannelId: 'c1', lastUsed: '2024-02-01T00:00:00.000Z' },
+        U3: { discordChannelId: 'c3' }
+      },
+      remove: ['U2']
+    });
+    await expect(new SqliteStore('channel-mappings', store.databaseFile).load()).resolves.toEqual({
+      U1: { discordChannelId: 'c1', lastUsed: '2024-02-01T00:00:00.000Z' },
+      U3: { discordChannelId: 'c3' }
+    });
+  });
+
+  test('keeps changes that failed to save for the next save', async () => {
+    jest.spyOn(store, 'writeRecords').mockRejectedValueOnce(new Error('database is locked'));
+
+    channelManager.mappings.get('U1').lastUsed = '2024-02-01T00:00:00.000Z';
+    await expect(channelManager.saveMappings()).rejects.toThrow('database is locked');
+    expect(channelManager.isDirty).toBe(true);
+
+    await channelManager.flushMappings();
+
+    await expect(store.getRecord('U1')).resolves.toEqual({ discordChannelId: 'c1', lastUsed: '2024-02-01T00:00:00.000Z' });
+  });
 });
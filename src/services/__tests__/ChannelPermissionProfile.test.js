@@ -0,0 +1,82 @@
+const { OverwriteType, PermissionFlagsBits } = require('discord.js');
+const ChannelPermissionProfile = require('../ChannelPermissionProfile');
+
+const { ViewChannel, SendMessages, ReadMessageHistory } = PermissionFlagsBits;
+
+describe('ChannelPermissionProfile', () => {
+  test('private profile hides the channel from @everyone and allows staff roles and the bot', () => {
+    const profile = new ChannelPermissionProfile({ visibility: 'private' });
+
+    expect(profile.buildOverwrites({
+      everyoneRoleId: 'guild-1',
+      botUserId: 'bot-1',
+      staffRoleIds: ['staff-1']
+    })).toEqual([
+      { id: 'guild-1', type: OverwriteType.Role, allow: [], deny: [ViewChannel] },
+      { id: 'staff-1', type: OverwriteType.Role, allow: [ViewChannel, SendMessages, ReadMessageHistory], deny: [] },
+      { id: 'bot-1', type: OverwriteType.Member, allow: [ViewChannel, SendMessages, ReadMessageHistory], deny: [] }
+    ]);
+  });
+
+  test('archived channels are read-only for everyone except the bot', () => {
+    const profile = new ChannelPermissionProfile({ visibility: 'public' });
+
+    const overwrites = profile.buildOverwrites({
+      everyoneRoleId: 'guild-1',
+      botUserId: 'bot-1',
+      staffRoleIds: ['staff-1'],
+      archived: true
+    });
+
+    expect(overwrites[0]).toMatchObject({ allow: [ViewChannel, ReadMessageHistory], deny: [SendMessages] });
+    expect(overwrites[1]).toMatchObject({ allow: [ViewChannel, ReadMessageHistory], deny: [SendMessages] });
+    expect(overwrites[2]).toMatchObject({ allow: [ViewChannel, SendMessages, ReadMessageHistory], deny: [] });
+  });
+
+  test('rule overwrites default to role type unless a type is given', () => {
+    const profile = new ChannelPermissionProfile({ visibility: 'public' });
+
+    const overwrites = profile.buildOverwrites({
+      everyoneRoleId: 'guild-1',
+      botUserId: 'bot-1',
+      extraOverwrites: [
+        { id: 'role-9', allow: [ViewChannel] },
+        { id: 'member-9', type: OverwriteType.Member, allow: [ViewChannel] },
+        { id: 'bot-1', deny: [SendMessages] }
+      ]
+    });
+
+    expect(overwrites).toEqual(expect.arrayContaining([
+      { id: 'role-9', type: OverwriteType.Role, allow: [ViewChannel], deny: [] },
+      { id: 'member-9', type: OverwriteType.Member, allow: [ViewChannel], deny: [] },
+      { id: 'bot-1', type: OverwriteType.Member, allow: [], deny: [SendMessages] }
+    ]));
+  });
+
+  test('findDrift reports missing and mismatched overwrites by permission name', () => {
+    const profile = new ChannelPermissionProfile({ visibility: 'private' });
+    const expected = profile.buildOverwrites({ everyoneRoleId: 'guild-1', staffRoleIds: ['staff-1'] });
+    const channel = {
+      permissionOverwrites: {
+        cache: new Map([['guild-1', {
+          allow: { bitfield: ViewChannel | SendMessages | ReadMessageHistory },
+          deny: { bitfield: 0n }
+        }]])
+      }
+    };
+
+    expect(profile.findDrift(channel, expected)).toEqual([
+      {
+        id: 'guild-1',
+        expected: { allow: [], deny: ['ViewChannel'] },
+        actual: { allow: ['ViewChannel', 'SendMessages', 'ReadMessageHistory'], deny: [] }
+      },
+      {
+        id: 'staff-1',
+        expected: { allow: ['ViewChannel', 'SendMessages', 'ReadMessageHistory'], deny: [] },
+        actual: null
+      }
+    ]);
+    expect(profile.toOverwriteOptions(expected[0])).toEqual({ ViewChannel: false });
+  });
+});
@@ -0,0 +1,126 @@
+jest.mock('../../utils/logger');
+jest.mock('../../utils/jsonFileStore');
+
+const { OverwriteType, PermissionFlagsBits } = require('discord.js');
+const ChannelRouter = require('../ChannelRouter');
+const config = require('../../config');
+const { readJsonFile } = require('../../utils/jsonFileStore');
+
+describe('ChannelRouter', () => {
+  let router;
+  let originalCategories;
+
+  beforeEach(() => {
+    originalCategories = config.discord.categories;
+    config.discord.categories = {
+      friends: 'friends-category-id',
+      groups: 'groups-category-id',
+      rooms: null,
+      shop: 'shop-category-id',
+      test: null,
+      archive: null
+    };
+    router = new ChannelRouter('rules.json');
+    readJsonFile.mockReset();
+  });
+
+  afterEach(() => {
+    config.discord.categories = originalCategories;
+  });
+
+  test('missing rules file falls back to default routing', async () => {
+    readJsonFile.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+
+    await router.initialize();
+
+    expect(router.rules).toEqual([]);
+    expect(router.route({ sourceId: 'U1234567890' })).toEqual({
+      rule: null,
+      categoryId: undefined,
+      channelName: null,
+      topic: null,
+      permissionOverwrites: []
+    });
+  });
+
+  test('first matching rule decides category, name, topic and permissions', async () => {
+    readJsonFile.mockResolvedValue({
+      rules: [
+        {
+          name: 'vip',
+          match: { lineIds: ['U9999999999'] },
+          category: 'vip-category-id'
+        },
+        {
+          name: 'shop orders',
+          match: { sourceTypes: ['user'], displayName: '^店舗', firstMessageKeywords: ['注文', '予約'] },
+          category: 'shop',
+          channelName: 'shop-{name}',
+          topic: 'Shop customer {name} ({sourceId})',
+          permissionOverwrites: [{ id: 'everyone', deny: ['ViewChannel'] }]
+        }
+      ]
+    });
+    await router.initialize();
+
+    expect(router.route({
+      sourceId: 'U1234567890',
+      displayName: '店舗田中',
+      firstMessageText: '注文をお願いします'
+    })).toEqual({
+      rule: 'shop orders',
+      categoryId: 'shop-category-id',
+      channelName: 'shop-店舗田中',
+      topic: 'Shop customer 店舗田中 (U1234567890)',
+      permissionOverwrites: [{ id: 'everyone', allow: [], deny: [PermissionFlagsBits.ViewChannel] }]
+    });
+    expect(router.route({ sourceId: 'U9999999999' }).categoryId).toBe('vip-category-id');
+    expect(router.findMatchingRule({
+      sourceId: 'U1234567890',
+      displayName: '店舗田中',
+      firstMessageText: 'こんにちは'
+    })).toBeNull();
+    expect(router.findMatchingRule({
+      sourceId: 'C1234567890',
+      displayName: '店舗グループ',
+      firstMessageText: '注文'
+    })).toBeNull();
+  });
+
+  test('permission overwrites accept role and member types', async () => {
+    readJsonFile.mockResolvedValue({
+      rules: [{
+        name: 'assigned',
+        permissionOverwrites: [
+          { id: 'member-1', type: 'member', allow: ['ViewChannel'] },
+          { id: 'role-1', type: 'role', deny: ['SendMessages'] }
+        ]
+      }]
+    });
+    await router.initialize();
+
+    expect(router.getRule('assigned').permissionOverwrites).toEqual([
+      { id: 'member-1', type: OverwriteType.Member, allow: [PermissionFlagsBits.ViewChannel], deny: [] },
+      { id: 'role-1', type: OverwriteType.Role, allow: [], deny: [PermissionFlagsBits.SendMessages] }
+    ]);
+  });
+
+  test('unconfigured category keys leave the default category in place', () => {
+    expect(router.resolveCategoryId('test', 'rule-1')).toBeUndefined();
+    expect(router.resolveCategoryId('1234567890', 'rule-1')).toBe('1234567890');
+  });
+
+  test('invalid rules are rejected with the rule name', async () => {
+    readJsonFile.mockResolvedValue({ rules: [{ name: 'broken', match: { displayName: '(' } }] });
+    await expect(router.loadRules()).rejects.toThrow('Invalid displayName pattern in routing rule "broken"');
+
+    readJsonFile.mockResolvedValue({ rules: [{ permissionOverwrites: [{ id: 'everyone', allow: ['Fly'] }] }] });
+    await expect(router.loadRules()).rejects.toThrow('Unknown permission "Fly" in routing rule "rule-1"');
+
+    readJsonFile.mockResolvedValue({ rules: [{ permissionOverwrites: [{ id: '123', type: 'user', allow: [] }] }] });
+    await expect(router.loadRules()).rejects.toThrow('Invalid permission overwrite type "user" in routing rule "rule-1"');
+
+    await router.initialize();
+    expect(router.rules).toEqual([]);
+  });
+});
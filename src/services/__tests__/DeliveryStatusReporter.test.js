@@ -0,0 +1,91 @@
+jest.mock('../../utils/logger');
+
+const DeliveryStatusReporter = require('../DeliveryStatusReporter');
+
+const reactions = { delivered: '✅', retrying: '⏳', failed: '⚠️' };
+
+function createMessage(ownReactions = []) {
+  const cache = new Map(ownReactions.map(emoji => [emoji, {
+    me: true,
+    users: { remove: jest.fn() }
+  }]));
+
+  return {
+    id: 'discord-1',
+    reactions: { cache },
+    react: jest.fn(),
+    reply: jest.fn()
+  };
+}
+
+describe('DeliveryStatusReporter', () => {
+  let discord;
+  let reporter;
+
+  beforeEach(() => {
+    discord = {
+      user: { id: 'bot-1' },
+      channels: { fetch: jest.fn() }
+    };
+    reporter = new DeliveryStatusReporter(discord, { reactions });
+  });
+
+  test('replaces the previous status reaction', async () => {
+    const message = createMessage(['⏳']);
+
+    await reporter.report({ message }, 'delivered');
+
+    expect(message.reactions.cache.get('⏳').users.remove).toHaveBeenCalledWith('bot-1');
+    expect(message.react).toHaveBeenCalledWith('✅');
+    expect(message.reply).not.toHaveBeenCalled();
+  });
+
+  test('fetches the message by ID and explains failures in a reply', async () => {
+    const message = createMessage();
+    discord.channels.fetch.mockResolvedValue({ messages: { fetch: jest.fn().mockResolvedValue(message) } });
+
+    await reporter.report({ discordChannelId: 'channel-1', discordMessageId: 'discord-1' }, 'failed', {
+      error: 'Bad Request'
+    });
+
+    expect(discord.channels.fetch).toHaveBeenCalledWith('channel-1');
+    expect(message.react).toHaveBeenCalledWith('⚠️');
+    expect(message.reply).toHaveBeenCalledWith({
+      content: '⚠️ このメッセージはLINEに届きませんでした（Bad Request）',
+      allowedMentions: { repliedUser: false }
+    });
+  });
+
+  test('notify replies to the author without touching reactions', async () => {
+    const message = createMessage();
+    message.reply.mockRejectedValueOnce(new Error('Missing Permissions'));
+
+    await expect(reporter.notify({ message }, 'sent from the emergency pool')).resolves.toBeUndefined();
+
+    expect(message.reply).toHaveBeenCalledWith({
+      content: 'sent from the emergency pool',
+      allowedMentions: { repliedUser: false }
+    });
+    expect(message.react).not.toHaveBeenCalled();
+  });
+
+  test('skips statuses whose reaction is disabled', async () => {
+    reporter = new DeliveryStatusReporter(discord, { reactions: { ...reactions, delivered: '' } });
+    const message = createMessage();
+
+    await reporter.report({ message }, 'delivered');
+
+    expect(message.react).not.toHaveBeenCalled();
+  });
+
+  test('does not throw when Discord rejects the update', async () => {
+    const message = createMessage();
+    message.react.mockRejectedValue(new Error('Missing Permissions'));
+
+    await expect(reporter.report({ message }, 'retrying')).resolves.toBeUndefined();
+  });
+
+  test('rejects unknown statuses', async () => {
+    await expect(reporter.report({ message: createMessage() }, 'lost')).rejects.toThrow('Unknown delivery status: lost');
+  });
+});
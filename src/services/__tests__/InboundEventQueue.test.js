@@ -0,0 +1,160 @@
+jest.mock('../../utils/logger');
+
+const InboundEventQueue = require('../InboundEventQueue');
+const { createMemoryStore } = require('../../testUtils/memoryStore');
+
+function createDeferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+function messageEvent(sourceId, text) {
+  return { type: 'message', source: { userId: sourceId }, message: { id: text, type: 'text', text } };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('InboundEventQueue', () => {
+  let clock;
+  let store;
+  let handler;
+  let queue;
+
+  beforeEach(() => {
+    clock = Date.parse('2024-07-01T00:00:00.000Z');
+    store = createMemoryStore();
+    handler = jest.fn().mockResolvedValue();
+    queue = new InboundEventQueue({
+      store,
+      handler,
+      concurrency: 4,
+      maxAttempts: 2,
+      retryDelayMs: 1000,
+      now: () => clock
+    });
+  });
+
+  afterEach(async () => {
+    await queue.stop();
+  });
+
+  test('enqueue persists events before processing starts', async () => {
+    await queue.enqueue([messageEvent('U1', 'a'), messageEvent('U2', 'b')]);
+
+    expect(store.data.items.map(item => item.sourceId)).toEqual(['U1', 'U2']);
+    expect(handler).not.toHaveBeenCalled();
+
+    await queue.start();
+    await flush();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(store.data.items).toEqual([]);
+    expect(queue.getStatus()).toEqual(expect.objectContaining({ queueDepth: 0, received: 2, processed: 2 }));
+  });
+
+  test('processes one source in order and other sources in parallel', async () => {
+    const slow = createDeferred();
+    const order = [];
+    handler.mockImplementation(async (event) => {
+      order.push(event.message.text);
+      if (event.message.text === 'u1-first') {
+        await slow.promise;
+      }
+    });
+    await queue.start();
+
+    await queue.enqueue([
+      messageEvent('U1', 'u1-first'),
+      messageEvent('U1', 'u1-second'),
+      messageEvent('U2', 'u2-first')
+    ]);
+    await flush();
+
+    // U1 の2件目は1件目が終わるまで待ち、U2 は先に処理される
+    expect(order).toEqual(['u1-first', 'u2-first']);
+    expect(queue.getStatus().activeSources).toBe(1);
+
+    slow.resolve();
+    await flush();
+    expect(order).toEqual(['u1-first', 'u2-first', 'u1-second']);
+  });
+
+  test('limits the number of sources processed at once', async () => {
+    const blocked = createDeferred();
+    handler.mockImplementation(() => blocked.promise);
+    queue.concurrency = 2;
+    await queue.start();
+
+    await queue.enqueue([messageEvent('U1', 'a'), messageEvent('U2', 'b'), messageEvent('U3', 'c')]);
+    await flush();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    blocked.resolve();
+    await flush();
+    expect(handler).toHaveBeenCalledTimes(3);
+  });
+
+  test('retries failed events with backoff and drops them after maxAttempts', async () => {
+    handler.mockRejectedValue(new Error('Discord unavailable'));
+    await queue.start();
+
+    await queue.enqueue([messageEvent('U1', 'a')]);
+    await flush();
+
+    expect(store.data.items[0]).toEqual(expect.objectContaining({
+      attempts: 1,
+      nextAttemptAt: '2024-07-01T00:00:01.000Z',
+      lastError: expect.objectContaining({ message: 'Discord unavailable' })
+    }));
+
+    clock += 1000;
+    queue.pump();
+    await flush();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(store.data.items).toEqual([]);
+    expect(queue.getStatus()).toEqual(expect.objectContaining({ retried: 1, dropped: 1 }));
+  });
+
+  test('keeps events that arrive before the saved queue is loaded', async () => {
+    store.data = { items: [{
+      id: 'saved-1',
+      sourceId: 'U1',
+      event: messageEvent('U1', 'saved'),
+      receivedAt: '2024-06-30T23:59:00.000Z',
+      attempts: 0,
+      nextAttemptAt: '2024-06-30T23:59:00.000Z',
+      lastError: null
+    }] };
+
+    await queue.enqueue([messageEvent('U1', 'new')]);
+    expect(store.data.items.map(item => item.event.message.text)).toEqual(['saved', 'new']);
+
+    await queue.start();
+    await flush();
+    expect(handler.mock.calls.map(([event]) => event.message.text)).toEqual(['saved', 'new']);
+  });
+
+  test('reports queue depth and latency', async () => {
+    handler.mockImplementation(async () => {
+      clock += 250;
+    });
+    await queue.enqueue([messageEvent('U1', 'a')]);
+    clock += 100;
+
+    expect(queue.getStatus()).toEqual(expect.objectContaining({ queueDepth: 1, oldestEventAgeMs: 100 }));
+
+    await queue.start();
+    await flush();
+
+    expect(queue.getStatus().latency).toEqual({
+      samples: 1,
+      averageQueuedMs: 100,
+      averageTotalMs: 350,
+      maxTotalMs: 350
+    });
+  });
+});
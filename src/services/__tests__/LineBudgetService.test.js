@@ -0,0 +1,120 @@
+jest.mock('../../utils/logger');
+jest.mock('../../utils/jsonFileStore', () => ({
+  readJsonFile: jest.fn()
+}));
+
+const config = require('../../config');
+const LineBudgetService = require('../LineBudgetService');
+const { readJsonFile } = require('../../utils/jsonFileStore');
+const { createMemoryStore } = require('../../testUtils/memoryStore');
+
+describe('LineBudgetService', () => {
+  let clock;
+  let store;
+  let service;
+  let originalCategories;
+
+  beforeEach(() => {
+    originalCategories = config.discord.categories;
+    config.discord.categories = { ...originalCategories, groups: 'category-groups' };
+    clock = new Date(2026, 6, 10, 12, 0, 0);
+    store = createMemoryStore();
+    service = new LineBudgetService({ budgetsFile: 'line-budgets.json', store, now: () => clock });
+    readJsonFile.mockReset();
+    readJsonFile.mockResolvedValue({
+      defaultPerSource: 3,
+      sources: { Cvip: 5 },
+      categories: { groups: 4 }
+    });
+  });
+
+  afterEach(() => {
+    config.discord.categories = originalCategories;
+  });
+
+  function sendUntilBlocked(sourceId, categoryId = null) {
+    let sent = 0;
+    while (service.check(sourceId, categoryId).allowed && sent < 100) {
+      service.recordSent(sourceId, categoryId);
+      sent++;
+    }
+    return sent;
+  }
+
+  test('blocks a source after its own or the default budget is used up', async () => {
+    await service.initialize();
+
+    expect(sendUntilBlocked('Unoisy')).toBe(3);
+    expect(sendUntilBlocked('Cvip')).toBe(5);
+    expect(service.check('Unoisy')).toEqual(expect.objectContaining({
+      allowed: false,
+      budget: { scope: 'source', key: 'Unoisy', limit: 3, used: 3 },
+      reason: 'この送信先の今月の送信枠（3通）を使い切りました'
+    }));
+    expect(service.getStatus()).toEqual(expect.objectContaining({
+      period: '2026-07',
+      exhaustedSources: ['Unoisy', 'Cvip'],
+      blocked: 3
+    }));
+  });
+
+  test('category budgets are shared by every source in the category', async () => {
+    readJsonFile.mockResolvedValue({ categories: { groups: 4 } });
+    await service.initialize();
+
+    expect(sendUntilBlocked('Cgroup-1', 'category-groups')).toBe(4);
+    expect(service.check('Cgroup-2', 'category-groups')).toEqual(expect.objectContaining({
+      allowed: false,
+      reason: 'カテゴリ「groups」の今月の送信枠（4通）を使い切りました'
+    }));
+    expect(service.check('Cgroup-2', 'category-other').allowed).toBe(true);
+    expect(service.getStatus().categories).toEqual([{ key: 'groups', limit: 4, used: 4 }]);
+  });
+
+  test('overrides let staff send past the budget for the rest of the month', async () => {
+    await service.initialize();
+    sendUntilBlocked('Unoisy');
+
+    await service.setOverride('Unoisy', 2, 'staff-1');
+    expect(store.data.overrides.Unoisy).toEqual(expect.objectContaining({ remaining: 2, grantedBy: 'staff-1' }));
+
+    expect(sendUntilBlocked('Unoisy')).toBe(2);
+    expect(service.getOverride('Unoisy')).toBeNull();
+    expect(service.getStatus().overridden).toBe(2);
+  });
+
+  test('usage and overrides reset when the month changes', async () => {
+    await service.initialize();
+    sendUntilBlocked('Unoisy');
+    await service.setOverride('Unoisy', 2);
+
+    clock = new Date(2026, 7, 1, 0, 0, 0);
+
+    expect(service.check('Unoisy').allowed).toBe(true);
+    expect(service.getOverride('Unoisy')).toBeNull();
+    expect(service.getStatus().period).toBe('2026-08');
+  });
+
+  test('restores usage saved earlier in the same month', async () => {
+    store.data = {
+      period: '2026-07',
+      sources: { Unoisy: 3 },
+      categories: {},
+      overrides: {}
+    };
+
+    await service.initialize();
+
+    expect(service.check('Unoisy').allowed).toBe(false);
+  });
+
+  test('sends without budgets when the budgets file is missing or invalid', async () => {
+    readJsonFile.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+    await service.initialize();
+    expect(service.getApplicableBudgets('Unoisy')).toEqual([]);
+
+    readJsonFile.mockResolvedValue({ defaultPerSource: -1 });
+    await service.initialize();
+    expect(service.getApplicableBudgets('Unoisy')).toEqual([]);
+  });
+});
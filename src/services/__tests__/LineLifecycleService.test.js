@@ -0,0 +1,181 @@
+jest.mock('../../utils/logger');
+
+const LineLifecycleService = require('../LineLifecycleService');
+
+describe('LineLifecycleService', () => {
+  let channelManager;
+  let discordService;
+  let lineService;
+  let service;
+
+  beforeEach(() => {
+    channelManager = {
+      getOrCreateChannel: jest.fn().mockResolvedValue({
+        sourceId: 'U1234567890',
+        discordChannelId: 'discord-channel-1'
+      }),
+      getChannelMapping: jest.fn(),
+      isSourceActive: jest.fn().mockReturnValue(true),
+      activateSource: jest.fn().mockResolvedValue(),
+      deactivateSource: jest.fn().mockResolvedValue()
+    };
+    discordService = {
+      sendMessage: jest.fn().mockResolvedValue({ id: 'notice-1' })
+    };
+    lineService = {
+      getMemberProfile: jest.fn()
+    };
+    service = new LineLifecycleService({ channelManager, discordService, lineService });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('handleFollow creates the channel, activates it and posts a notice', async () => {
+    await service.handleFollow({ type: 'follow', source: { type: 'user', userId: 'U1234567890' } });
+
+    expect(channelManager.getOrCreateChannel).toHaveBeenCalledWith('U1234567890');
+    expect(channelManager.activateSource).toHaveBeenCalledWith('U1234567890');
+    expect(discordService.sendMessage).toHaveBeenCalledWith(
+      'discord-channel-1',
+      expect.objectContaining({ content: expect.stringContaining('友だち追加') })
+    );
+  });
+
+  test('handleFollow reports an unblock when the source was inactive', async () => {
+    channelManager.isSourceActive.mockReturnValue(false);
+
+    await service.handleFollow({ type: 'follow', source: { type: 'user', userId: 'U1234567890' } });
+
+    expect(discordService.sendMessage).toHaveBeenCalledWith(
+      'discord-channel-1',
+      expect.objectContaining({ content: expect.stringContaining('ブロックを解除') })
+    );
+  });
+
+  test('handleUnfollow deactivates the mapping and posts a notice', async () => {
+    channelManager.getChannelMapping.mockReturnValue({
+      sourceId: 'U1234567890',
+      discordChannelId: 'discord-channel-1'
+    });
+
+    await service.handleUnfollow({ type: 'unfollow', source: { type: 'user', userId: 'U1234567890' } });
+
+    expect(channelManager.deactivateSource).toHaveBeenCalledWith('U1234567890', 'unfollow');
+    expect(discordService.sendMessage).toHaveBeenCalledWith(
+      'discord-channel-1',
+      expect.objectContaining({ content: expect.stringContaining('ブロック') })
+    );
+  });
+
+  test('handleUnfollow does not create a channel for unknown sources', async () => {
+    channelManager.getChannelMapping.mockReturnValue(null);
+
+    await service.handleUnfollow({ type: 'unfollow', source: { type: 'user', userId: 'U1234567890' } });
+
+    expect(channelManager.getOrCreateChannel).not.toHaveBeenCalled();
+    expect(channelManager.deactivateSource).not.toHaveBeenCalled();
+    expect(discordService.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('getInactiveSourceNotice explains blocked users', () => {
+    channelManager.getChannelMapping.mockReturnValue({ status: 'inactive', inactiveReason: 'unfollow' });
+
+    expect(service.getInactiveSourceNotice('U1234567890')).toContain('ブロック');
+  });
+
+  test('handleJoin creates the group channel and activates it', async () => {
+    channelManager.getOrCreateChannel.mockResolvedValue({
+      sourceId: 'C1234567890',
+      discordChannelId: 'discord-group-1'
+    });
+
+    await service.handleJoin({ type: 'join', source: { type: 'group', groupId: 'C1234567890' } });
+
+    expect(channelManager.getOrCreateChannel).toHaveBeenCalledWith('C1234567890');
+    expect(channelManager.activateSource).toHaveBeenCalledWith('C1234567890');
+    expect(discordService.sendMessage).toHaveBeenCalledWith(
+      'discord-group-1',
+      expect.objectContaining({ content: expect.stringContaining('参加しました') })
+    );
+  });
+
+  test('handleLeave deactivates the group mapping with the leave reason', async () => {
+    channelManager.getChannelMapping.mockReturnValue({
+      sourceId: 'C1234567890',
+      discordChannelId: 'discord-group-1'
+    });
+
+    await service.handleLeave({ type: 'leave', source: { type: 'group', groupId: 'C1234567890' } });
+
+    expect(channelManager.deactivateSource).toHaveBeenCalledWith('C1234567890', 'leave');
+    expect(discordService.sendMessage).toHaveBeenCalledWith(
+      'discord-group-1',
+      expect.objectContaining({ content: expect.stringContaining('退出しました') })
+    );
+  });
+
+  test('handleMemberJoined posts a roster notice with display names', async () => {
+    channelManager.getOrCreateChannel.mockResolvedValue({
+      sourceId: 'C1234567890',
+      discordChannelId: 'discord-group-1'
+    });
+    lineService.getMemberProfile
+      .mockResolvedValueOnce({ displayName: 'Alice' })
+      .mockResolvedValueOnce({ displayName: 'Bob' });
+
+    await service.handleMemberJoined({
+      type: 'memberJoined',
+      source: { type: 'group', groupId: 'C1234567890' },
+      joined: {
+        members: [
+          { type: 'user', userId: 'U111' },
+          { type: 'user', userId: 'U222' }
+        ]
+      }
+    });
+
+    expect(lineService.getMemberProfile).toHaveBeenCalledWith('C1234567890', 'U111');
+    expect(discordService.sendMessage).toHaveBeenCalledWith(
+      'discord-group-1',
+      expect.objectContaining({ content: '👋 メンバーが参加しました: Alice, Bob' })
+    );
+  });
+
+  test('handleMemberLeft falls back to the user ID when the profile is unavailable', async () => {
+    channelManager.getChannelMapping.mockReturnValue({
+      sourceId: 'C1234567890',
+      discordChannelId: 'discord-group-1'
+    });
+    lineService.getMemberProfile.mockRejectedValue(new Error('Not found'));
+
+    await service.handleMemberLeft({
+      type: 'memberLeft',
+      source: { type: 'group', groupId: 'C1234567890' },
+      left: {
+        members: [{ type: 'user', userId: 'U1234567890abcdef' }]
+      }
+    });
+
+    expect(discordService.sendMessage).toHaveBeenCalledWith(
+      'discord-group-1',
+      expect.objectContaining({ content: '👋 メンバーが退出しました: 不明なユーザー (U1234567)' })
+    );
+  });
+
+  test('handleJoin keys multi-person chats by room ID', async () => {
+    channelManager.getOrCreateChannel.mockResolvedValue({
+      sourceId: 'R1234567890',
+      discordChannelId: 'discord-room-1'
+    });
+
+    await service.handleJoin({
+      type: 'join',
+      source: { type: 'room', roomId: 'R1234567890', userId: 'U1234567890' }
+    });
+
+    expect(channelManager.getOrCreateChannel).toHaveBeenCalledWith('R1234567890');
+    expect(channelManager.activateSource).toHaveBeenCalledWith('R1234567890');
+  });
+});
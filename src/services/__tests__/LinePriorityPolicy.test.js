@@ -0,0 +1,64 @@
+jest.mock('../../utils/logger');
+jest.mock('../../utils/jsonFileStore', () => ({
+  readJsonFile: jest.fn()
+}));
+
+const LinePriorityPolicy = require('../LinePriorityPolicy');
+const { extractPriorityMarker } = require('../LinePriorityPolicy');
+const { readJsonFile } = require('../../utils/jsonFileStore');
+
+describe('LinePriorityPolicy', () => {
+  let policy;
+
+  beforeEach(() => {
+    policy = new LinePriorityPolicy('priority-rules.json');
+    readJsonFile.mockReset();
+  });
+
+  test('default rules prioritise the urgent marker and urgent text, not media', async () => {
+    readJsonFile.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+    await policy.initialize();
+
+    expect(policy.evaluate({ type: 'text', text: 'see you' }, { marked: true })).toBe('urgent marker');
+    expect(policy.evaluate({ type: 'text', text: 'URGENT: call us' })).toBe('urgent keywords');
+    expect(policy.evaluate({ type: 'image', originalContentUrl: 'https://example.com/a.jpg' })).toBeNull();
+    expect(policy.evaluate({ type: 'text', text: 'see you' })).toBeNull();
+  });
+
+  test('rules match on message type, sender role and recipient tag', async () => {
+    readJsonFile.mockResolvedValue({
+      recipientTags: { vip: ['Uvip'] },
+      rules: [
+        { name: 'on-call staff', match: { senderRoleIds: ['role-oncall'] } },
+        { name: 'vip photos', match: { recipientTags: ['vip'], messageTypes: ['image'] } },
+        { name: 'shop orders', match: { recipientTags: ['shop orders'] } }
+      ]
+    });
+    await policy.initialize();
+
+    const image = { type: 'image' };
+    expect(policy.evaluate(image, { sourceId: 'Uother', senderRoleIds: ['role-oncall'] })).toBe('on-call staff');
+    expect(policy.evaluate(image, { sourceId: 'Uvip' })).toBe('vip photos');
+    expect(policy.evaluate({ type: 'text', text: 'hi' }, { sourceId: 'Uvip' })).toBeNull();
+    // チャンネル作成時に一致したルーティングルール名もタグとして扱う
+    expect(policy.evaluate(image, { sourceId: 'Ushop', routingRule: 'shop orders' })).toBe('shop orders');
+  });
+
+  test('invalid rules files fall back to the default rules', async () => {
+    readJsonFile.mockResolvedValue({ rules: [{ name: 'empty', match: {} }] });
+    await policy.initialize();
+
+    expect(policy.rules.map(rule => rule.name)).toEqual(['urgent marker', 'urgent keywords']);
+  });
+
+  test('extractPriorityMarker strips the marker from the text sent to LINE', () => {
+    expect(extractPriorityMarker('!urgent the store is closed today', '!urgent')).toEqual({
+      text: 'the store is closed today',
+      marked: true
+    });
+    expect(extractPriorityMarker('closed today !URGENT', '!urgent')).toEqual({ text: 'closed today', marked: true });
+    expect(extractPriorityMarker('not!urgent', '!urgent')).toEqual({ text: 'not!urgent', marked: false });
+    expect(extractPriorityMarker('!urgent', '')).toEqual({ text: '!urgent', marked: false });
+    expect(extractPriorityMarker(undefined, '!urgent')).toEqual({ text: '', marked: false });
+  });
+});
@@ -0,0 +1,133 @@
+const http = require('http');
+const config = require('../../config');
+const LineService = require('../LineService');
+const LineQuotaSyncService = require('../LineQuotaSyncService');
+const { LineLimitHandler } = require('../../middleware/lineLimitHandler');
+const { createMemoryStore } = require('../../testUtils/memoryStore');
+
+jest.mock('../../utils/logger');
+
+/**
+ * quota / quota/consumption だけを返す偽のLINE API
+ */
+function startFakeLineApi(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, authorization: req.headers.authorization });
+    const body = responses[req.url];
+    if (!body) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ message: 'Not found' }));
+      return;
+    }
+    res.writeHead(body.status || 200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body.data));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+describe('LineQuotaSyncService', () => {
+  let originalAccessToken;
+  let fakeApi;
+  let responses;
+  let lineService;
+  let limitHandler;
+  let service;
+
+  beforeEach(async () => {
+    originalAccessToken = config.line.channelAccessToken;
+    config.line.channelAccessToken = 'test-access-token';
+    responses = {
+      '/v2/bot/message/quota': { data: { type: 'limited', value: 200 } },
+      '/v2/bot/message/quota/consumption': { data: { totalUsage: 57 } }
+    };
+    fakeApi = await startFakeLineApi(responses);
+
+    lineService = new LineService();
+    lineService.quotaApiBaseUrl = fakeApi.baseUrl;
+    jest.spyOn(lineService, 'checkRateLimit').mockResolvedValue();
+
+    limitHandler = new LineLimitHandler({ store: createMemoryStore(), maxMonthlyMessages: 190 });
+    limitHandler.monthlyMessageCount = 50;
+    service = new LineQuotaSyncService(lineService, {
+      limitHandler,
+      intervalMs: 60000,
+      now: () => new Date('2026-07-10T00:00:00.000Z')
+    });
+  });
+
+  afterEach(async () => {
+    service.stop();
+    config.line.channelAccessToken = originalAccessToken;
+    await new Promise(resolve => fakeApi.server.close(resolve));
+  });
+
+  test('sync replaces the local counter with LINE consumption and reports the drift', async () => {
+    const result = await service.sync();
+
+    expect(fakeApi.requests).toEqual(expect.arrayContaining([
+      { url: '/v2/bot/message/quota', authorization: 'Bearer test-access-token' },
+      { url: '/v2/bot/message/quota/consumption', authorization: 'Bearer test-access-token' }
+    ]));
+    expect(result).toEqual(expect.objectContaining({
+      planLimit: 200,
+      remoteCount: 57,
+      localCount: 50,
+      drift: -7,
+      maxMonthlyMessages: 190
+    }));
+    expect(limitHandler.getLimitStatus().monthlyCount).toBe(57);
+    expect(service.getStatus()).toEqual(expect.objectContaining({
+      localCount: 57,
+      remoteCount: 57,
+      drift: -7,
+      lastSyncedAt: '2026-07-10T00:00:00.000Z',
+      lastError: null
+    }));
+  });
+
+  test('the plan limit caps the configured limit', async () => {
+    responses['/v2/bot/message/quota'] = { data: { type: 'limited', value: 100 } };
+    responses['/v2/bot/message/quota/consumption'] = { data: { totalUsage: 100 } };
+
+    await service.sync();
+
+    expect(limitHandler.getLimitStatus()).toEqual(expect.objectContaining({
+      maxMonthlyMessages: 100,
+      isLimitReached: true
+    }));
+  });
+
+  test('unlimited plans keep the configured limit', async () => {
+    responses['/v2/bot/message/quota'] = { data: { type: 'none' } };
+
+    await service.sync();
+
+    expect(limitHandler.getLimitStatus().maxMonthlyMessages).toBe(190);
+  });
+
+  test('failed syncs keep the local counter and record the error', async () => {
+    responses['/v2/bot/message/quota/consumption'] = { status: 500, data: { message: 'Internal error' } };
+
+    await expect(service.sync()).rejects.toThrow();
+
+    expect(limitHandler.getLimitStatus().monthlyCount).toBe(50);
+    expect(service.getStatus().lastError).toEqual(expect.objectContaining({
+      at: '2026-07-10T00:00:00.000Z'
+    }));
+  });
+
+  test('start does nothing when syncing is disabled', async () => {
+    service = new LineQuotaSyncService(lineService, { limitHandler, intervalMs: 0 });
+
+    await service.start();
+
+    expect(fakeApi.requests).toEqual([]);
+    expect(service.getStatus().enabled).toBe(false);
+  });
+});
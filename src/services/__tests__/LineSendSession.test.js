@@ -31,4 +31,51 @@ describe('LineSendSession', () => {
       quotedLineMessageId: 'line-message-1'
     });
   });
+
+  test('getDeliveryStatus reports retrying while any message is queued', () => {
+    const session = new LineSendSession({}, { discordMessageId: 'discord-1' });
+    expect(session.getDeliveryStatus()).toBeNull();
+
+    session.recordDelivered();
+    expect(session.getDeliveryStatus()).toBe('delivered');
+
+    session.recordQueued();
+    expect(session.getDeliveryStatus()).toBe('retrying');
+    expect(session.origin).toEqual({ discordMessageId: 'discord-1' });
+  });
+
+  test('getDeliveryStatus reports failed when a send budget blocked a push', () => {
+    const session = new LineSendSession();
+    session.recordDelivered();
+    session.recordBlocked('budget used up');
+
+    expect(session.getDeliveryStatus()).toBe('failed');
+    expect(session.blockedReason).toBe('budget used up');
+  });
+
+  test('nextRetryKey derives stable UUIDs from the Discord message ID and the pushed content', () => {
+    const text = { type: 'text', text: 'hello' };
+    const sticker = { type: 'sticker', packageId: '1', stickerId: '2' };
+    const first = new LineSendSession({}, { discordMessageId: 'discord-1' });
+    const again = new LineSendSession({}, { discordMessageId: 'discord-1' });
+
+    const keys = [first.nextRetryKey(sticker), first.nextRetryKey(sticker), first.nextRetryKey(text)];
+
+    expect(keys[0]).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(new Set(keys).size).toBe(3);
+    // The same content keeps its key even when the earlier pushes differ
+    expect(again.nextRetryKey(text)).toBe(keys[2]);
+    expect(again.nextRetryKey(sticker)).toBe(keys[0]);
+    expect(new LineSendSession({}, { discordMessageId: 'discord-2' }).nextRetryKey(text)).not.toBe(keys[2]);
+    expect(new LineSendSession().nextRetryKey(text)).not.toBe(new LineSendSession().nextRetryKey(text));
+  });
+
+  test('nextRetryKey gives each edit of a message its own keys', () => {
+    const correction = { type: 'text', text: '修正: hello' };
+    const edit = origin => new LineSendSession({}, { discordMessageId: 'discord-1', ...origin }).nextRetryKey(correction);
+
+    expect(edit({ editedTimestamp: 1767225660000 })).toBe(edit({ editedTimestamp: 1767225660000 }));
+    expect(edit({ editedTimestamp: 1767225660000 })).not.toBe(edit({ editedTimestamp: 1767225720000 }));
+    expect(edit({ editedTimestamp: 1767225660000 })).not.toBe(edit({}));
+  });
 });
@@ -17,9 +17,11 @@ jest.mock('@line/bot-sdk', () => ({
   Client: jest.fn().mockImplementation(() => ({
     pushMessage: jest.fn(),
     replyMessage: jest.fn(),
+    setRequestOptionOnce: jest.fn(),
     getProfile: jest.fn(),
     getGroupSummary: jest.fn(),
-    getGroupMemberProfile: jest.fn()
+    getGroupMemberProfile: jest.fn(),
+    getRoomMemberProfile: jest.fn()
   }))
 }));
 
@@ -56,6 +58,68 @@ describe('LineService', () => {
       expect(result).toBeDefined();
     });
 
+    test('pushMessageはリトライキーを毎回の試行に付ける', async () => {
+      jest.spyOn(lineService, 'checkRateLimit').mockResolvedValue();
+      const rateLimited = Object.assign(new Error('Too Many Requests'), { statusCode: 429 });
+      lineService.client.pushMessage
+        .mockRejectedValueOnce(rateLimited)
+        .mockResolvedValueOnce({ sentMessages: [{ id: 'line-1', quoteToken: 'quote-1' }] });
+      jest.spyOn(global, 'setTimeout').mockImplementation((callback) => {
+        callback();
+        return 0;
+      });
+
+      try {
+        const result = await lineService.pushMessage('test-user', { type: 'text', text: 'hi' }, {
+          retryKey: '123e4567-e89b-12d3-a456-426614174000'
+        });
+
+        expect(lineService.client.setRequestOptionOnce).toHaveBeenCalledTimes(2);
+        expect(lineService.client.setRequestOptionOnce).toHaveBeenCalledWith({
+          retryKey: '123e4567-e89b-12d3-a456-426614174000'
+        });
+        expect(result.messageId).toBe('line-1');
+      } finally {
+        global.setTimeout.mockRestore();
+      }
+    });
+
+    test('pushMessageは受付済みのリトライキー（409）を成功として扱う', async () => {
+      const conflict = Object.assign(new Error('Request failed with status code 409'), {
+        statusCode: 409,
+        originalError: {
+          response: {
+            status: 409,
+            headers: { 'x-line-accepted-request-id': 'request-1' },
+            data: {
+              message: 'The retry key is already accepted',
+              sentMessages: [{ id: 'line-1', quoteToken: 'quote-1' }]
+            }
+          }
+        }
+      });
+      lineService.client.pushMessage.mockRejectedValue(conflict);
+
+      const result = await lineService.pushMessage('test-user', { type: 'text', text: 'hi' }, {
+        retryKey: '123e4567-e89b-12d3-a456-426614174000'
+      });
+
+      expect(result).toEqual(expect.objectContaining({
+        messageId: 'line-1',
+        quoteToken: 'quote-1',
+        duplicate: true,
+        retryKey: '123e4567-e89b-12d3-a456-426614174000',
+        acceptedRequestId: 'request-1'
+      }));
+    });
+
+    test('pushMessageはリトライキーなしの409をエラーにする', async () => {
+      lineService.client.pushMessage.mockRejectedValue(Object.assign(new Error('Conflict'), { statusCode: 409 }));
+
+      await expect(lineService.pushMessage('test-user', { type: 'text', text: 'hi' })).rejects.toThrow('Conflict');
+      expect(lineService.client.setRequestOptionOnce).not.toHaveBeenCalled();
+    });
+
     test('replyMessageが正常に動作する', async () => {
       const replyToken = 'test-token';
       const message = { type: 'text', text: 'test reply' };
@@ -81,6 +145,18 @@ describe('LineService', () => {
       expect(lineService.client.getProfile).toHaveBeenCalledWith(userId);
       expect(result).toEqual(mockProfile);
     });
+
+    test('getDisplayNameは複数人トークのメンバープロフィールを使用する', async () => {
+      lineService.client.getRoomMemberProfile.mockResolvedValue({ displayName: 'Room Member' });
+
+      const result = await lineService.getDisplayName({
+        source: { type: 'room', roomId: 'R1234567890', userId: 'U1234567890' }
+      });
+
+      expect(lineService.client.getRoomMemberProfile).toHaveBeenCalledWith('R1234567890', 'U1234567890');
+      expect(lineService.client.getProfile).not.toHaveBeenCalled();
+      expect(result).toBe('Room Member');
+    });
   });
 
   describe('エラーハンドリング', () => {
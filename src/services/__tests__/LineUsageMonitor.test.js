@@ -1,36 +1,235 @@
 const LineUsageMonitor = require('../LineUsageMonitor');
+const lineLimitHandler = require('../../middleware/lineLimitHandler');
+const { createMemoryStore } = require('../../testUtils/memoryStore');
 
 jest.mock('../../utils/logger');
 jest.mock('../../middleware/lineLimitHandler', () => ({
-  getLimitStatus: jest.fn(() => ({
-    monthlyCount: 10,
-    maxMonthlyMessages: 500,
-    remainingMessages: 490,
-    usagePercentage: 2,
-    isLimitReached: false,
-    resetDate: new Date('2026-04-01T00:00:00Z')
-  }))
+  getLimitStatus: jest.fn()
 }));
 
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function limitStatus(remainingMessages, maxMonthlyMessages = 500) {
+  return {
+    monthlyCount: maxMonthlyMessages - remainingMessages,
+    maxMonthlyMessages,
+    remainingMessages,
+    usagePercentage: Math.round(((maxMonthlyMessages - remainingMessages) / maxMonthlyMessages) * 100),
+    isLimitReached: remainingMessages <= 0,
+    resetDate: new Date(2026, 3, 1),
+    emergencyRemaining: 10
+  };
+}
+
+function createSink(name, thresholds, cooldownMs) {
+  return { name, thresholds, cooldownMs, send: jest.fn().mockResolvedValue() };
+}
+
 describe('LineUsageMonitor', () => {
   let monitor;
+  let clock;
+  let store;
+  let discordSink;
+  let lineSink;
 
   beforeEach(() => {
-    monitor = new LineUsageMonitor();
     jest.clearAllMocks();
+    clock = new Date(2026, 2, 20, 12, 0, 0).getTime();
+    store = createMemoryStore();
+    discordSink = createSink('discord', { warning: 30, critical: 10, emergency: 5 }, HOUR);
+    lineSink = createSink('line', { emergency: 5 }, 0);
+    monitor = new LineUsageMonitor({
+      sinks: [discordSink, lineSink],
+      store,
+      retentionDays: 30,
+      forecastWindowDays: 7,
+      now: () => clock
+    });
+    lineLimitHandler.getLimitStatus.mockReturnValue(limitStatus(490));
   });
 
   afterEach(() => {
     monitor.stopMonitoring();
   });
 
+  async function checkWithRemaining(remaining) {
+    lineLimitHandler.getLimitStatus.mockReturnValue(limitStatus(remaining));
+    await monitor.checkUsageAndAlert();
+  }
+
+  test('each sink alerts only at its own thresholds', async () => {
+    await checkWithRemaining(25);
+    await checkWithRemaining(8);
+
+    expect(discordSink.send.mock.calls.map(([alert]) => alert.level)).toEqual(['warning', 'critical']);
+    expect(lineSink.send).not.toHaveBeenCalled();
+
+    await checkWithRemaining(4);
+
+    expect(discordSink.send).toHaveBeenLastCalledWith(expect.objectContaining({
+      level: 'emergency',
+      stats: expect.objectContaining({ remainingMessages: 4, emergencyRemaining: 10 })
+    }));
+    expect(lineSink.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('the same level repeats only after the sink cooldown', async () => {
+    await checkWithRemaining(4);
+    clock += 30 * 60 * 1000;
+    await checkWithRemaining(3);
+
+    expect(discordSink.send).toHaveBeenCalledTimes(1);
+
+    clock += 30 * 60 * 1000;
+    await checkWithRemaining(2);
+
+    expect(discordSink.send).toHaveBeenCalledTimes(2);
+    // cooldownMs 0 の送信先は同じレベルを再通知しない
+    expect(lineSink.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('alert state resets once the remaining count rises above the thresholds', async () => {
+    await checkWithRemaining(4);
+    await checkWithRemaining(490);
+    await checkWithRemaining(4);
+
+    expect(discordSink.send).toHaveBeenCalledTimes(2);
+    expect(lineSink.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('alert state survives a restart so alerts are not repeated', async () => {
+    discordSink.forecast = true;
+    await checkWithRemaining(4);
+    await monitor.stop();
+
+    const restarted = new LineUsageMonitor({
+      sinks: [discordSink, lineSink],
+      store,
+      retentionDays: 30,
+      forecastWindowDays: 7,
+      now: () => clock
+    });
+    await restarted.initialize();
+    clock += 30 * 60 * 1000;
+    lineLimitHandler.getLimitStatus.mockReturnValue(limitStatus(3));
+    await restarted.checkUsageAndAlert();
+    await restarted.stop();
+
+    expect(discordSink.send.mock.calls.map(([alert]) => alert.level)).toEqual(['emergency', 'forecast']);
+    expect(lineSink.send).toHaveBeenCalledTimes(1);
+    expect(restarted.getMonitoringStatus().sinks[0]).toEqual(expect.objectContaining({
+      alertedLevel: 'emergency',
+      lastAlertTime: clock - 30 * 60 * 1000
+    }));
+  });
+
+  test('failed alerts are retried on the next check without blocking other sinks', async () => {
+    discordSink.send.mockRejectedValueOnce(new Error('Missing Access'));
+
+    await checkWithRemaining(4);
+
+    expect(lineSink.send).toHaveBeenCalledTimes(1);
+    expect(monitor.getMonitoringStatus().sinks[0]).toEqual(expect.objectContaining({
+      name: 'discord',
+      alertedLevel: null
+    }));
+
+    await checkWithRemaining(4);
+
+    expect(discordSink.send).toHaveBeenCalledTimes(2);
+    expect(monitor.getMonitoringStatus().sinks[0].alertedLevel).toBe('emergency');
+  });
+
+  test('keeps one usage record per day and reports daily sends', async () => {
+    await checkWithRemaining(480);
+    clock += HOUR;
+    await checkWithRemaining(470);
+    clock += DAY;
+    await checkWithRemaining(455);
+    await monitor.stop();
+
+    expect(monitor.getDailyHistory()).toEqual([
+      { date: '2026-03-20', sent: 30, monthlyCount: 30 },
+      { date: '2026-03-21', sent: 15, monthlyCount: 45 }
+    ]);
+    expect(monitor.getDailyHistory(1)).toEqual([{ date: '2026-03-21', sent: 15, monthlyCount: 45 }]);
+    expect(Object.keys(store.data.days)).toEqual(['2026-03-20', '2026-03-21']);
+    expect(Object.keys(store.data.sinks)).toEqual(['discord', 'line']);
+  });
+
+  test('restores saved history and drops days past the retention period', async () => {
+    store.data = {
+      days: {
+        '2026-01-10': { count: 5, recordedAt: new Date(2026, 0, 10, 23).toISOString() },
+        '2026-03-19': { count: 20, recordedAt: new Date(2026, 2, 19, 23).toISOString() }
+      }
+    };
+
+    await monitor.initialize();
+
+    expect(monitor.getDailyHistory().map(entry => entry.date)).toEqual(['2026-03-19']);
+  });
+
+  test('projects the exhaustion date from the recent send rate', async () => {
+    // 7日前に100通、今は170通（1日10通のペース）、残り30通
+    store.data = {
+      days: { '2026-03-13': { count: 100, recordedAt: new Date(2026, 2, 13, 12).toISOString() } }
+    };
+    await monitor.initialize();
+
+    const forecast = monitor.getForecast(limitStatus(30, 200));
+
+    expect(forecast).toEqual({
+      dailyRate: 10,
+      windowDays: 7,
+      projectedMonthEnd: 285,
+      exhaustionDate: new Date(2026, 2, 23, 12).toISOString(),
+      exhaustsBeforeReset: true
+    });
+  });
+
+  test('without history the projection uses the rate since the start of the month', () => {
+    // 3/1から19.5日で39通（1日2通のペース）、残り161通、リセットまで11.5日
+    const forecast = monitor.getForecast(limitStatus(161, 200));
+
+    expect(forecast.dailyRate).toBe(2);
+    expect(forecast.projectedMonthEnd).toBe(62);
+    expect(forecast.exhaustsBeforeReset).toBe(false);
+  });
+
+  test('forecast alerts go to forecast sinks once until the projection clears', async () => {
+    discordSink.forecast = true;
+    // 3/1から19.5日で400通、残り100通は5日ほどで尽きる
+    lineLimitHandler.getLimitStatus.mockReturnValue(limitStatus(100, 500));
+
+    await monitor.checkUsageAndAlert();
+    clock += 30 * 60 * 1000;
+    await monitor.checkUsageAndAlert();
+
+    expect(discordSink.send).toHaveBeenCalledTimes(1);
+    expect(discordSink.send).toHaveBeenCalledWith(expect.objectContaining({
+      level: 'forecast',
+      stats: expect.objectContaining({
+        forecast: expect.objectContaining({ exhaustsBeforeReset: true })
+      })
+    }));
+    expect(lineSink.send).not.toHaveBeenCalled();
+    expect(monitor.getMonitoringStatus().sinks[0].lastForecastAlertTime).not.toBeNull();
+
+    lineLimitHandler.getLimitStatus.mockReturnValue(limitStatus(490, 500));
+    await monitor.checkUsageAndAlert();
+
+    expect(monitor.getMonitoringStatus().sinks[0].lastForecastAlertTime).toBeNull();
+  });
+
   test('startMonitoringは既存タイマーを置き換えて監視状態を保持する', () => {
     jest.useFakeTimers();
 
-    monitor.startMonitoring(jest.fn(), 60);
+    monitor.startMonitoring(60);
     const firstInterval = monitor.monitoringInterval;
 
-    monitor.startMonitoring(jest.fn(), 30);
+    monitor.startMonitoring(30);
 
     expect(firstInterval).not.toBe(monitor.monitoringInterval);
     expect(monitor.getMonitoringStatus().isMonitoring).toBe(true);
@@ -41,7 +240,7 @@ describe('LineUsageMonitor', () => {
   test('stopMonitoringはタイマーをクリアする', () => {
     jest.useFakeTimers();
 
-    monitor.startMonitoring(jest.fn(), 60);
+    monitor.startMonitoring(60);
     monitor.stopMonitoring();
 
     expect(monitor.monitoringInterval).toBe(null);
@@ -0,0 +1,54 @@
+const MappingRetentionPolicy = require('../MappingRetentionPolicy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2024-06-30T00:00:00.000Z');
+
+function entry(key, daysAgo, referencedDaysAgo = null) {
+  const mapping = { timestamp: new Date(NOW - daysAgo * DAY_MS).toISOString() };
+  if (referencedDaysAgo !== null) {
+    mapping.lastReferencedAt = new Date(NOW - referencedDaysAgo * DAY_MS).toISOString();
+  }
+  return { key, mapping };
+}
+
+describe('MappingRetentionPolicy', () => {
+  test('prunes mappings older than maxAgeDays', () => {
+    const policy = new MappingRetentionPolicy({ now: () => NOW, maxAgeDays: 30, maxMappings: 0 });
+
+    const { byAge, byCount } = policy.selectPrunable([entry('old', 31), entry('new', 29)]);
+
+    expect(byAge.map(e => e.key)).toEqual(['old']);
+    expect(byCount).toEqual([]);
+  });
+
+  test('keeps old mappings that a recent reply referenced', () => {
+    const policy = new MappingRetentionPolicy({ now: () => NOW, maxAgeDays: 30, maxMappings: 0 });
+
+    const { byAge } = policy.selectPrunable([entry('quoted', 90, 1), entry('stale', 90, 45)]);
+
+    expect(byAge.map(e => e.key)).toEqual(['stale']);
+  });
+
+  test('prunes the least recently active mappings beyond maxMappings', () => {
+    const policy = new MappingRetentionPolicy({ now: () => NOW, maxAgeDays: 0, maxMappings: 2 });
+
+    const { byAge, byCount } = policy.selectPrunable([
+      entry('a', 3),
+      entry('b', 5, 0),
+      entry('c', 2),
+      entry('d', 4)
+    ]);
+
+    expect(byAge).toEqual([]);
+    expect(byCount.map(e => e.key)).toEqual(['d', 'a']);
+  });
+
+  test('overrides replace the configured limits', () => {
+    const policy = new MappingRetentionPolicy({ now: () => NOW, maxAgeDays: 30, maxMappings: 1 });
+
+    const { byAge, byCount } = policy.selectPrunable([entry('a', 10), entry('b', 8)], { maxAgeDays: 7, maxMappings: 0 });
+
+    expect(byAge.map(e => e.key)).toEqual(['a', 'b']);
+    expect(byCount).toEqual([]);
+  });
+});
@@ -0,0 +1,228 @@
+jest.mock('discord.js', () => {
+  const mockClientInstance = {
+    channels: {
+      fetch: jest.fn()
+    },
+    guilds: {
+      cache: {
+        size: 0
+      }
+    },
+    once: jest.fn(),
+    on: jest.fn(),
+    destroy: jest.fn(),
+    login: jest.fn()
+  };
+
+  return {
+    Client: jest.fn(() => mockClientInstance),
+    GatewayIntentBits: {
+      Guilds: 1,
+      GuildMessages: 2,
+      GuildMessageReactions: 3,
+      DirectMessageReactions: 4,
+      MessageContent: 5
+    },
+    Partials: {
+      Message: 'MESSAGE',
+      Channel: 'CHANNEL'
+    }
+  };
+});
+
+jest.mock('../LineService', () => jest.fn(() => ({
+  pushMessage: jest.fn(),
+  formatMessage: jest.fn((event) => event.message.text),
+  getDisplayName: jest.fn(),
+  getUserProfile: jest.fn(),
+  getGroupMemberProfile: jest.fn(),
+  getGroupSummary: jest.fn()
+})));
+
+jest.mock('../DiscordService', () => jest.fn(() => ({
+  setClient: jest.fn()
+})));
+
+jest.mock('../MediaService', () => jest.fn(() => ({
+  shutdown: jest.fn()
+})));
+
+jest.mock('../MessageMappingManager', () => jest.fn(() => ({
+  initialize: jest.fn()
+})));
+
+jest.mock('../ChannelManager', () => jest.fn(() => ({
+  initialize: jest.fn(),
+  stop: jest.fn()
+})));
+
+jest.mock('../WebhookManager', () => jest.fn(() => ({
+  initialize: jest.fn(),
+  stop: jest.fn(),
+  sendMessage: jest.fn()
+})));
+
+jest.mock('../LineUsageMonitor', () => jest.fn(() => ({
+  initialize: jest.fn(),
+  startMonitoring: jest.fn(),
+  stop: jest.fn(),
+  getMonitoringStatus: jest.fn(() => ({}))
+})));
+
+jest.mock('../../utils/messageBatcher', () => jest.fn(() => ({
+  getBatchStatus: jest.fn(() => ({})),
+  flushAllBatches: jest.fn()
+})));
+
+jest.mock('../../middleware/lineLimitHandler', () => ({
+  initialize: jest.fn(),
+  shouldLimitMessage: jest.fn(() => ({ allowed: true })),
+  recordMessageSent: jest.fn(),
+  getLimitStatus: jest.fn(() => ({}))
+}));
+
+jest.mock('../MessageQueue', () => jest.fn(() => ({
+  initialize: jest.fn(),
+  enqueue: jest.fn(),
+  hasPending: jest.fn(() => false),
+  hasPendingForOrigin: jest.fn(() => false),
+  shouldRetry: jest.fn(() => true),
+  getQueueStatus: jest.fn(() => ({ queueSize: 0, deadLetterCount: 0 })),
+  stop: jest.fn()
+})));
+
+jest.mock('../LineQuotaSyncService', () => jest.fn(() => ({
+  start: jest.fn(),
+  stop: jest.fn(),
+  getStatus: jest.fn(() => ({ drift: null }))
+})));
+
+jest.mock('../LineBudgetService', () => jest.fn(() => ({
+  initialize: jest.fn(),
+  check: jest.fn(() => ({ allowed: true, budget: null, overridden: false, reason: null })),
+  recordSent: jest.fn(),
+  getStatus: jest.fn(() => ({ blocked: 0 })),
+  stop: jest.fn()
+})));
+
+jest.mock('../DeliveryStatusReporter', () => jest.fn(() => ({
+  report: jest.fn(),
+  notify: jest.fn()
+})));
+
+jest.mock('../../utils/logger');
+
+const config = require('../../config');
+const MessageBridge = require('../MessageBridge');
+const InboundEventQueue = require('../InboundEventQueue');
+const WebhookEventLedger = require('../WebhookEventLedger');
+const { createMemoryStore } = require('../../testUtils/memoryStore');
+
+function lineTextEvent(webhookEventId, { isRedelivery = false } = {}) {
+  return {
+    type: 'message',
+    webhookEventId,
+    deliveryContext: { isRedelivery },
+    replyToken: 'reply-token-1',
+    source: { type: 'user', userId: 'U1' },
+    message: { id: 'line-message-1', type: 'text', text: 'hello' }
+  };
+}
+
+describe('MessageBridge inbound LINE event queue', () => {
+  let messageBridge;
+  let originalWebhookEnabled;
+
+  function useInboundQueue({ maxAttempts }) {
+    messageBridge.webhookEventLedger = new WebhookEventLedger({ store: createMemoryStore() });
+    messageBridge.inboundQueue = new InboundEventQueue({
+      handler: (event) => messageBridge.processQueuedLineEvent(event),
+      store: createMemoryStore(),
+      maxAttempts,
+      retryDelayMs: 0
+    });
+    return messageBridge.inboundQueue.start();
+  }
+
+  async function waitForQueueToDrain() {
+    for (let i = 0; i < 50 && (messageBridge.inboundQueue.getStatus().queueDepth > 0
+      || messageBridge.inboundQueue.active.size > 0); i++) {
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+  }
+
+  beforeEach(() => {
+    originalWebhookEnabled = config.webhook.enabled;
+    config.webhook.enabled = true;
+    messageBridge = new MessageBridge();
+    messageBridge.isInitialized = true;
+    messageBridge.channelManager = {
+      getOrCreateChannel: jest.fn().mockResolvedValue({ discordChannelId: 'channel-1' }),
+      getChannelMapping: jest.fn(() => ({ discordChannelId: 'channel-1' }))
+    };
+    messageBridge.webhookManager = { sendMessage: jest.fn() };
+    messageBridge.lineService.getDisplayName.mockResolvedValue('LINE User');
+    messageBridge.messageMappingManager.getLineToDiscordMapping = jest.fn(() => null);
+    messageBridge.messageMappingManager.mapLineToDiscord = jest.fn();
+    messageBridge.featureManager.resolveDiscordSendOptions = jest.fn().mockResolvedValue({});
+  });
+
+  afterEach(async () => {
+    await messageBridge.inboundQueue.stop();
+    config.webhook.enabled = originalWebhookEnabled;
+    jest.clearAllMocks();
+  });
+
+  test('a Discord send failure keeps the event queued and the retry forwards it', async () => {
+    await useInboundQueue({ maxAttempts: 3 });
+    messageBridge.webhookManager.sendMessage
+      .mockRejectedValueOnce(new Error('Discord API unavailable'))
+      .mockResolvedValueOnce({ id: 'discord-message-1' });
+
+    await messageBridge.enqueueLineEvents([lineTextEvent('webhook-1')]);
+    await waitForQueueToDrain();
+
+    expect(messageBridge.webhookManager.sendMessage).toHaveBeenCalledTimes(2);
+    expect(messageBridge.messageMappingManager.mapLineToDiscord).toHaveBeenCalledWith(
+      'line-message-1',
+      'discord-message-1',
+      'U1',
+      'channel-1',
+      { replyToken: 'reply-token-1', quoteToken: null }
+    );
+    expect(messageBridge.inboundQueue.getStatus()).toEqual(expect.objectContaining({
+      queueDepth: 0,
+      retried: 1,
+      processed: 1,
+      dropped: 0
+    }));
+    expect(messageBridge.webhookEventLedger.getEntry('webhook-1')).toEqual(expect.objectContaining({
+      state: 'done',
+      attempts: 2
+    }));
+  });
+
+  test('a forward dropped after failing is processed again when LINE redelivers it', async () => {
+    await useInboundQueue({ maxAttempts: 1 });
+    messageBridge.webhookManager.sendMessage.mockRejectedValueOnce(new Error('Discord API unavailable'));
+
+    await messageBridge.enqueueLineEvents([lineTextEvent('webhook-1')]);
+    await waitForQueueToDrain();
+
+    expect(messageBridge.inboundQueue.getStatus().dropped).toBe(1);
+    expect(messageBridge.webhookEventLedger.getEntry('webhook-1').state).toBe('failed');
+    expect(messageBridge.messageMappingManager.mapLineToDiscord).not.toHaveBeenCalled();
+
+    messageBridge.webhookManager.sendMessage.mockResolvedValueOnce({ id: 'discord-message-1' });
+    const accepted = await messageBridge.enqueueLineEvents([lineTextEvent('webhook-1', { isRedelivery: true })]);
+    await waitForQueueToDrain();
+
+    expect(accepted).toBe(1);
+    expect(messageBridge.webhookManager.sendMessage).toHaveBeenCalledTimes(2);
+    expect(messageBridge.messageMappingManager.mapLineToDiscord).toHaveBeenCalledTimes(1);
+    expect(messageBridge.webhookEventLedger.getEntry('webhook-1')).toEqual(expect.objectContaining({
+      state: 'done',
+      isRedelivery: true
+    }));
+  });
+});
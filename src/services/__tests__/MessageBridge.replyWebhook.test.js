@@ -22,6 +22,10 @@ jest.mock('discord.js', () => {
       GuildMessageReactions: 3,
       DirectMessageReactions: 4,
       MessageContent: 5
+    },
+    Partials: {
+      Message: 'MESSAGE',
+      Channel: 'CHANNEL'
     }
   };
 });
@@ -58,7 +62,9 @@ jest.mock('../WebhookManager', () => jest.fn(() => ({
 })));
 
 jest.mock('../LineUsageMonitor', () => jest.fn(() => ({
+  initialize: jest.fn(),
   startMonitoring: jest.fn(),
+  stop: jest.fn(),
   getMonitoringStatus: jest.fn(() => ({}))
 })));
 
@@ -74,6 +80,51 @@ jest.mock('../../middleware/lineLimitHandler', () => ({
   getLimitStatus: jest.fn(() => ({}))
 }));
 
+jest.mock('../MessageQueue', () => jest.fn(() => ({
+  initialize: jest.fn(),
+  enqueue: jest.fn(),
+  hasPending: jest.fn(() => false),
+  hasPendingForOrigin: jest.fn(() => false),
+  shouldRetry: jest.fn(() => true),
+  getQueueStatus: jest.fn(() => ({ queueSize: 0, deadLetterCount: 0 })),
+  stop: jest.fn()
+})));
+
+jest.mock('../InboundEventQueue', () => jest.fn(() => ({
+  enqueue: jest.fn(),
+  start: jest.fn(),
+  getStatus: jest.fn(() => ({ queueDepth: 0 })),
+  stop: jest.fn()
+})));
+
+jest.mock('../WebhookEventLedger', () => jest.fn(() => ({
+  receive: jest.fn(() => 'new'),
+  markProcessing: jest.fn(),
+  markDone: jest.fn(),
+  markFailed: jest.fn(),
+  getStats: jest.fn(() => ({ redeliveries: 0 })),
+  stop: jest.fn()
+})));
+
+jest.mock('../LineQuotaSyncService', () => jest.fn(() => ({
+  start: jest.fn(),
+  stop: jest.fn(),
+  getStatus: jest.fn(() => ({ drift: null }))
+})));
+
+jest.mock('../LineBudgetService', () => jest.fn(() => ({
+  initialize: jest.fn(),
+  check: jest.fn(() => ({ allowed: true, budget: null, overridden: false, reason: null })),
+  recordSent: jest.fn(),
+  getStatus: jest.fn(() => ({ blocked: 0 })),
+  stop: jest.fn()
+})));
+
+jest.mock('../DeliveryStatusReporter', () => jest.fn(() => ({
+  report: jest.fn(),
+  notify: jest.fn()
+})));
+
 jest.mock('../../utils/logger');
 
 const config = require('../../config');
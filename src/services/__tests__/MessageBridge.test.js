@@ -22,6 +22,10 @@ jest.mock('discord.js', () => {
       GuildMessageReactions: 3,
       DirectMessageReactions: 4,
       MessageContent: 5
+    },
+    Partials: {
+      Message: 'MESSAGE',
+      Channel: 'CHANNEL'
     }
   };
 });
@@ -37,7 +41,10 @@ jest.mock('../LineService', () => jest.fn(() => ({
 
 jest.mock('../DiscordService', () => jest.fn(() => ({
   sendMessage: jest.fn(),
-  setClient: jest.fn()
+  setClient: jest.fn(),
+  getMessage: jest.fn(),
+  editMessage: jest.fn(),
+  deleteMessage: jest.fn()
 })));
 
 jest.mock('../MediaService', () => jest.fn(() => ({
@@ -48,8 +55,15 @@ jest.mock('../MessageMappingManager', () => jest.fn(() => ({
   initialize: jest.fn(),
   mapLineToDiscord: jest.fn(),
   mapDiscordToLine: jest.fn(),
+  recordPendingLinePush: jest.fn(),
+  resolvePendingLinePush: jest.fn(),
+  discardPendingLinePush: jest.fn(),
   getLineToDiscordMapping: jest.fn(),
-  markReplyTokenUsed: jest.fn()
+  markReplyTokenUsed: jest.fn(),
+  removeMapping: jest.fn(),
+  removeMappingsByDiscordMessageIds: jest.fn(),
+  getStats: jest.fn(() => ({ totalMappings: 0, retention: { totalPruned: 0 } })),
+  stop: jest.fn()
 })));
 
 jest.mock('../ChannelManager', () => jest.fn(() => ({
@@ -64,7 +78,9 @@ jest.mock('../WebhookManager', () => jest.fn(() => ({
 })));
 
 jest.mock('../LineUsageMonitor', () => jest.fn(() => ({
+  initialize: jest.fn(),
   startMonitoring: jest.fn(),
+  stop: jest.fn(),
   getMonitoringStatus: jest.fn(() => ({}))
 })));
 
@@ -79,13 +95,60 @@ jest.mock('../../middleware/lineLimitHandler', () => ({
   initialize: jest.fn(),
   shouldLimitMessage: jest.fn(() => ({ allowed: true })),
   recordMessageSent: jest.fn(),
-  getLimitStatus: jest.fn(() => ({}))
+  getLimitStatus: jest.fn(() => ({ emergencyRemaining: 4 }))
 }));
 
+jest.mock('../MessageQueue', () => jest.fn(() => ({
+  initialize: jest.fn(),
+  enqueue: jest.fn(),
+  hasPending: jest.fn(() => false),
+  hasPendingForOrigin: jest.fn(() => false),
+  shouldRetry: jest.fn(() => true),
+  getQueueStatus: jest.fn(() => ({ queueSize: 0, deadLetterCount: 0 })),
+  stop: jest.fn()
+})));
+
+jest.mock('../InboundEventQueue', () => jest.fn(() => ({
+  enqueue: jest.fn(),
+  start: jest.fn(),
+  getStatus: jest.fn(() => ({ queueDepth: 0 })),
+  stop: jest.fn()
+})));
+
+jest.mock('../WebhookEventLedger', () => jest.fn(() => ({
+  receive: jest.fn(() => 'new'),
+  markProcessing: jest.fn(),
+  markDone: jest.fn(),
+  markFailed: jest.fn(),
+  getStats: jest.fn(() => ({ redeliveries: 0 })),
+  stop: jest.fn()
+})));
+
+jest.mock('../LineQuotaSyncService', () => jest.fn(() => ({
+  start: jest.fn(),
+  stop: jest.fn(),
+  getStatus: jest.fn(() => ({ drift: null }))
+})));
+
+jest.mock('../LineBudgetService', () => jest.fn(() => ({
+  initialize: jest.fn(),
+  check: jest.fn(() => ({ allowed: true, budget: null, overridden: false, reason: null })),
+  recordSent: jest.fn(),
+  getStatus: jest.fn(() => ({ blocked: 0 })),
+  stop: jest.fn()
+})));
+
+jest.mock('../DeliveryStatusReporter', () => jest.fn(() => ({
+  report: jest.fn(),
+  notify: jest.fn()
+})));
+
 jest.mock('../../utils/logger');
 
 const MessageBridge = require('../MessageBridge');
+const LineSendSession = require('../LineSendSession');
 const lineLimitHandler = require('../../middleware/lineLimitHandler');
+const logger = require('../../utils/logger');
 
 describe('MessageBridge', () => {
   let messageBridge;
@@ -171,12 +234,174 @@ describe('MessageBridge', () => {
     expect(messageBridge.lineService.replyMessage).not.toHaveBeenCalled();
     expect(messageBridge.lineService.pushMessage).toHaveBeenCalledWith(
       'line-user-1',
-      { type: 'text', text: 'late reply', quoteToken: 'quote-token-1' }
+      { type: 'text', text: 'late reply', quoteToken: 'quote-token-1' },
+      { retryKey: expect.any(String) }
     );
     expect(lineLimitHandler.recordMessageSent).toHaveBeenCalled();
     expect(result).toEqual({ messageId: 'line-push-1' });
   });
 
+  test('sendTrackedLineMessageは一時的な送信エラーのメッセージを再送キューに入れる', async () => {
+    const error = Object.assign(new Error('Service Unavailable'), { status: 503 });
+    messageBridge.lineService.pushMessage.mockRejectedValue(error);
+    const lineSendSession = new LineSendSession({}, { discordMessageId: 'discord-1', discordChannelId: 'channel-1' });
+
+    const result = await messageBridge.sendTrackedLineMessage(
+      'line-user-1',
+      { type: 'text', text: 'hello' },
+      lineSendSession
+    );
+
+    expect(result).toBeNull();
+    expect(messageBridge.lineService.pushMessage).toHaveBeenCalledWith(
+      'line-user-1',
+      { type: 'text', text: 'hello' },
+      { retryKey: expect.any(String) }
+    );
+    const { retryKey } = messageBridge.lineService.pushMessage.mock.calls[0][2];
+    expect(messageBridge.messageQueue.enqueue).toHaveBeenCalledWith(
+      'line-user-1',
+      { type: 'text', text: 'hello' },
+      { origin: { discordMessageId: 'discord-1', discordChannelId: 'channel-1' }, linePriority: {}, error, retryKey }
+    );
+    expect(messageBridge.messageMappingManager.recordPendingLinePush).toHaveBeenCalledWith(retryKey, {
+      discordMessageId: 'discord-1',
+      discordChannelId: 'channel-1',
+      lineUserId: 'line-user-1'
+    });
+    expect(messageBridge.messageMappingManager.discardPendingLinePush).not.toHaveBeenCalled();
+    expect(lineLimitHandler.recordMessageSent).not.toHaveBeenCalled();
+    expect(lineSendSession.getDeliveryStatus()).toBe('retrying');
+  });
+
+  test('sendTrackedLineMessageは受付済みの送信のメッセージIDを通常の送信と同じく返す', async () => {
+    const accepted = {
+      messageId: 'line-1',
+      quoteToken: 'quote-1',
+      duplicate: true,
+      retryKey: 'retry-key-1',
+      acceptedRequestId: 'request-1'
+    };
+    messageBridge.lineService.pushMessage.mockResolvedValue(accepted);
+    const lineSendSession = new LineSendSession({}, { discordMessageId: 'discord-1', discordChannelId: 'channel-1' });
+
+    const result = await messageBridge.sendTrackedLineMessage('line-user-1', { type: 'text', text: 'hello' }, lineSendSession);
+
+    const { retryKey } = messageBridge.lineService.pushMessage.mock.calls[0][2];
+    expect(result).toBe(accepted);
+    expect(messageBridge.messageMappingManager.recordPendingLinePush.mock.invocationCallOrder[0])
+      .toBeLessThan(messageBridge.lineService.pushMessage.mock.invocationCallOrder[0]);
+    expect(messageBridge.messageMappingManager.discardPendingLinePush).toHaveBeenCalledWith(retryKey);
+    expect(messageBridge.messageMappingManager.resolvePendingLinePush).not.toHaveBeenCalled();
+    expect(lineLimitHandler.recordMessageSent).toHaveBeenCalledTimes(1);
+    expect(lineSendSession.getDeliveryStatus()).toBe('delivered');
+  });
+
+  test('sendTrackedLineMessageは恒久的な送信エラーを呼び出し元へ返す', async () => {
+    const error = Object.assign(new Error('Bad Request'), { status: 400 });
+    messageBridge.lineService.pushMessage.mockRejectedValue(error);
+    messageBridge.messageQueue.shouldRetry.mockReturnValue(false);
+
+    const lineSendSession = new LineSendSession({}, { discordMessageId: 'discord-1', discordChannelId: 'channel-1' });
+
+    await expect(messageBridge.sendTrackedLineMessage('line-user-1', { type: 'text', text: 'hello' }, lineSendSession))
+      .rejects.toThrow('Bad Request');
+    expect(messageBridge.messageQueue.enqueue).not.toHaveBeenCalled();
+    expect(messageBridge.messageMappingManager.discardPendingLinePush).toHaveBeenCalledWith(
+      messageBridge.lineService.pushMessage.mock.calls[0][2].retryKey
+    );
+  });
+
+  test('sendTrackedLineMessageは再送待ちのあるユーザー宛てを順序どおりキューの後ろに並べる', async () => {
+    messageBridge.messageQueue.hasPending.mockReturnValue(true);
+
+    const result = await messageBridge.sendTrackedLineMessage('line-user-1', { type: 'text', text: 'next' });
+
+    expect(result).toBeNull();
+    expect(messageBridge.lineService.pushMessage).not.toHaveBeenCalled();
+    expect(messageBridge.messageQueue.enqueue).toHaveBeenCalledWith(
+      'line-user-1',
+      { type: 'text', text: 'next' },
+      { origin: {}, linePriority: {}, retryKey: expect.any(String) }
+    );
+  });
+
+  test('pushLineMessageは月間上限に達している場合に恒久的なエラーを投げる', async () => {
+    lineLimitHandler.shouldLimitMessage.mockReturnValueOnce({ allowed: false, reason: 'monthly_limit' });
+
+    await expect(messageBridge.pushLineMessage('line-user-1', { type: 'text', text: 'hello' }))
+      .rejects.toMatchObject({ code: 'LINE_MONTHLY_LIMIT' });
+    expect(messageBridge.lineService.pushMessage).not.toHaveBeenCalled();
+  });
+
+  test('pushLineMessageはキューに保存した送信者の情報で優先ルールを判定する', async () => {
+    messageBridge.lineService.pushMessage.mockResolvedValue({ messageId: 'line-1' });
+    const linePriority = { senderRoleIds: ['role-oncall'], marked: true };
+
+    await messageBridge.pushLineMessage('line-user-1', { type: 'text', text: 'hello' }, {
+      retryKey: 'retry-key-1',
+      linePriority
+    });
+
+    expect(lineLimitHandler.shouldLimitMessage).toHaveBeenCalledWith(
+      { type: 'text', text: 'hello' },
+      { sourceId: 'line-user-1', routingRule: null, senderRoleIds: ['role-oncall'], marked: true }
+    );
+    expect(messageBridge.lineService.pushMessage).toHaveBeenCalledWith(
+      'line-user-1',
+      { type: 'text', text: 'hello' },
+      { retryKey: 'retry-key-1' }
+    );
+  });
+
+  test('pushLineMessageは受付済みの再送も通数に数える', async () => {
+    messageBridge.lineService.pushMessage.mockResolvedValue({ duplicate: true, retryKey: 'retry-key-1' });
+
+    await messageBridge.pushLineMessage('line-user-1', { type: 'text', text: 'hello' }, { retryKey: 'retry-key-1' });
+
+    expect(messageBridge.lineService.pushMessage).toHaveBeenCalledWith(
+      'line-user-1',
+      { type: 'text', text: 'hello' },
+      { retryKey: 'retry-key-1' }
+    );
+    expect(lineLimitHandler.recordMessageSent).toHaveBeenCalledTimes(1);
+  });
+
+  test('handleQueuedMessageDeliveredは再送したメッセージを紐付けて配信済みを表示する', async () => {
+    await messageBridge.handleQueuedMessageDelivered(
+      {
+        userId: 'line-user-1',
+        retryKey: 'retry-key-1',
+        origin: { discordMessageId: 'discord-1', discordChannelId: 'channel-1' }
+      },
+      { messageId: 'line-1', quoteToken: 'quote-1' }
+    );
+
+    expect(messageBridge.messageMappingManager.resolvePendingLinePush).toHaveBeenCalledWith(
+      'retry-key-1',
+      { messageId: 'line-1', quoteToken: 'quote-1' },
+      { discordMessageId: 'discord-1', discordChannelId: 'channel-1', lineUserId: 'line-user-1' }
+    );
+    expect(messageBridge.deliveryStatusReporter.report).toHaveBeenCalledWith(
+      { discordChannelId: 'channel-1', discordMessageId: 'discord-1' },
+      'delivered'
+    );
+  });
+
+  test('handleQueuedMessageFailedは送信できなかった理由を元のメッセージに表示する', async () => {
+    await messageBridge.handleQueuedMessageFailed({
+      userId: 'line-user-1',
+      origin: { discordMessageId: 'discord-1', discordChannelId: 'channel-1' },
+      lastError: { message: 'Bad Request', status: 400 }
+    });
+
+    expect(messageBridge.deliveryStatusReporter.report).toHaveBeenCalledWith(
+      { discordChannelId: 'channel-1', discordMessageId: 'discord-1' },
+      'failed',
+      { error: 'Bad Request' }
+    );
+  });
+
   test('processDiscordToLineの位置情報送信はPush通数を二重記録しない', async () => {
     messageBridge.featureManager.resolveLineSendContext = jest.fn().mockResolvedValue({});
     messageBridge.lineService.pushMessage.mockResolvedValue({
@@ -202,17 +427,653 @@ describe('MessageBridge', () => {
         address: null,
         latitude: 35.6895,
         longitude: 139.6917
-      }
+      },
+      { retryKey: expect.any(String) }
     );
     expect(lineLimitHandler.recordMessageSent).toHaveBeenCalledTimes(1);
+    expect(messageBridge.lineBudget.recordSent).toHaveBeenCalledTimes(1);
     expect(messageBridge.messageMappingManager.mapDiscordToLine).toHaveBeenCalledWith(
       'discord-location-1',
       'line-location-1',
       'line-user-1',
-      'channel-1'
+      'channel-1',
+      { quoteToken: null }
+    );
+    expect(messageBridge.deliveryStatusReporter.report).toHaveBeenCalledWith(
+      { message: expect.objectContaining({ id: 'discord-location-1' }) },
+      'delivered'
+    );
+  });
+
+  test('processDiscordToLineは送信予算を使い切った送信先へ送らず理由を表示する', async () => {
+    messageBridge.featureManager.resolveLineSendContext = jest.fn().mockResolvedValue({});
+    messageBridge.channelManager = {
+      getSourceCategoryId: jest.fn().mockReturnValue('category-groups')
+    };
+    messageBridge.lineBudget.check.mockReturnValue({
+      allowed: false,
+      budget: { scope: 'category', key: 'groups', limit: 20, used: 20 },
+      overridden: false,
+      reason: 'カテゴリ「groups」の今月の送信枠（20通）を使い切りました'
+    });
+
+    await messageBridge.processDiscordToLine(
+      {
+        id: 'discord-budget-1',
+        channelId: 'channel-1',
+        content: 'hello',
+        attachments: { size: 0 },
+        stickers: { size: 0 }
+      },
+      'Cgroup-1'
+    );
+
+    expect(messageBridge.lineBudget.check).toHaveBeenCalledWith('Cgroup-1', 'category-groups');
+    expect(messageBridge.lineService.pushMessage).not.toHaveBeenCalled();
+    expect(messageBridge.lineBudget.recordSent).not.toHaveBeenCalled();
+    expect(messageBridge.deliveryStatusReporter.report).toHaveBeenCalledWith(
+      { message: expect.objectContaining({ id: 'discord-budget-1' }) },
+      'failed',
+      { error: 'カテゴリ「groups」の今月の送信枠（20通）を使い切りました' }
+    );
+  });
+
+  test('processDiscordToLineは緊急マーカーを除いて送り、緊急枠からの送信を投稿者に知らせる', async () => {
+    messageBridge.featureManager.resolveLineSendContext = jest.fn().mockResolvedValue({});
+    messageBridge.channelManager = {
+      getSourceCategoryId: jest.fn().mockReturnValue(null),
+      getChannelMapping: jest.fn().mockReturnValue({ routingRule: 'vip' })
+    };
+    lineLimitHandler.shouldLimitMessage.mockReturnValueOnce({
+      allowed: true,
+      reason: 'Priority rule matched, sending from emergency pool',
+      rule: 'urgent marker',
+      emergency: true
+    });
+    messageBridge.lineService.pushMessage.mockResolvedValue({ messageId: 'line-1' });
+
+    await messageBridge.processDiscordToLine(
+      {
+        id: 'discord-urgent-1',
+        channelId: 'channel-1',
+        content: '!urgent 本日は臨時休業です',
+        member: { roles: { cache: new Map([['role-oncall', {}]]) } },
+        attachments: { size: 0 },
+        stickers: { size: 0 }
+      },
+      'line-user-1'
+    );
+
+    expect(lineLimitHandler.shouldLimitMessage).toHaveBeenCalledWith(
+      { type: 'text', text: '本日は臨時休業です' },
+      { sourceId: 'line-user-1', routingRule: 'vip', senderRoleIds: ['role-oncall'], marked: true }
+    );
+    expect(lineLimitHandler.recordMessageSent).toHaveBeenCalledWith({ emergency: true });
+    expect(messageBridge.deliveryStatusReporter.notify).toHaveBeenCalledWith(
+      { message: expect.objectContaining({ id: 'discord-urgent-1' }) },
+      expect.stringContaining('優先ルール「urgent marker」に一致したため緊急枠から送信しました（緊急枠の残り 4通）')
+    );
+  });
+
+  test('processDiscordToLineは月間上限で止めたメッセージの理由を表示する', async () => {
+    messageBridge.featureManager.resolveLineSendContext = jest.fn().mockResolvedValue({});
+    lineLimitHandler.shouldLimitMessage.mockReturnValueOnce({
+      allowed: false,
+      reason: 'Monthly limit reached, no priority rule matched',
+      rule: null,
+      emergency: false
+    });
+
+    await messageBridge.processDiscordToLine(
+      {
+        id: 'discord-limited-1',
+        channelId: 'channel-1',
+        content: 'hello',
+        attachments: { size: 0 },
+        stickers: { size: 0 }
+      },
+      'line-user-1'
+    );
+
+    expect(messageBridge.lineService.pushMessage).not.toHaveBeenCalled();
+    expect(messageBridge.deliveryStatusReporter.report).toHaveBeenCalledWith(
+      { message: expect.objectContaining({ id: 'discord-limited-1' }) },
+      'failed',
+      { error: '今月のLINE送信数が上限に達しました（優先ルールに一致しないため送信しません）' }
+    );
+    expect(messageBridge.deliveryStatusReporter.notify).not.toHaveBeenCalled();
+  });
+
+  test('返信ブリッジ無効時のバッチ送信も送信者の情報で優先判定し、まとめた各メッセージに結果を表示する', async () => {
+    messageBridge.featureManager.requiresDirectLineTracking = jest.fn().mockReturnValue(false);
+    messageBridge.channelManager = {
+      getSourceCategoryId: jest.fn().mockReturnValue(null),
+      getChannelMapping: jest.fn().mockReturnValue(null)
+    };
+    const marked = new LineSendSession({}, { discordMessageId: 'discord-1', discordChannelId: 'channel-1' }, {
+      senderRoleIds: ['role-oncall'],
+      marked: true
+    });
+    const plain = new LineSendSession({}, { discordMessageId: 'discord-2', discordChannelId: 'channel-1' }, {
+      senderRoleIds: ['role-staff']
+    });
+
+    await messageBridge.sendTrackedLineMessage('line-user-1', { type: 'text', text: 'first' }, marked);
+    await messageBridge.sendTrackedLineMessage('line-user-1', { type: 'text', text: 'second' }, plain);
+
+    expect(messageBridge.lineService.pushMessage).not.toHaveBeenCalled();
+    const [[, , sendCallback, firstSession], [, , , secondSession]] = messageBridge.messageBatcher.addToBatch.mock.calls;
+    expect([firstSession, secondSession]).toEqual([marked, plain]);
+
+    lineLimitHandler.shouldLimitMessage.mockReturnValueOnce({ allowed: true, rule: 'urgent marker', emergency: true });
+    messageBridge.lineService.pushMessage.mockResolvedValue({ messageId: 'line-1' });
+    await sendCallback([{ type: 'text', text: 'first\nsecond' }], [firstSession, secondSession]);
+
+    expect(lineLimitHandler.shouldLimitMessage).toHaveBeenCalledWith(
+      { type: 'text', text: 'first\nsecond' },
+      { sourceId: 'line-user-1', routingRule: null, senderRoleIds: ['role-oncall', 'role-staff'], marked: true }
+    );
+    expect(lineLimitHandler.recordMessageSent).toHaveBeenCalledWith({ emergency: true });
+    for (const discordMessageId of ['discord-1', 'discord-2']) {
+      expect(messageBridge.deliveryStatusReporter.report).toHaveBeenCalledWith(
+        { discordMessageId, discordChannelId: 'channel-1' },
+        'delivered'
+      );
+      expect(messageBridge.deliveryStatusReporter.notify).toHaveBeenCalledWith(
+        { discordMessageId, discordChannelId: 'channel-1' },
+        expect.stringContaining('優先ルール「urgent marker」')
+      );
+    }
+  });
+
+  test('返信ブリッジ無効時に月間上限で止めたバッチ送信の理由を表示する', async () => {
+    messageBridge.featureManager.requiresDirectLineTracking = jest.fn().mockReturnValue(false);
+    const session = new LineSendSession({}, { discordMessageId: 'discord-1', discordChannelId: 'channel-1' });
+
+    await messageBridge.sendTrackedLineMessage('line-user-1', { type: 'text', text: 'hello' }, session);
+    const [, , sendCallback] = messageBridge.messageBatcher.addToBatch.mock.calls[0];
+    lineLimitHandler.shouldLimitMessage.mockReturnValueOnce({ allowed: false, reason: 'monthly_limit', rule: null });
+    await sendCallback([{ type: 'text', text: 'hello' }], [session]);
+
+    expect(messageBridge.lineService.pushMessage).not.toHaveBeenCalled();
+    expect(messageBridge.deliveryStatusReporter.report).toHaveBeenCalledWith(
+      { discordMessageId: 'discord-1', discordChannelId: 'channel-1' },
+      'failed',
+      { error: '今月のLINE送信数が上限に達しました（優先ルールに一致しないため送信しません）' }
+    );
+  });
+
+  test('handleDiscordMessageはブロック中のLINEユーザーへ送信せず投稿者に通知する', async () => {
+    messageBridge.isInitialized = true;
+    messageBridge.channelManager = {
+      getLineUserId: jest.fn().mockResolvedValue('line-user-1'),
+      isSourceActive: jest.fn().mockReturnValue(false)
+    };
+    messageBridge.lineLifecycleService = {
+      getInactiveSourceNotice: jest.fn().mockReturnValue('blocked notice')
+    };
+    messageBridge.processDiscordToLine = jest.fn();
+    const message = {
+      id: 'discord-1',
+      channelId: 'channel-1',
+      author: { bot: false },
+      reply: jest.fn().mockResolvedValue({})
+    };
+
+    await messageBridge.handleDiscordMessage(message);
+
+    expect(messageBridge.processDiscordToLine).not.toHaveBeenCalled();
+    expect(messageBridge.lineService.pushMessage).not.toHaveBeenCalled();
+    expect(message.reply).toHaveBeenCalledWith({
+      content: 'blocked notice',
+      allowedMentions: { repliedUser: false }
+    });
+  });
+
+  test('handleDiscordMessageはミュート中のチャンネルからLINEへ送信しない', async () => {
+    messageBridge.isInitialized = true;
+    messageBridge.channelManager = {
+      getLineUserId: jest.fn().mockResolvedValue('line-user-1'),
+      isSourceActive: jest.fn().mockReturnValue(true),
+      isSourceMuted: jest.fn().mockReturnValue(true)
+    };
+    messageBridge.processDiscordToLine = jest.fn();
+
+    await messageBridge.handleDiscordMessage({
+      id: 'discord-1',
+      channelId: 'channel-1',
+      author: { bot: false },
+      reply: jest.fn()
+    });
+
+    expect(messageBridge.processDiscordToLine).not.toHaveBeenCalled();
+  });
+
+  test('enqueueLineEventsは台帳で重複と判定した再送イベントを受信キューに入れない', async () => {
+    const events = [
+      { type: 'follow', webhookEventId: 'evt-1', source: { userId: 'U1' } },
+      { type: 'follow', webhookEventId: 'evt-2', deliveryContext: { isRedelivery: true }, source: { userId: 'U1' } },
+      { type: 'follow', source: { userId: 'U2' } }
+    ];
+    messageBridge.webhookEventLedger.receive
+      .mockResolvedValueOnce('new')
+      .mockResolvedValueOnce('duplicate');
+    messageBridge.inboundQueue.enqueue.mockResolvedValue(2);
+
+    await expect(messageBridge.enqueueLineEvents(events)).resolves.toBe(2);
+
+    expect(messageBridge.webhookEventLedger.receive).toHaveBeenCalledTimes(2);
+    expect(messageBridge.inboundQueue.enqueue).toHaveBeenCalledWith([events[0], events[2]]);
+  });
+
+  test('processQueuedLineEventは処理結果を台帳に記録する', async () => {
+    messageBridge.handleLineEvent = jest.fn()
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('Discord unavailable'));
+
+    await messageBridge.processQueuedLineEvent({ type: 'follow', webhookEventId: 'evt-1' });
+    expect(messageBridge.webhookEventLedger.markProcessing).toHaveBeenCalledWith('evt-1');
+    expect(messageBridge.webhookEventLedger.markDone).toHaveBeenCalledWith('evt-1');
+
+    await expect(messageBridge.processQueuedLineEvent({ type: 'follow', webhookEventId: 'evt-2' }))
+      .rejects.toThrow('Discord unavailable');
+    expect(messageBridge.webhookEventLedger.markFailed).toHaveBeenCalledWith('evt-2', expect.any(Error));
+    expect(messageBridge.webhookEventLedger.markDone).not.toHaveBeenCalledWith('evt-2');
+  });
+
+  test('handleLineEventはfollow/unfollowイベントをライフサイクル処理へ渡す', async () => {
+    messageBridge.isInitialized = true;
+    messageBridge.lineLifecycleService = {
+      handleFollow: jest.fn().mockResolvedValue(),
+      handleUnfollow: jest.fn().mockResolvedValue()
+    };
+    const followEvent = { type: 'follow', source: { type: 'user', userId: 'line-user-1' } };
+    const unfollowEvent = { type: 'unfollow', source: { type: 'user', userId: 'line-user-1' } };
+
+    await messageBridge.handleLineEvent(followEvent);
+    await messageBridge.handleLineEvent(unfollowEvent);
+
+    expect(messageBridge.lineLifecycleService.handleFollow).toHaveBeenCalledWith(followEvent);
+    expect(messageBridge.lineLifecycleService.handleUnfollow).toHaveBeenCalledWith(unfollowEvent);
+    expect(messageBridge.metrics.messagesProcessed).toBe(0);
+  });
+
+  test('processLineToDiscordは複数人トークのメッセージをルームIDのチャンネルへ転送する', async () => {
+    messageBridge.channelManager = {
+      getOrCreateChannel: jest.fn().mockResolvedValue({
+        sourceId: 'R1234567890',
+        discordChannelId: 'room-channel-1'
+      }),
+      getChannelMapping: jest.fn()
+    };
+    messageBridge.lineService.getDisplayName.mockResolvedValue('Room Member');
+    messageBridge.lineService.getRoomMemberProfile = jest.fn().mockResolvedValue({});
+    messageBridge.lineService.formatMessage = jest.fn(event => event.message.text);
+    messageBridge.featureManager.resolveDiscordSendOptions = jest.fn().mockResolvedValue({});
+    messageBridge.sendToDiscord = jest.fn().mockResolvedValue({ id: 'discord-room-message-1' });
+
+    await messageBridge.processLineToDiscord({
+      type: 'message',
+      replyToken: 'reply-token-1',
+      message: { id: 'line-room-message-1', type: 'text', text: 'hello room' },
+      source: { type: 'room', roomId: 'R1234567890', userId: 'U1234567890' }
+    });
+
+    expect(messageBridge.channelManager.getOrCreateChannel).toHaveBeenCalledWith('R1234567890', { firstMessageText: 'hello room' });
+    expect(messageBridge.lineService.getRoomMemberProfile).toHaveBeenCalledWith('R1234567890', 'U1234567890');
+    expect(messageBridge.sendToDiscord).toHaveBeenCalledWith(
+      'room-channel-1',
+      { content: 'hello room' },
+      expect.any(Object)
+    );
+  });
+
+  test('processLineToDiscordはアーカイブ済みチャンネルを復元してから転送する', async () => {
+    messageBridge.channelManager = {
+      getOrCreateChannel: jest.fn().mockResolvedValue({
+        sourceId: 'U1234567890',
+        discordChannelId: 'channel-1',
+        archivedAt: '2026-01-01T00:00:00.000Z',
+        archiveReason: 'idle'
+      }),
+      restoreSource: jest.fn().mockResolvedValue({}),
+      getChannelMapping: jest.fn()
+    };
+    messageBridge.lineService.getDisplayName.mockResolvedValue('Taro');
+    messageBridge.lineService.formatMessage = jest.fn(event => event.message.text);
+    messageBridge.featureManager.resolveDiscordSendOptions = jest.fn().mockResolvedValue({});
+    messageBridge.sendToDiscord = jest.fn().mockResolvedValue({ id: 'discord-message-1' });
+
+    await messageBridge.processLineToDiscord({
+      type: 'message',
+      replyToken: 'reply-token-1',
+      message: { id: 'line-message-1', type: 'text', text: 'ただいま' },
+      source: { type: 'user', userId: 'U1234567890' }
+    });
+
+    expect(messageBridge.channelManager.restoreSource).toHaveBeenCalledWith('U1234567890');
+    expect(messageBridge.sendToDiscord).toHaveBeenCalledWith('channel-1', { content: 'ただいま' }, expect.any(Object));
+  });
+
+  test('handleDiscordMessageUpdateは編集内容を元メッセージ引用付きの修正としてLINEへ送りマッピングを更新する', async () => {
+    messageBridge.isInitialized = true;
+    messageBridge.channelManager = {
+      getLineUserId: jest.fn().mockResolvedValue('line-user-1'),
+      isSourceActive: jest.fn().mockReturnValue(true),
+      isSourceMuted: jest.fn().mockReturnValue(false),
+      getSourceCategoryId: jest.fn().mockReturnValue(null),
+      getChannelMapping: jest.fn().mockReturnValue(null)
+    };
+    messageBridge.featureManager.resolveEditAction = jest.fn().mockReturnValue({
+      lineMessageId: 'line-original-1',
+      lineUserId: 'line-user-1',
+      quoteToken: 'quote-token-1',
+      text: '修正: fixed text'
+    });
+    messageBridge.lineService.pushMessage.mockResolvedValue({
+      messageId: 'line-correction-1',
+      quoteToken: 'quote-token-2'
+    });
+
+    await messageBridge.handleDiscordMessageUpdate(
+      { content: 'fixd text' },
+      { id: 'discord-1', channelId: 'channel-1', content: 'fixed text', editedTimestamp: 1767225660000, author: { bot: false } }
+    );
+
+    expect(messageBridge.lineService.pushMessage).toHaveBeenCalledWith('line-user-1', {
+      type: 'text',
+      text: '修正: fixed text',
+      quoteToken: 'quote-token-1'
+    }, { retryKey: expect.any(String) });
+    expect(lineLimitHandler.shouldLimitMessage).toHaveBeenCalled();
+    expect(messageBridge.messageMappingManager.mapDiscordToLine).toHaveBeenCalledWith(
+      'discord-1',
+      'line-correction-1',
+      'line-user-1',
+      'channel-1',
+      { quoteToken: 'quote-token-2' }
+    );
+    expect(messageBridge.deliveryStatusReporter.report).toHaveBeenCalledWith(
+      { message: expect.objectContaining({ id: 'discord-1' }) },
+      'delivered'
     );
   });
 
+  test('handleDiscordMessageUpdateは投稿者のロールと緊急マーカーで優先判定し、再送キューに入った修正を記録する', async () => {
+    messageBridge.isInitialized = true;
+    messageBridge.channelManager = {
+      getLineUserId: jest.fn().mockResolvedValue('line-user-1'),
+      isSourceActive: jest.fn().mockReturnValue(true),
+      isSourceMuted: jest.fn().mockReturnValue(false),
+      getSourceCategoryId: jest.fn().mockReturnValue(null),
+      getChannelMapping: jest.fn().mockReturnValue(null)
+    };
+    messageBridge.featureManager.resolveEditAction = jest.fn().mockReturnValue({
+      lineMessageId: 'line-original-1',
+      lineUserId: 'line-user-1',
+      quoteToken: null,
+      text: '修正: !urgent fixed text'
+    });
+    messageBridge.messageQueue.hasPending.mockReturnValue(true);
+    const newMessage = {
+      id: 'discord-1',
+      channelId: 'channel-1',
+      content: '!urgent fixed text',
+      editedTimestamp: 1767225660000,
+      author: { bot: false },
+      member: { roles: ['role-oncall'] }
+    };
+
+    await messageBridge.handleDiscordMessageUpdate({ content: '!urgent fixd text' }, newMessage);
+
+    const expectedRetryKey = new LineSendSession({}, {
+      discordMessageId: 'discord-1',
+      editedTimestamp: 1767225660000
+    }).nextRetryKey({ type: 'text', text: '修正: fixed text' });
+    expect(messageBridge.messageMappingManager.recordPendingLinePush).toHaveBeenCalledWith(expectedRetryKey, {
+      discordMessageId: 'discord-1',
+      discordChannelId: 'channel-1',
+      editedTimestamp: 1767225660000,
+      lineUserId: 'line-user-1'
+    });
+    expect(messageBridge.messageQueue.enqueue).toHaveBeenCalledWith(
+      'line-user-1',
+      { type: 'text', text: '修正: fixed text' },
+      expect.objectContaining({
+        retryKey: expectedRetryKey,
+        linePriority: { senderRoleIds: ['role-oncall'], marked: true }
+      })
+    );
+    expect(messageBridge.messageMappingManager.mapDiscordToLine).not.toHaveBeenCalled();
+    expect(messageBridge.deliveryStatusReporter.report).toHaveBeenCalledWith({ message: newMessage }, 'retrying');
+  });
+
+  test('handleDiscordMessageUpdateは月間上限で止められた修正の理由を表示する', async () => {
+    messageBridge.isInitialized = true;
+    messageBridge.channelManager = {
+      getLineUserId: jest.fn().mockResolvedValue('line-user-1'),
+      isSourceActive: jest.fn().mockReturnValue(true),
+      isSourceMuted: jest.fn().mockReturnValue(false),
+      getSourceCategoryId: jest.fn().mockReturnValue(null),
+      getChannelMapping: jest.fn().mockReturnValue(null)
+    };
+    messageBridge.featureManager.resolveEditAction = jest.fn().mockReturnValue({
+      lineMessageId: 'line-original-1',
+      lineUserId: 'line-user-1',
+      quoteToken: null,
+      text: '修正: fixed text'
+    });
+    lineLimitHandler.shouldLimitMessage.mockReturnValueOnce({ allowed: false, reason: 'monthly_limit' });
+    const newMessage = { id: 'discord-1', channelId: 'channel-1', editedTimestamp: 1767225660000, author: { bot: false } };
+
+    await messageBridge.handleDiscordMessageUpdate({ content: 'fixd text' }, newMessage);
+
+    expect(messageBridge.lineService.pushMessage).not.toHaveBeenCalled();
+    expect(messageBridge.deliveryStatusReporter.report).toHaveBeenCalledWith(
+      { message: newMessage },
+      'failed',
+      { error: expect.stringContaining('今月のLINE送信数が上限に達しました') }
+    );
+  });
+
+  test('handleDiscordMessageUpdateは対象外の編集をLINEへ送らない', async () => {
+    messageBridge.isInitialized = true;
+    messageBridge.channelManager = {
+      getLineUserId: jest.fn().mockResolvedValue('line-user-1'),
+      isSourceActive: jest.fn().mockReturnValue(true),
+      isSourceMuted: jest.fn().mockReturnValue(false),
+      getSourceCategoryId: jest.fn().mockReturnValue(null),
+      getChannelMapping: jest.fn().mockReturnValue(null)
+    };
+    messageBridge.featureManager.resolveEditAction = jest.fn().mockReturnValue(null);
+
+    await messageBridge.handleDiscordMessageUpdate(
+      { content: 'same' },
+      { id: 'discord-1', channelId: 'channel-1', content: 'same', editedTimestamp: 1767225660000, author: { bot: false } }
+    );
+
+    expect(messageBridge.lineService.pushMessage).not.toHaveBeenCalled();
+    expect(messageBridge.messageMappingManager.mapDiscordToLine).not.toHaveBeenCalled();
+  });
+
+  test('handleDiscordMessageUpdateは編集日時が変わらない更新を無視する', async () => {
+    messageBridge.isInitialized = true;
+    messageBridge.featureManager.resolveEditAction = jest.fn();
+    const fetch = jest.fn();
+
+    // 埋め込みの展開（キャッシュにないメッセージは本文なしのpartialで届く）
+    await messageBridge.handleDiscordMessageUpdate(
+      { id: 'discord-1', partial: true },
+      { id: 'discord-1', channelId: 'channel-1', partial: true, editedTimestamp: null, fetch }
+    );
+    // ピン留めなど、編集済みメッセージの本文以外の更新
+    await messageBridge.handleDiscordMessageUpdate(
+      { content: 'fixed text', editedTimestamp: 1767225660000 },
+      { id: 'discord-1', channelId: 'channel-1', content: 'fixed text', editedTimestamp: 1767225660000, author: { bot: false } }
+    );
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(messageBridge.featureManager.resolveEditAction).not.toHaveBeenCalled();
+  });
+
+  test('handleDiscordMessageUpdateはLINEへ転送済みのpartialメッセージだけ取得し直す', async () => {
+    messageBridge.isInitialized = true;
+    messageBridge.featureManager.resolveEditAction = jest.fn().mockReturnValue(null);
+    messageBridge.messageMappingManager.getDiscordToLineMapping = jest.fn(id =>
+      (id === 'discord-1' ? { lineMessageId: 'line-original-1' } : null));
+    const fetched = { id: 'discord-1', channelId: 'channel-1', content: 'fixed text', author: { bot: false } };
+    const fetchMapped = jest.fn().mockResolvedValue(fetched);
+    const fetchUnmapped = jest.fn();
+
+    await messageBridge.handleDiscordMessageUpdate(
+      { id: 'discord-1', partial: true },
+      { id: 'discord-1', channelId: 'channel-1', partial: true, editedTimestamp: 1767225660000, fetch: fetchMapped }
+    );
+    await messageBridge.handleDiscordMessageUpdate(
+      { id: 'discord-2', partial: true },
+      { id: 'discord-2', channelId: 'channel-1', partial: true, editedTimestamp: 1767225660000, fetch: fetchUnmapped }
+    );
+
+    expect(fetchMapped).toHaveBeenCalledTimes(1);
+    expect(fetchUnmapped).not.toHaveBeenCalled();
+    expect(messageBridge.featureManager.resolveEditAction)
+      .toHaveBeenCalledWith({ id: 'discord-1', partial: true }, fetched);
+  });
+
+  test('handleDiscordMessageDeleteはマッピングを削除し猶予内の削除をLINE受信者ごとに通知する', async () => {
+    messageBridge.isInitialized = true;
+    messageBridge.channelManager = {
+      isSourceActive: jest.fn(sourceId => sourceId !== 'line-user-blocked'),
+      getSourceCategoryId: jest.fn().mockReturnValue(null),
+      getChannelMapping: jest.fn().mockReturnValue(null)
+    };
+    const removedMappings = [{ lineUserId: 'line-user-1' }, { lineUserId: 'line-user-blocked' }];
+    messageBridge.messageMappingManager.removeMappingsByDiscordMessageIds.mockResolvedValue(removedMappings);
+    messageBridge.featureManager.resolveDeleteNotices = jest.fn().mockReturnValue([
+      { lineUserId: 'line-user-1', mappings: [removedMappings[0]] },
+      { lineUserId: 'line-user-blocked', mappings: [removedMappings[1]] }
+    ]);
+    messageBridge.lineService.pushMessage.mockResolvedValue({ messageId: 'line-notice-1' });
+
+    await messageBridge.handleDiscordMessageDelete([
+      { id: 'discord-1', channelId: 'channel-1' },
+      { id: 'discord-2', channelId: 'channel-1' }
+    ]);
+
+    expect(messageBridge.messageMappingManager.removeMappingsByDiscordMessageIds)
+      .toHaveBeenCalledWith(['discord-1', 'discord-2']);
+    expect(messageBridge.lineService.pushMessage).toHaveBeenCalledTimes(1);
+    expect(messageBridge.lineService.pushMessage).toHaveBeenCalledWith('line-user-1', expect.objectContaining({
+      type: 'text',
+      text: expect.stringContaining('送信取り消し')
+    }), { retryKey: expect.any(String) });
+  });
+
+  test('キャッシュにないDiscordメッセージの削除もpartialのIDでマッピングを削除する', async () => {
+    const { Client } = require('discord.js');
+    expect(Client).toHaveBeenCalledWith(expect.objectContaining({
+      partials: ['MESSAGE', 'CHANNEL']
+    }));
+
+    messageBridge.isInitialized = true;
+    messageBridge.messageMappingManager.removeMappingsByDiscordMessageIds.mockResolvedValue([]);
+    messageBridge.featureManager.resolveDeleteNotices = jest.fn().mockReturnValue([]);
+    const onMessageDelete = messageBridge.discord.on.mock.calls
+      .find(([eventName]) => eventName === 'messageDelete')[1];
+
+    await onMessageDelete({ id: 'discord-uncached-1', channelId: 'channel-1', partial: true, content: null, author: null });
+
+    expect(messageBridge.messageMappingManager.removeMappingsByDiscordMessageIds)
+      .toHaveBeenCalledWith(['discord-uncached-1']);
+    expect(messageBridge.metrics.errors).toBe(0);
+  });
+
+  test('processLineUnsendはWebhook経由のDiscordメッセージを削除しマッピングを破棄する', async () => {
+    messageBridge.featureManager.resolveUnsendAction = jest.fn().mockReturnValue({
+      mode: 'delete',
+      lineMessageId: 'line-1',
+      discordMessageId: 'discord-1',
+      discordChannelId: 'channel-1'
+    });
+    messageBridge.discordService.getMessage.mockResolvedValue({
+      id: 'discord-1',
+      channelId: 'channel-1',
+      webhookId: 'webhook-1',
+      content: 'hello'
+    });
+    messageBridge.webhookManager = {
+      deleteMessage: jest.fn().mockResolvedValue(true)
+    };
+
+    await messageBridge.processLineUnsend({ type: 'unsend', unsend: { messageId: 'line-1' } });
+
+    expect(messageBridge.webhookManager.deleteMessage).toHaveBeenCalledWith('channel-1', 'discord-1');
+    expect(messageBridge.discordService.deleteMessage).not.toHaveBeenCalled();
+    expect(messageBridge.messageMappingManager.removeMapping).toHaveBeenCalledWith('line-1', null);
+  });
+
+  test('processLineUnsendはplaceholderモードでBot送信メッセージを取消表示に編集する', async () => {
+    messageBridge.featureManager.resolveUnsendAction = jest.fn().mockReturnValue({
+      mode: 'placeholder',
+      lineMessageId: 'line-1',
+      discordMessageId: 'discord-1',
+      discordChannelId: 'channel-1'
+    });
+    messageBridge.discordService.getMessage.mockResolvedValue({
+      id: 'discord-1',
+      channelId: 'channel-1',
+      webhookId: null,
+      content: 'hello'
+    });
+
+    await messageBridge.processLineUnsend({ type: 'unsend', unsend: { messageId: 'line-1' } });
+
+    expect(messageBridge.discordService.editMessage).toHaveBeenCalledWith(
+      'channel-1',
+      'discord-1',
+      expect.objectContaining({
+        content: expect.stringContaining('~~hello~~'),
+        attachments: []
+      })
+    );
+    expect(messageBridge.messageMappingManager.removeMapping).toHaveBeenCalledWith('line-1', null);
+  });
+
+  test('processLineUnsendはDiscordメッセージが既に無い場合もマッピングを破棄する', async () => {
+    messageBridge.featureManager.resolveUnsendAction = jest.fn().mockReturnValue({
+      mode: 'delete',
+      lineMessageId: 'line-1',
+      discordMessageId: 'discord-1',
+      discordChannelId: 'channel-1'
+    });
+    messageBridge.discordService.getMessage.mockRejectedValue(new Error('Unknown Message'));
+
+    await messageBridge.processLineUnsend({ type: 'unsend', unsend: { messageId: 'line-1' } });
+
+    expect(messageBridge.discordService.deleteMessage).not.toHaveBeenCalled();
+    expect(messageBridge.messageMappingManager.removeMapping).toHaveBeenCalledWith('line-1', null);
+    expect(messageBridge.metrics.errors).toBe(0);
+  });
+
+  test('processLineUnsendはマッピングの破棄に失敗したらLINEメッセージIDを付けて記録する', async () => {
+    messageBridge.featureManager.resolveUnsendAction = jest.fn().mockReturnValue({
+      mode: 'ignore',
+      lineMessageId: 'line-1',
+      discordMessageId: 'discord-1',
+      discordChannelId: 'channel-1'
+    });
+    messageBridge.messageMappingManager.removeMapping.mockRejectedValue(new Error('disk full'));
+
+    await messageBridge.processLineUnsend({ type: 'unsend', unsend: { messageId: 'line-1' } });
+
+    expect(logger.error).toHaveBeenCalledWith('Failed to remove mapping for unsent LINE message', {
+      lineMessageId: 'line-1',
+      discordMessageId: 'discord-1',
+      error: 'disk full'
+    });
+    expect(messageBridge.metrics.errors).toBe(1);
+  });
+
   test('getMetricsが正しい値を返す', () => {
     const metrics = messageBridge.getMetrics();
     
@@ -220,5 +1081,10 @@ describe('MessageBridge', () => {
     expect(metrics.messagesProcessed).toBe(0);
     expect(metrics.errors).toBe(0);
     expect(metrics.uptime).toBeDefined();
+    expect(metrics.messageMappings.retention.totalPruned).toBe(0);
+    expect(metrics.outboundQueue).toEqual({ queueSize: 0, deadLetterCount: 0 });
+    expect(metrics.inboundQueue).toEqual({ queueDepth: 0 });
+    expect(metrics.webhookEvents).toEqual({ redeliveries: 0 });
+    expect(metrics.lineQuota).toEqual({ drift: null });
   });
 });
@@ -5,6 +5,9 @@ const path = require('path');
 jest.mock('../../utils/logger');
 
 const MessageMappingManager = require('../MessageMappingManager');
+const SqliteStore = require('../../storage/SqliteStore');
+
+const { closeDatabases } = SqliteStore;
 
 describe('MessageMappingManager reply token tracking', () => {
   let tempDir;
@@ -12,9 +15,7 @@ describe('MessageMappingManager reply token tracking', () => {
 
   beforeEach(async () => {
     tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'line-discord-bridge-'));
-    manager = new MessageMappingManager();
-    manager.mappingFile = path.join(tempDir, 'message-mappings.json');
-    manager.tempMappingFile = `${manager.mappingFile}.tmp`;
+    manager = new MessageMappingManager({ mappingFile: path.join(tempDir, 'message-mappings.json') });
   });
 
   afterEach(async () => {
@@ -35,7 +36,7 @@ describe('MessageMappingManager reply token tracking', () => {
       }
     );
 
-    const mapping = manager.getLineOriginByDiscordMessageId('discord-1');
+    const mapping = await manager.getLineOriginByDiscordMessageId('discord-1');
     const expiry = new Date(mapping.replyTokenExpiry).getTime();
 
     expect(mapping.replyToken).toBe('reply-token-1');
@@ -57,7 +58,7 @@ describe('MessageMappingManager reply token tracking', () => {
     await expect(manager.markReplyTokenUsed('line-1')).resolves.toBe(true);
     await expect(manager.markReplyTokenUsed('line-1')).resolves.toBe(false);
 
-    const mapping = manager.getLineOriginByDiscordMessageId('discord-1');
+    const mapping = await manager.getLineOriginByDiscordMessageId('discord-1');
     expect(mapping.replyTokenUsedAt).toEqual(expect.any(String));
   });
 
@@ -71,10 +72,261 @@ describe('MessageMappingManager reply token tracking', () => {
         replyToken: 'reply-token-1'
       }
     );
-    const mapping = manager.getLineToDiscordMapping('line-1');
+    const mapping = await manager.getLineToDiscordMapping('line-1');
     mapping.replyTokenExpiry = new Date(Date.now() - 1000).toISOString();
 
     await expect(manager.markReplyTokenUsed('line-1')).resolves.toBe(false);
     expect(mapping.replyTokenUsedAt).toBeUndefined();
   });
+
+  test('mapDiscordToLine stores quoteToken and repoints replies to a correction', async () => {
+    await manager.mapDiscordToLine('discord-1', 'line-1', 'user-1', 'channel-1', {
+      quoteToken: 'quote-token-1'
+    });
+    await manager.mapDiscordToLine('discord-1', 'line-2', 'user-1', 'channel-1', {
+      quoteToken: 'quote-token-2'
+    });
+
+    expect(await manager.getDiscordToLineMapping('discord-1')).toEqual(expect.objectContaining({
+      lineMessageId: 'line-2',
+      quoteToken: 'quote-token-2'
+    }));
+    expect((await manager.getDiscordOriginByLineMessageId('line-2')).discordMessageId).toBe('discord-1');
+  });
+
+  test('resolvePendingLinePush maps an accepted retry to the Discord message recorded before a restart', async () => {
+    const origin = { discordMessageId: 'discord-1', discordChannelId: 'channel-1', lineUserId: 'user-1' };
+    await manager.recordPendingLinePush('retry-key-1', origin);
+    await manager.recordPendingLinePush('retry-key-2', origin);
+
+    const restarted = new MessageMappingManager({ mappingFile: path.join(tempDir, 'message-mappings.json') });
+    await restarted.loadMappings();
+    const mapping = await restarted.resolvePendingLinePush('retry-key-1', {
+      messageId: 'line-1',
+      quoteToken: 'quote-1',
+      duplicate: true,
+      retryKey: 'retry-key-1',
+      acceptedRequestId: 'request-1'
+    });
+
+    expect(mapping).toEqual(expect.objectContaining({ ...origin, lineMessageId: 'line-1', quoteToken: 'quote-1' }));
+    expect((await restarted.getDiscordOriginByLineMessageId('line-1')).discordMessageId).toBe('discord-1');
+    expect(restarted.pendingLinePushes.has('retry-key-1')).toBe(false);
+
+    // メッセージIDのない受付済みの応答では紐付けを作らない
+    const unmapped = await restarted.resolvePendingLinePush('retry-key-2', { duplicate: true });
+    expect(unmapped).toEqual(mapping);
+    expect((await restarted.getDiscordToLineMapping('discord-1')).lineMessageId).toBe('line-1');
+    expect(restarted.pendingLinePushes.size).toBe(0);
+  });
+
+  test('discardPendingLinePush forgets a push that was not sent', async () => {
+    await manager.recordPendingLinePush('retry-key-1', {
+      discordMessageId: 'discord-1',
+      discordChannelId: 'channel-1',
+      lineUserId: 'user-1'
+    });
+
+    await manager.discardPendingLinePush('retry-key-1');
+
+    const reloaded = new MessageMappingManager({ mappingFile: path.join(tempDir, 'message-mappings.json') });
+    await reloaded.loadMappings();
+    expect(reloaded.pendingLinePushes.size).toBe(0);
+    expect(await reloaded.getDiscordToLineMapping('discord-1')).toBeNull();
+  });
+
+  test('removeMappingsByDiscordMessageIds clears both directions and returns Discord-origin mappings', async () => {
+    await manager.mapDiscordToLine('discord-1', 'line-1', 'user-1', 'channel-1');
+    await manager.mapDiscordToLine('discord-1', 'line-1b', 'user-1', 'channel-1');
+    await manager.mapLineToDiscord('line-2', 'discord-2', 'user-1', 'channel-1');
+    await manager.mapDiscordToLine('discord-3', 'line-3', 'user-1', 'channel-1');
+
+    const removed = await manager.removeMappingsByDiscordMessageIds(['discord-1', 'discord-2', 'missing']);
+
+    expect(removed.map(mapping => mapping.lineMessageId)).toEqual(['line-1b']);
+    expect(await manager.getDiscordToLineMapping('discord-1')).toBeNull();
+    expect(await manager.getDiscordOriginByLineMessageId('line-1')).toBeNull();
+    expect(await manager.getDiscordOriginByLineMessageId('line-1b')).toBeNull();
+    expect(await manager.getLineOriginByDiscordMessageId('discord-2')).toBeNull();
+    expect(await manager.getLineToDiscordMapping('line-2')).toBeNull();
+    expect(await manager.getDiscordToLineMapping('discord-3')).not.toBeNull();
+  });
+
+  test('pruneMappings removes old and excess mappings and records stats', async () => {
+    const MappingRetentionPolicy = require('../MappingRetentionPolicy');
+    manager = new MessageMappingManager({
+      mappingFile: path.join(tempDir, 'message-mappings.json'),
+      retentionPolicy: new MappingRetentionPolicy({ maxAgeDays: 30, maxMappings: 2 })
+    });
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    await manager.mapLineToDiscord('line-old', 'discord-old', 'user-1', 'channel-1');
+    await manager.mapLineToDiscord('line-quoted', 'discord-quoted', 'user-1', 'channel-1');
+    await manager.mapDiscordToLine('discord-1', 'line-1', 'user-1', 'channel-1');
+    await manager.mapDiscordToLine('discord-2', 'line-2', 'user-1', 'channel-1');
+    (await manager.getLineToDiscordMapping('line-old')).timestamp = daysAgo(40);
+    (await manager.getLineToDiscordMapping('line-quoted')).timestamp = daysAgo(40);
+    (await manager.getDiscordToLineMapping('discord-1')).timestamp = daysAgo(2);
+    manager.markReferenced(await manager.getLineOriginByDiscordMessageId('discord-quoted'));
+
+    await expect(manager.pruneMappings()).resolves.toBe(2);
+
+    expect(await manager.getLineToDiscordMapping('line-old')).toBeNull();
+    expect(await manager.getLineOriginByDiscordMessageId('discord-old')).toBeNull();
+    expect(await manager.getLineToDiscordMapping('line-quoted')).not.toBeNull();
+    expect(await manager.getDiscordToLineMapping('discord-1')).toBeNull();
+    expect(await manager.getDiscordOriginByLineMessageId('line-1')).toBeNull();
+    expect(await manager.getDiscordToLineMapping('discord-2')).not.toBeNull();
+    expect(manager.getStats().retention).toEqual(expect.objectContaining({
+      maxAgeDays: 30,
+      maxMappings: 2,
+      lastPrunedCount: 2,
+      totalPruned: 2,
+      prunedByAge: 1,
+      prunedByCount: 1
+    }));
+
+    const saved = JSON.parse(await fs.readFile(path.join(tempDir, 'message-mappings.json'), 'utf8'));
+    expect(Object.keys(saved.lineToDiscord)).toEqual(['line-quoted']);
+    expect(Object.keys(saved.discordToLine)).toEqual(['discord-2']);
+  });
+
+  test('pruneMappings keeps reverse lookups for corrected Discord messages', async () => {
+    await manager.mapDiscordToLine('discord-1', 'line-1', 'user-1', 'channel-1');
+    await manager.mapDiscordToLine('discord-1', 'line-1b', 'user-1', 'channel-1');
+
+    await expect(manager.pruneMappings({ maxAgeDays: 30, maxMappings: 0 })).resolves.toBe(0);
+    await manager.cleanupOldMappings(30);
+
+    expect((await manager.getDiscordOriginByLineMessageId('line-1')).discordMessageId).toBe('discord-1');
+    expect((await manager.getDiscordOriginByLineMessageId('line-1b')).discordMessageId).toBe('discord-1');
+  });
+});
+
+describe('MessageMappingManager with the SQLite store', () => {
+  let tempDir;
+  let store;
+  let manager;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'line-discord-bridge-'));
+    store = new SqliteStore('message-mappings', path.join(tempDir, 'bridge.db'));
+    manager = new MessageMappingManager({ store });
+    await manager.loadMappings();
+  });
+
+  afterEach(async () => {
+    closeDatabases();
+    await fs.rm(tempDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  test('writes only the mappings changed since the last save', async () => {
+    const save = jest.spyOn(store, 'save');
+    const writeRecords = jest.spyOn(store, 'writeRecords');
+
+    await manager.mapLineToDiscord('line-1', 'discord-1', 'user-1', 'channel-1', { replyToken: 'reply-token-1' });
+    await manager.mapDiscordToLine('discord-2', 'line-2', 'user-1', 'channel-1');
+    await manager.markReplyTokenUsed('line-1');
+    await manager.removeMappingsByDiscordMessageIds(['discord-2']);
+
+    expect(save).not.toHaveBeenCalled();
+    const changes = (put = {}, remove = {}) => ({
+      put: { lineToDiscord: {}, discordToLine: {}, pendingLinePushes: {}, ...put },
+      remove: { lineToDiscord: [], discordToLine: [], pendingLinePushes: [], ...remove }
+    });
+    expect(writeRecords.mock.calls.map(([written]) => written)).toEqual([
+      changes({ lineToDiscord: { 'line-1': expect.any(Object) } }),
+      changes({ discordToLine: { 'discord-2': expect.any(Object) } }),
+      changes({ lineToDiscord: { 'line-1': expect.objectContaining({ replyTokenUsedAt: expect.any(String) }) } }),
+      changes({}, { discordToLine: ['discord-2'] })
+    ]);
+
+    const reloaded = new MessageMappingManager({ store: new SqliteStore('message-mappings', store.databaseFile) });
+    await reloaded.loadMappings();
+    expect(await reloaded.getLineToDiscordMapping('line-1')).toEqual(await manager.getLineToDiscordMapping('line-1'));
+    expect(await reloaded.getDiscordToLineMapping('discord-2')).toBeNull();
+  });
+
+  const restart = async (options = {}) => {
+    const restartedStore = new SqliteStore('message-mappings', store.databaseFile);
+    const restarted = new MessageMappingManager({ store: restartedStore, ...options });
+    await restarted.loadMappings();
+    return restarted;
+  };
+
+  test('reads mappings from the store on demand instead of loading them all at startup', async () => {
+    await manager.mapLineToDiscord('line-1', 'discord-1', 'user-1', 'channel-1');
+    await manager.mapDiscordToLine('discord-2', 'line-2', 'user-1', 'channel-1');
+    const load = jest.spyOn(SqliteStore.prototype, 'load');
+
+    const restarted = await restart();
+
+    expect(load).not.toHaveBeenCalled();
+    expect(restarted.lineToDiscord.size).toBe(0);
+    expect(restarted.getStats()).toEqual(expect.objectContaining({
+      lineToDiscordCount: 1,
+      discordToLineCount: 1,
+      cachedMappings: 0
+    }));
+    expect((await restarted.getLineToDiscordMapping('line-1')).discordMessageId).toBe('discord-1');
+    expect((await restarted.getLineOriginByDiscordMessageId('discord-1')).lineMessageId).toBe('line-1');
+    expect((await restarted.getDiscordOriginByLineMessageId('line-2')).discordMessageId).toBe('discord-2');
+    expect((await restarted.getLatestLineOriginByChannelId('channel-1')).lineMessageId).toBe('line-1');
+    expect(await restarted.getDiscordToLineMapping('discord-unknown')).toBeNull();
+    load.mockRestore();
+  });
+
+  test('keeps at most cacheSize mappings in memory', async () => {
+    const restarted = await restart({ cacheSize: 2 });
+    for (const id of ['1', '2', '3']) {
+      await restarted.mapLineToDiscord(`line-${id}`, `discord-${id}`, 'user-1', 'channel-1');
+    }
+
+    expect(Array.from(restarted.lineToDiscord.keys())).toEqual(['line-2', 'line-3']);
+    expect(restarted.lineOriginByDiscordMessage.size).toBe(2);
+    // キャッシュから外れたマッピングはストアから読み直す
+    expect((await restarted.getLineToDiscordMapping('line-1')).discordMessageId).toBe('discord-1');
+    expect(Array.from(restarted.lineToDiscord.keys())).toEqual(['line-3', 'line-1']);
+  });
+
+  test('reassignChannel updates mappings in the store that are not cached', async () => {
+    await manager.mapLineToDiscord('line-1', 'discord-1', 'user-1', 'channel-old');
+    await manager.mapDiscordToLine('discord-2', 'line-2', 'user-1', 'channel-old');
+    await manager.mapDiscordToLine('discord-3', 'line-3', 'user-1', 'channel-other');
+
+    const restarted = await restart();
+
+    await expect(restarted.reassignChannel('channel-old', 'channel-new')).resolves.toBe(2);
+    await expect(store.findRecords('lineToDiscord', 'discordChannelId', 'channel-new')).resolves.toHaveLength(1);
+    await expect(store.findRecords('discordToLine', 'discordChannelId', 'channel-new')).resolves.toHaveLength(1);
+    await expect(store.findRecords('discordToLine', 'discordChannelId', 'channel-other')).resolves.toHaveLength(1);
+  });
+
+  test('pruneMappings deletes expired mappings in the store and refreshes the counts', async () => {
+    await manager.mapLineToDiscord('line-old', 'discord-old', 'user-1', 'channel-1');
+    await manager.mapLineToDiscord('line-new', 'discord-new', 'user-1', 'channel-1');
+    manager.lineToDiscord.get('line-old').timestamp = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+    manager.lineToDiscord.touch('line-old');
+    await manager.saveMappings();
+
+    await expect(manager.pruneMappings({ maxAgeDays: 30, maxMappings: 0 })).resolves.toBe(1);
+
+    expect(await manager.getLineToDiscordMapping('line-old')).toBeNull();
+    expect(await manager.getLineOriginByDiscordMessageId('discord-old')).toBeNull();
+    expect((await manager.getLineToDiscordMapping('line-new')).discordMessageId).toBe('discord-new');
+    expect(manager.getStats()).toEqual(expect.objectContaining({ lineToDiscordCount: 1, totalMappings: 1 }));
+  });
+
+  test('keeps failed changes for the next save', async () => {
+    jest.spyOn(store, 'writeRecords').mockRejectedValueOnce(new Error('database is locked'));
+
+    await expect(manager.mapLineToDiscord('line-1', 'discord-1', 'user-1', 'channel-1')).rejects.toThrow('database is locked');
+    await manager.mapDiscordToLine('discord-2', 'line-2', 'user-1', 'channel-1');
+
+    await expect(store.getRecord('line-1', 'lineToDiscord')).resolves.toEqual(expect.objectContaining({
+      discordMessageId: 'discord-1'
+    }));
+    await expect(store.getRecord('discord-2', 'discordToLine')).resolves.not.toBeNull();
+  });
 });
@@ -0,0 +1,183 @@
+jest.mock('../../utils/logger');
+
+const MessageQueue = require('../MessageQueue');
+const { createMemoryStore } = require('../../testUtils/memoryStore');
+
+function httpError(status, message = `HTTP ${status}`) {
+  return Object.assign(new Error(message), { status });
+}
+
+describe('MessageQueue', () => {
+  let clock;
+  let store;
+  let deadLetterStore;
+  let sendMethod;
+  let onDelivered;
+  let onDeadLetter;
+  let queue;
+
+  beforeEach(async () => {
+    clock = Date.parse('2024-07-01T00:00:00.000Z');
+    store = createMemoryStore();
+    deadLetterStore = createMemoryStore();
+    sendMethod = jest.fn().mockResolvedValue({ messageId: 'line-1' });
+    onDelivered = jest.fn();
+    onDeadLetter = jest.fn();
+    queue = new MessageQueue({
+      store,
+      deadLetterStore,
+      sendMethod,
+      onDelivered,
+      onDeadLetter,
+      maxAttempts: 3,
+      retryBaseDelayMs: 1000,
+      retryMaxDelayMs: 3000,
+      now: () => clock
+    });
+    await queue.initialize();
+  });
+
+  afterEach(async () => {
+    await queue.stop();
+  });
+
+  test('enqueue persists a failed send and schedules it with backoff', async () => {
+    const item = await queue.enqueue('U1', { type: 'text', text: 'hello' }, {
+      origin: { discordMessageId: 'd1' },
+      error: httpError(503)
+    });
+
+    expect(item).toEqual(expect.objectContaining({
+      userId: 'U1',
+      attempts: 1,
+      nextAttemptAt: '2024-07-01T00:00:01.000Z',
+      lastError: expect.objectContaining({ status: 503 })
+    }));
+    expect(store.data.items).toHaveLength(1);
+    expect(queue.hasPending('U1')).toBe(true);
+    expect(queue.hasPendingForOrigin('d1')).toBe(true);
+
+    // 送信時刻前は送らない
+    await queue.processQueue();
+    expect(sendMethod).not.toHaveBeenCalled();
+  });
+
+  test('processQueue delivers due items and reports them', async () => {
+    const item = await queue.enqueue('U1', { type: 'text', text: 'hello' }, {
+      error: httpError(500),
+      retryKey: 'retry-key-1'
+    });
+    clock += 1000;
+
+    await queue.processQueue();
+
+    // 初回送信と同じリトライキーで再送する
+    expect(sendMethod).toHaveBeenCalledWith('U1', { type: 'text', text: 'hello' }, {
+      retryKey: 'retry-key-1',
+      linePriority: {}
+    });
+    expect(onDelivered).toHaveBeenCalledWith(expect.objectContaining({ id: item.id }), { messageId: 'line-1' });
+    expect(store.data.items).toEqual([]);
+    expect(queue.getQueueStatus()).toEqual(expect.objectContaining({ queueSize: 0, delivered: 1 }));
+  });
+
+  test('retryable failures back off exponentially up to the cap, then dead-letter', async () => {
+    sendMethod.mockRejectedValue(httpError(429));
+    const item = await queue.enqueue('U1', { type: 'text', text: 'hello' }, { error: httpError(429) });
+
+    clock += 1000;
+    await queue.processQueue();
+    expect(item.attempts).toBe(2);
+    expect(item.nextAttemptAt).toBe(new Date(clock + 2000).toISOString());
+
+    clock += 2000;
+    await queue.processQueue();
+
+    expect(queue.getQueueStatus().queueSize).toBe(0);
+    expect(deadLetterStore.data.items).toEqual([
+      expect.objectContaining({ id: item.id, attempts: 3, deadLetteredAt: new Date(clock).toISOString() })
+    ]);
+    expect(onDeadLetter).toHaveBeenCalledWith(expect.objectContaining({ id: item.id }));
+  });
+
+  test('getRetryDelay caps the backoff', () => {
+    expect([1, 2, 3, 4].map(attempts => queue.getRetryDelay(attempts))).toEqual([1000, 2000, 3000, 3000]);
+  });
+
+  test('permanent errors go straight to dead letters', async () => {
+    sendMethod.mockRejectedValue(httpError(400, 'Bad Request'));
+    await queue.enqueue('U1', { type: 'text', text: 'hello' });
+
+    await queue.processQueue();
+
+    expect(queue.getDeadLetters()).toEqual([
+      expect.objectContaining({ attempts: 1, lastError: expect.objectContaining({ message: 'Bad Request', status: 400 }) })
+    ]);
+  });
+
+  test('shouldRetry distinguishes transient from permanent errors', () => {
+    expect(queue.shouldRetry(new Error('socket hang up'))).toBe(true);
+    expect(queue.shouldRetry(httpError(408))).toBe(true);
+    expect(queue.shouldRetry(httpError(429))).toBe(true);
+    expect(queue.shouldRetry(httpError(502))).toBe(true);
+    expect(queue.shouldRetry(httpError(400))).toBe(false);
+    expect(queue.shouldRetry(Object.assign(new Error('limit'), { code: 'LINE_MONTHLY_LIMIT' }))).toBe(false);
+  });
+
+  test('keeps messages to the same user in order behind a failing head', async () => {
+    const first = await queue.enqueue('U1', { type: 'text', text: 'first' }, { error: httpError(503) });
+    clock += 1;
+    await queue.enqueue('U1', { type: 'text', text: 'second' });
+    await queue.enqueue('U2', { type: 'text', text: 'other' });
+
+    await queue.processQueue();
+
+    // U1 の2通目は1通目より先に送らない
+    expect(sendMethod.mock.calls.map(([, message]) => message.text)).toEqual(['other']);
+
+    clock = Date.parse(first.nextAttemptAt);
+    await queue.processQueue();
+    expect(sendMethod.mock.calls.map(([, message]) => message.text)).toEqual(['other', 'first', 'second']);
+  });
+
+  test('retryDeadLetter requeues the item with a fresh attempt count', async () => {
+    sendMethod.mockRejectedValueOnce(httpError(400));
+    const item = await queue.enqueue('U1', { type: 'text', text: 'hello' });
+    await queue.processQueue();
+
+    await expect(queue.retryDeadLetter('missing')).resolves.toBeNull();
+    const requeued = await queue.retryDeadLetter(item.id);
+
+    expect(requeued).toEqual(expect.objectContaining({ id: item.id, attempts: 0 }));
+    expect(requeued.deadLetteredAt).toBeUndefined();
+    expect(deadLetterStore.data.items).toEqual([]);
+
+    await queue.processQueue();
+    expect(onDelivered).toHaveBeenCalledWith(expect.objectContaining({ id: item.id }), { messageId: 'line-1' });
+  });
+
+  test('initialize resumes the persisted queue', async () => {
+    const linePriority = { senderRoleIds: ['role-oncall'], marked: true };
+    await queue.enqueue('U1', { type: 'text', text: 'hello' }, {
+      error: httpError(503),
+      retryKey: 'retry-key-1',
+      linePriority
+    });
+    await queue.stop();
+
+    const restarted = new MessageQueue({ store, deadLetterStore, sendMethod, now: () => clock });
+    await restarted.initialize();
+
+    expect(restarted.hasPending('U1')).toBe(true);
+    expect(restarted.getQueueStatus()).toEqual(expect.objectContaining({
+      queueSize: 1,
+      oldestItemAt: '2024-07-01T00:00:00.000Z'
+    }));
+
+    // 再起動後の再送でも送信者の情報で優先ルールを判定できる
+    clock += 1000;
+    await restarted.processQueue();
+    expect(sendMethod).toHaveBeenCalledWith('U1', { type: 'text', text: 'hello' }, { retryKey: 'retry-key-1', linePriority });
+    await restarted.stop();
+  });
+});
@@ -0,0 +1,142 @@
+jest.mock('../../utils/logger');
+
+const WebhookEventLedger = require('../WebhookEventLedger');
+const { createMemoryStore } = require('../../testUtils/memoryStore');
+
+function webhookEvent(webhookEventId, { isRedelivery = false } = {}) {
+  return {
+    type: 'follow',
+    webhookEventId,
+    deliveryContext: { isRedelivery },
+    source: { type: 'user', userId: 'U1' }
+  };
+}
+
+describe('WebhookEventLedger', () => {
+  let clock;
+  let store;
+  let ledger;
+  const notQueued = jest.fn().mockResolvedValue(false);
+
+  beforeEach(() => {
+    clock = Date.parse('2024-07-01T00:00:00.000Z');
+    store = createMemoryStore();
+    ledger = new WebhookEventLedger({ store, retentionHours: 24, saveDelayMs: 0, now: () => clock });
+  });
+
+  test('records new events as received and tracks their progress', async () => {
+    await expect(ledger.receive(webhookEvent('evt-1'), notQueued)).resolves.toBe('new');
+    expect(store.data['evt-1']).toEqual(expect.objectContaining({
+      state: 'received',
+      eventType: 'follow',
+      sourceId: 'U1',
+      attempts: 0
+    }));
+
+    await ledger.markProcessing('evt-1');
+    expect(store.data['evt-1']).toEqual(expect.objectContaining({ state: 'processing', attempts: 1 }));
+
+    await ledger.markDone('evt-1');
+    expect(ledger.getEntry('evt-1').state).toBe('done');
+  });
+
+  test('skips redeliveries of completed events and counts them', async () => {
+    await ledger.receive(webhookEvent('evt-1'), notQueued);
+    await ledger.markProcessing('evt-1');
+    await ledger.markDone('evt-1');
+
+    await expect(ledger.receive(webhookEvent('evt-1', { isRedelivery: true }), notQueued)).resolves.toBe('duplicate');
+
+    expect(ledger.getEntry('evt-1').state).toBe('done');
+    expect(ledger.getStats()).toEqual(expect.objectContaining({
+      redeliveries: 1,
+      duplicatesSkipped: 1,
+      states: { received: 0, processing: 0, done: 1, failed: 0 }
+    }));
+  });
+
+  test('skips events that are still waiting in the processing queue', async () => {
+    await ledger.receive(webhookEvent('evt-1'), notQueued);
+
+    const isQueued = jest.fn().mockResolvedValue(true);
+    await expect(ledger.receive(webhookEvent('evt-1', { isRedelivery: true }), isQueued)).resolves.toBe('duplicate');
+    expect(isQueued).toHaveBeenCalledWith('evt-1');
+  });
+
+  test('resumes events interrupted mid-processing and retries failed ones', async () => {
+    store.data = {
+      'evt-1': { state: 'processing', eventType: 'message', attempts: 1, receivedAt: '2024-06-30T23:00:00.000Z' },
+      'evt-2': { state: 'failed', eventType: 'message', attempts: 3, receivedAt: '2024-06-30T23:00:00.000Z' }
+    };
+
+    await expect(ledger.receive(webhookEvent('evt-1', { isRedelivery: true }), notQueued)).resolves.toBe('resume');
+    await expect(ledger.receive(webhookEvent('evt-2', { isRedelivery: true }), notQueued)).resolves.toBe('retry');
+
+    expect(store.data['evt-1']).toEqual(expect.objectContaining({
+      state: 'received',
+      attempts: 1,
+      isRedelivery: true,
+      receivedAt: '2024-06-30T23:00:00.000Z'
+    }));
+    expect(ledger.getStats().resumed).toBe(2);
+  });
+
+  test('prunes finished entries after the retention period', async () => {
+    await ledger.receive(webhookEvent('evt-old'), notQueued);
+    await ledger.markDone('evt-old');
+    await ledger.receive(webhookEvent('evt-pending'), notQueued);
+
+    clock += 25 * 60 * 60 * 1000;
+    await ledger.receive(webhookEvent('evt-new'), notQueued);
+
+    expect(Object.keys(store.data).sort()).toEqual(['evt-new', 'evt-pending']);
+  });
+
+  test('writes only the changed entries to stores that accept record writes', async () => {
+    store.writeRecords = jest.fn().mockResolvedValue();
+    await ledger.receive(webhookEvent('evt-old'), notQueued);
+    await ledger.markDone('evt-old');
+
+    clock += 25 * 60 * 60 * 1000;
+    await ledger.receive(webhookEvent('evt-1'), notQueued);
+    await ledger.markProcessing('evt-1');
+
+    expect(store.save).not.toHaveBeenCalled();
+    expect(store.writeRecords).toHaveBeenCalledTimes(4);
+    expect(store.writeRecords).toHaveBeenNthCalledWith(3, {
+      put: { 'evt-1': expect.objectContaining({ state: 'received' }) },
+      remove: ['evt-old']
+    });
+    expect(store.writeRecords).toHaveBeenLastCalledWith({
+      put: { 'evt-1': expect.objectContaining({ state: 'processing', attempts: 1 }) },
+      remove: []
+    });
+  });
+
+  test('saves received events at once and batches later state changes for whole-document stores', async () => {
+    jest.useFakeTimers();
+    try {
+      ledger = new WebhookEventLedger({ store, retentionHours: 24, saveDelayMs: 1000, now: () => clock });
+      await ledger.receive(webhookEvent('evt-1'), notQueued);
+      expect(store.save).toHaveBeenCalledTimes(1);
+
+      await ledger.markProcessing('evt-1');
+      await ledger.markDone('evt-1');
+      expect(store.save).toHaveBeenCalledTimes(1);
+      expect(store.data['evt-1'].state).toBe('received');
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(store.save).toHaveBeenCalledTimes(2);
+      expect(store.data['evt-1']).toEqual(expect.objectContaining({ state: 'done', attempts: 1 }));
+
+      // 停止時はまとめている途中の変化も保存する
+      await ledger.receive(webhookEvent('evt-2'), notQueued);
+      await ledger.markProcessing('evt-2');
+      await ledger.stop();
+      expect(store.save).toHaveBeenCalledTimes(4);
+      expect(store.data['evt-2'].state).toBe('processing');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
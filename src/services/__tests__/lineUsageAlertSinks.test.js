@@ -0,0 +1,120 @@
+jest.mock('../../utils/logger');
+
+const logger = require('../../utils/logger');
+const { createLineUsageAlertSinks, formatAlertText } = require('../alerts/lineUsageAlertSinks');
+
+const alert = {
+  level: 'critical',
+  stats: {
+    monthlyCount: 182,
+    maxMonthlyMessages: 190,
+    remainingMessages: 8,
+    usagePercentage: 96,
+    resetDate: new Date('2026-08-01T00:00:00'),
+    emergencyRemaining: 10
+  }
+};
+
+function createConfig(overrides = {}) {
+  return {
+    sinks: ['discord', 'log', 'line'],
+    discord: { channelId: 'ops-channel', thresholds: { warning: 30 }, cooldownMinutes: 360 },
+    log: { thresholds: { warning: 30 }, cooldownMinutes: 60 },
+    line: { adminUserIds: ['Uadmin-1', 'Uadmin-2'], thresholds: { emergency: 5 }, cooldownMinutes: 0 },
+    ...overrides
+  };
+}
+
+describe('lineUsageAlertSinks', () => {
+  let deps;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    deps = {
+      discordService: { sendEmbed: jest.fn().mockResolvedValue({ id: 'embed-1' }) },
+      sendLineMessage: jest.fn().mockResolvedValue({ messageId: 'line-1' })
+    };
+  });
+
+  test('creates the configured sinks with their own thresholds and cooldowns', () => {
+    const sinks = createLineUsageAlertSinks(deps, createConfig());
+
+    expect(sinks.map(({ name, thresholds, cooldownMs }) => ({ name, thresholds, cooldownMs }))).toEqual([
+      { name: 'discord', thresholds: { warning: 30 }, cooldownMs: 360 * 60 * 1000 },
+      { name: 'log', thresholds: { warning: 30 }, cooldownMs: 60 * 60 * 1000 },
+      { name: 'line', thresholds: { emergency: 5 }, cooldownMs: 0 }
+    ]);
+  });
+
+  test('skips sinks that are unknown or missing their destination', () => {
+    const sinks = createLineUsageAlertSinks(deps, createConfig({
+      sinks: ['discord', 'line', 'email'],
+      discord: { channelId: '', thresholds: {}, cooldownMinutes: 0 },
+      line: { adminUserIds: [], thresholds: {}, cooldownMinutes: 0 }
+    }));
+
+    expect(sinks).toEqual([]);
+    expect(logger.warn).toHaveBeenCalledTimes(3);
+  });
+
+  test('the Discord sink posts an embed to the ops channel', async () => {
+    const [discordSink] = createLineUsageAlertSinks(deps, createConfig({ sinks: ['discord'] }));
+
+    await discordSink.send(alert);
+
+    expect(deps.discordService.sendEmbed).toHaveBeenCalledWith('ops-channel', expect.objectContaining({
+      title: '⚠️ 重要: LINE API残りメッセージ数が8件になりました。',
+      fields: expect.arrayContaining([
+        expect.objectContaining({ name: '月間使用数', value: '182/190' }),
+        expect.objectContaining({ name: '緊急枠の残り', value: '10件' })
+      ])
+    }));
+  });
+
+  test('forecast alerts describe the projected exhaustion date', async () => {
+    const [discordSink] = createLineUsageAlertSinks(deps, createConfig({ sinks: ['discord'], forecastSinks: ['discord'] }));
+    const forecastAlert = {
+      level: 'forecast',
+      stats: {
+        ...alert.stats,
+        forecast: { dailyRate: 4, projectedMonthEnd: 230, exhaustionDate: new Date('2026-07-24T12:00:00').toISOString() }
+      }
+    };
+
+    expect(discordSink.forecast).toBe(true);
+    await discordSink.send(forecastAlert);
+
+    expect(deps.discordService.sendEmbed).toHaveBeenCalledWith('ops-channel', expect.objectContaining({
+      title: '📅 見込み: 今の送信ペースでは2026/7/24ごろLINE APIの月間上限に達します。',
+      fields: expect.arrayContaining([
+        expect.objectContaining({ name: '月末の見込み', value: '230通' })
+      ])
+    }));
+    expect(formatAlertText(forecastAlert)).toContain('• 1日あたり: 4通');
+  });
+
+  test('the log sink only writes a warning', async () => {
+    const [logSink] = createLineUsageAlertSinks(deps, createConfig({ sinks: ['log'] }));
+
+    await logSink.send(alert);
+
+    expect(logger.warn).toHaveBeenCalledWith('LINE usage alert', expect.objectContaining({
+      level: 'critical',
+      remainingMessages: 8
+    }));
+    expect(deps.discordService.sendEmbed).not.toHaveBeenCalled();
+    expect(deps.sendLineMessage).not.toHaveBeenCalled();
+  });
+
+  test('the LINE sink pushes to every admin and fails only when no admin was reached', async () => {
+    const [lineSink] = createLineUsageAlertSinks(deps, createConfig({ sinks: ['line'] }));
+    deps.sendLineMessage.mockRejectedValueOnce(new Error('LINE monthly message limit reached'));
+
+    await lineSink.send(alert);
+
+    expect(deps.sendLineMessage).toHaveBeenCalledWith('Uadmin-2', { type: 'text', text: formatAlertText(alert) });
+
+    deps.sendLineMessage.mockRejectedValue(new Error('LINE monthly message limit reached'));
+    await expect(lineSink.send(alert)).rejects.toThrow('not delivered to any admin');
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * LINE使用量アラートの送信先
+ * LineUsageMonitor は送信先ごとの閾値とクールダウンで通知するかを決め、各送信先の send を呼ぶ
+ *
+ * 送信先の形式:
+ *   { name, thresholds: { warning, critical, emergency }, cooldownMs, forecast, send(alert) }
+ * thresholds は残り通数がその値以下になったら通知するレベル（省略したレベルは通知しない）
+ * cooldownMs は同じレベルを再通知するまでの間隔（0で再通知しない）
+ * forecast が true の送信先には、リセット日より前に上限へ達する見込みのアラート（level: forecast）も送る
+ */
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const LEVEL_LABELS = {
+  warning: '⚠️ 警告',
+  critical: '⚠️ 重要',
+  emergency: '🚨 緊急',
+  forecast: '📅 見込み'
+};
+
+const LEVEL_ADVICE = {
+  warning: '📝 使用量を監視し、必要に応じてプラン変更を検討してください。',
+  critical: '⚠️ 近日中にLINEプランのアップグレードを検討してください。',
+  emergency: '🚨 すぐにLINEプランのアップグレードを検討してください！',
+  forecast: '📝 送信ペースを見直すか、LINEプランのアップグレードを検討してください。'
+};
+
+const LEVEL_COLORS = {
+  warning: 0xf1c40f,
+  critical: 0xe67e22,
+  emergency: 0xe74c3c,
+  forecast: 0x3498db
+};
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('ja-JP');
+}
+
+function formatResetDate(stats) {
+  return formatDate(stats.resetDate);
+}
+
+function formatHeadline({ level, stats }) {
+  if (level === 'forecast') {
+    return `${LEVEL_LABELS.forecast}: 今の送信ペースでは${formatDate(stats.forecast.exhaustionDate)}ごろLINE APIの月間上限に達します。`;
+  }
+  return `${LEVEL_LABELS[level]}: LINE API残りメッセージ数が${stats.remainingMessages}件になりました。`;
+}
+
+/**
+ * LINEやログ向けのテキスト
+ * @param {Object} alert - { level, stats }
+ * @returns {string} アラート本文
+ */
+function formatAlertText(alert) {
+  const { level, stats } = alert;
+  const forecastLines = stats.forecast
+    ? `
+• 1日あたり: ${stats.forecast.dailyRate}通
+• 月末の見込み: ${stats.forecast.projectedMonthEnd}通`
+    : '';
+
+  return `${formatHeadline(alert)}
+
+📊 使用量詳細:
+• 月間使用数: ${stats.monthlyCount}/${stats.maxMonthlyMessages}
+• 残りメッセージ: ${stats.remainingMessages}件
+• 使用率: ${stats.usagePercentage}%${forecastLines}
+• リセット日: ${formatResetDate(stats)}
+
+${LEVEL_ADVICE[level]}`;
+}
+
+/**
+ * Discordの運用チャンネルへ埋め込みで通知
+ * @param {Object} deps - { discordService }
+ * @param {Object} options - { channelId, thresholds, cooldownMinutes }
+ */
+function createDiscordSink({ discordService }, { channelId, thresholds, cooldownMinutes }) {
+  return {
+    name: 'discord',
+    thresholds,
+    cooldownMs: cooldownMinutes * 60 * 1000,
+    send: async (alert) => {
+      const { level, stats } = alert;
+      const fields = [
+        { name: '月間使用数', value: `${stats.monthlyCount}/${stats.maxMonthlyMessages}`, inline: true },
+        { name: '残りメッセージ', value: `${stats.remainingMessages}件`, inline: true },
+        { name: '使用率', value: `${stats.usagePercentage}%`, inline: true },
+        { name: 'リセット日', value: formatResetDate(stats), inline: true }
+      ];
+      if (stats.emergencyRemaining !== undefined) {
+        fields.push({ name: '緊急枠の残り', value: `${stats.emergencyRemaining}件`, inline: true });
+      }
+      if (stats.forecast) {
+        fields.push(
+          { name: '1日あたり', value: `${stats.forecast.dailyRate}通`, inline: true },
+          { name: '月末の見込み', value: `${stats.forecast.projectedMonthEnd}通`, inline: true }
+        );
+      }
+
+      await discordService.sendEmbed(channelId, {
+        title: formatHeadline(alert),
+        description: LEVEL_ADVICE[level],
+        color: LEVEL_COLORS[level],
+        fields,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+}
+
+/**
+ * ログにのみ記録
+ * @param {Object} options - { thresholds, cooldownMinutes }
+ */
+function createLogSink(deps, { thresholds, cooldownMinutes }) {
+  return {
+    name: 'log',
+    thresholds,
+    cooldownMs: cooldownMinutes * 60 * 1000,
+    send: async ({ level, stats }) => {
+      logger.warn('LINE usage alert', {
+        level,
+        monthlyCount: stats.monthlyCount,
+        maxMonthlyMessages: stats.maxMonthlyMessages,
+        remainingMessages: stats.remainingMessages,
+        usagePercentage: stats.usagePercentage,
+        forecast: stats.forecast
+      });
+    }
+  };
+}
+
+/**
+ * LINEの管理者へPush送信
+ * 送信は月間上限・送信予算に記録されるよう MessageBridge 経由で行う
+ * @param {Object} deps - { sendLineMessage(userId, message) }
+ * @param {Object} options - { adminUserIds, thresholds, cooldownMinutes }
+ */
+function createLineSink({ sendLineMessage }, { adminUserIds, thresholds, cooldownMinutes }) {
+  return {
+    name: 'line',
+    thresholds,
+    cooldownMs: cooldownMinutes * 60 * 1000,
+    send: async (alert) => {
+      const message = { type: 'text', text: formatAlertText(alert) };
+      const failures = [];
+
+      for (const adminUserId of adminUserIds) {
+        try {
+          await sendLineMessage(adminUserId, message);
+        } catch (error) {
+          failures.push(adminUserId);
+          logger.error('Failed to send LINE usage alert to admin', {
+            adminUserId,
+            error: error.message
+          });
+        }
+      }
+
+      if (failures.length === adminUserIds.length) {
+        throw new Error('LINE usage alert was not delivered to any admin');
+      }
+    }
+  };
+}
+
+const SINK_FACTORIES = {
+  discord: createDiscordSink,
+  log: createLogSink,
+  line: createLineSink
+};
+
+/**
+ * 設定で有効にした送信先を作成
+ * 必要な設定（チャンネルIDや管理者ID）がない送信先は警告を出して除外する
+ * @param {Object} deps - { discordService, sendLineMessage }
+ * @param {Object} alertConfig - config.lineUsageAlerts と同じ形式
+ * @returns {Array<Object>} 送信先
+ */
+function createLineUsageAlertSinks(deps, alertConfig = config.lineUsageAlerts) {
+  const sinks = [];
+
+  for (const name of alertConfig.sinks) {
+    const factory = SINK_FACTORIES[name];
+    if (!factory) {
+      logger.warn('Unknown LINE usage alert sink', { sink: name });
+      continue;
+    }
+
+    const options = alertConfig[name];
+    if (name === 'discord' && !options.channelId) {
+      logger.warn('LINE usage alert sink disabled: no Discord channel configured', { sink: name });
+      continue;
+    }
+    if (name === 'line' && options.adminUserIds.length === 0) {
+      logger.warn('LINE usage alert sink disabled: no admin user IDs configured', { sink: name });
+      continue;
+    }
+
+    sinks.push({
+      ...factory(deps, options),
+      forecast: (alertConfig.forecastSinks || []).includes(name)
+    });
+  }
+
+  return sinks;
+}
+
+module.exports = {
+  createLineUsageAlertSinks,
+  formatAlertText
+};
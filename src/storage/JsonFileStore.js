@@ -0,0 +1,36 @@
+/**
+ * JSON file storage driver.
+ * Each store is one JSON document written atomically (the original data/*.json layout).
+ */
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonFileStore');
+
+class JsonFileStore {
+  constructor(name, filePath) {
+    this.name = name;
+    this.filePath = filePath;
+  }
+
+  /**
+   * Returns null when the store has never been saved.
+   */
+  async load() {
+    try {
+      return await readJsonFile(this.filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async save(data) {
+    await writeJsonFileAtomic(this.filePath, data);
+  }
+
+  describe() {
+    return { driver: 'file', name: this.name, filePath: this.filePath };
+  }
+}
+
+module.exports = JsonFileStore;
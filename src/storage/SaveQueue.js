@@ -0,0 +1,29 @@
+/**
+ * Runs store writes one at a time, in the order they were requested.
+ * A failed write is reported to its caller but does not block the writes queued after it.
+ */
+class SaveQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Queue a write behind the ones already pending.
+   * @param {Function} operation - () => Promise
+   * @returns {Promise} settles with this write's own result
+   */
+  run(operation) {
+    const saveOperation = this.tail.catch(() => {}).then(operation);
+    this.tail = saveOperation;
+    return saveOperation;
+  }
+
+  /**
+   * Wait for every queued write to settle (failures are ignored here).
+   */
+  flush() {
+    return this.tail.catch(() => {});
+  }
+}
+
+module.exports = SaveQueue;
@@ -0,0 +1,381 @@
+/**
+ * SQLite storage driver.
+ * Every store shares one database file. Records are kept one row per mapping so that
+ * saves only touch changed rows and the data can be queried with the sqlite3 CLI
+ * (e.g. by discord_channel_id or timestamp).
+ * Stores split into rows also accept row-level writes (writeRecords) and lookups
+ * (getRecord / findRecords) so large stores can be used without loading or handing
+ * over their whole document.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const META_KEY = '@meta';
+const DOCUMENT_KEY = '@document';
+
+// How each store's document is split into rows; stores not listed are saved as a single row.
+const STORE_LAYOUTS = {
+  'channel-mappings': { keyed: true },
+  'webhook-events': { keyed: true },
+  'message-mappings': { collections: ['lineToDiscord', 'discordToLine', 'pendingLinePushes'] }
+};
+
+// Value fields findRecords can match on. The message ID fields have expression indexes.
+const FIELD_COLUMNS = {
+  discordChannelId: 'discord_channel_id',
+  discordMessageId: 'json_extract(value, \'$.discordMessageId\')',
+  lineMessageId: 'json_extract(value, \'$.lineMessageId\')'
+};
+
+// A record's last activity for pruning: created, or last referenced by a reply.
+const LAST_ACTIVITY = 'max(coalesce(timestamp, \'\'), coalesce(json_extract(value, \'$.lastReferencedAt\'), \'\'))';
+
+const databases = new Map();
+
+function recordKey(collection, key) {
+  return `${collection}/${key}`;
+}
+
+function openDatabase(databaseFile) {
+  if (databases.has(databaseFile)) {
+    return databases.get(databaseFile);
+  }
+
+  // Required lazily so the JSON driver works without the native module.
+  const Database = require('better-sqlite3');
+
+  if (databaseFile !== ':memory:') {
+    fs.mkdirSync(path.dirname(databaseFile), { recursive: true });
+  }
+
+  const database = new Database(databaseFile);
+  database.pragma('journal_mode = WAL');
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      store TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      discord_channel_id TEXT,
+      timestamp TEXT,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (store, key)
+    );
+    CREATE INDEX IF NOT EXISTS records_channel ON records (store, discord_channel_id);
+    CREATE INDEX IF NOT EXISTS records_timestamp ON records (store, timestamp);
+    CREATE INDEX IF NOT EXISTS records_discord_message ON records (store, json_extract(value, '$.discordMessageId'));
+    CREATE INDEX IF NOT EXISTS records_line_message ON records (store, json_extract(value, '$.lineMessageId'));
+  `);
+
+  databases.set(databaseFile, database);
+  return database;
+}
+
+function closeDatabases() {
+  for (const database of databases.values()) {
+    database.close();
+  }
+  databases.clear();
+}
+
+class SqliteStore {
+  constructor(name, databaseFile) {
+    this.name = name;
+    this.databaseFile = databaseFile;
+    this.layout = STORE_LAYOUTS[name] || null;
+  }
+
+  getDatabase() {
+    return openDatabase(this.databaseFile);
+  }
+
+  /**
+   * Returns null when the store has no rows yet.
+   */
+  async load() {
+    const rows = this.getDatabase()
+      .prepare('SELECT key, value FROM records WHERE store = ?')
+      .all(this.name);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const entries = rows.map(row => [row.key, JSON.parse(row.value)]);
+    if (this.layout?.keyed && entries.some(([key]) => key === DOCUMENT_KEY)) {
+      return this.fromRows(this.splitDocumentRow(entries));
+    }
+    return this.fromRows(entries);
+  }
+
+  /**
+   * Split a keyed store that was saved as a single row before it got its layout
+   * (webhook-events) into one row per key. Rows written since then win over the document.
+   */
+  splitDocumentRow(entries) {
+    const document = entries.find(([key]) => key === DOCUMENT_KEY)[1] || {};
+    const rows = new Map(Object.entries(document));
+    for (const [key, value] of entries) {
+      if (key !== DOCUMENT_KEY) {
+        rows.set(key, value);
+      }
+    }
+
+    this.writeRows(rows, [DOCUMENT_KEY]);
+    return [...rows];
+  }
+
+  /**
+   * Replace the store contents. Rows whose value is unchanged are left as they are.
+   */
+  async save(data) {
+    const database = this.getDatabase();
+    const rows = this.toRows(data);
+    const savedKeys = database
+      .prepare('SELECT key FROM records WHERE store = ?')
+      .pluck()
+      .all(this.name);
+
+    this.writeRows(
+      rows,
+      savedKeys.filter(key => !rows.has(key))
+    );
+  }
+
+  /**
+   * Read one record of a split store, or null when it does not exist.
+   * @param {string} key - mapping key
+   * @param {string} collection - collection name (collection stores only)
+   */
+  async getRecord(key, collection = null) {
+    const row = this.getDatabase()
+      .prepare('SELECT value FROM records WHERE store = ? AND key = ?')
+      .get(this.name, collection ? recordKey(collection, key) : key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  /**
+   * Find records of a split store whose value has the given field value.
+   * @param {string} collection - collection name (collection stores only)
+   * @param {string} field - discordChannelId, discordMessageId or lineMessageId
+   * @param {string} value - value to match
+   * @param {Object} options - { limit, newestFirst } (newest by the timestamp column)
+   * @returns {Array<Array>} [key, value] pairs
+   */
+  async findRecords(collection, field, value, { limit = null, newestFirst = false } = {}) {
+    const column = FIELD_COLUMNS[field];
+    if (!column) {
+      throw new Error(`Cannot look up ${this.name} records by ${field}`);
+    }
+
+    const scope = this.getScope(collection);
+    const rows = this.getDatabase()
+      .prepare(`
+        SELECT key, value FROM records
+        WHERE store = ? AND ${scope.where} AND ${column} = ?
+        ${newestFirst ? 'ORDER BY timestamp DESC' : ''}
+        ${limit ? 'LIMIT ?' : ''}
+      `)
+      .all(this.name, ...scope.params, value, ...(limit ? [limit] : []));
+
+    return rows.map(row => [this.toRecordKey(row.key, collection), JSON.parse(row.value)]);
+  }
+
+  /**
+   * Count the records of a split store, optionally only those with a newer timestamp.
+   * @param {string} collection - collection name (collection stores only)
+   * @param {Object} options - { since } ISO timestamp
+   */
+  async countRecords(collection, { since = null } = {}) {
+    const scope = this.getScope(collection);
+    return this.getDatabase()
+      .prepare(`
+        SELECT count(*) FROM records
+        WHERE store = ? AND ${scope.where} ${since ? 'AND timestamp > ?' : ''}
+      `)
+      .pluck()
+      .get(this.name, ...scope.params, ...(since ? [since] : []));
+  }
+
+  /**
+   * Delete records across every collection of a split store whose last activity (the later of
+   * the timestamp column and lastReferencedAt) is before a cutoff, then the least recently active
+   * ones beyond a count.
+   * @param {Object} options - { before: ISO timestamp or null, keep: count or 0 (no limit) }
+   * @returns {Object} { byAge, byCount } deleted record counts
+   */
+  async pruneRecords({ before = null, keep = 0 } = {}) {
+    const database = this.getDatabase();
+    const scope = this.getScope(null);
+    const result = { byAge: 0, byCount: 0 };
+
+    database.transaction(() => {
+      if (before) {
+        result.byAge = database
+          .prepare(`DELETE FROM records WHERE store = ? AND ${scope.where} AND ${LAST_ACTIVITY} < ?`)
+          .run(this.name, ...scope.params, before).changes;
+      }
+
+      if (keep > 0) {
+        const count = database
+          .prepare(`SELECT count(*) FROM records WHERE store = ? AND ${scope.where}`)
+          .pluck()
+          .get(this.name, ...scope.params);
+        if (count > keep) {
+          result.byCount = database
+            .prepare(`
+              DELETE FROM records WHERE rowid IN (
+                SELECT rowid FROM records WHERE store = ? AND ${scope.where}
+                ORDER BY ${LAST_ACTIVITY} ASC LIMIT ?
+              )
+            `)
+            .run(this.name, ...scope.params, count - keep).changes;
+        }
+      }
+    })();
+
+    return result;
+  }
+
+  /**
+   * SQL condition selecting the rows of one collection, or every record row of the store.
+   */
+  getScope(collection) {
+    if (!this.layout) {
+      throw new Error(`Store ${this.name} is saved as a single document`);
+    }
+    if (collection) {
+      // '0' follows '/' so the range covers every "collection/..." key and uses the primary key
+      return { where: 'key >= ? AND key < ?', params: [`${collection}/`, `${collection}0`] };
+    }
+    return { where: 'key NOT IN (?, ?)', params: [META_KEY, DOCUMENT_KEY] };
+  }
+
+  toRecordKey(key, collection) {
+    return collection ? key.slice(collection.length + 1) : key;
+  }
+
+  /**
+   * Write and delete individual records of a split store in one transaction, leaving the rest alone.
+   * Keyed stores take { put: { key: value }, remove: [key] };
+   * collection stores take { put: { collection: { key: value } }, remove: { collection: [key] } }.
+   */
+  async writeRecords({ put = {}, remove } = {}) {
+    if (!this.layout) {
+      throw new Error(`Store ${this.name} is saved as a single document`);
+    }
+
+    const rows = new Map();
+    const removedKeys = [];
+    if (this.layout.keyed) {
+      for (const [key, value] of Object.entries(put)) {
+        rows.set(key, value);
+      }
+      removedKeys.push(...(remove || []));
+    } else {
+      for (const collection of this.layout.collections) {
+        for (const [key, value] of Object.entries(put[collection] || {})) {
+          rows.set(recordKey(collection, key), value);
+        }
+        for (const key of remove?.[collection] || []) {
+          removedKeys.push(recordKey(collection, key));
+        }
+      }
+    }
+
+    this.writeRows(rows, removedKeys);
+  }
+
+  writeRows(rows, removedKeys) {
+    const database = this.getDatabase();
+    const now = new Date().toISOString();
+    const upsert = database.prepare(`
+      INSERT INTO records (store, key, value, discord_channel_id, timestamp, updated_at)
+      VALUES (@store, @key, @value, @discordChannelId, @timestamp, @updatedAt)
+      ON CONFLICT (store, key) DO UPDATE SET
+        value = excluded.value,
+        discord_channel_id = excluded.discord_channel_id,
+        timestamp = excluded.timestamp,
+        updated_at = excluded.updated_at
+      WHERE records.value IS NOT excluded.value
+    `);
+    const remove = database.prepare('DELETE FROM records WHERE store = ? AND key = ?');
+
+    database.transaction(() => {
+      for (const [key, value] of rows) {
+        upsert.run({
+          store: this.name,
+          key,
+          value: JSON.stringify(value),
+          discordChannelId: value?.discordChannelId || null,
+          timestamp: value?.timestamp || value?.lastUsed || null,
+          updatedAt: now
+        });
+      }
+
+      for (const key of removedKeys) {
+        remove.run(this.name, key);
+      }
+    })();
+  }
+
+  toRows(data) {
+    const rows = new Map();
+
+    if (this.layout?.keyed) {
+      for (const [key, value] of Object.entries(data || {})) {
+        rows.set(key, value);
+      }
+      return rows;
+    }
+
+    if (this.layout?.collections) {
+      const meta = { ...data };
+      for (const collection of this.layout.collections) {
+        for (const [key, value] of Object.entries(data?.[collection] || {})) {
+          rows.set(recordKey(collection, key), value);
+        }
+        delete meta[collection];
+      }
+      rows.set(META_KEY, meta);
+      return rows;
+    }
+
+    rows.set(DOCUMENT_KEY, data);
+    return rows;
+  }
+
+  fromRows(entries) {
+    if (this.layout?.keyed) {
+      return Object.fromEntries(entries);
+    }
+
+    if (this.layout?.collections) {
+      const data = {};
+      for (const collection of this.layout.collections) {
+        data[collection] = {};
+      }
+      for (const [key, value] of entries) {
+        if (key === META_KEY) {
+          Object.assign(data, value);
+          continue;
+        }
+        const separator = key.indexOf('/');
+        const collection = key.slice(0, separator);
+        if (data[collection]) {
+          data[collection][key.slice(separator + 1)] = value;
+        }
+      }
+      return data;
+    }
+
+    const document = entries.find(([key]) => key === DOCUMENT_KEY);
+    return document ? document[1] : null;
+  }
+
+  describe() {
+    return { driver: 'sqlite', name: this.name, databaseFile: this.databaseFile };
+  }
+}
+
+module.exports = SqliteStore;
+module.exports.closeDatabases = closeDatabases;
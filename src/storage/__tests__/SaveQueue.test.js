@@ -0,0 +1,56 @@
+const SaveQueue = require('../SaveQueue');
+
+describe('SaveQueue', () => {
+  test('runs writes one at a time in the order they were queued', async () => {
+    const saveQueue = new SaveQueue();
+    const order = [];
+    let releaseFirst;
+    const firstWrite = new Promise((resolve) => {
+      releaseFirst = resolve;
+    });
+
+    const first = saveQueue.run(async () => {
+      await firstWrite;
+      order.push('first');
+      return 'first';
+    });
+    const second = saveQueue.run(async () => {
+      order.push('second');
+      return 'second';
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(order).toEqual([]);
+
+    releaseFirst();
+
+    await expect(first).resolves.toBe('first');
+    await expect(second).resolves.toBe('second');
+    expect(order).toEqual(['first', 'second']);
+  });
+
+  test('a failed write is reported to its caller without blocking later writes', async () => {
+    const saveQueue = new SaveQueue();
+
+    const failed = saveQueue.run(async () => {
+      throw new Error('disk full');
+    });
+    const next = saveQueue.run(async () => 'saved');
+
+    await expect(failed).rejects.toThrow('disk full');
+    await expect(next).resolves.toBe('saved');
+  });
+
+  test('flush waits for pending writes and ignores their failures', async () => {
+    const saveQueue = new SaveQueue();
+    const save = jest.fn();
+
+    saveQueue.run(async () => save()).catch(() => {});
+    saveQueue.run(async () => {
+      throw new Error('disk full');
+    }).catch(() => {});
+
+    await expect(saveQueue.flush()).resolves.toBeUndefined();
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+});
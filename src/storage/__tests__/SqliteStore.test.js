@@ -0,0 +1,186 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const SqliteStore = require('../SqliteStore');
+
+const { closeDatabases } = SqliteStore;
+
+describe('SqliteStore', () => {
+  let tempDir;
+  let databaseFile;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sqlite-store-'));
+    databaseFile = path.join(tempDir, 'nested', 'bridge.db');
+  });
+
+  afterEach(async () => {
+    closeDatabases();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('load returns null for an empty store', async () => {
+    const store = new SqliteStore('channel-mappings', databaseFile);
+
+    await expect(store.load()).resolves.toBeNull();
+  });
+
+  test('round-trips keyed channel mappings one row per source and deletes removed keys', async () => {
+    const store = new SqliteStore('channel-mappings', databaseFile);
+    await store.save({
+      U1: { discordChannelId: 'c1', lastUsed: '2024-01-01T00:00:00.000Z' },
+      U2: { discordChannelId: 'c2', lastUsed: '2024-01-02T00:00:00.000Z' }
+    });
+    await store.save({
+      U2: { discordChannelId: 'c2', lastUsed: '2024-01-02T00:00:00.000Z' }
+    });
+
+    const reopened = new SqliteStore('channel-mappings', databaseFile);
+    await expect(reopened.load()).resolves.toEqual({
+      U2: { discordChannelId: 'c2', lastUsed: '2024-01-02T00:00:00.000Z' }
+    });
+
+    const rows = store.getDatabase()
+      .prepare('SELECT key, discord_channel_id FROM records WHERE store = ?')
+      .all('channel-mappings');
+    expect(rows).toEqual([{ key: 'U2', discord_channel_id: 'c2' }]);
+  });
+
+  test('round-trips message mappings split into collection rows', async () => {
+    const store = new SqliteStore('message-mappings', databaseFile);
+    const data = {
+      lineToDiscord: { line1: { discordMessageId: 'd1', timestamp: '2024-01-01T00:00:00.000Z' } },
+      discordToLine: { d1: { lineMessageId: 'line1', timestamp: '2024-01-01T00:00:00.000Z' } },
+      pendingLinePushes: { key1: { discordMessageId: 'd2', timestamp: '2024-01-01T00:00:00.000Z' } },
+      lastUpdated: '2024-01-01T00:00:00.000Z'
+    };
+    await store.save(data);
+
+    const reopened = new SqliteStore('message-mappings', databaseFile);
+    await expect(reopened.load()).resolves.toEqual(data);
+
+    const count = store.getDatabase()
+      .prepare('SELECT COUNT(*) AS count FROM records WHERE store = ?')
+      .get('message-mappings').count;
+    expect(count).toBe(4);
+  });
+
+  test('only rewrites changed rows', async () => {
+    const store = new SqliteStore('channel-mappings', databaseFile);
+    await store.save({ U1: { discordChannelId: 'c1' }, U2: { discordChannelId: 'c2' } });
+
+    const database = store.getDatabase();
+    database.prepare('UPDATE records SET updated_at = \'old\' WHERE store = \'channel-mappings\'').run();
+    await store.save({ U1: { discordChannelId: 'c1' }, U2: { discordChannelId: 'c3' } });
+
+    const rows = database
+      .prepare('SELECT key, updated_at FROM records WHERE store = \'channel-mappings\' ORDER BY key')
+      .all();
+    expect(rows[0]).toEqual({ key: 'U1', updated_at: 'old' });
+    expect(rows[1].updated_at).not.toBe('old');
+  });
+
+  test('stores other documents as a single row and keeps stores separate', async () => {
+    const usage = new SqliteStore('line-usage', databaseFile);
+    const channels = new SqliteStore('channel-mappings', databaseFile);
+    await usage.save({ month: '2024-01', count: 12 });
+    await channels.save({ U1: { discordChannelId: 'c1' } });
+
+    await expect(new SqliteStore('line-usage', databaseFile).load())
+      .resolves.toEqual({ month: '2024-01', count: 12 });
+    await expect(new SqliteStore('channel-mappings', databaseFile).load())
+      .resolves.toEqual({ U1: { discordChannelId: 'c1' } });
+  });
+
+  test('writeRecords writes and deletes single records of a split store', async () => {
+    const store = new SqliteStore('message-mappings', databaseFile);
+    await store.save({
+      lineToDiscord: { line1: { discordMessageId: 'd1' }, line2: { discordMessageId: 'd2' } },
+      discordToLine: {}
+    });
+
+    await store.writeRecords({
+      put: { discordToLine: { d3: { lineMessageId: 'line3', discordChannelId: 'c1' } } },
+      remove: { lineToDiscord: ['line2'] }
+    });
+
+    await expect(new SqliteStore('message-mappings', databaseFile).load()).resolves.toEqual({
+      lineToDiscord: { line1: { discordMessageId: 'd1' } },
+      discordToLine: { d3: { lineMessageId: 'line3', discordChannelId: 'c1' } },
+      pendingLinePushes: {}
+    });
+    await expect(store.getRecord('d3', 'discordToLine')).resolves.toEqual({ lineMessageId: 'line3', discordChannelId: 'c1' });
+    await expect(store.getRecord('line2', 'lineToDiscord')).resolves.toBeNull();
+  });
+
+  test('findRecords and countRecords look up records of one collection', async () => {
+    const store = new SqliteStore('message-mappings', databaseFile);
+    await store.save({
+      lineToDiscord: {
+        line1: { discordMessageId: 'd1', discordChannelId: 'c1', timestamp: '2024-01-01T00:00:00.000Z' },
+        line2: { discordMessageId: 'd2', discordChannelId: 'c1', timestamp: '2024-01-03T00:00:00.000Z' }
+      },
+      discordToLine: {
+        d3: { lineMessageId: 'line3', discordChannelId: 'c1', timestamp: '2024-01-02T00:00:00.000Z' }
+      }
+    });
+
+    await expect(store.findRecords('lineToDiscord', 'discordMessageId', 'd2')).resolves.toEqual([
+      ['line2', expect.objectContaining({ discordMessageId: 'd2' })]
+    ]);
+    await expect(store.findRecords('discordToLine', 'lineMessageId', 'line3')).resolves.toHaveLength(1);
+    await expect(store.findRecords('discordToLine', 'lineMessageId', 'line1')).resolves.toEqual([]);
+    await expect(store.findRecords('lineToDiscord', 'discordChannelId', 'c1', { limit: 1, newestFirst: true }))
+      .resolves.toEqual([['line2', expect.any(Object)]]);
+    await expect(store.findRecords('lineToDiscord', 'lineUserId', 'U1')).rejects.toThrow('Cannot look up');
+
+    await expect(store.countRecords('lineToDiscord')).resolves.toBe(2);
+    await expect(store.countRecords('lineToDiscord', { since: '2024-01-02T00:00:00.000Z' })).resolves.toBe(1);
+    await expect(store.countRecords('pendingLinePushes')).resolves.toBe(0);
+  });
+
+  test('pruneRecords deletes records by last activity, then the least recently active beyond a count', async () => {
+    const store = new SqliteStore('message-mappings', databaseFile);
+    await store.save({
+      lineToDiscord: {
+        old: { timestamp: '2024-01-01T00:00:00.000Z' },
+        referenced: { timestamp: '2024-01-01T00:00:00.000Z', lastReferencedAt: '2024-01-09T00:00:00.000Z' },
+        newer: { timestamp: '2024-01-06T00:00:00.000Z' }
+      },
+      discordToLine: {
+        newest: { timestamp: '2024-01-08T00:00:00.000Z' }
+      }
+    });
+
+    await expect(store.pruneRecords({ before: '2024-01-05T00:00:00.000Z', keep: 2 }))
+      .resolves.toEqual({ byAge: 1, byCount: 1 });
+    await expect(store.load()).resolves.toEqual({
+      lineToDiscord: { referenced: expect.any(Object) },
+      discordToLine: { newest: expect.any(Object) },
+      pendingLinePushes: {}
+    });
+  });
+
+  test('splits a webhook event ledger saved as a single row into one row per event', async () => {
+    const database = new SqliteStore('webhook-events', databaseFile).getDatabase();
+    database
+      .prepare('INSERT INTO records (store, key, value, updated_at) VALUES (?, ?, ?, ?)')
+      .run('webhook-events', '@document', JSON.stringify({ evt1: { state: 'done' }, evt2: { state: 'received' } }), 'old');
+    const store = new SqliteStore('webhook-events', databaseFile);
+    await store.writeRecords({ put: { evt2: { state: 'processing' } } });
+
+    await expect(store.load()).resolves.toEqual({ evt1: { state: 'done' }, evt2: { state: 'processing' } });
+
+    const keys = database
+      .prepare('SELECT key FROM records WHERE store = ? ORDER BY key')
+      .pluck()
+      .all('webhook-events');
+    expect(keys).toEqual(['evt1', 'evt2']);
+  });
+
+  test('writeRecords is not available for single-document stores', async () => {
+    const store = new SqliteStore('line-usage', databaseFile);
+
+    await expect(store.writeRecords({ put: { month: '2024-01' } })).rejects.toThrow('saved as a single document');
+  });
+});
@@ -0,0 +1,32 @@
+const path = require('path');
+const config = require('../../config');
+const { createStore, getSqliteFile } = require('..');
+const JsonFileStore = require('../JsonFileStore');
+const SqliteStore = require('../SqliteStore');
+
+describe('createStore', () => {
+  test('uses a JSON file under DB_PATH by default', () => {
+    const store = createStore('channel-mappings', { type: 'file' });
+
+    expect(store).toBeInstanceOf(JsonFileStore);
+    expect(store.filePath).toBe(path.join(config.database.path, 'channel-mappings.json'));
+  });
+
+  test('honours a file path override for the file driver', () => {
+    const store = createStore('message-mappings', { type: 'file', filePath: '/tmp/custom.json' });
+
+    expect(store.filePath).toBe('/tmp/custom.json');
+  });
+
+  test('uses the shared SQLite database for the sqlite driver', () => {
+    const store = createStore('line-usage', { type: 'sqlite', filePath: '/tmp/ignored.json' });
+
+    expect(store).toBeInstanceOf(SqliteStore);
+    expect(store.databaseFile).toBe(getSqliteFile());
+  });
+
+  test('rejects unknown storage types', () => {
+    expect(() => createStore('line-usage', { type: 'mongodb' }))
+      .toThrow('Unsupported storage type: mongodb');
+  });
+});
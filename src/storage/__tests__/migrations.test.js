@@ -0,0 +1,202 @@
+jest.mock('../../utils/logger');
+
+const { STORE_NAMES } = require('..');
+const { MIGRATIONS, SCHEMA_VERSIONS_STORE, getLatestVersions, runMigrations } = require('../migrations');
+
+function createMemoryStores(initial = {}) {
+  const stores = {};
+  const storeFactory = (name) => {
+    if (!stores[name]) {
+      stores[name] = {
+        data: initial[name] === undefined ? null : initial[name],
+        load: jest.fn(async function load() { return this.data; }),
+        save: jest.fn(async function save(data) { this.data = data; })
+      };
+    }
+    return stores[name];
+  };
+  return { stores, storeFactory };
+}
+
+function upgrade(name, data) {
+  return MIGRATIONS[name].reduce((current, step) => step.up(current), data);
+}
+
+describe('schema migrations', () => {
+  test('every store has a recorded schema version', () => {
+    const versionedStores = STORE_NAMES.filter(name => name !== SCHEMA_VERSIONS_STORE);
+
+    expect(Object.keys(MIGRATIONS).sort()).toEqual(versionedStores.sort());
+  });
+
+  describe('channel-mappings', () => {
+    test('keeps the unversioned object format unchanged', () => {
+      const data = {
+        U1: { discordChannelId: 'c1', lineUserId: 'U1', lastUsed: '2024-01-01T00:00:00.000Z' }
+      };
+
+      expect(upgrade('channel-mappings', data)).toEqual(data);
+    });
+
+    test('converts bare channel IDs and channelId fields into mapping objects', () => {
+      expect(upgrade('channel-mappings', {
+        U1: 'c1',
+        C2: { channelId: 'c2', lastUsed: '2024-01-01T00:00:00.000Z' }
+      })).toEqual({
+        U1: { discordChannelId: 'c1' },
+        C2: { discordChannelId: 'c2', lastUsed: '2024-01-01T00:00:00.000Z' }
+      });
+    });
+
+    test('fails on mappings without a Discord channel', () => {
+      expect(() => upgrade('channel-mappings', {
+        U1: 'c1',
+        U2: { lineUserId: 'U2' },
+        U3: null
+      })).toThrow('2 record(s) have no Discord channel: U2, U3');
+    });
+  });
+
+  describe('message-mappings', () => {
+    test('keeps the 3.1.0 format, fills missing collections and drops the version field', () => {
+      const data = {
+        lineToDiscord: { l1: { lineMessageId: 'l1', discordMessageId: 'd1' } },
+        lastUpdated: '2024-01-01T00:00:00.000Z'
+      };
+
+      expect(upgrade('message-mappings', { ...data, version: '3.1.0' })).toEqual({ ...data, discordToLine: {} });
+    });
+
+    test('converts legacy mapping arrays instead of dropping them', () => {
+      expect(upgrade('message-mappings', [
+        { lineMessageId: 'l1', discordMessageId: 'd1', timestamp: '2024-01-01T00:00:00.000Z' },
+        { lineMessageId: 'l2', discordMessageId: 'd2' }
+      ])).toEqual({
+        lineToDiscord: {
+          l1: { lineMessageId: 'l1', discordMessageId: 'd1', timestamp: '2024-01-01T00:00:00.000Z' },
+          l2: { lineMessageId: 'l2', discordMessageId: 'd2' }
+        },
+        discordToLine: {}
+      });
+    });
+
+    test('fails on legacy records it cannot convert', () => {
+      expect(() => upgrade('message-mappings', [
+        { lineMessageId: 'l1', discordMessageId: 'd1' },
+        { note: 'incomplete' },
+        'd3'
+      ])).toThrow('2 record(s) have no lineMessageId/discordMessageId: #1, #2');
+    });
+  });
+
+  describe('line-usage', () => {
+    test('drops the 1.0.0 version field and normalizes numeric strings', () => {
+      const data = {
+        monthlyMessageCount: 12,
+        lastResetDate: 5,
+        lastResetYear: 2024,
+        isLimitReached: false
+      };
+
+      expect(upgrade('line-usage', { ...data, version: '1.0.0' })).toEqual(data);
+      expect(upgrade('line-usage', { ...data, monthlyMessageCount: '12', lastResetYear: '2024' })).toEqual(data);
+    });
+  });
+
+  describe('runMigrations', () => {
+    test('backs up, upgrades unversioned stores and records their versions', async () => {
+      const { stores, storeFactory } = createMemoryStores({
+        'channel-mappings': { U1: 'c1' },
+        'message-mappings': [{ lineMessageId: 'l1', discordMessageId: 'd1' }],
+        'outbound-queue': { items: [] }
+      });
+      const backupService = { createBackup: jest.fn() };
+
+      const applied = await runMigrations({ backupService, storeFactory });
+
+      expect(backupService.createBackup).toHaveBeenCalledWith({ label: 'pre-migration' });
+      expect(applied).toEqual([
+        { name: 'channel-mappings', from: 0, to: 1 },
+        { name: 'message-mappings', from: 0, to: 2 },
+        { name: 'line-usage', from: 0, to: 2 },
+        { name: 'line-budget-usage', from: 0, to: 1 },
+        { name: 'line-usage-history', from: 0, to: 1 },
+        { name: 'outbound-queue', from: 0, to: 1 },
+        { name: 'outbound-dead-letters', from: 0, to: 1 },
+        { name: 'inbound-events', from: 0, to: 1 },
+        { name: 'webhook-events', from: 0, to: 1 }
+      ]);
+      // Baseline versions are recorded without rewriting the store
+      expect(stores['outbound-queue'].save).not.toHaveBeenCalled();
+      expect(stores['channel-mappings'].data).toEqual({ U1: { discordChannelId: 'c1' } });
+      expect(stores['message-mappings'].data.lineToDiscord.l1.discordMessageId).toBe('d1');
+      expect(stores['line-usage'].save).not.toHaveBeenCalled();
+      expect(stores['schema-versions'].data).toEqual(getLatestVersions());
+    });
+
+    test('does nothing when every store is current', async () => {
+      const { stores, storeFactory } = createMemoryStores({ 'schema-versions': getLatestVersions() });
+      const backupService = { createBackup: jest.fn() };
+
+      await expect(runMigrations({ backupService, storeFactory })).resolves.toEqual([]);
+      expect(backupService.createBackup).not.toHaveBeenCalled();
+      expect(stores['schema-versions'].save).not.toHaveBeenCalled();
+    });
+
+    test('skips the backup on a fresh install', async () => {
+      const { storeFactory } = createMemoryStores();
+      const backupService = { createBackup: jest.fn() };
+
+      await runMigrations({ backupService, storeFactory });
+
+      expect(backupService.createBackup).not.toHaveBeenCalled();
+    });
+
+    test('upgrades stores recorded at an older version from that version on', async () => {
+      const { stores, storeFactory } = createMemoryStores({
+        'schema-versions': { ...getLatestVersions(), 'message-mappings': 1, 'line-usage': 1 },
+        'line-usage': { version: '1.0.0', monthlyMessageCount: 3 }
+      });
+
+      const applied = await runMigrations({ storeFactory });
+
+      expect(applied).toEqual([
+        { name: 'message-mappings', from: 1, to: 2 },
+        { name: 'line-usage', from: 1, to: 2 }
+      ]);
+      expect(stores['line-usage'].data).toEqual({ monthlyMessageCount: 3 });
+    });
+
+    test('leaves the store and its version untouched when a step fails', async () => {
+      const legacy = [{ lineMessageId: 'l1' }];
+      const { stores, storeFactory } = createMemoryStores({ 'message-mappings': legacy });
+
+      await expect(runMigrations({ storeFactory })).rejects.toThrow(
+        'Schema migration of message-mappings to version 1 failed: 1 record(s) have no lineMessageId/discordMessageId: #0'
+      );
+      expect(stores['message-mappings'].save).not.toHaveBeenCalled();
+      expect(stores['message-mappings'].data).toBe(legacy);
+      expect(stores['schema-versions'].data).toEqual({ 'channel-mappings': 1 });
+    });
+
+    test('refuses to start when a store added later has a newer-than-known version', async () => {
+      const { storeFactory } = createMemoryStores({ 'schema-versions': { 'webhook-events': 2 } });
+
+      await expect(runMigrations({ storeFactory })).rejects.toThrow(
+        'webhook-events is at schema version 2 but this version supports up to 1'
+      );
+    });
+
+    test('refuses to start on a newer-than-known schema version', async () => {
+      const { stores, storeFactory } = createMemoryStores({
+        'schema-versions': { 'message-mappings': 3 },
+        'message-mappings': { lineToDiscord: {}, discordToLine: {} }
+      });
+
+      await expect(runMigrations({ storeFactory })).rejects.toThrow(
+        'Stored data is newer than this version of the bridge: message-mappings is at schema version 3 but this version supports up to 2'
+      );
+      expect(stores['message-mappings']).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Storage backend selection.
+ * DB_TYPE=file keeps one JSON file per store under DB_PATH (default).
+ * DB_TYPE=sqlite keeps every store in one SQLite database (DB_SQLITE_FILE).
+ */
+const path = require('path');
+const config = require('../config');
+const JsonFileStore = require('./JsonFileStore');
+const SqliteStore = require('./SqliteStore');
+const SaveQueue = require('./SaveQueue');
+
+const STORE_NAMES = [
+  'channel-mappings',
+  'message-mappings',
+  'line-usage',
+  'line-budget-usage',
+  'line-usage-history',
+  'outbound-queue',
+  'outbound-dead-letters',
+  'inbound-events',
+  'webhook-events',
+  'schema-versions'
+];
+const STORAGE_TYPES = ['file', 'sqlite'];
+
+function getSqliteFile() {
+  return config.database.sqliteFile || path.join(config.database.path, 'bridge.db');
+}
+
+/**
+ * Create the store for a named piece of state.
+ * @param {string} name - store name (one of STORE_NAMES)
+ * @param {Object} options
+ * @param {string} options.type - driver type, defaults to config.database.type
+ * @param {string} options.filePath - JSON file path override for the file driver
+ */
+function createStore(name, { type = config.database.type, filePath } = {}) {
+  if (!STORAGE_TYPES.includes(type)) {
+    throw new Error(`Unsupported storage type: ${type} (expected ${STORAGE_TYPES.join(' or ')})`);
+  }
+
+  if (type === 'sqlite') {
+    return new SqliteStore(name, getSqliteFile());
+  }
+
+  return new JsonFileStore(name, filePath || path.join(config.database.path, `${name}.json`));
+}
+
+module.exports = {
+  STORE_NAMES,
+  SaveQueue,
+  createStore,
+  getSqliteFile
+};
@@ -0,0 +1,226 @@
+/**
+ * Schema migrations for persisted state.
+ * The schema version of every store is recorded in the "schema-versions" store. At startup each
+ * store is upgraded through its ordered steps (after a backup), and startup is refused when a
+ * store was written by a newer version than this code knows about.
+ *
+ * Installations from before versioning have no recorded versions (version 0), so the first step
+ * of each store detects the historical format from the data shape instead of trusting a field.
+ * A step that finds records it cannot convert throws, leaving the store untouched, rather than
+ * dropping them.
+ */
+const logger = require('../utils/logger');
+const { createStore } = require('./index');
+
+const SCHEMA_VERSIONS_STORE = 'schema-versions';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function rejectInvalidRecords(invalid, description) {
+  if (invalid.length > 0) {
+    throw new Error(`${invalid.length} record(s) ${description}: ${invalid.slice(0, 5).map(String).join(', ')}`);
+  }
+}
+
+/**
+ * First version of a store that has had a single format since it was added. Recording it lets
+ * the newer-version check protect the store before it needs a real upgrade step.
+ */
+function baseline(description) {
+  return [{ version: 1, description, up: data => data }];
+}
+
+function withoutVersionField(data) {
+  const upgraded = { ...data };
+  delete upgraded.version;
+  return upgraded;
+}
+
+const MIGRATIONS = {
+  'channel-mappings': [
+    {
+      version: 1,
+      description: 'Convert bare Discord channel IDs into mapping objects',
+      up(data) {
+        const mappings = {};
+        const invalid = [];
+        for (const [sourceId, mapping] of Object.entries(data)) {
+          if (typeof mapping === 'string') {
+            mappings[sourceId] = { discordChannelId: mapping };
+          } else if (isPlainObject(mapping) && !mapping.discordChannelId && mapping.channelId) {
+            const { channelId, ...rest } = mapping;
+            mappings[sourceId] = { ...rest, discordChannelId: channelId };
+          } else if (isPlainObject(mapping) && mapping.discordChannelId) {
+            mappings[sourceId] = mapping;
+          } else {
+            invalid.push(sourceId);
+          }
+        }
+        rejectInvalidRecords(invalid, 'have no Discord channel');
+        return mappings;
+      }
+    }
+  ],
+  'message-mappings': [
+    {
+      version: 1,
+      description: 'Split legacy mapping arrays into lineToDiscord/discordToLine',
+      up(data) {
+        if (!Array.isArray(data)) {
+          return {
+            ...data,
+            lineToDiscord: data.lineToDiscord || {},
+            discordToLine: data.discordToLine || {}
+          };
+        }
+
+        // Legacy arrays carry no direction, so records are restored as LINE-to-Discord mappings.
+        const lineToDiscord = {};
+        const invalid = [];
+        data.forEach((record, index) => {
+          if (isPlainObject(record) && record.lineMessageId && record.discordMessageId) {
+            lineToDiscord[record.lineMessageId] = record;
+          } else {
+            invalid.push(`#${index}`);
+          }
+        });
+        rejectInvalidRecords(invalid, 'have no lineMessageId/discordMessageId');
+
+        return { lineToDiscord, discordToLine: {} };
+      }
+    },
+    {
+      version: 2,
+      description: 'Drop the inline 3.1.0 version field',
+      up: withoutVersionField
+    }
+  ],
+  'line-usage': [
+    {
+      version: 1,
+      description: 'Adopt the 1.0.0 usage format',
+      up(data) {
+        const usage = { ...data };
+        for (const field of ['monthlyMessageCount', 'lastResetDate', 'lastResetYear']) {
+          if (typeof usage[field] === 'string' && /^\d+$/.test(usage[field])) {
+            usage[field] = Number.parseInt(usage[field], 10);
+          }
+        }
+        return usage;
+      }
+    },
+    {
+      version: 2,
+      description: 'Drop the inline 1.0.0 version field',
+      up: withoutVersionField
+    }
+  ],
+  'line-budget-usage': baseline('Record the initial send budget usage format'),
+  'line-usage-history': baseline('Record the initial usage history format'),
+  'outbound-queue': baseline('Record the initial outbound queue format'),
+  'outbound-dead-letters': baseline('Record the initial dead letter format'),
+  'inbound-events': baseline('Record the initial inbound event queue format'),
+  'webhook-events': baseline('Record the initial webhook event ledger format')
+};
+
+function getLatestVersion(name) {
+  const steps = MIGRATIONS[name] || [];
+  return steps.length > 0 ? steps[steps.length - 1].version : 0;
+}
+
+function getLatestVersions() {
+  return Object.fromEntries(Object.keys(MIGRATIONS).map(name => [name, getLatestVersion(name)]));
+}
+
+/**
+ * Returns an error message for every store recorded with a newer version than this code knows.
+ * @param {Object} versions - recorded schema versions by store name
+ */
+function findUnsupportedVersions(versions) {
+  return Object.entries(versions || {})
+    .filter(([name, version]) => MIGRATIONS[name] && version > getLatestVersion(name))
+    .map(([name, version]) => `${name} is at schema version ${version} but this version supports up to ${getLatestVersion(name)}`);
+}
+
+/**
+ * Upgrade every store to the latest schema version.
+ * @param {Object} options
+ * @param {Object} options.backupService - BackupService used to snapshot data before upgrading
+ * @param {Function} options.storeFactory - store factory (tests)
+ * @returns {Array<Object>} applied upgrades ({ name, from, to })
+ */
+async function runMigrations({ backupService = null, storeFactory = createStore } = {}) {
+  const versionStore = storeFactory(SCHEMA_VERSIONS_STORE);
+  const versions = (await versionStore.load()) || {};
+
+  const unsupported = findUnsupportedVersions(versions);
+  if (unsupported.length > 0) {
+    throw new Error(`Stored data is newer than this version of the bridge: ${unsupported.join('; ')}`);
+  }
+
+  const pending = [];
+  for (const name of Object.keys(MIGRATIONS)) {
+    const from = versions[name] || 0;
+    if (from >= getLatestVersion(name)) {
+      continue;
+    }
+
+    const store = storeFactory(name);
+    const data = await store.load();
+    pending.push({ name, from, store, data });
+  }
+
+  if (pending.length === 0) {
+    return [];
+  }
+
+  if (backupService && pending.some(({ data }) => data !== null)) {
+    await backupService.createBackup({ label: 'pre-migration' });
+  }
+
+  const applied = [];
+  for (const { name, from, store, data } of pending) {
+    const to = getLatestVersion(name);
+    if (data !== null) {
+      let upgraded = data;
+      for (const step of MIGRATIONS[name].filter(migration => migration.version > from)) {
+        try {
+          upgraded = step.up(upgraded);
+        } catch (error) {
+          logger.error('Schema migration failed, store left unchanged', {
+            store: name,
+            version: step.version,
+            error: error.message
+          });
+          throw new Error(`Schema migration of ${name} to version ${step.version} failed: ${error.message}`);
+        }
+        logger.info('Schema migration applied', {
+          store: name,
+          version: step.version,
+          description: step.description
+        });
+      }
+      if (upgraded !== data) {
+        await store.save(upgraded);
+      }
+    }
+
+    // Recorded per store so an interrupted run resumes from the stores that were not upgraded yet.
+    versions[name] = to;
+    await versionStore.save(versions);
+    applied.push({ name, from, to });
+  }
+
+  return applied;
+}
+
+module.exports = {
+  MIGRATIONS,
+  SCHEMA_VERSIONS_STORE,
+  findUnsupportedVersions,
+  getLatestVersion,
+  getLatestVersions,
+  runMigrations
+};
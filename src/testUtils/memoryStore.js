@@ -0,0 +1,21 @@
+/**
+ * In-memory store for tests, with the same load/save/describe shape as the storage drivers.
+ * save() keeps a JSON copy so later changes to the saved object do not leak into `data`.
+ * @param {*} initial - what load() returns before the first save (null = never saved)
+ */
+function createMemoryStore(initial = null) {
+  return {
+    data: initial,
+    load: jest.fn(async function load() {
+      return this.data;
+    }),
+    save: jest.fn(async function save(data) {
+      this.data = JSON.parse(JSON.stringify(data));
+    }),
+    describe: () => ({ driver: 'memory' })
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
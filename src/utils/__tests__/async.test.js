@@ -0,0 +1,26 @@
+const { mapWithConcurrency } = require('../async');
+
+describe('mapWithConcurrency', () => {
+  test('keeps the input order and never runs more than the limit at once', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 0, 10], 2, async (delay, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return `${index}:${delay}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:10', '2:20', '3:0', '4:10']);
+    expect(maxRunning).toBe(2);
+  });
+
+  test('returns an empty array without calling the function', async () => {
+    const fn = jest.fn();
+
+    await expect(mapWithConcurrency([], 4, fn)).resolves.toEqual([]);
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,22 @@
+const { getLineSourceId, getLineSourceType } = require('../lineSource');
+
+describe('lineSource', () => {
+  test('getLineSourceId prefers group and room IDs over the sender user ID', () => {
+    expect(getLineSourceId({ type: 'group', groupId: 'C123', userId: 'U123' })).toBe('C123');
+    expect(getLineSourceId({ type: 'room', roomId: 'R123', userId: 'U123' })).toBe('R123');
+    expect(getLineSourceId({ type: 'user', userId: 'U123' })).toBe('U123');
+  });
+
+  test('getLineSourceId returns null for empty sources', () => {
+    expect(getLineSourceId({})).toBeNull();
+    expect(getLineSourceId()).toBeNull();
+  });
+
+  test('getLineSourceType classifies source IDs by prefix', () => {
+    expect(getLineSourceType('C123')).toBe('group');
+    expect(getLineSourceType('R123')).toBe('room');
+    expect(getLineSourceType('U123')).toBe('user');
+    expect(getLineSourceType('X123')).toBe('unknown');
+    expect(getLineSourceType(null)).toBe('unknown');
+  });
+});
@@ -0,0 +1,32 @@
+jest.mock('../logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  error: jest.fn()
+}));
+
+const MessageBatcher = require('../messageBatcher');
+
+describe('MessageBatcher', () => {
+  test('passes the context of every merged message to the send callback', async () => {
+    const batcher = new MessageBatcher();
+    const sendCallback = jest.fn();
+
+    batcher.addToBatch('user-1', { type: 'text', text: 'first' }, sendCallback, 'context-1');
+    batcher.addToBatch('user-1', { type: 'text', text: 'second' }, sendCallback, 'context-2');
+    await batcher.flushBatch('user-1');
+
+    expect(sendCallback).toHaveBeenCalledWith([{ type: 'text', text: 'first\nsecond' }], ['context-1', 'context-2']);
+    expect(batcher.getBatchStatus().activeBatches).toBe(0);
+  });
+
+  test('sends non-text messages immediately with their own context', async () => {
+    const batcher = new MessageBatcher();
+    const sendCallback = jest.fn();
+    const image = { type: 'image', originalContentUrl: 'https://example.com/a.png' };
+
+    batcher.addToBatch('user-1', image, sendCallback, 'context-1');
+    await Promise.resolve();
+
+    expect(sendCallback).toHaveBeenCalledWith([image], ['context-1']);
+  });
+});
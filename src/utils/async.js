@@ -2,6 +2,29 @@ function sleep(milliseconds) {
   return new Promise(resolve => setTimeout(resolve, milliseconds));
 }
 
+/**
+ * 配列の各要素を最大 limit 件ずつ並行して処理する
+ * @param {Array} items - 処理する要素
+ * @param {number} limit - 同時に処理する上限
+ * @param {Function} fn - (item, index) => Promise
+ * @returns {Promise<Array>} 元の順序どおりの結果
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
 module.exports = {
+  mapWithConcurrency,
   sleep
 };
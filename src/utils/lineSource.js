@@ -0,0 +1,39 @@
+/**
+ * LINE webhook source helpers.
+ */
+
+/**
+ * Resolve the conversation ID that a LINE event belongs to.
+ * Group and multi-person chat (room) IDs take precedence over the sender's user ID.
+ */
+function getLineSourceId(source = {}) {
+  return source.groupId || source.roomId || source.userId || null;
+}
+
+/**
+ * Classify a LINE source ID by its prefix (C: group, R: room, U: user).
+ */
+function getLineSourceType(sourceId = '') {
+  if (typeof sourceId !== 'string') {
+    return 'unknown';
+  }
+
+  if (sourceId.startsWith('C')) {
+    return 'group';
+  }
+
+  if (sourceId.startsWith('R')) {
+    return 'room';
+  }
+
+  if (sourceId.startsWith('U')) {
+    return 'user';
+  }
+
+  return 'unknown';
+}
+
+module.exports = {
+  getLineSourceId,
+  getLineSourceType
+};
@@ -15,14 +15,15 @@ class MessageBatcher {
    * メッセージをバッチに追加
    * @param {string} userId - LINEユーザーID
    * @param {Object} message - メッセージ
-   * @param {Function} sendCallback - 送信コールバック
+   * @param {Function} sendCallback - 送信コールバック（統合したメッセージと、まとめた各メッセージの context を受け取る）
+   * @param {*} context - メッセージごとの送信元の情報（送信結果の表示などに使う）
    */
-  addToBatch(userId, message, sendCallback) {
+  addToBatch(userId, message, sendCallback, context = null) {
     // テキストメッセージのみバッチング対象
     if (message.type !== 'text') {
       // テキスト以外は即座に送信
       void this.flushBatch(userId);
-      void Promise.resolve(sendCallback([message])).catch((error) => {
+      void Promise.resolve(sendCallback([message], [context])).catch((error) => {
         logger.error('Failed to send non-batched message', {
           userId,
           messageType: message.type,
@@ -35,6 +36,7 @@ class MessageBatcher {
     if (!this.batchQueue.has(userId)) {
       this.batchQueue.set(userId, {
         messages: [],
+        contexts: [],
         sendCallback,
         timeout: null,
         lastMessageTime: Date.now()
@@ -43,6 +45,7 @@ class MessageBatcher {
 
     const batch = this.batchQueue.get(userId);
     batch.messages.push(message);
+    batch.contexts.push(context);
     batch.lastMessageTime = Date.now();
 
     logger.debug('Message added to batch', {
@@ -85,7 +88,7 @@ class MessageBatcher {
     const mergedMessages = this.mergeMessages(batch.messages);
     
     // 送信
-    await Promise.resolve(batch.sendCallback(mergedMessages)).catch((error) => {
+    await Promise.resolve(batch.sendCallback(mergedMessages, batch.contexts)).catch((error) => {
       logger.error('Failed to send message batch', {
         userId,
         error: error.message